@@ -0,0 +1,181 @@
+// ?? ANALYTICS
+// The numbers behind the analytics dashboard. They work on the conversations
+// currently shown, narrowed to a date range, and every figure keeps the
+// conversations behind it so each chart can drill down to them. A
+// conversation counts - with all its messages - in the week it started.
+
+import { parseDay } from './filters';
+import { getMessages } from './messages';
+import { startOfDay, addDays, startOfWeek } from './calendarViews';
+import { activeDays } from './timestamps';
+
+// ?? DATE RANGES
+export const ANALYTICS_RANGES = [
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '90d', label: 'Last 90 days', days: 90 },
+  { id: '1y', label: 'Last 12 months', days: 365 },
+  { id: 'all', label: 'All time', days: null },
+  { id: 'custom', label: 'Custom', days: null }
+];
+
+// { start, end } with `end` exclusive; null means open-ended.
+// Custom ranges take 'YYYY-MM-DD' days, both included.
+export const analyticsRange = (rangeId, { from, to } = {}, today = new Date()) => {
+  if (rangeId === 'custom') {
+    const last = parseDay(to);
+    return { start: parseDay(from), end: last ? addDays(last, 1) : null };
+  }
+  const preset = ANALYTICS_RANGES.find(range => range.id === rangeId);
+  if (!preset || !preset.days) return { start: null, end: null };
+  const end = addDays(startOfDay(today), 1);
+  return { start: addDays(end, -preset.days), end };
+};
+
+// Undated conversations only count when the range is open at both ends
+export const conversationsInRange = (conversations, { start, end }) => conversations.filter(conv => {
+  if (conv.undated) return !start && !end;
+  return (!start || conv.date >= start) && (!end || conv.date < end);
+});
+
+// ?? TIME BUCKETS
+// Weeks, or months once the range is over a year so the bars stay readable.
+// Returns { unit, buckets: [{ start, end, conversations }] } covering the
+// whole range, empty weeks included.
+const YEAR_MS = 366 * 24 * 60 * 60 * 1000;
+
+const bucketStart = (date, unit, weekStart) => (unit === 'month'
+  ? new Date(date.getFullYear(), date.getMonth(), 1)
+  : startOfWeek(date, weekStart));
+
+const nextBucket = (date, unit) => (unit === 'month'
+  ? new Date(date.getFullYear(), date.getMonth() + 1, 1)
+  : addDays(date, 7));
+
+export const timeBuckets = (conversations, { start, end }, weekStart) => {
+  const dated = conversations.filter(conv => !conv.undated);
+  if (dated.length === 0 && !(start && end)) return { unit: 'week', buckets: [] };
+
+  // One pass rather than spreading every time into Math.min/max, which runs
+  // out of stack on very large libraries
+  const range = dated.reduce((acc, conv) => {
+    const time = conv.date.getTime();
+    return { min: Math.min(acc.min, time), max: Math.max(acc.max, time) };
+  }, { min: Infinity, max: -Infinity });
+  const first = start || startOfDay(new Date(range.min));
+  const last = end ? addDays(end, -1) : startOfDay(new Date(range.max));
+  const unit = last - first > YEAR_MS ? 'month' : 'week';
+
+  const buckets = [];
+  const byStart = new Map();
+  for (let from = bucketStart(first, unit, weekStart); from <= last; from = nextBucket(from, unit)) {
+    const bucket = { start: from, end: nextBucket(from, unit), conversations: [] };
+    buckets.push(bucket);
+    byStart.set(from.getTime(), bucket);
+  }
+  dated.forEach(conv => {
+    const bucket = byStart.get(bucketStart(conv.date, unit, weekStart).getTime());
+    if (bucket) bucket.conversations.push(conv);
+  });
+  return { unit, buckets };
+};
+
+// ?? ACTIVITY BY PLATFORM
+// Per bucket: { [platform]: { conversations: [...], messages } }
+export const platformActivity = (buckets) => buckets.map(bucket => {
+  const byPlatform = {};
+  bucket.conversations.forEach(conv => {
+    if (!byPlatform[conv.platform]) byPlatform[conv.platform] = { conversations: [], messages: 0 };
+    byPlatform[conv.platform].conversations.push(conv);
+    byPlatform[conv.platform].messages += getMessages(conv).length;
+  });
+  return byPlatform;
+});
+
+// ?? TAG TRENDS
+// The `limit` most used tags in the range, each with its conversations per bucket
+export const tagTrends = (conversations, buckets, limit = 8) => {
+  const counts = {};
+  conversations.forEach(conv => conv.tags.forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([tag, total]) => ({
+      tag,
+      total,
+      buckets: buckets.map(bucket => bucket.conversations.filter(conv => conv.tags.includes(tag)))
+    }));
+};
+
+// ?? USAGE HEATMAP
+// grid[weekday][hour] = { messages, conversations } where weekday 0 is
+// Sunday. Messages count at their own time; conversations whose messages
+// carry no times count once, when they started.
+export const usageGrid = (conversations) => {
+  const grid = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ messages: 0, conversations: [] })));
+  const add = (date, conv, messages) => {
+    const cell = grid[date.getDay()][date.getHours()];
+    cell.messages += messages;
+    if (cell.conversations[cell.conversations.length - 1] !== conv) cell.conversations.push(conv);
+  };
+
+  conversations.filter(conv => !conv.undated).forEach(conv => {
+    const stamps = getMessages(conv).map(message => message.timestamp).filter(stamp => stamp instanceof Date);
+    if (stamps.length === 0) add(conv.date, conv, Math.max(1, getMessages(conv).length));
+    else stamps.sort((a, b) => a - b).forEach(stamp => add(stamp, conv, 1));
+  });
+  return grid;
+};
+
+// ?? PLATFORM AVERAGES
+// Per platform: { platformId, conversations, averageLength (characters),
+// averageTurns (user prompts) }, busiest platform first
+export const platformAverages = (conversations) => {
+  const totals = {};
+  conversations.forEach(conv => {
+    if (!totals[conv.platform]) totals[conv.platform] = { platformId: conv.platform, conversations: [], length: 0, turns: 0 };
+    const total = totals[conv.platform];
+    total.conversations.push(conv);
+    total.length += conv.content.length;
+    total.turns += getMessages(conv).filter(message => message.role === 'user').length;
+  });
+  return Object.values(totals)
+    .map(({ platformId, conversations: platformConversations, length, turns }) => ({
+      platformId,
+      conversations: platformConversations,
+      averageLength: Math.round(length / platformConversations.length),
+      averageTurns: Math.round((turns / platformConversations.length) * 10) / 10
+    }))
+    .sort((a, b) => b.conversations.length - a.conversations.length);
+};
+
+// ?? STREAKS
+// Runs of consecutive days with at least one active conversation, longest
+// (then most recent) first: [{ start, end, days, conversations }].
+// `current` is the run that reaches today or yesterday, if any.
+export const activityStreaks = (conversations, limit = 3, today = new Date()) => {
+  const days = new Map();
+  conversations.forEach(conv => activeDays(conv).forEach((moment, key) => {
+    if (!days.has(key)) days.set(key, { day: startOfDay(moment), conversations: new Set() });
+    days.get(key).conversations.add(conv);
+  }));
+
+  const streaks = [];
+  [...days.values()].sort((a, b) => a.day - b.day).forEach(({ day, conversations: dayConversations }) => {
+    const last = streaks[streaks.length - 1];
+    if (last && addDays(last.end, 1).getTime() === day.getTime()) {
+      last.end = day;
+      last.days += 1;
+      dayConversations.forEach(conv => last.conversations.add(conv));
+    } else {
+      streaks.push({ start: day, end: day, days: 1, conversations: new Set(dayConversations) });
+    }
+  });
+
+  const finished = streaks.map(streak => ({ ...streak, conversations: [...streak.conversations] }));
+  const yesterday = addDays(startOfDay(today), -1);
+  const latest = finished[finished.length - 1];
+  return {
+    longest: [...finished].sort((a, b) => b.days - a.days || b.end - a.end).slice(0, limit),
+    current: latest && latest.end >= yesterday ? latest : null
+  };
+};
@@ -0,0 +1,109 @@
+import {
+  analyticsRange, conversationsInRange, timeBuckets, platformActivity, tagTrends,
+  usageGrid, platformAverages, activityStreaks
+} from './analytics';
+import { createMessage } from './messages';
+import { makeConversation } from './testConversations';
+
+const conversation = (id, date, changes = {}) => makeConversation({
+  id,
+  date,
+  content: 'x'.repeat(100),
+  messages: [createMessage({ role: 'user', text: 'Hi' }), createMessage({ role: 'assistant', text: 'Hello' })],
+  ...changes
+});
+
+const today = new Date(2024, 4, 15, 12);
+
+describe('date ranges', () => {
+  it('ends presets with today and includes both days of a custom range', () => {
+    expect(analyticsRange('30d', {}, today)).toEqual({ start: new Date(2024, 3, 16), end: new Date(2024, 4, 16) });
+    expect(analyticsRange('custom', { from: '2024-01-01', to: '2024-01-31' })).toEqual({ start: new Date(2024, 0, 1), end: new Date(2024, 1, 1) });
+    expect(analyticsRange('all')).toEqual({ start: null, end: null });
+  });
+
+  it('only counts undated conversations in an open range', () => {
+    const library = [conversation('a', new Date(2024, 4, 1)), conversation('b', new Date(0), { undated: true })];
+    expect(conversationsInRange(library, { start: null, end: null })).toHaveLength(2);
+    expect(conversationsInRange(library, analyticsRange('30d', {}, today)).map(conv => conv.id)).toEqual(['a']);
+  });
+});
+
+describe('timeBuckets', () => {
+  it('covers the range in weeks, empty ones included', () => {
+    const a = conversation('a', new Date(2024, 4, 1, 9));
+    const { unit, buckets } = timeBuckets([a], { start: new Date(2024, 3, 28), end: new Date(2024, 4, 19) }, 0);
+    expect(unit).toBe('week');
+    expect(buckets.map(bucket => bucket.start)).toEqual([new Date(2024, 3, 28), new Date(2024, 4, 5), new Date(2024, 4, 12)]);
+    expect(buckets.map(bucket => bucket.conversations.length)).toEqual([1, 0, 0]);
+  });
+
+  it('switches to months for more than a year', () => {
+    const { unit, buckets } = timeBuckets([conversation('a', new Date(2022, 0, 10)), conversation('b', new Date(2024, 0, 10))], { start: null, end: null }, 0);
+    expect(unit).toBe('month');
+    expect(buckets).toHaveLength(25);
+  });
+
+  it('handles libraries too large to spread into Math.min', () => {
+    const day = new Date(2024, 4, 1, 9);
+    const library = Array.from({ length: 200000 }, (_, i) => ({ id: String(i), date: day }));
+    const { buckets } = timeBuckets(library, { start: null, end: null }, 0);
+    expect(buckets).toHaveLength(1);
+    expect(buckets[0].conversations).toHaveLength(200000);
+  });
+
+  it('splits activity by platform and follows the top tags', () => {
+    const library = [
+      conversation('a', new Date(2024, 4, 1), { tags: ['coding', 'work'] }),
+      conversation('b', new Date(2024, 4, 2), { platform: 'chatgpt', tags: ['coding'] })
+    ];
+    const { buckets } = timeBuckets(library, { start: null, end: null }, 0);
+    expect(platformActivity(buckets)[0]).toEqual({
+      claude: { conversations: [library[0]], messages: 2 },
+      chatgpt: { conversations: [library[1]], messages: 2 }
+    });
+    expect(tagTrends(library, buckets, 1)).toEqual([{ tag: 'coding', total: 2, buckets: [library] }]);
+  });
+});
+
+describe('usageGrid', () => {
+  it('counts messages at their own times and conversations once per cell', () => {
+    const timed = conversation('a', new Date(2024, 4, 13, 9), {
+      messages: [
+        createMessage({ role: 'user', text: 'Hi', timestamp: new Date(2024, 4, 13, 9, 5) }),
+        createMessage({ role: 'assistant', text: 'Hello', timestamp: new Date(2024, 4, 13, 9, 6) })
+      ]
+    });
+    const untimed = conversation('b', new Date(2024, 4, 13, 9, 30));
+    const cell = usageGrid([timed, untimed])[1][9]; // Monday, 9am
+    expect(cell).toEqual({ messages: 4, conversations: [timed, untimed] });
+  });
+});
+
+describe('platformAverages', () => {
+  it('averages length and turns per platform, busiest first', () => {
+    const averages = platformAverages([
+      conversation('a', today, { platform: 'chatgpt' }),
+      conversation('b', today, { content: 'x'.repeat(300) }),
+      conversation('c', today)
+    ]);
+    expect(averages.map(({ platformId, averageLength, averageTurns }) => [platformId, averageLength, averageTurns])).toEqual([
+      ['claude', 200, 1],
+      ['chatgpt', 100, 1]
+    ]);
+  });
+});
+
+describe('activityStreaks', () => {
+  it('finds runs of consecutive active days and the one still going', () => {
+    const library = [
+      conversation('a', new Date(2024, 4, 1, 10), { lastActivity: new Date(2024, 4, 3, 10) }),
+      conversation('b', new Date(2024, 4, 13, 10)),
+      conversation('c', new Date(2024, 4, 14, 10))
+    ];
+    const { longest, current } = activityStreaks(library, 3, today);
+    expect(longest.map(streak => streak.days)).toEqual([2, 1, 1]);
+    expect(current).toMatchObject({ start: new Date(2024, 4, 13), end: new Date(2024, 4, 14), days: 2 });
+    expect(activityStreaks(library.slice(0, 1), 3, today).current).toBeNull();
+  });
+});
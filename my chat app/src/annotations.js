@@ -0,0 +1,71 @@
+// ?? NOTES AND HIGHLIGHTS
+// What the user wrote about a conversation, kept on the conversation itself
+// so it is saved, searched and exported along with it:
+//   notes      - free text about why the conversation mattered
+//   highlights - [{ id, threadId, messageIndex, start, end, text, comment, createdAt }]
+//                a span of one message; `text` is a copy of the span, so the
+//                highlight still reads well if the transcript changes
+
+import { createLocalId } from './collections';
+
+// ?? NEW HIGHLIGHT
+export const createHighlight = ({ threadId, messageIndex, start, end, text, comment = '' }) => ({
+  id: createLocalId('highlight'),
+  threadId,
+  messageIndex,
+  start,
+  end,
+  text,
+  comment: comment.trim(),
+  createdAt: new Date()
+});
+
+// ?? EDITS
+// Each returns an updated copy of the conversation
+export const setConversationNotes = (conversation, notes) => ({ ...conversation, notes });
+
+export const addHighlight = (conversation, highlight) => ({
+  ...conversation,
+  highlights: [...(conversation.highlights || []), highlight]
+});
+
+export const updateHighlightComment = (conversation, highlightId, comment) => ({
+  ...conversation,
+  highlights: (conversation.highlights || []).map(highlight => (
+    highlight.id === highlightId ? { ...highlight, comment: comment.trim() } : highlight
+  ))
+});
+
+export const removeHighlight = (conversation, highlightId) => ({
+  ...conversation,
+  highlights: (conversation.highlights || []).filter(highlight => highlight.id !== highlightId)
+});
+
+// ?? HIGHLIGHTS IN ONE MESSAGE
+// Sorted by position, with overlapping spans joined so they can be drawn in one pass
+export const highlightRanges = (highlights, threadId, messageIndex) => highlights
+  .filter(highlight => highlight.threadId === threadId && highlight.messageIndex === messageIndex)
+  .sort((a, b) => a.start - b.start)
+  .reduce((ranges, highlight) => {
+    const last = ranges[ranges.length - 1];
+    if (last && highlight.start <= last.end) {
+      last.end = Math.max(last.end, highlight.end);
+      last.comments = [...last.comments, highlight.comment].filter(Boolean);
+    } else {
+      ranges.push({ start: highlight.start, end: highlight.end, comments: [highlight.comment].filter(Boolean) });
+    }
+    return ranges;
+  }, []);
+
+// ?? SEARCHABLE TEXT
+// Notes, highlighted passages and their comments, for the search index
+export const annotationText = (conversation) => [
+  conversation.notes || '',
+  ...(conversation.highlights || []).flatMap(highlight => [highlight.text, highlight.comment])
+].filter(Boolean).join('\n');
+
+// ?? ALL HIGHLIGHTS
+// Every highlight in the given conversations, newest first: [{ highlight, conversation }]
+export const collectHighlights = (conversations) => conversations
+  .flatMap(conversation => (conversation.highlights || []).map(highlight => ({ highlight, conversation })))
+  .sort((a, b) => b.highlight.createdAt.getTime() - a.highlight.createdAt.getTime());
@@ -0,0 +1,52 @@
+import {
+  createHighlight, addHighlight, updateHighlightComment, removeHighlight,
+  highlightRanges, annotationText, collectHighlights
+} from './annotations';
+
+const highlight = (start, end, comment = '', changes = {}) => ({
+  ...createHighlight({ threadId: 'main', messageIndex: 1, start, end, text: 'quoted', comment }),
+  ...changes
+});
+
+describe('highlight edits', () => {
+  it('adds, comments on and removes highlights', () => {
+    const first = highlight(0, 5, '  why  ');
+    expect(first.comment).toBe('why');
+
+    let conversation = addHighlight({ id: 'a' }, first);
+    conversation = updateHighlightComment(conversation, first.id, ' because ');
+    expect(conversation.highlights).toEqual([{ ...first, comment: 'because' }]);
+    expect(removeHighlight(conversation, first.id).highlights).toEqual([]);
+  });
+});
+
+describe('highlightRanges', () => {
+  it('joins overlapping spans in one message and keeps their comments', () => {
+    const ranges = highlightRanges([
+      highlight(10, 20, 'second'),
+      highlight(0, 12, 'first'),
+      highlight(30, 35),
+      highlight(0, 5, 'other message', { messageIndex: 2 })
+    ], 'main', 1);
+    expect(ranges).toEqual([
+      { start: 0, end: 20, comments: ['first', 'second'] },
+      { start: 30, end: 35, comments: [] }
+    ]);
+  });
+});
+
+describe('annotationText', () => {
+  it('collects notes, highlighted passages and comments for search', () => {
+    expect(annotationText({ notes: 'Keep this', highlights: [highlight(0, 5, 'nice')] })).toBe('Keep this\nquoted\nnice');
+    expect(annotationText({})).toBe('');
+  });
+});
+
+describe('collectHighlights', () => {
+  it('lists highlights from every conversation, newest first', () => {
+    const older = highlight(0, 1, '', { createdAt: new Date(2024, 0, 1) });
+    const newer = highlight(0, 1, '', { createdAt: new Date(2024, 5, 1) });
+    const collected = collectHighlights([{ id: 'a', highlights: [older] }, { id: 'b', highlights: [newer] }, { id: 'c' }]);
+    expect(collected.map(({ highlight: item, conversation }) => [item, conversation.id])).toEqual([[newer, 'b'], [older, 'a']]);
+  });
+});
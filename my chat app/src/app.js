@@ -1,248 +1,77 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { Calendar, Search, Filter, Star, Download, Eye, MessageSquare, TrendingUp, Settings, ChevronLeft, ChevronRight, Play, Share2, Tag, Clock, Sparkles, Upload, X, CheckCircle, AlertCircle, ToggleLeft, ToggleRight } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Calendar, Search, Filter, Star, Download, Eye, MessageSquare, TrendingUp, Settings, ChevronLeft, ChevronRight, Play, Share2, Tag, Clock, Sparkles, Upload, X, CheckCircle, AlertCircle, Paperclip, Folder, FolderPlus, Bookmark, BookmarkPlus, Pencil, Trash2, Highlighter, StickyNote, Code, Copy, Check, ZoomIn, ZoomOut, ArrowUp, ArrowDown, LayoutGrid, Table } from 'lucide-react';
+import { loadConversations, putConversations, deleteConversations, loadSetting, saveSetting } from './storage';
+import {
+  generateSmartTags, DEFAULT_TAG_RULES, TAG_COLORS, normalizeTagName, compileKeyword, applyTagRules, retagConversations,
+  addConversationTag, removeConversationTag, renameTag, mergeTags, deleteTag
+} from './tagging';
+import {
+  calculateQualityScore, QUALITY_SIGNALS, DEFAULT_QUALITY_WEIGHTS, explainQualityScore, applyQualityScore, rescoreConversations,
+  setQualityOverride
+} from './quality';
+import { IMPORTERS, getImporter } from './importers';
+import { importFile } from './importClient';
+import { mergeConversations } from './merge';
+import { messagesFromText, getThreads, getMessages } from './messages';
+import { createSearchIndex, getHighlightTerms, getSnippet, buildHighlightPattern } from './search';
+import { linkRelatedConversations } from './similarity';
+import { EXPORTERS, getExporter, conversationToMarkdown, conversationsToHtml, conversationFileName } from './exporters';
+import { REDACTION_RULES, redactConversation, buildContinuationPrompt } from './sharing';
+import { DEFAULT_FILTERS, DATE_PRESETS, matchesFilters, describeFilters } from './filters';
+import { viewToQuery, viewFromQuery } from './viewUrl';
+import { createCollection, createSavedSearch, isInCollection, toggleCollection, removeCollectionFromConversations } from './collections';
+import {
+  createHighlight, setConversationNotes, addHighlight, updateHighlightComment, removeHighlight, highlightRanges, annotationText,
+  collectHighlights
+} from './annotations';
+import { splitCodeFences, withCodeBlocks, collectSnippets, highlightCode } from './snippets';
+import { SUMMARIZER_DEFAULTS, getSummarizer, needsSummary, summarizeBatch, listEndpointModels } from './summarizers';
+import {
+  DEFAULT_PREFERENCES, PLATFORM_COLORS, createCustomPlatform, buildPlatforms, getPlatform, resolveLocale, weekdayLabels, leadingDays,
+  withPreferenceDefaults
+} from './preferences';
+import {
+  CALENDAR_MODES, addDays, startOfDay, weekDays, yearGrid, HEAT_CLASSES, heatLevel, TIMELINE_ZOOMS, timelineRange, timelinePosition,
+  timelineTicks
+} from './calendarViews';
+import { DEFAULT_ACCOUNT, withAccount, migrateAccount, listAccounts, createScope, matchesScope, describeScope } from './scopes';
+import { resolveTimeZone, listTimeZones, getLastActivity, activeDays } from './timestamps';
+import {
+  ANALYTICS_RANGES, analyticsRange, conversationsInRange, timeBuckets, platformActivity, tagTrends, usageGrid, platformAverages,
+  activityStreaks
+} from './analytics';
+import { LIST_SORTS, LIST_LAYOUTS, DEFAULT_LIST_SORT, sortConversations, visibleRows } from './listView';
 
 // ?? PLATFORM CONFIGURATIONS
 // This defines how each AI platform will look in our app (colors, icons, names)
+// and where to start a new chat on it. Platforms the user adds in Settings
+// are merged in by buildPlatforms().
 const PLATFORMS = {
-  chatgpt: { name: 'ChatGPT', color: '#10a37f', icon: 'C', bgClass: 'bg-green-500' },
-  claude: { name: 'Claude', color: '#cc8644', icon: 'Cl', bgClass: 'bg-orange-500' },
-  gemini: { name: 'Gemini', color: '#4285f4', icon: 'G', bgClass: 'bg-blue-500' },
-  grok: { name: 'Grok', color: '#8b5cf6', icon: 'X', bgClass: 'bg-purple-500' },
-  perplexity: { name: 'Perplexity', color: '#14b8a6', icon: 'P', bgClass: 'bg-teal-500' },
-  deepseek: { name: 'DeepSeek', color: '#ef4444', icon: 'D', bgClass: 'bg-red-500' }
+  chatgpt: { name: 'ChatGPT', color: '#10a37f', icon: 'C', bgClass: 'bg-green-500', url: 'https://chatgpt.com/' },
+  claude: { name: 'Claude', color: '#cc8644', icon: 'Cl', bgClass: 'bg-orange-500', url: 'https://claude.ai/new' },
+  gemini: { name: 'Gemini', color: '#4285f4', icon: 'G', bgClass: 'bg-blue-500', url: 'https://gemini.google.com/app' },
+  grok: { name: 'Grok', color: '#8b5cf6', icon: 'X', bgClass: 'bg-purple-500', url: 'https://grok.com/' },
+  perplexity: { name: 'Perplexity', color: '#14b8a6', icon: 'P', bgClass: 'bg-teal-500', url: 'https://www.perplexity.ai/' },
+  deepseek: { name: 'DeepSeek', color: '#ef4444', icon: 'D', bgClass: 'bg-red-500', url: 'https://chat.deepseek.com/' }
 };
 
-// ??? SMART TAGGING SYSTEM
-// Keywords to automatically categorize conversations by topic
-const TAG_KEYWORDS = {
-  'coding': ['code', 'programming', 'function', 'debug', 'python', 'javascript', 'react', 'typescript', 'api', 'database'],
-  'creative': ['story', 'poem', 'creative', 'writing', 'art', 'design', 'music', 'novel', 'character', 'plot'],
-  'research': ['research', 'study', 'analysis', 'data', 'academic', 'science', 'paper', 'citation', 'methodology'],
-  'business': ['business', 'strategy', 'marketing', 'sales', 'revenue', 'startup', 'growth', 'metrics', 'roi'],
-  'personal': ['help', 'advice', 'how to', 'recommendation', 'personal', 'life', 'decision', 'guidance'],
-  'ai-calendar': ['calendar', 'conversation', 'management', 'chat history', 'ai platforms', 'organization'],
-  'technical': ['artifact', 'component', 'implementation', 'system', 'architecture', 'development']
-};
-
-// ?? SMART TAG GENERATOR
-// Automatically assigns tags based on conversation content
-const generateSmartTags = (content, title) => {
-  // Combine title and content, make lowercase for matching
-  const text = `${title} ${content}`.toLowerCase();
-  const tags = [];
-  
-  // Check each tag category against content
-  Object.entries(TAG_KEYWORDS).forEach(([tag, keywords]) => {
-    if (keywords.some(keyword => text.includes(keyword))) {
-      tags.push(tag);
-    }
-  });
-  
-  // ?? Add special context-based tags
-  if (text.includes('error') || text.includes('bug') || text.includes('fix')) tags.push('debugging');
-  if (text.includes('learn') || text.includes('tutorial') || text.includes('explain')) tags.push('learning');
-  if (text.includes('optimize') || text.includes('performance') || text.includes('speed')) tags.push('optimization');
-  
-  // Return tags or 'general' if none found
-  return tags.length > 0 ? tags : ['general'];
-};
-
-// ? QUALITY SCORING SYSTEM
-// Calculates how valuable a conversation is (1-5 stars)
-const calculateQualityScore = (conversation) => {
-  let score = 3; // Start with base score
-  
-  // ?? Content length matters - longer conversations usually more valuable
-  if (conversation.content.length > 2000) score += 1;
-  if (conversation.content.length < 100) score -= 1;
-  
-  // ?? Technical content gets bonus points
-  if (conversation.content.includes('```') || conversation.content.includes('code')) score += 0.5;
-  if (conversation.tags.length > 2) score += 0.3;
-  
-  // ?? Multi-line conversations are usually more detailed
-  if (conversation.content.split('\n').length > 10) score += 0.2;
-  
-  // Keep score between 1 and 5, round to nearest 0.5
-  return Math.min(5, Math.max(1, Math.round(score * 2) / 2));
-};
-
-// ?? CHATGPT DATA PARSER
-// Converts exported ChatGPT JSON into our standard format
-const parseChatGPTData = (chatgptJson) => {
-  const conversations = [];
-  console.log('Parsing ChatGPT data:', chatgptJson);
-  
-  try {
-    // ?? Find conversations data in different possible JSON structures
-    let conversationsData = null;
-    
-    if (chatgptJson.conversations) {
-      conversationsData = chatgptJson.conversations;
-    } else if (Array.isArray(chatgptJson)) {
-      // Sometimes the data is an array of conversations
-      conversationsData = chatgptJson;
-    } else if (chatgptJson.data && chatgptJson.data.conversations) {
-      conversationsData = chatgptJson.data.conversations;
-    }
-    
-    if (!conversationsData) {
-      throw new Error('No conversations data found in the JSON structure');
-    }
-    
-    // ?? Convert to array format for processing
-    const conversationEntries = Array.isArray(conversationsData) 
-      ? conversationsData.map((conv, idx) => [`conv_${idx}`, conv])
-      : Object.entries(conversationsData);
-    
-    console.log(`Found ${conversationEntries.length} conversation entries`);
-    
-    // ??? Process each conversation
-    conversationEntries.forEach(([id, conv], index) => {
-      try {
-        let messages = [];
-        let title = conv.title || `ChatGPT Conversation ${index + 1}`;
-        let createTime = conv.create_time || conv.created_at || Date.now() / 1000;
-        
-        // ?? Extract messages from different possible structures
-        if (conv.mapping) {
-          // Standard ChatGPT export format with message mapping
-          messages = Object.values(conv.mapping)
-            .filter(msg => msg.message && msg.message.content && msg.message.content.parts)
-            .map(msg => {
-              const role = msg.message.author?.role || 'unknown';
-              const content = Array.isArray(msg.message.content.parts) 
-                ? msg.message.content.parts.join(' ')
-                : msg.message.content.parts;
-              return `${role}: ${content}`;
-            });
-        } else if (conv.messages) {
-          // Alternative format with direct messages array
-          messages = conv.messages.map(msg => {
-            const role = msg.role || msg.author?.role || 'unknown';
-            const content = Array.isArray(msg.content) ? msg.content.join(' ') : msg.content;
-            return `${role}: ${content}`;
-          });
-        } else if (conv.conversation) {
-          // Nested conversation structure
-          messages = [conv.conversation];
-        }
-        
-        const fullContent = messages.join('\n\n');
-        
-        // ? Only add conversations with actual content
-        if (fullContent.trim().length > 0) {
-          const conversation = {
-            id: id,
-            platform: 'chatgpt',
-            title: title,
-            date: new Date(createTime * 1000), // Convert Unix timestamp
-            summary: fullContent.substring(0, 150) + (fullContent.length > 150 ? '...' : ''),
-            content: fullContent,
-            tags: generateSmartTags(fullContent, title), // Auto-generate tags
-            starred: false,
-            quality: 0, // Will be calculated below
-            relationships: [],
-            userId: 'user-chatgpt',
-            extractedAt: new Date()
-          };
-          
-          // Calculate and assign quality score
-          conversation.quality = calculateQualityScore(conversation);
-          conversations.push(conversation);
-        }
-      } catch (convError) {
-        console.warn(`Error parsing individual conversation ${id}:`, convError);
-      }
-    });
-    
-    console.log(`Successfully parsed ${conversations.length} ChatGPT conversations`);
-    return conversations;
-  } catch (error) {
-    console.error('Error parsing ChatGPT data:', error);
-    throw new Error(`ChatGPT parsing failed: ${error.message}`);
-  }
-};
+// ??? VIEWS
+// The tabs in the header, in order; Settings picks the one shown on start-up
+const VIEWS = ['calendar', 'list', 'highlights', 'snippets', 'analytics', 'tags'];
 
-// ?? DEEPSEEK DATA PARSER
-// Converts exported DeepSeek JSON into our standard format
-const parseDeepSeekData = (deepseekJson) => {
-  const conversations = [];
-  console.log('Parsing DeepSeek data:', deepseekJson);
-  
-  try {
-    // ?? Find chat list in different possible JSON structures
-    let chatList = null;
-    
-    if (deepseekJson.chat_list) {
-      chatList = deepseekJson.chat_list;
-    } else if (deepseekJson.chats) {
-      chatList = deepseekJson.chats;
-    } else if (Array.isArray(deepseekJson)) {
-      chatList = deepseekJson;
-    } else if (deepseekJson.data && deepseekJson.data.chat_list) {
-      chatList = deepseekJson.data.chat_list;
-    }
-    
-    if (!chatList) {
-      throw new Error('No chat list found in the JSON structure');
-    }
-    
-    console.log(`Found ${chatList.length} DeepSeek chats`);
-    
-    // ??? Process each chat
-    chatList.forEach((chat, index) => {
-      try {
-        const messages = chat.messages || chat.conversation || [];
-        
-        // ?? Convert messages to readable format
-        const content = Array.isArray(messages) 
-          ? messages.map(msg => `${msg.role || 'unknown'}: ${msg.content || msg.message || ''}`).join('\n\n')
-          : String(messages);
-        
-        // ? Only add chats with actual content
-        if (content.trim().length > 0) {
-          const conversation = {
-            id: chat.chat_id || chat.id || `deepseek_${index}`,
-            platform: 'deepseek',
-            title: chat.title || chat.name || `DeepSeek Conversation ${index + 1}`,
-            date: new Date(chat.created_at || chat.timestamp || Date.now()),
-            summary: content.substring(0, 150) + (content.length > 150 ? '...' : ''),
-            content: content,
-            tags: generateSmartTags(content, chat.title || ''), // Auto-generate tags
-            starred: false,
-            quality: 0, // Will be calculated below
-            relationships: [],
-            userId: 'user-deepseek',
-            extractedAt: new Date()
-          };
-          
-          // Calculate and assign quality score
-          conversation.quality = calculateQualityScore(conversation);
-          conversations.push(conversation);
-        }
-      } catch (chatError) {
-        console.warn(`Error parsing individual DeepSeek chat ${index}:`, chatError);
-      }
-    });
-    
-    console.log(`Successfully parsed ${conversations.length} DeepSeek conversations`);
-    return conversations;
-  } catch (error) {
-    console.error('Error parsing DeepSeek data:', error);
-    throw new Error(`DeepSeek parsing failed: ${error.message}`);
-  }
-};
+// Account label of the demo conversations, so they can be told from imported ones
+const DEMO_ACCOUNT = 'demo';
 
 // ?? CURRENT CLAUDE CONVERSATION GENERATOR
 // Creates a conversation record for this current chat session
 const generateCurrentClaudeConversation = () => {
-  return {
+  const conversation = {
     id: 'claude_current_session',
     platform: 'claude',
     title: 'AI Chat History Calendar Development',
     date: new Date(),
     summary: 'Building revolutionary AI Chat History Calendar with real data integration, starring features, and unified conversation management across all major AI platforms.',
+    summarySource: 'demo', // Hand-written, nothing to generate
     content: `This is the current conversation where we're building the AI Chat History Calendar application. The user requested:
 
 1. Revolutionary AI Chat History Calendar application
@@ -276,11 +105,30 @@ This represents a comprehensive conversation management system that unifies AI i
     starred: true,
     quality: 5,
     relationships: [],
-    userId: 'user-claude-current',
+    accountId: DEMO_ACCOUNT,
     extractedAt: new Date()
   };
+  
+  // ?? Demo content is plain text - split it into messages like an import would
+  conversation.messages = messagesFromText(conversation.content);
+  return conversation;
+};
+
+// ?? VISIBILITY CHECK
+// Whether a search result should be shown, given the source scope, the
+// platform buttons, the structured filters and the open collection.
+// Saved searches are counted with the same check so their numbers match.
+const isVisible = (conv, { scope, platforms, filters, collectionId }) => {
+  const matchesCollection = !collectionId || isInCollection(conv, collectionId);
+  return matchesScope(conv, scope) && platforms.includes(conv.platform) && matchesCollection && matchesFilters(conv, filters);
 };
 
+// ?? CONVERSATION DATES
+// Exports that gave no time are shown as "Undated" rather than as 1 Jan 1970
+const formatConversationDate = (conv, locale, options) => (
+  conv.undated ? 'Undated' : conv.date.toLocaleDateString(locale, options)
+);
+
 // ?? SAMPLE CONVERSATIONS GENERATOR
 // Creates realistic demo conversations for testing the app
 const generateSampleConversations = () => {
@@ -295,7 +143,7 @@ const generateSampleConversations = () => {
     {
       platform: 'chatgpt',
       title: 'React State Management Best Practices',
-      content: 'User: Can you explain the differences between useState, useReducer, and Context API for managing complex state in React applications?\n\nChatGPT: Great question! Here are the key differences:\n\n1. **useState**: Best for simple, local component state\n2. **useReducer**: Better for complex state logic with multiple sub-values\n3. **Context API**: Ideal for sharing state across multiple components\n\nFor performance, useState is fastest, useReducer is good for complex updates, and Context should be used carefully to avoid unnecessary re-renders...',
+      content: 'User: Can you explain the differences between useState, useReducer, and Context API for managing complex state in React applications?\n\nChatGPT: Great question! Here are the key differences:\n\n1. **useState**: Best for simple, local component state\n2. **useReducer**: Better for complex state logic with multiple sub-values\n3. **Context API**: Ideal for sharing state across multiple components\n\nFor performance, useState is fastest, useReducer is good for complex updates, and Context should be used carefully to avoid unnecessary re-renders:\n\n```jsx\nconst [state, dispatch] = useReducer(reducer, initialState);\n```\n\nUser: Thanks!',
       summary: 'Comprehensive guide to React state management patterns and performance optimization'
     },
     {
@@ -327,12 +175,14 @@ const generateSampleConversations = () => {
       title: `${template.title} ${i > 2 ? `(Session ${Math.floor(i/3)})` : ''}`,
       date: date,
       summary: template.summary,
+      summarySource: 'demo',
+      messages: messagesFromText(template.content),
       content: template.content,
       tags: generateSmartTags(template.content, template.title),
       starred: Math.random() > 0.85, // ?? ~15% chance to be starred
       quality: 0, // Will be calculated below
       relationships: [],
-      userId: 'user-demo-123',
+      accountId: DEMO_ACCOUNT,
       extractedAt: new Date()
     };
     
@@ -353,20 +203,245 @@ const AIChatCalendar = () => {
   const [searchTerm, setSearchTerm] = useState(''); // What user is searching for
   const [selectedPlatforms, setSelectedPlatforms] = useState(Object.keys(PLATFORMS)); // Which platforms to show
   const [selectedDate, setSelectedDate] = useState(new Date()); // Current selected date
-  const [view, setView] = useState('calendar'); // Current view: 'calendar' | 'list' | 'analytics'
+  const [view, setView] = useState('calendar'); // Current view: 'calendar' | 'list' | 'highlights' | 'snippets' | 'analytics' | 'tags'
   const [selectedConversation, setSelectedConversation] = useState(null); // Currently viewing conversation
   const [calendarMonth, setCalendarMonth] = useState(new Date()); // Which month calendar shows
-  const [crossPlatformMode, setCrossPlatformMode] = useState(false); // Show all platforms together
+  const [calendarMode, setCalendarMode] = useState('month'); // 'month' | 'week' | 'day' | 'year' | 'timeline'
+  const [timelineZoom, setTimelineZoom] = useState('month'); // Id from TIMELINE_ZOOMS
+  const [listSort, setListSort] = useState(DEFAULT_LIST_SORT); // List view order: { field, direction }
+  const [listLayout, setListLayout] = useState('cards'); // 'cards' | 'table'
+  const [scopes, setScopes] = useState([]); // Named source scopes: [{ id, name, platforms, accountIds }]
+  const [activeScopeId, setActiveScopeId] = useState(null); // Scope picked in the header, or null for every source
   const [uploadStatus, setUploadStatus] = useState({ message: '', type: '', visible: false }); // Upload feedback
   const [uploadProgress, setUploadProgress] = useState(0); // File upload progress bar
+  const [libraryLoaded, setLibraryLoaded] = useState(false); // True once saved conversations are read back
+  const [importFormat, setImportFormat] = useState('auto'); // Importer id, or 'auto' to detect from content
+  const [formatRequest, setFormatRequest] = useState(null); // Pending "which format is this file?" question
+  const [importing, setImporting] = useState(false); // True while the import worker is running
+  const [importProgress, setImportProgress] = useState(null); // { fileName, conversations } for the file being read
+  const [exportRequest, setExportRequest] = useState(null); // { conversations, title } waiting for a format choice
+  const [shareTarget, setShareTarget] = useState(null); // Conversation being shared
+  const [tagRules, setTagRules] = useState(DEFAULT_TAG_RULES); // Tag names, colours and keyword rules
+  const [tagRulesLoaded, setTagRulesLoaded] = useState(false); // True once saved tag rules are read back
+  const [filters, setFilters] = useState(DEFAULT_FILTERS); // Tag, date and quality filters on top of the search
+  const [collections, setCollections] = useState([]); // User-made folders: [{ id, name }]
+  const [savedSearches, setSavedSearches] = useState([]); // [{ id, name, searchTerm, platforms, filters }]
+  const [organizerLoaded, setOrganizerLoaded] = useState(false); // True once collections and saved searches are read back
+  const [activeCollectionId, setActiveCollectionId] = useState(null); // Collection picked in the sidebar, or null for everything
+  const [saveSearchOpen, setSaveSearchOpen] = useState(false); // "Save search" dialog visibility
+  const [filterPanelOpen, setFilterPanelOpen] = useState(false); // Advanced filters under the search box
+  const [summarizerSettings, setSummarizerSettings] = useState(SUMMARIZER_DEFAULTS); // Which summarizer runs after import
+  const [summarizerLoaded, setSummarizerLoaded] = useState(false); // True once summarizer settings are read back
+  const [qualityWeights, setQualityWeights] = useState(DEFAULT_QUALITY_WEIGHTS); // Weight of each quality signal
+  const [qualityLoaded, setQualityLoaded] = useState(false); // True once saved weights are read back
+  const [settingsOpen, setSettingsOpen] = useState(false); // Settings dialog visibility
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES); // Custom platforms, locale, week start and start-up defaults
+  const [preferencesLoaded, setPreferencesLoaded] = useState(false); // True once saved preferences are read back
+  const [importPlatform, setImportPlatform] = useState('auto'); // Platform id to file imports under, or 'auto' for the detected one
+  const [importAccount, setImportAccount] = useState(DEFAULT_ACCOUNT); // Account label given to the next import
+  const importTaskRef = useRef(null); // Running import task, so it can be cancelled
+  const persistedRef = useRef(new Map()); // Last saved version of each conversation, by id
+  const searchIndexRef = useRef(null); // Full-text index, kept in step with the library
+  const summarizingRef = useRef(false); // True while a batch of summaries is being written
+  const libraryRef = useRef(conversations); // Latest library, for handlers that finish after the render that started them
+  const tagRulesRef = useRef(tagRules); // Latest tag rules, likewise
+  const qualityWeightsRef = useRef(qualityWeights); // Latest quality weights, likewise
+  if (!searchIndexRef.current) searchIndexRef.current = createSearchIndex();
+  
+  // Keep the latest-value refs in step after every render
+  useEffect(() => {
+    libraryRef.current = conversations;
+    tagRulesRef.current = tagRules;
+    qualityWeightsRef.current = qualityWeights;
+  });
   
   // ?? INITIALIZATION
-  // Load sample conversations when app starts
+  // Load the saved conversation library when app starts
   useEffect(() => {
-    const sampleConversations = generateSampleConversations();
-    setConversations(sampleConversations);
+    loadConversations()
+      .then(storedConversations => {
+        persistedRef.current = new Map(storedConversations.map(conv => [conv.id, conv]));
+        // Libraries saved before code blocks, accounts or related conversations existed are caught up once
+        const withCode = storedConversations.map(conv => migrateAccount(conv.codeBlocks ? conv : withCodeBlocks(conv)));
+        const unlinked = withCode.length > 1 && withCode.every(conv => conv.relationships.length === 0);
+        setConversations(unlinked ? linkRelatedConversations(withCode) : withCode);
+      })
+      .catch(error => {
+        console.error('Failed to load saved conversations:', error);
+        setUploadStatus({ message: `Could not load saved conversations: ${error.message}`, type: 'error', visible: true });
+      })
+      .finally(() => setLibraryLoaded(true));
+    
+    loadSetting('tagRules', DEFAULT_TAG_RULES)
+      .then(setTagRules)
+      .catch(error => console.error('Failed to load tag rules:', error))
+      .finally(() => setTagRulesLoaded(true));
+    
+    Promise.all([loadSetting('collections', []), loadSetting('savedSearches', []), loadSetting('scopes', [])])
+      .then(([storedCollections, storedSearches, storedScopes]) => {
+        setCollections(storedCollections);
+        setSavedSearches(storedSearches);
+        setScopes(storedScopes);
+      })
+      .catch(error => console.error('Failed to load collections:', error))
+      .finally(() => setOrganizerLoaded(true));
+    
+    loadSetting('summarizer', SUMMARIZER_DEFAULTS)
+      .then(stored => setSummarizerSettings({ ...SUMMARIZER_DEFAULTS, ...stored }))
+      .catch(error => console.error('Failed to load summarizer settings:', error))
+      .finally(() => setSummarizerLoaded(true));
+    
+    loadSetting('qualityWeights', DEFAULT_QUALITY_WEIGHTS)
+      .then(stored => setQualityWeights({ ...DEFAULT_QUALITY_WEIGHTS, ...stored }))
+      .catch(error => console.error('Failed to load quality weights:', error))
+      .finally(() => setQualityLoaded(true));
+    
+    // Start-up defaults are applied once, here; after that the view and
+    // filters are the user's to change. A bookmarked or shared link wins
+    // over the defaults for whatever it sets.
+    loadSetting('preferences', DEFAULT_PREFERENCES)
+      .then(stored => {
+        const loaded = withPreferenceDefaults(stored);
+        const platformIds = Object.keys(buildPlatforms(PLATFORMS, loaded.customPlatforms));
+        const linked = viewFromQuery(window.location.search, { views: VIEWS, platformIds });
+        setPreferences(loaded);
+        setView(linked.view || loaded.defaultView);
+        setSearchTerm(linked.searchTerm || '');
+        setSelectedPlatforms(linked.platforms || loaded.defaultPlatforms || platformIds);
+        setFilters(linked.filters || loaded.defaultFilters);
+        setActiveScopeId(loaded.defaultScopeId);
+      })
+      .catch(error => console.error('Failed to load preferences:', error))
+      .finally(() => setPreferencesLoaded(true));
   }, []);
   
+  // ?? PERSISTENCE
+  // Saves only the conversations that changed since the last save, and
+  // removes the ones that are gone. Updates always replace the conversation
+  // object, so a reference check is enough to spot changes. The saved
+  // versions only move on once the write succeeds, so a failed save is
+  // tried again with the next change.
+  useEffect(() => {
+    if (!libraryLoaded) return;
+    
+    const saved = persistedRef.current;
+    const current = new Set(conversations.map(conv => conv.id));
+    const changed = conversations.filter(conv => saved.get(conv.id) !== conv);
+    const removedIds = [...saved.keys()].filter(id => !current.has(id));
+    if (changed.length === 0 && removedIds.length === 0) return;
+    
+    Promise.all([putConversations(changed), deleteConversations(removedIds)])
+      .then(() => {
+        changed.forEach(conv => saved.set(conv.id, conv));
+        removedIds.forEach(id => saved.delete(id));
+      })
+      .catch(error => {
+        console.error('Failed to save conversations:', error);
+        setUploadStatus({ message: `Could not save conversations: ${error.message}`, type: 'error', visible: true });
+      });
+  }, [conversations, libraryLoaded]);
+  
+  // Tag rules are saved whenever they change
+  useEffect(() => {
+    if (!tagRulesLoaded) return;
+    saveSetting('tagRules', tagRules).catch(error => {
+      console.error('Failed to save tag rules:', error);
+      setUploadStatus({ message: `Could not save tags: ${error.message}`, type: 'error', visible: true });
+    });
+  }, [tagRules, tagRulesLoaded]);
+  
+  // Collections, saved searches and source scopes too
+  useEffect(() => {
+    if (!organizerLoaded) return;
+    Promise.all([
+      saveSetting('collections', collections),
+      saveSetting('savedSearches', savedSearches),
+      saveSetting('scopes', scopes)
+    ]).catch(error => {
+      console.error('Failed to save collections:', error);
+      setUploadStatus({ message: `Could not save collections: ${error.message}`, type: 'error', visible: true });
+    });
+  }, [collections, savedSearches, scopes, organizerLoaded]);
+  
+  useEffect(() => {
+    if (!summarizerLoaded) return;
+    saveSetting('summarizer', summarizerSettings).catch(error => {
+      console.error('Failed to save summarizer settings:', error);
+      setUploadStatus({ message: `Could not save settings: ${error.message}`, type: 'error', visible: true });
+    });
+  }, [summarizerSettings, summarizerLoaded]);
+  
+  // Display and start-up preferences
+  useEffect(() => {
+    if (!preferencesLoaded) return;
+    saveSetting('preferences', preferences).catch(error => {
+      console.error('Failed to save preferences:', error);
+      setUploadStatus({ message: `Could not save settings: ${error.message}`, type: 'error', visible: true });
+    });
+  }, [preferences, preferencesLoaded]);
+  
+  // New quality weights are saved, and the whole library is rescored with
+  // them (also once after loading). Manual overrides are kept.
+  useEffect(() => {
+    if (!qualityLoaded) return;
+    saveSetting('qualityWeights', qualityWeights).catch(error => {
+      console.error('Failed to save quality weights:', error);
+      setUploadStatus({ message: `Could not save settings: ${error.message}`, type: 'error', visible: true });
+    });
+  }, [qualityWeights, qualityLoaded]);
+  
+  useEffect(() => {
+    if (!libraryLoaded || !qualityLoaded) return;
+    setConversations(prev => {
+      const rescored = rescoreConversations(prev, qualityWeights);
+      return rescored.every((conv, i) => conv === prev[i]) ? prev : rescored;
+    });
+  }, [qualityWeights, libraryLoaded, qualityLoaded]);
+  
+  // ?? BACKGROUND SUMMARIES
+  // Conversations still showing the importer's preview get a real summary, a
+  // batch at a time so the page stays responsive. Each finished batch updates
+  // the library, which runs this effect again for the next one.
+  useEffect(() => {
+    if (!libraryLoaded || !summarizerLoaded || summarizingRef.current) return;
+    const summarizer = getSummarizer(summarizerSettings);
+    const pending = conversations.filter(needsSummary).slice(0, summarizer.batchSize);
+    if (pending.length === 0) return;
+    
+    summarizingRef.current = true;
+    summarizeBatch(summarizer, pending).then(({ results, error }) => {
+      summarizingRef.current = false;
+      if (error) {
+        console.error('Summarizer failed:', error);
+        setUploadStatus({ message: `Summarizer failed (${error.message}) - used the offline summarizer instead`, type: 'error', visible: true });
+      }
+      const resultsById = new Map(results.map(result => [result.conversation.id, result]));
+      setConversations(prev => prev.map(conv => {
+        const result = resultsById.get(conv.id);
+        // A conversation re-imported in the meantime waits for the next batch
+        return result && conv.content === result.conversation.content
+          ? { ...conv, summary: result.summary, summarySource: result.source }
+          : conv;
+      }));
+    });
+  }, [conversations, libraryLoaded, summarizerLoaded, summarizerSettings]);
+  
+  // ?? PLATFORMS AND LOCALE
+  // Built-in platforms plus the user's own; `locale` is undefined for the browser's default
+  const platforms = useMemo(() => buildPlatforms(PLATFORMS, preferences.customPlatforms), [preferences.customPlatforms]);
+  const locale = resolveLocale(preferences.locale);
+  
+  // ?? SHAREABLE URL
+  // Keeps the address bar in step with the view, search, platforms and
+  // filters, once the start-up settings have been applied
+  useEffect(() => {
+    if (!preferencesLoaded) return;
+    const query = viewToQuery({ view, searchTerm, platforms: selectedPlatforms, allPlatformIds: Object.keys(platforms), filters });
+    if (query !== window.location.search) {
+      window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }
+  }, [preferencesLoaded, view, searchTerm, selectedPlatforms, filters, platforms]);
+  
   // ?? STATUS NOTIFICATION SYSTEM
   // Shows success/error messages to user
   const showStatus = (message, type) => {
@@ -375,70 +450,332 @@ const AIChatCalendar = () => {
     setTimeout(() => setUploadStatus(prev => ({ ...prev, visible: false })), 4000);
   };
   
+  // ?? DEMO DATA LOADER
+  // Adds the sample conversations to the library on request
+  const loadDemoData = () => {
+    const sampleConversations = generateSampleConversations()
+      .map(conv => applyQualityScore(applyTagRules(withCodeBlocks(conv), tagRules), qualityWeights));
+    const sampleIds = new Set(sampleConversations.map(conv => conv.id));
+    
+    setConversations(prev => linkRelatedConversations([
+      ...prev.filter(conv => !sampleIds.has(conv.id)), // Reloading demo data replaces the old copies
+      ...sampleConversations
+    ].sort((a, b) => b.date.getTime() - a.date.getTime())));
+    showStatus(`Loaded ${sampleConversations.length} demo conversations`, 'success');
+  };
+  
+  // ?? MANUAL FORMAT PICKER
+  // Asks the user which importer to use for a file; resolves with the
+  // chosen importer, or null if they skip the file
+  const requestImportFormat = (fileName, ranked) => new Promise(resolve => {
+    setFormatRequest({
+      fileName,
+      ranked,
+      resolve: (importer) => {
+        setFormatRequest(null);
+        resolve(importer);
+      }
+    });
+  });
+  
   // ?? FILE UPLOAD HANDLER
-  // Processes ChatGPT/DeepSeek JSON files uploaded by user
+  // Sends each uploaded export (JSON, ZIP, Takeout HTML, Markdown) to the
+  // import worker, then merges everything that came back into the library
   const handleFileUpload = async (event) => {
-    const files = Array.from(event.target.files);
+    const input = event.target;
+    const files = Array.from(input.files);
     if (files.length === 0) return;
     
-    let newConversations = [...conversations]; // Start with existing conversations
+    let importedConversations = []; // Everything parsed from this batch of files
     let totalProcessed = 0;
+    let cancelled = false;
     
     setUploadProgress(0);
+    setImporting(true);
     
     // ?? Process each uploaded file
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
       try {
-        // ?? Update progress bar
-        setUploadProgress(((i + 0.5) / files.length) * 100);
         showStatus(`Processing ${file.name}...`, 'info');
         
-        // ?? Read and parse JSON file
-        const text = await file.text();
-        const jsonData = JSON.parse(text);
-        
-        let parsedConversations = [];
+        // ?? Parse in the worker, moving the progress bar as conversations arrive
+        const task = importFile(file, {
+          format: importFormat,
+          timeZone: resolveTimeZone(preferences.timeZone),
+          onProgress: ({ fileName, fraction, conversations: parsedCount }) => {
+            setUploadProgress(((i + fraction) / files.length) * 100);
+            setImportProgress({ fileName, conversations: parsedCount });
+          },
+          chooseFormat: requestImportFormat // No clear winner - let the user pick the format by hand
+        });
+        importTaskRef.current = task;
+        const { conversations: detectedConversations, results } = await task.promise;
+        // Everything in the file is labelled with the account it was exported
+        // from. Exports from platforms without their own importer (an internal
+        // chatbot using a ChatGPT-style export, say) can be filed under a custom platform.
+        const parsedConversations = detectedConversations.map(conv => withAccount(
+          importPlatform === 'auto' ? conv : { ...conv, platform: importPlatform },
+          importAccount
+        ));
         
-        // ?? Determine file type and use appropriate parser
-        if (file.name.toLowerCase().includes('chatgpt') || 
-            jsonData.conversations || 
-            (jsonData.data && jsonData.data.conversations)) {
-          // This looks like ChatGPT export
-          parsedConversations = parseChatGPTData(jsonData);
-          totalProcessed += parsedConversations.length;
-          showStatus(`Loaded ${parsedConversations.length} ChatGPT conversations from ${file.name}`, 'success');
-        } else if (file.name.toLowerCase().includes('deepseek') || 
-                   jsonData.chat_list || 
-                   (jsonData.data && jsonData.data.chat_list)) {
-          // This looks like DeepSeek export
-          parsedConversations = parseDeepSeekData(jsonData);
-          totalProcessed += parsedConversations.length;
-          showStatus(`Loaded ${parsedConversations.length} DeepSeek conversations from ${file.name}`, 'success');
-        } else {
-          throw new Error('Unrecognized file format. Expected ChatGPT or DeepSeek JSON export.');
+        if (results.every(result => !result.importerId)) {
+          showStatus(`Skipped ${file.name}`, 'info');
+          continue;
         }
         
-        // ? Add new conversations to existing ones
-        newConversations = [...newConversations, ...parsedConversations];
+        // ?? Report what was found
+        const platformNames = importPlatform === 'auto'
+          ? [...new Set(results
+            .filter(result => result.importerId)
+            .map(result => platforms[getImporter(result.importerId).platform].name))]
+          : [getPlatform(platforms, importPlatform).name];
+        const undatedCount = parsedConversations.filter(conv => conv.undated).length;
+        totalProcessed += parsedConversations.length;
+        showStatus(
+          `Loaded ${parsedConversations.length} ${platformNames.join('/')} conversations from ${file.name}` +
+          (undatedCount > 0 ? ` (${undatedCount} had no date and are marked undated)` : ''),
+          'success'
+        );
+        
+        // ? Collect for merging once every file is read
+        importedConversations = [...importedConversations, ...parsedConversations];
         setUploadProgress(((i + 1) / files.length) * 100);
         
       } catch (error) {
+        if (error.cancelled) {
+          cancelled = true;
+          break;
+        }
         console.error('File upload error:', error);
         showStatus(`Error loading ${file.name}: ${error.message}`, 'error');
       }
     }
     
-    // ?? Update state with all new conversations if any were processed
+    importTaskRef.current = null;
+    setImporting(false);
+    setImportProgress(null);
+    
+    // ?? Merge into the library - duplicates update or skip instead of piling up
+    // (on cancel, files that finished before it are still kept). New and
+    // updated conversations are tagged with the user's rules, then related
+    // conversations are re-linked now that there's more to compare. Their
+    // quality is rescored with the user's weights, keeping manual overrides.
+    // The merge works on the library, rules and weights as they are now, not
+    // as they were when the upload started, so stars, tags and summaries
+    // added meanwhile are kept.
     if (totalProcessed > 0) {
-      setConversations(newConversations);
-      showStatus(`Successfully imported ${totalProcessed} conversations from ${files.length} file(s)`, 'success');
+      const library = libraryRef.current;
+      const { conversations: mergedConversations, summary } = mergeConversations(library, importedConversations);
+      const untouched = new Set(library);
+      setConversations(linkRelatedConversations(
+        mergedConversations.map(conv => (untouched.has(conv)
+          ? conv
+          : applyQualityScore(applyTagRules(conv, tagRulesRef.current), qualityWeightsRef.current)))
+      ));
+      showStatus(
+        `${cancelled ? 'Import cancelled. Kept' : 'Imported'} ${totalProcessed} conversations: ` +
+        `${summary.added} added, ${summary.updated} updated, ${summary.skipped} unchanged`,
+        'success'
+      );
+    } else if (cancelled) {
+      showStatus('Import cancelled', 'info');
     }
     
     // ?? Clean up: reset file input and progress bar
-    event.target.value = '';
+    input.value = '';
     setTimeout(() => setUploadProgress(0), 1000);
   };
+  
+  // ?? CANCEL IMPORT
+  // Stops the worker for the file being read; nothing from that file is kept
+  const cancelImport = () => {
+    if (importTaskRef.current) importTaskRef.current.cancel();
+  };
+  
+  // ?? MORE LIKE THIS
+  // Lists every conversation ranked by how much it has in common with this one
+  const showMoreLikeThis = (conversationId) => {
+    setSearchTerm(`like:${conversationId}`);
+    setView('list');
+    setSelectedConversation(null);
+  };
+  
+  // ??? TAG EDITING
+  // Manual tags on one conversation; a brand new tag also gets a (keyword-less) rule
+  const ensureTagRule = (name) => {
+    setTagRules(prev => prev.some(rule => rule.name === name)
+      ? prev
+      : [...prev, { name, color: 'gray', match: 'word', keywords: [] }]);
+  };
+  
+  const addTag = (conversationId, tagName) => {
+    const name = normalizeTagName(tagName);
+    if (!name) return;
+    ensureTagRule(name);
+    setConversations(prev => prev.map(conv => (conv.id === conversationId ? addConversationTag(conv, name, tagRules) : conv)));
+  };
+  
+  const removeTag = (conversationId, name) => {
+    setConversations(prev => prev.map(conv => (conv.id === conversationId ? removeConversationTag(conv, name, tagRules) : conv)));
+  };
+  
+  // ??? TAG MANAGER ACTIONS
+  // Library-wide changes work on the library as it is when React applies
+  // them, so a batch of summaries landing in between isn't lost
+  const createTag = (tagName) => {
+    const name = normalizeTagName(tagName);
+    if (name) ensureTagRule(name);
+  };
+  
+  const updateTagRule = (name, changes) => {
+    setTagRules(prev => prev.map(rule => (rule.name === name ? { ...rule, ...changes } : rule)));
+  };
+  
+  // Renaming onto an existing tag merges the two
+  const renameOrMergeTag = (from, tagName) => {
+    const to = normalizeTagName(tagName);
+    if (!to || to === from) return;
+    const merging = tagRules.some(rule => rule.name === to);
+    const change = merging ? mergeTags : renameTag;
+    setTagRules(change(tagRules, [], from, to).rules);
+    setConversations(prev => change(tagRules, prev, from, to).conversations);
+    showStatus(merging ? `Merged #${from} into #${to}` : `Renamed #${from} to #${to}`, 'success');
+  };
+  
+  const removeTagEverywhere = (name) => {
+    setTagRules(deleteTag(tagRules, [], name).rules);
+    setConversations(prev => deleteTag(tagRules, prev, name).conversations);
+    showStatus(`Deleted #${name}`, 'success');
+  };
+  
+  const rerunAutoTagging = () => {
+    const library = libraryRef.current;
+    const retagged = retagConversations(library, tagRulesRef.current);
+    const changedCount = retagged.filter((conv, i) => conv !== library[i]).length;
+    setConversations(retagged);
+    showStatus(`Re-tagged the library - ${changedCount} conversations changed, manual tags kept`, 'success');
+  };
+  
+  // Tag name -> colour classes for tag chips
+  const tagStyles = useMemo(
+    () => Object.fromEntries(tagRules.map(rule => [rule.name, TAG_COLORS[rule.color] || TAG_COLORS.gray])),
+    [tagRules]
+  );
+  
+  // ?? COLLECTIONS
+  // A conversation can sit in any number of collections; deleting a
+  // collection only un-files its conversations
+  const addCollection = (name) => {
+    if (!name.trim()) return;
+    setCollections(prev => [...prev, createCollection(name)]);
+  };
+  
+  const renameCollection = (collectionId, name) => {
+    if (!name.trim()) return;
+    setCollections(prev => prev.map(collection => (collection.id === collectionId ? { ...collection, name: name.trim() } : collection)));
+  };
+  
+  const removeCollection = (collectionId) => {
+    setCollections(prev => prev.filter(collection => collection.id !== collectionId));
+    setConversations(prev => removeCollectionFromConversations(prev, collectionId));
+    if (activeCollectionId === collectionId) setActiveCollectionId(null);
+  };
+  
+  const toggleConversationCollection = (conversationId, collectionId) => {
+    setConversations(prev => prev.map(conv => (conv.id === conversationId ? toggleCollection(conv, collectionId) : conv)));
+  };
+  
+  // ?? BULK ACTIONS
+  // For the conversations ticked in the list view. Deleted ones are removed
+  // from storage by the persistence effect.
+  const countText = (count) => (count === 1 ? '1 conversation' : `${count.toLocaleString()} conversations`);
+  
+  const updateConversations = (conversationIds, change) => {
+    const ids = new Set(conversationIds);
+    setConversations(prev => prev.map(conv => (ids.has(conv.id) ? change(conv) : conv)));
+  };
+  
+  const starConversations = (conversationIds, starred) => {
+    updateConversations(conversationIds, conv => (conv.starred === starred ? conv : applyQualityScore({ ...conv, starred }, qualityWeights)));
+    showStatus(`${starred ? 'Starred' : 'Unstarred'} ${countText(conversationIds.length)}`, 'success');
+  };
+  
+  const tagConversations = (conversationIds, tagName) => {
+    const name = normalizeTagName(tagName);
+    if (!name) return;
+    ensureTagRule(name);
+    updateConversations(conversationIds, conv => addConversationTag(conv, name, tagRules));
+    showStatus(`Tagged ${countText(conversationIds.length)} #${name}`, 'success');
+  };
+  
+  const fileConversations = (conversationIds, collectionId) => {
+    const collection = collections.find(candidate => candidate.id === collectionId);
+    updateConversations(conversationIds, conv => (isInCollection(conv, collectionId) ? conv : toggleCollection(conv, collectionId)));
+    showStatus(`Added ${countText(conversationIds.length)} to ${collection ? collection.name : 'the collection'}`, 'success');
+  };
+  
+  const removeConversations = (conversationIds) => {
+    const ids = new Set(conversationIds);
+    setConversations(prev => prev.filter(conv => !ids.has(conv.id)));
+    if (selectedConversation && ids.has(selectedConversation.id)) setSelectedConversation(null);
+    showStatus(`Deleted ${countText(conversationIds.length)}`, 'success');
+  };
+  
+  // ?? SAVED SEARCHES
+  // Only the query is stored, so re-running one picks up newly imported conversations
+  const saveCurrentSearch = (name, searchFilters) => {
+    setSavedSearches(prev => [...prev, createSavedSearch(name, { searchTerm, platforms: selectedPlatforms, filters: searchFilters })]);
+    setFilters(searchFilters);
+    setSaveSearchOpen(false);
+    showStatus(`Saved search "${name.trim()}"`, 'success');
+  };
+  
+  const applySavedSearch = (savedSearch) => {
+    setSearchTerm(savedSearch.searchTerm);
+    setSelectedPlatforms(savedSearch.platforms.filter(platform => platforms[platform]));
+    setFilters({ ...DEFAULT_FILTERS, ...savedSearch.filters });
+    setActiveCollectionId(null);
+    if (view === 'tags') setView('list');
+  };
+  
+  const deleteSavedSearch = (searchId) => {
+    setSavedSearches(prev => prev.filter(savedSearch => savedSearch.id !== searchId));
+  };
+  
+  // ?? NOTES AND HIGHLIGHTS
+  // `change` gets the conversation and returns its updated copy
+  const updateConversation = (conversationId, change) => {
+    setConversations(prev => prev.map(conv => (conv.id === conversationId ? change(conv) : conv)));
+  };
+  
+  // Clearing the source puts conversations back in the summary queue
+  const resummarize = (conversationIds) => {
+    const ids = new Set(conversationIds);
+    setConversations(prev => prev.map(conv => (ids.has(conv.id) && conv.summarySource ? { ...conv, summarySource: null } : conv)));
+  };
+  
+  const clearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
+    setActiveCollectionId(null);
+  };
+  
+  // ?? SAVE SETTINGS
+  // Newly added platforms are switched on so their conversations show up
+  const saveSettings = (settings) => {
+    const addedPlatforms = settings.preferences.customPlatforms
+      .map(platform => platform.id)
+      .filter(id => !platforms[id]);
+    setSummarizerSettings(settings.summarizer);
+    setQualityWeights(settings.qualityWeights);
+    setPreferences(settings.preferences);
+    setScopes(settings.scopes);
+    if (!settings.scopes.some(scope => scope.id === activeScopeId)) setActiveScopeId(null);
+    setSelectedPlatforms(prev => [...prev, ...addedPlatforms]);
+    if (!buildPlatforms(PLATFORMS, settings.preferences.customPlatforms)[importPlatform]) setImportPlatform('auto');
+    setSettingsOpen(false);
+  };
+  
 // 5?? STAR TOGGLE FUNCTION
   // Changes star status when user clicks star button
   const toggleStar = (conversationId, event) => {
@@ -450,7 +787,7 @@ const AIChatCalendar = () => {
     setConversations(prev => 
       prev.map(conv => 
         conv.id === conversationId 
-          ? { ...conv, starred: !conv.starred }
+          ? applyQualityScore({ ...conv, starred: !conv.starred }, qualityWeights) // Stars count towards quality
           : conv
       )
     );
@@ -466,71 +803,82 @@ const AIChatCalendar = () => {
   
   // 6?? CONVERSATION FILTERING SYSTEM
   // Shows only conversations that match search terms and selected platforms
-  const filteredConversations = useMemo(() => {
-    let baseConversations = conversations;
-    
-    // 6.1?? Cross-platform mode control
-    // If OFF, only show current Claude session conversations
-    if (!crossPlatformMode) {
-      baseConversations = conversations.filter(conv => 
-        conv.id === 'claude_current_session' || conv.platform === 'claude'
-      );
-    }
+  // 6.1?? Bring the index up to date once per library change - only added or
+  // edited conversations are re-indexed. Searches go through the returned
+  // function, so they re-run whenever the index may have changed.
+  const searchLibrary = useMemo(() => {
+    const index = searchIndexRef.current;
+    index.update(conversations);
+    return (query) => index.search(query).map(result => result.conversation);
+  }, [conversations]);
+  
+  const searchResults = useMemo(() => {
+    if (searchTerm.trim() === '') return conversations;
     
-    // 6.2?? Apply search and platform filters
-    return baseConversations.filter(conv => {
-      // 6.2.1?? Check if search term matches title, content, or tags
-      const matchesSearch = searchTerm === '' || 
-        conv.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        conv.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        conv.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()));
-      
-      // 6.2.2?? Check if platform is selected in filter
-      const matchesPlatform = selectedPlatforms.includes(conv.platform);
-      
-      return matchesSearch && matchesPlatform;
-    });
-  }, [conversations, searchTerm, selectedPlatforms, crossPlatformMode]);
+    // 6.2?? Ranked matches for the query, best first
+    return searchLibrary(searchTerm);
+  }, [conversations, searchLibrary, searchTerm]);
+  
+  const highlightTerms = useMemo(() => getHighlightTerms(searchTerm), [searchTerm]);
+  
+  const conversationsById = useMemo(() => new Map(conversations.map(conv => [conv.id, conv])), [conversations]);
+  
+  // The open conversation as it is in the library now, so edits show up in the modal
+  const openConversation = selectedConversation && (conversationsById.get(selectedConversation.id) || selectedConversation);
+  
+  const activeScope = scopes.find(scope => scope.id === activeScopeId) || null;
+  
+  // Every account label in the library, for the import box and the scope editor
+  const accounts = useMemo(() => listAccounts(conversations), [conversations]);
+  const hasImported = accounts.some(account => account.accountId !== DEMO_ACCOUNT);
+  
+  const filteredConversations = useMemo(() => {
+    // 6.3?? Scope, platform, filter and collection checks
+    return searchResults.filter(conv => isVisible(conv, {
+      scope: activeScope,
+      platforms: selectedPlatforms,
+      filters,
+      collectionId: activeCollectionId
+    }));
+  }, [searchResults, selectedPlatforms, activeScope, filters, activeCollectionId]);
+  
+  // 6.4?? Live result counts for the saved searches in the sidebar. The
+  // index keeps each query's text matches until the text changes, so a star
+  // or tag edit only re-checks qualifiers and filters.
+  const savedSearchCounts = useMemo(() => {
+    return Object.fromEntries(savedSearches.map(savedSearch => {
+      const matches = savedSearch.searchTerm.trim() === ''
+        ? conversations
+        : searchLibrary(savedSearch.searchTerm);
+      const options = { scope: activeScope, platforms: savedSearch.platforms, filters: savedSearch.filters, collectionId: null };
+      return [savedSearch.id, matches.filter(conv => isVisible(conv, options)).length];
+    }));
+  }, [conversations, searchLibrary, savedSearches, activeScope]);
+  
+  // The saved search that the current search and filters came from, if any
+  const activeSavedSearch = savedSearches.find(savedSearch => (
+    !activeCollectionId
+    && savedSearch.searchTerm === searchTerm
+    && savedSearch.platforms.length === selectedPlatforms.length
+    && savedSearch.platforms.every(platform => selectedPlatforms.includes(platform))
+    && JSON.stringify({ ...DEFAULT_FILTERS, ...savedSearch.filters }) === JSON.stringify(filters)
+  ));
+  
+  const activeCollection = collections.find(collection => collection.id === activeCollectionId);
   
   // 7?? CALENDAR DATA ORGANIZER
-  // Groups conversations by date for calendar view
+  // Groups conversations by date for calendar view. A chat that went on over
+  // several days is listed on each of them; undated ones stay off the calendar.
   const calendarData = useMemo(() => {
     const data = {};
-    // 7.1?? Group each conversation by its date
+    // 7.1?? Group each conversation by the days it was active
     filteredConversations.forEach(conv => {
-      const dateKey = conv.date.toDateString();
-      if (!data[dateKey]) data[dateKey] = [];
-      data[dateKey].push(conv);
-    });
-    return data;
-  }, [filteredConversations]);
-  
-  // 8?? ANALYTICS DATA CALCULATOR
-  // Calculates statistics for analytics view
-  const analyticsData = useMemo(() => {
-    const platformCounts = {}; // How many conversations per platform
-    const tagCounts = {}; // How many conversations per tag
-    let totalQuality = 0;
-    
-    // 8.1?? Count conversations by platform and calculate totals
-    filteredConversations.forEach(conv => {
-      platformCounts[conv.platform] = (platformCounts[conv.platform] || 0) + 1;
-      totalQuality += conv.quality;
-      
-      // 8.2?? Count each tag occurrence
-      conv.tags.forEach(tag => {
-        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      activeDays(conv).forEach((firstActivity, dateKey) => {
+        if (!data[dateKey]) data[dateKey] = [];
+        data[dateKey].push(conv);
       });
     });
-    
-    // 8.3?? Return calculated analytics
-    return {
-      platformCounts,
-      tagCounts,
-      averageQuality: filteredConversations.length > 0 ? (totalQuality / filteredConversations.length).toFixed(1) : '0',
-      totalConversations: filteredConversations.length,
-      starredCount: filteredConversations.filter(c => c.starred).length
-    };
+    return data;
   }, [filteredConversations]);
   
   // 9?? CALENDAR GRID GENERATOR
@@ -543,7 +891,7 @@ const AIChatCalendar = () => {
     const firstDay = new Date(year, month, 1);
     const lastDay = new Date(year, month + 1, 0);
     const daysInMonth = lastDay.getDate();
-    const startingDayOfWeek = firstDay.getDay(); // 0 = Sunday, 1 = Monday, etc.
+    const startingDayOfWeek = leadingDays(firstDay, preferences.weekStart); // Cells before the 1st, counted from the chosen first weekday
     
     const days = [];
     
@@ -560,6 +908,47 @@ const AIChatCalendar = () => {
     return days;
   };
   
+  // 9.4?? Previous / next for whichever calendar mode is open. Month and
+  // year move the shown month; week, day and timeline move the selected day.
+  const stepCalendar = (direction) => {
+    if (calendarMode === 'month' || calendarMode === 'year') {
+      const months = calendarMode === 'year' ? 12 : 1;
+      setCalendarMonth(new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + direction * months));
+      return;
+    }
+    const zoom = TIMELINE_ZOOMS.find(option => option.id === timelineZoom);
+    const days = calendarMode === 'week' ? 7 : calendarMode === 'day' ? 1 : Math.ceil(zoom.days / 2);
+    const date = addDays(selectedDate, direction * days);
+    setSelectedDate(date);
+    setCalendarMonth(date);
+  };
+  
+  const showToday = () => {
+    setCalendarMonth(new Date());
+    setSelectedDate(startOfDay(new Date()));
+  };
+  
+  // 9.5?? Heading for the calendar's current mode
+  const calendarTitle = () => {
+    const shortDay = { month: 'short', day: 'numeric' };
+    if (calendarMode === 'week') {
+      const days = weekDays(selectedDate, preferences.weekStart);
+      return `${days[0].toLocaleDateString(locale, shortDay)} - ${days[6].toLocaleDateString(locale, { ...shortDay, year: 'numeric' })}`;
+    }
+    if (calendarMode === 'day') {
+      return selectedDate.toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+    if (calendarMode === 'year') {
+      const first = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() - 11, 1);
+      return `${first.toLocaleDateString(locale, { month: 'short', year: 'numeric' })} - ${calendarMonth.toLocaleDateString(locale, { month: 'short', year: 'numeric' })}`;
+    }
+    if (calendarMode === 'timeline') {
+      const { start, end } = timelineRange(selectedDate, TIMELINE_ZOOMS.find(zoom => zoom.id === timelineZoom));
+      return `${start.toLocaleDateString(locale, shortDay)} - ${addDays(end, -1).toLocaleDateString(locale, { ...shortDay, year: 'numeric' })}`;
+    }
+    return calendarMonth.toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+  };
+  
   // 1??0?? PLATFORM TOGGLE FUNCTION
   // Adds/removes platforms from the filter
   const togglePlatform = (platform) => {
@@ -571,23 +960,86 @@ const AIChatCalendar = () => {
   };
   
   // 1??1?? EXPORT CONVERSATIONS FUNCTION
-  // Downloads filtered conversations as JSON file
-  const exportConversations = (format) => {
-    // 11.1?? Convert conversations to JSON string
-    const data = JSON.stringify(filteredConversations, null, 2);
+  // Builds the chosen export format from the conversations currently shown
+  // and downloads it (or, for print, opens it ready to print / save as PDF)
+  const exportConversations = (format, conversationsToExport = filteredConversations) => {
+    // 11.1?? Run the exporter
+    const exporter = getExporter(format);
+    const { fileName, mimeType, data } = exporter.build(conversationsToExport, { platforms, library: conversations });
     
-    // 11.2?? Create downloadable file
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+    // 11.2?? Print: open the page in a new tab and bring up the print dialog
+    if (exporter.print) {
+      const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+      const printWindow = window.open(url, '_blank');
+      if (!printWindow) {
+        showStatus('Allow pop-ups for this page to print conversations', 'error');
+        URL.revokeObjectURL(url);
+        return;
+      }
+      printWindow.addEventListener('load', () => printWindow.print());
+      setTimeout(() => URL.revokeObjectURL(url), 60000); // The tab needs the page until it has loaded
+      return;
+    }
     
-    // 11.3?? Trigger download
+    // 11.3?? Everything else is downloaded
+    downloadFile(fileName, data, mimeType);
+    const count = conversationsToExport.length;
+    showStatus(`Exported ${count} conversation${count === 1 ? '' : 's'} as ${exporter.label}`, 'success');
+  };
+  
+  // ?? FILE DOWNLOAD HELPER
+  // Saves a string or byte array through a temporary link
+  const downloadFile = (fileName, data, mimeType) => {
+    const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
     const a = document.createElement('a');
     a.href = url;
-    a.download = `ai-conversations-${format}.json`;
+    a.download = fileName;
     a.click();
+    URL.revokeObjectURL(url); // Clean up memory
+  };
+  
+  // ?? CLIPBOARD HELPER
+  const copyToClipboard = (text, successMessage) => {
+    if (!navigator.clipboard) {
+      showStatus('Copying needs a secure (https) page - your browser blocked clipboard access', 'error');
+      return Promise.resolve(false);
+    }
+    return navigator.clipboard.writeText(text)
+      .then(() => {
+        showStatus(successMessage, 'success');
+        return true;
+      })
+      .catch(error => {
+        showStatus(`Could not copy to the clipboard: ${error.message}`, 'error');
+        return false;
+      });
+  };
+  
+  // ?? SHARE A CONVERSATION
+  // `conversation` arrives already redacted from the share dialog
+  const shareConversation = (conversation, mode) => {
+    if (mode === 'html') {
+      downloadFile(conversationFileName(conversation, 'html'), conversationsToHtml([conversation], platforms, conversation.title), 'text/html');
+      showStatus('Saved a shareable HTML page', 'success');
+    } else {
+      copyToClipboard(conversationToMarkdown(conversation, platforms), 'Markdown copied to the clipboard');
+    }
+    setShareTarget(null);
+  };
+  
+  // ?? CONTINUE CHAT
+  // Copies a prompt that brings a new chat up to speed, then opens the
+  // conversation on its platform (or a new chat there when its link is unknown)
+  const continueChat = (conversation) => {
+    const platform = getPlatform(platforms, conversation.platform);
+    const url = conversation.url || platform.url;
     
-    // 11.4?? Clean up memory
-    URL.revokeObjectURL(url);
+    // Copy before opening the tab - the clipboard only works while this page has focus
+    copyToClipboard(
+      buildContinuationPrompt(conversation, platform.name),
+      `Context prompt copied - paste it into ${platform.name} to pick up where you left off`
+    );
+    if (url) window.open(url, '_blank', 'noopener');
   };
   
   return (
@@ -609,47 +1061,75 @@ const AIChatCalendar = () => {
             
             {/* 12.2?? Header controls */}
             <div className="flex items-center space-x-4">
-              {/* 12.2.1?? Cross-Platform Mode Toggle */}
-              <div className="flex items-center space-x-3">
-                <span className="text-sm font-medium text-gray-700">Cross-Platform Mode</span>
-                <button
-                  onClick={() => setCrossPlatformMode(!crossPlatformMode)}
-                  className={`flex items-center p-1 rounded-lg transition-colors ${
-                    crossPlatformMode ? 'text-blue-600' : 'text-gray-400'
-                  }`}
-                >
-                  {crossPlatformMode ? (
-                    <ToggleRight className="w-8 h-8" />
-                  ) : (
-                    <ToggleLeft className="w-8 h-8" />
-                  )}
-                </button>
-              </div>
+              {/* 12.2.1?? Source scope picker - named groups of platforms and accounts, set up in Settings */}
+              <select
+                value={activeScopeId || ''}
+                onChange={(e) => setActiveScopeId(e.target.value || null)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white"
+                title={activeScope ? describeScope(activeScope, id => getPlatform(platforms, id).name) : 'Conversations from every platform and account'}
+              >
+                <option value="">All sources</option>
+                {scopes.map(scope => <option key={scope.id} value={scope.id}>{scope.name}</option>)}
+              </select>
               
-              {/* 12.2.2?? File Upload - Only visible in cross-platform mode */}
-              {crossPlatformMode && (
-                <div className="relative">
-                  <input
-                    type="file"
-                    id="file-upload"
-                    multiple
-                    accept=".json"
-                    onChange={handleFileUpload}
-                    className="hidden"
-                  />
-                  <label
-                    htmlFor="file-upload"
-                    className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
+              {/* 12.2.2?? File Upload - format, platform and the account the export came from */}
+              <div className="relative flex items-center">
+                <input
+                  type="file"
+                  id="file-upload"
+                  multiple
+                  disabled={importing}
+                  accept=".json,.zip,.html,.htm,.md"
+                  onChange={handleFileUpload}
+                  className="hidden"
+                />
+                <select
+                  value={importFormat}
+                  onChange={(e) => setImportFormat(e.target.value)}
+                  className="mr-2 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white"
+                  title="Format of the files you import"
+                >
+                  <option value="auto">Auto-detect format</option>
+                  {IMPORTERS.map(importer => (
+                    <option key={importer.id} value={importer.id}>{importer.label}</option>
+                  ))}
+                </select>
+                {preferences.customPlatforms.length > 0 && (
+                  <select
+                    value={importPlatform}
+                    onChange={(e) => setImportPlatform(e.target.value)}
+                    className="mr-2 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white"
+                    title="Platform to file imported conversations under"
                   >
-                    <Upload className="w-4 h-4" />
-                    <span>Import JSON</span>
-                  </label>
-                </div>
-              )}
+                    <option value="auto">Detected platform</option>
+                    {Object.entries(platforms).map(([key, platform]) => (
+                      <option key={key} value={key}>As {platform.name}</option>
+                    ))}
+                  </select>
+                )}
+                <input
+                  type="text"
+                  list="import-accounts"
+                  value={importAccount}
+                  onChange={(e) => setImportAccount(e.target.value)}
+                  className="mr-2 w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700"
+                  title="Account label for this import, e.g. work or personal"
+                />
+                <datalist id="import-accounts">
+                  {accounts.map(account => <option key={account.accountId} value={account.accountId} />)}
+                </datalist>
+                <label
+                  htmlFor="file-upload"
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
+                >
+                  <Upload className="w-4 h-4" />
+                  <span>Import Exports</span>
+                </label>
+              </div>
               
               {/* 12.2.3?? View switcher (Calendar/List/Analytics) */}
               <div className="flex bg-gray-100 rounded-lg p-1">
-                {['calendar', 'list', 'analytics'].map((v) => (
+                {VIEWS.map((v) => (
                   <button
                     key={v}
                     onClick={() => setView(v)}
@@ -661,15 +1141,27 @@ const AIChatCalendar = () => {
                   >
                     {v === 'calendar' && <Calendar className="w-4 h-4 inline mr-2" />}
                     {v === 'list' && <MessageSquare className="w-4 h-4 inline mr-2" />}
+                    {v === 'highlights' && <Highlighter className="w-4 h-4 inline mr-2" />}
+                    {v === 'snippets' && <Code className="w-4 h-4 inline mr-2" />}
                     {v === 'analytics' && <TrendingUp className="w-4 h-4 inline mr-2" />}
+                    {v === 'tags' && <Tag className="w-4 h-4 inline mr-2" />}
                     {v.charAt(0).toUpperCase() + v.slice(1)}
                   </button>
                 ))}
               </div>
               
-              {/* 12.2.4?? Export button */}
+              {/* 12.2.4?? Settings */}
+              <button
+                onClick={() => setSettingsOpen(true)}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Settings"
+              >
+                <Settings className="w-5 h-5" />
+              </button>
+              
+              {/* 12.2.5?? Export button - opens the format picker */}
               <button 
-                onClick={() => exportConversations('json')}
+                onClick={() => setExportRequest({ conversations: filteredConversations, title: 'Export conversations' })}
                 className="flex items-center space-x-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
               >
                 <Download className="w-4 h-4" />
@@ -696,333 +1188,561 @@ const AIChatCalendar = () => {
           
           {/* 1??4?? UPLOAD PROGRESS BAR */}
           {/* Shows loading progress when uploading files */}
-          {uploadProgress > 0 && uploadProgress < 100 && (
+          {importing && (
             <div className="mt-3">
-              <div className="bg-gray-200 rounded-full h-2">
-                <div 
-                  className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                  style={{ width: `${uploadProgress}%` }}
-                />
+              <div className="flex items-center space-x-3">
+                <div className="flex-1 bg-gray-200 rounded-full h-2">
+                  <div 
+                    className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${uploadProgress}%` }}
+                  />
+                </div>
+                <button
+                  onClick={cancelImport}
+                  className="px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
               </div>
+              {importProgress && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Reading {importProgress.fileName} - {importProgress.conversations.toLocaleString()} conversations so far
+                </p>
+              )}
             </div>
           )}
           
-          {/* 1??5?? INSTRUCTIONS FOR CROSS-PLATFORM MODE */}
-          {/* Shows help text when in cross-platform mode with few conversations */}
-          {crossPlatformMode && conversations.length <= 16 && (
+          {/* 1??5?? IMPORT INSTRUCTIONS */}
+          {/* Shows help text until something has been imported */}
+          {!hasImported && (
             <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
               <h3 className="font-semibold text-blue-900 mb-2">Import Your Chat History</h3>
               <p className="text-sm text-blue-800 mb-3">
-                To view your complete conversation history, upload your JSON export files:
+                To view your complete conversation history, upload your export files:
               </p>
               <ul className="text-sm text-blue-800 space-y-1">
-                <li><strong>ChatGPT:</strong> Settings ? Data controls ? Export data ? conversations.json</li>
+                <li><strong>ChatGPT:</strong> Settings ? Data controls ? Export data ? the downloaded .zip (or conversations.json)</li>
+                <li><strong>Claude:</strong> Settings ? Privacy ? Export data ? the downloaded .zip (or conversations.json)</li>
+                <li><strong>Gemini:</strong> Google Takeout ? My Activity ? Gemini Apps ? MyActivity.json or MyActivity.html</li>
+                <li><strong>Grok:</strong> Settings ? Data controls ? Download your data ? the Grok conversations JSON</li>
+                <li><strong>Perplexity:</strong> Thread menu ? Export as Markdown, or a thread JSON export</li>
                 <li><strong>DeepSeek:</strong> Export your chat history as JSON from your account settings</li>
               </ul>
+              <button
+                onClick={loadDemoData}
+                className="mt-3 px-4 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-100 transition-colors text-sm font-medium"
+              >
+                Load demo data
+              </button>
             </div>
           )}
         </div>
       </header>
       
       <div className="max-w-7xl mx-auto px-6 py-8">
-        {/* 1??6?? SEARCH AND FILTERS SECTION */}
-        <div className="mb-8 space-y-4">
-          {/* 16.1?? Search input box */}
-          <div className="relative">
-            <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-            <input
-              type="text"
-              placeholder="Search conversations, tags, or content..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full pl-12 pr-4 py-3 bg-white border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            />
-          </div>
+        {/* 1??5.1?? LIBRARY SIDEBAR */}
+        {/* Collections and saved searches, next to whichever view is open */}
+        <div className="flex flex-col lg:flex-row gap-8">
+          <LibrarySidebar
+            conversations={conversations}
+            collections={collections}
+            savedSearches={savedSearches}
+            savedSearchCounts={savedSearchCounts}
+            activeCollectionId={activeCollectionId}
+            activeSavedSearchId={activeSavedSearch ? activeSavedSearch.id : null}
+            onSelectCollection={setActiveCollectionId}
+            onCreateCollection={addCollection}
+            onRenameCollection={renameCollection}
+            onDeleteCollection={removeCollection}
+            onApplySavedSearch={applySavedSearch}
+            onDeleteSavedSearch={deleteSavedSearch}
+            onSaveSearch={() => setSaveSearchOpen(true)}
+          />
           
-          {/* 16.2?? Platform filter buttons */}
-          <div className="flex flex-wrap gap-3">
-            {Object.entries(PLATFORMS).map(([key, platform]) => (
-              <button
-                key={key}
-                onClick={() => togglePlatform(key)}
-                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
-                  selectedPlatforms.includes(key)
-                    ? `${platform.bgClass} text-white shadow-md`
-                    : 'bg-white text-gray-600 hover:bg-gray-50 border border-gray-200'
-                }`}
-              >
-                <span className="text-sm font-medium">{platform.icon}</span>
-                <span className="font-medium">{platform.name}</span>
-                <span className="text-sm opacity-75">
-                  ({conversations.filter(c => c.platform === key).length})
-                </span>
-              </button>
-            ))}
-          </div>
-        </div>
-        
-        {/* 1??7?? MAIN CONTENT VIEWS */}
-        {/* Different views based on selected tab */}
-        
-        {/* 17.1?? CALENDAR VIEW */}
-        {view === 'calendar' && (
-          <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
-            {/* 17.1.1?? Calendar component */}
-            <div className="lg:col-span-3">
-              <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
-                {/* 17.1.1.1?? Calendar Header with month navigation */}
-                <div className="flex items-center justify-between mb-6">
-                  <h2 className="text-2xl font-bold text-gray-900">
-                    {calendarMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
-                  </h2>
-                  <div className="flex items-center space-x-2">
-                    {/* Previous month button */}
-                    <button
-                      onClick={() => setCalendarMonth(new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() - 1))}
-                      className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-                    >
-                      <ChevronLeft className="w-5 h-5" />
-                    </button>
-                    {/* Go to today button */}
-                    <button
-                      onClick={() => setCalendarMonth(new Date())}
-                      className="px-4 py-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-200 transition-colors text-sm font-medium"
-                    >
-                      Today
+          <div className="flex-1 min-w-0">
+            {/* 1??6?? SEARCH AND FILTERS SECTION */}
+            <div className="mb-8 space-y-4">
+              {/* 16.1?? Search input box */}
+              <div className="relative">
+                <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <input
+                  type="text"
+                  placeholder='Search conversations... try "exact phrase", -exclude, platform:claude, tag:coding, starred:true, before:2024-05-01'
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="w-full pl-12 pr-4 py-3 bg-white border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              
+              {/* 16.2?? Platform filter buttons */}
+              <div className="flex flex-wrap gap-3">
+                {Object.entries(platforms).map(([key, platform]) => (
+                  <button
+                    key={key}
+                    onClick={() => togglePlatform(key)}
+                    className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                      selectedPlatforms.includes(key)
+                        ? `${platform.bgClass} text-white shadow-md`
+                        : 'bg-white text-gray-600 hover:bg-gray-50 border border-gray-200'
+                    }`}
+                  >
+                    <span className="text-sm font-medium">{platform.icon}</span>
+                    <span className="font-medium">{platform.name}</span>
+                    <span className="text-sm opacity-75">
+                      ({conversations.filter(c => c.platform === key).length})
+                    </span>
+                  </button>
+                ))}
+              </div>
+              
+              {/* 16.2.1?? Filter panel toggle, active collection and filters (each removable), plus "Save search" */}
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={() => setFilterPanelOpen(prev => !prev)}
+                  className={`flex items-center space-x-1 px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                    filterPanelOpen ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  <Filter className="w-4 h-4" />
+                  <span>Filters</span>
+                  {describeFilters(filters).length > 0 && (
+                    <span className="px-1.5 bg-blue-600 text-white rounded-full text-xs">{describeFilters(filters).length}</span>
+                  )}
+                </button>
+                {activeCollection && (
+                  <span className="flex items-center space-x-1 px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm">
+                    <Folder className="w-3 h-3" />
+                    <span>{activeCollection.name}</span>
+                    <button onClick={() => setActiveCollectionId(null)} className="opacity-60 hover:opacity-100" title="Show all conversations">
+                      <X className="w-3 h-3" />
                     </button>
-                    {/* Next month button */}
-                    <button
-                      onClick={() => setCalendarMonth(new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + 1))}
-                      className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-                    >
-                      <ChevronRight className="w-5 h-5" />
+                  </span>
+                )}
+                {describeFilters(filters).map(chip => (
+                  <span key={chip.key} className="flex items-center space-x-1 px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm">
+                    <span>{chip.label}</span>
+                    <button onClick={() => setFilters(prev => ({ ...prev, ...chip.clear }))} className="opacity-60 hover:opacity-100" title="Remove filter">
+                      <X className="w-3 h-3" />
                     </button>
+                  </span>
+                ))}
+                {(activeCollection || describeFilters(filters).length > 0) && (
+                  <button onClick={clearFilters} className="text-sm text-gray-500 hover:text-gray-700">
+                    Clear all
+                  </button>
+                )}
+                <button
+                  onClick={() => setSaveSearchOpen(true)}
+                  className="ml-auto flex items-center space-x-1 px-3 py-1 text-sm text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                >
+                  <BookmarkPlus className="w-4 h-4" />
+                  <span>{activeSavedSearch ? `Saved as "${activeSavedSearch.name}"` : 'Save search'}</span>
+                </button>
+              </div>
+              
+              {/* 16.2.2?? Advanced filters */}
+              {filterPanelOpen && (
+                <FilterPanel
+                  filters={filters}
+                  knownTags={tagRules.map(rule => rule.name)}
+                  onChange={(changes) => setFilters(prev => ({ ...prev, ...changes }))}
+                  onCopyLink={() => copyToClipboard(window.location.href, 'Link to this view copied to the clipboard')}
+                />
+              )}
+            </div>
+            
+            {/* 16.3?? EMPTY LIBRARY STATE */}
+            {/* Nothing saved yet - offer demo data so the app isn't blank */}
+            {libraryLoaded && conversations.length === 0 && (
+              <div className="mb-8 p-6 bg-white border border-gray-200 rounded-lg shadow-sm text-center">
+                <MessageSquare className="w-12 h-12 mx-auto mb-3 text-gray-400" />
+                <h3 className="font-semibold text-gray-900 mb-1">Your library is empty</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Import your chat exports with the button above, or explore the app with sample conversations.
+                </p>
+                <button
+                  onClick={loadDemoData}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+                >
+                  Load demo data
+                </button>
+              </div>
+            )}
+            
+            {/* 1??7?? MAIN CONTENT VIEWS */}
+            {/* Different views based on selected tab */}
+            
+            {/* 17.1?? CALENDAR VIEW */}
+            {view === 'calendar' && (
+              <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+                {/* 17.1.1?? Calendar component */}
+                <div className="lg:col-span-3">
+                  <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
+                    {/* 17.1.1.1?? Calendar Header with mode switcher and navigation */}
+                    <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                      <h2 className="text-2xl font-bold text-gray-900">
+                        {calendarTitle()}
+                      </h2>
+                      <div className="flex items-center space-x-2">
+                        {/* Month / week / day / year / timeline */}
+                        <div className="flex bg-gray-100 rounded-lg p-1 mr-2">
+                          {CALENDAR_MODES.map(mode => (
+                            <button
+                              key={mode.id}
+                              onClick={() => setCalendarMode(mode.id)}
+                              className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                                calendarMode === mode.id ? 'bg-white shadow-sm text-blue-600' : 'text-gray-600 hover:text-gray-900'
+                              }`}
+                            >
+                              {mode.label}
+                            </button>
+                          ))}
+                        </div>
+                        {/* Previous button */}
+                        <button
+                          onClick={() => stepCalendar(-1)}
+                          className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                        >
+                          <ChevronLeft className="w-5 h-5" />
+                        </button>
+                        {/* Go to today button */}
+                        <button
+                          onClick={showToday}
+                          className="px-4 py-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-200 transition-colors text-sm font-medium"
+                        >
+                          Today
+                        </button>
+                        {/* Next button */}
+                        <button
+                          onClick={() => stepCalendar(1)}
+                          className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                        >
+                          <ChevronRight className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </div>
+                    
+                    {/* 17.1.1.2?? Month grid */}
+                    {calendarMode === 'month' && (
+                      <div className="grid grid-cols-7 gap-2">
+                        {/* Day headers (Sun, Mon, Tue, etc.), starting on the chosen first weekday */}
+                        {weekdayLabels(locale, preferences.weekStart).map(day => (
+                          <div key={day} className="p-3 text-center text-sm font-semibold text-gray-500">
+                            {day}
+                          </div>
+                        ))}
+                        
+                        {/* Calendar day cells */}
+                        {generateCalendarGrid().map((date, index) => {
+                          if (!date) return <div key={index} className="h-20"></div>;
+                          
+                          // 17.1.1.2.1?? Get conversations for this date
+                          const dateKey = date.toDateString();
+                          const dayConversations = calendarData[dateKey] || [];
+                          const intensity = Math.min(dayConversations.length / 3, 1); // Heat map intensity
+                          
+                          return (
+                            <div
+                              key={index}
+                              className={`h-20 p-2 border border-gray-200 rounded-lg cursor-pointer transition-all hover:shadow-md ${
+                                date.toDateString() === new Date().toDateString()
+                                  ? 'bg-blue-50 border-blue-200' // Highlight today
+                                  : 'bg-white hover:bg-gray-50'
+                              }`}
+                              onClick={() => setSelectedDate(date)}
+                              style={{
+                                // 17.1.1.2.2?? Apply heat map coloring based on conversation count
+                                backgroundColor: dayConversations.length > 0 
+                                  ? `rgba(59, 130, 246, ${0.1 + intensity * 0.3})`
+                                  : undefined
+                              }}
+                            >
+                              {/* Day number */}
+                              <div className="font-medium text-sm text-gray-800">{date.getDate()}</div>
+                              
+                              {/* Conversation indicators */}
+                              {dayConversations.length > 0 && (
+                                <div className="mt-1 space-y-1">
+                                  {/* Show first 2 conversations as colored bars */}
+                                  {dayConversations.slice(0, 2).map((conv, i) => (
+                                    <div
+                                      key={i}
+                                      className={`w-full h-1.5 rounded-full ${getPlatform(platforms, conv.platform).bgClass} opacity-60`}
+                                    />
+                                  ))}
+                                  {/* Show count if more than 2 conversations */}
+                                  {dayConversations.length > 2 && (
+                                    <div className="text-xs text-gray-500 text-center">
+                                      +{dayConversations.length - 2} more
+                                    </div>
+                                  )}
+                                </div>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                    
+                    {/* 17.1.1.3?? Week, day, year and timeline modes - picking a day fills the sidebar */}
+                    {calendarMode === 'week' && (
+                      <WeekView
+                        calendarData={calendarData}
+                        date={selectedDate}
+                        weekStart={preferences.weekStart}
+                        locale={locale}
+                        platforms={platforms}
+                        onSelectDate={setSelectedDate}
+                        onOpenConversation={setSelectedConversation}
+                      />
+                    )}
+                    {calendarMode === 'day' && (
+                      <DayAgenda
+                        conversations={calendarData[selectedDate.toDateString()] || []}
+                        date={selectedDate}
+                        locale={locale}
+                        platforms={platforms}
+                        onOpenConversation={setSelectedConversation}
+                      />
+                    )}
+                    {calendarMode === 'year' && (
+                      <YearHeatmap
+                        calendarData={calendarData}
+                        month={calendarMonth}
+                        weekStart={preferences.weekStart}
+                        locale={locale}
+                        selectedDate={selectedDate}
+                        onSelectDate={setSelectedDate}
+                      />
+                    )}
+                    {calendarMode === 'timeline' && (
+                      <TimelineView
+                        conversations={filteredConversations}
+                        center={selectedDate}
+                        zoomId={timelineZoom}
+                        onZoom={setTimelineZoom}
+                        weekStart={preferences.weekStart}
+                        locale={locale}
+                        platforms={platforms}
+                        onSelectDate={setSelectedDate}
+                        onOpenConversation={setSelectedConversation}
+                      />
+                    )}
                   </div>
                 </div>
                 
-                {/* 17.1.1.2?? Calendar Grid Layout */}
-                <div className="grid grid-cols-7 gap-2">
-                  {/* Day headers (Sun, Mon, Tue, etc.) */}
-                  {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-                    <div key={day} className="p-3 text-center text-sm font-semibold text-gray-500">
-                      {day}
-                    </div>
-                  ))}
+                {/* 17.1.2?? Daily Conversations Sidebar */}
+                <div className="space-y-4">
+                  <h3 className="text-xl font-bold text-gray-900">
+                    {selectedDate.toLocaleDateString(locale, { 
+                      weekday: 'long',
+                      month: 'short', 
+                      day: 'numeric' 
+                    })}
+                  </h3>
                   
-                  {/* Calendar day cells */}
-                  {generateCalendarGrid().map((date, index) => {
-                    if (!date) return <div key={index} className="h-20"></div>;
-                    
-                    // 17.1.1.2.1?? Get conversations for this date
-                    const dateKey = date.toDateString();
-                    const dayConversations = calendarData[dateKey] || [];
-                    const intensity = Math.min(dayConversations.length / 3, 1); // Heat map intensity
+                  {/* 17.1.2.1?? Scrollable conversation list for selected date */}
+                  <div className="space-y-3 max-h-96 overflow-y-auto">
+                    {(calendarData[selectedDate.toDateString()] || []).map(conv => (
+                      <ConversationCard 
+                        key={conv.id} 
+                        conversation={conv} 
+                        onClick={setSelectedConversation}
+                        onToggleStar={toggleStar}
+                        highlightTerms={highlightTerms}
+                        tagStyles={tagStyles}
+                        platforms={platforms}
+                        locale={locale}
+                      />
+                    ))}
                     
-                    return (
-                      <div
-                        key={index}
-                        className={`h-20 p-2 border border-gray-200 rounded-lg cursor-pointer transition-all hover:shadow-md ${
-                          date.toDateString() === new Date().toDateString()
-                            ? 'bg-blue-50 border-blue-200' // Highlight today
-                            : 'bg-white hover:bg-gray-50'
-                        }`}
-                        onClick={() => setSelectedDate(date)}
-                        style={{
-                          // 17.1.1.2.2?? Apply heat map coloring based on conversation count
-                          backgroundColor: dayConversations.length > 0 
-                            ? `rgba(59, 130, 246, ${0.1 + intensity * 0.3})`
-                            : undefined
-                        }}
-                      >
-                        {/* Day number */}
-                        <div className="font-medium text-sm text-gray-800">{date.getDate()}</div>
-                        
-                        {/* Conversation indicators */}
-                        {dayConversations.length > 0 && (
-                          <div className="mt-1 space-y-1">
-                            {/* Show first 2 conversations as colored bars */}
-                            {dayConversations.slice(0, 2).map((conv, i) => (
-                              <div
-                                key={i}
-                                className={`w-full h-1.5 rounded-full ${PLATFORMS[conv.platform].bgClass} opacity-60`}
-                              />
-                            ))}
-                            {/* Show count if more than 2 conversations */}
-                            {dayConversations.length > 2 && (
-                              <div className="text-xs text-gray-500 text-center">
-                                +{dayConversations.length - 2} more
-                              </div>
-                            )}
-                          </div>
-                        )}
+                    {/* 17.1.2.2?? Empty state when no conversations */}
+                    {(!calendarData[selectedDate.toDateString()] || calendarData[selectedDate.toDateString()].length === 0) && (
+                      <div className="text-center py-8 text-gray-500">
+                        <MessageSquare className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                        <p>No conversations on this date</p>
                       </div>
-                    );
-                  })}
+                    )}
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
             
-            {/* 17.1.2?? Daily Conversations Sidebar */}
-            <div className="space-y-4">
-              <h3 className="text-xl font-bold text-gray-900">
-                {selectedDate.toLocaleDateString('en-US', { 
-                  weekday: 'long',
-                  month: 'short', 
-                  day: 'numeric' 
-                })}
-              </h3>
-              
-              {/* 17.1.2.1?? Scrollable conversation list for selected date */}
-              <div className="space-y-3 max-h-96 overflow-y-auto">
-                {(calendarData[selectedDate.toDateString()] || []).map(conv => (
-                  <ConversationCard 
-                    key={conv.id} 
-                    conversation={conv} 
-                    onClick={setSelectedConversation}
-                    onToggleStar={toggleStar}
-                  />
-                ))}
-                
-                {/* 17.1.2.2?? Empty state when no conversations */}
-                {(!calendarData[selectedDate.toDateString()] || calendarData[selectedDate.toDateString()].length === 0) && (
-                  <div className="text-center py-8 text-gray-500">
-                    <MessageSquare className="w-12 h-12 mx-auto mb-3 opacity-50" />
-                    <p>No conversations on this date</p>
-                  </div>
-                )}
-              </div>
-            </div>
-          </div>
-        )}
-        
-        {/* 17.2?? LIST VIEW */}
-        {/* Shows all conversations in a grid layout */}
-        {view === 'list' && (
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            {filteredConversations.map(conv => (
-              <ConversationCard 
-                key={conv.id} 
-                conversation={conv} 
-                onClick={setSelectedConversation}
+            {/* 17.2?? LIST VIEW */}
+            {/* Sortable cards or table, with bulk actions for ticked conversations */}
+            {view === 'list' && (
+              <ListView
+                conversations={filteredConversations}
+                sort={listSort}
+                onSortChange={setListSort}
+                layout={listLayout}
+                onLayoutChange={setListLayout}
+                searching={searchTerm.trim() !== ''}
+                knownTags={tagRules.map(rule => rule.name)}
+                collections={collections}
+                highlightTerms={highlightTerms}
+                tagStyles={tagStyles}
+                platforms={platforms}
+                locale={locale}
+                onOpenConversation={setSelectedConversation}
                 onToggleStar={toggleStar}
+                onStar={starConversations}
+                onTag={tagConversations}
+                onAddToCollection={fileConversations}
+                onExport={(selected) => setExportRequest({ conversations: selected, title: 'Export selected conversations' })}
+                onDelete={removeConversations}
               />
-            ))}
-          </div>
-        )}
-        
-        {/* 17.3?? ANALYTICS VIEW */}
-        {/* Shows statistics and charts */}
-        {view === 'analytics' && (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-            {/* 17.3.1?? Stats Cards */}
-            
-            {/* Total conversations card */}
-            <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
-              <div className="flex items-center space-x-3">
-                <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
-                  <MessageSquare className="w-6 h-6 text-blue-600" />
-                </div>
-                <div>
-                  <p className="text-2xl font-bold text-gray-900">{analyticsData.totalConversations}</p>
-                  <p className="text-sm text-gray-600">Total Conversations</p>
-                </div>
-              </div>
-            </div>
+            )}
             
-            {/* Starred conversations card */}
-            <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
-              <div className="flex items-center space-x-3">
-                <div className="w-12 h-12 bg-yellow-100 rounded-lg flex items-center justify-center">
-                  <Star className="w-6 h-6 text-yellow-600" />
-                </div>
-                <div>
-                  <p className="text-2xl font-bold text-gray-900">{analyticsData.starredCount}</p>
-                  <p className="text-sm text-gray-600">Starred</p>
-                </div>
-              </div>
-            </div>
-            
-            {/* Average quality card */}
-            <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
-              <div className="flex items-center space-x-3">
-                <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center">
-                  <Sparkles className="w-6 h-6 text-green-600" />
-                </div>
-                <div>
-                  <p className="text-2xl font-bold text-gray-900">{analyticsData.averageQuality}</p>
-                  <p className="text-sm text-gray-600">Avg Quality</p>
-                </div>
-              </div>
-            </div>
+            {/* 17.3?? ANALYTICS VIEW */}
+            {/* Trends and habits over a date range, drilling down to the conversations */}
+            {view === 'analytics' && (
+              <AnalyticsView
+                conversations={filteredConversations}
+                weekStart={preferences.weekStart}
+                locale={locale}
+                platforms={platforms}
+                onOpenConversation={setSelectedConversation}
+              />
+            )}
             
-            {/* AI platforms card */}
-            <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-6">
-              <div className="flex items-center space-x-3">
-                <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
-                  <Calendar className="w-6 h-6 text-purple-600" />
-                </div>
-                <div>
-                  <p className="text-2xl font-bold text-gray-900">{Object.keys(PLATFORMS).length}</p>
-                  <p className="text-sm text-gray-600">AI Platforms</p>
-                </div>
-              </div>
-            </div>
+            {/* 17.2.1?? HIGHLIGHTS VIEW */}
+            {/* Every highlighted passage in the conversations shown, newest first */}
+            {view === 'highlights' && (
+              <HighlightsView
+                conversations={filteredConversations}
+                onOpenConversation={setSelectedConversation}
+                platforms={platforms}
+                locale={locale}
+              />
+            )}
             
-            {/* 17.3.2?? Platform Distribution Chart */}
-            <div className="md:col-span-2 bg-white rounded-lg border border-gray-200 shadow-sm p-6">
-              <h3 className="text-lg font-semibold mb-4">Platform Distribution</h3>
-              <div className="space-y-3">
-                {Object.entries(analyticsData.platformCounts).map(([platform, count]) => (
-                  <div key={platform} className="flex items-center justify-between">
-                    {/* Platform name and icon */}
-                    <div className="flex items-center space-x-3">
-                      <span className="text-sm font-medium">{PLATFORMS[platform].icon}</span>
-                      <span className="font-medium">{PLATFORMS[platform].name}</span>
-                    </div>
-                    {/* Progress bar and count */}
-                    <div className="flex items-center space-x-3">
-                      <div className="w-32 bg-gray-200 rounded-full h-2">
-                        <div 
-                          className={`h-2 rounded-full ${PLATFORMS[platform].bgClass}`}
-                          style={{ width: `${(count / analyticsData.totalConversations) * 100}%` }}
-                        />
-                      </div>
-                      <span className="text-sm font-medium w-8">{count}</span>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
+            {/* 17.2.2?? SNIPPETS VIEW */}
+            {/* Every code block in the library, with its own language, platform and date filters */}
+            {view === 'snippets' && (
+              <SnippetsView
+                conversations={conversations}
+                onOpenConversation={setSelectedConversation}
+                onCopyCode={(code) => copyToClipboard(code, 'Code copied to the clipboard')}
+                platforms={platforms}
+                locale={locale}
+              />
+            )}
             
-            {/* 17.3.3?? Top Tags Cloud */}
-            <div className="md:col-span-2 bg-white rounded-lg border border-gray-200 shadow-sm p-6">
-              <h3 className="text-lg font-semibold mb-4">Popular Topics</h3>
-              <div className="flex flex-wrap gap-2">
-                {Object.entries(analyticsData.tagCounts)
-                  .sort((a, b) => b[1] - a[1]) // Sort by count (highest first)
-                  .slice(0, 10) // Show top 10 tags only
-                  .map(([tag, count]) => (
-                    <span
-                      key={tag}
-                      className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm font-medium"
-                    >
-                      #{tag} ({count})
-                    </span>
-                  ))
-                }
-              </div>
-            </div>
+            {/* 17.4?? TAG MANAGER VIEW */}
+            {view === 'tags' && (
+              <TagManager
+                rules={tagRules}
+                conversations={conversations}
+                onCreateTag={createTag}
+                onUpdateRule={updateTagRule}
+                onRenameTag={renameOrMergeTag}
+                onDeleteTag={removeTagEverywhere}
+                onRetag={rerunAutoTagging}
+              />
+            )}
           </div>
-        )}
+        </div>
       </div>
       
       {/* 1??8?? CONVERSATION MODAL */}
       {/* Full-screen popup to view conversation details */}
-      {selectedConversation && (
+      {openConversation && (
         <ConversationModal 
-          conversation={selectedConversation} 
+          key={openConversation.id}
+          conversation={openConversation} 
           onClose={() => setSelectedConversation(null)}
           onToggleStar={toggleStar}
+          highlightTerms={highlightTerms}
+          tagStyles={tagStyles}
+          knownTags={tagRules.map(rule => rule.name)}
+          onAddTag={addTag}
+          onRemoveTag={removeTag}
+          relatedConversations={openConversation.relationships
+            .filter(relationship => conversationsById.has(relationship.id))
+            .map(relationship => ({ conversation: conversationsById.get(relationship.id), score: relationship.score }))}
+          onOpenConversation={setSelectedConversation}
+          onMoreLikeThis={showMoreLikeThis}
+          onExport={(conversation) => setExportRequest({ conversations: [conversation], title: 'Export this conversation' })}
+          onShare={setShareTarget}
+          onContinueChat={continueChat}
+          collections={collections}
+          onToggleCollection={toggleConversationCollection}
+          onUpdateNotes={(conversationId, notes) => updateConversation(conversationId, conv => setConversationNotes(conv, notes))}
+          onAddHighlight={(conversationId, highlight) => updateConversation(conversationId, conv => addHighlight(conv, createHighlight(highlight)))}
+          onUpdateHighlight={(conversationId, highlightId, comment) => updateConversation(conversationId, conv => updateHighlightComment(conv, highlightId, comment))}
+          onRemoveHighlight={(conversationId, highlightId) => updateConversation(conversationId, conv => removeHighlight(conv, highlightId))}
+          onCopyCode={(code) => copyToClipboard(code, 'Code copied to the clipboard')}
+          onResummarize={(conversationId) => resummarize([conversationId])}
+          qualityBreakdown={explainQualityScore(openConversation, qualityWeights)}
+          onOverrideQuality={(conversationId, quality) => updateConversation(conversationId, conv => setQualityOverride(conv, quality, qualityWeights))}
+          platforms={platforms}
+          locale={locale}
+        />
+      )}
+      
+      {/* 1??8.1?? IMPORT FORMAT PICKER */}
+      {/* Asks which format a file is when auto-detection isn't sure */}
+      {formatRequest && (
+        <ImportFormatPicker
+          fileName={formatRequest.fileName}
+          ranked={formatRequest.ranked}
+          onChoose={formatRequest.resolve}
+        />
+      )}
+      
+      {/* 1??8.2?? EXPORT FORMAT PICKER */}
+      {exportRequest && (
+        <ExportPicker
+          count={exportRequest.conversations.length}
+          title={exportRequest.title}
+          onChoose={(format) => {
+            setExportRequest(null);
+            exportConversations(format, exportRequest.conversations);
+          }}
+          onClose={() => setExportRequest(null)}
+        />
+      )}
+      
+      {/* 1??8.3?? SHARE DIALOG */}
+      {shareTarget && (
+        <ShareDialog
+          conversation={shareTarget}
+          platforms={platforms}
+          defaultRules={preferences.shareRedactions}
+          onShare={shareConversation}
+          onClose={() => setShareTarget(null)}
+        />
+      )}
+      
+      {/* 1??8.4?? SAVE SEARCH DIALOG */}
+      {saveSearchOpen && (
+        <SaveSearchDialog
+          searchTerm={searchTerm}
+          platformNames={selectedPlatforms.map(platform => getPlatform(platforms, platform).name)}
+          filters={filters}
+          knownTags={tagRules.map(rule => rule.name)}
+          onSave={saveCurrentSearch}
+          onClose={() => setSaveSearchOpen(false)}
+        />
+      )}
+      
+      {/* 1??8.5?? SETTINGS DIALOG */}
+      {settingsOpen && (
+        <SettingsDialog
+          summarizer={summarizerSettings}
+          qualityWeights={qualityWeights}
+          preferences={preferences}
+          scopes={scopes}
+          accounts={accounts}
+          builtInPlatforms={PLATFORMS}
+          conversations={conversations}
+          current={{ view, platforms: selectedPlatforms, filters }}
+          knownTags={tagRules.map(rule => rule.name)}
+          pendingSummaries={conversations.filter(needsSummary).length}
+          onSave={saveSettings}
+          onResummarizeAll={() => resummarize(conversations.map(conv => conv.id))}
+          onClose={() => setSettingsOpen(false)}
         />
       )}
     </div>
@@ -1030,25 +1750,37 @@ const AIChatCalendar = () => {
 };
 // 1??9?? CONVERSATION CARD COMPONENT
 // Small preview card that shows conversation summary in lists
-const ConversationCard = ({ conversation, onClick, onToggleStar }) => {
+const ConversationCard = ({ conversation, onClick, onToggleStar, selected = false, onToggleSelect, highlightTerms = [], tagStyles = {}, platforms = PLATFORMS, locale }) => {
   // 19.1?? Get platform info (colors, icons) for this conversation
-  const platform = PLATFORMS[conversation.platform];
+  const platform = getPlatform(platforms, conversation.platform);
   
   return (
     <div
       onClick={() => onClick(conversation)} // 19.2?? Open full conversation when clicked
-      className="bg-white rounded-lg border border-gray-200 shadow-sm p-4 hover:shadow-md transition-all cursor-pointer"
+      className={`h-full overflow-hidden bg-white rounded-lg border shadow-sm p-4 hover:shadow-md transition-all cursor-pointer ${
+        selected ? 'border-blue-400 ring-2 ring-blue-200' : 'border-gray-200'
+      }`}
     >
       {/* 19.3?? Card header with platform info and star button */}
       <div className="flex items-start justify-between mb-3">
-        {/* 19.3.1?? Platform icon and conversation title */}
-        <div className="flex items-center space-x-3">
+        {/* 19.3.1?? Selection box (list view), platform icon and conversation title */}
+        <div className="flex items-center space-x-3 min-w-0">
+          {onToggleSelect && (
+            <input
+              type="checkbox"
+              checked={selected}
+              onClick={(e) => e.stopPropagation()} // Tick the card without opening it
+              onChange={() => onToggleSelect(conversation.id)}
+            />
+          )}
           <div className={`w-8 h-8 ${platform.bgClass} rounded-lg flex items-center justify-center`}>
             <span className="text-white text-sm font-medium">{platform.icon}</span>
           </div>
           <div>
-            <h3 className="font-semibold text-gray-900 text-sm line-clamp-1">{conversation.title}</h3>
-            <p className="text-xs text-gray-500">{platform.name}  {conversation.date.toLocaleDateString()}</p>
+            <h3 className="font-semibold text-gray-900 text-sm line-clamp-1">
+              <HighlightedText text={conversation.title} terms={highlightTerms} />
+            </h3>
+            <p className="text-xs text-gray-500">{platform.name}  {formatConversationDate(conversation, locale)}</p>
           </div>
         </div>
         
@@ -1084,14 +1816,18 @@ const ConversationCard = ({ conversation, onClick, onToggleStar }) => {
         </div>
       </div>
       
-      {/* 19.4?? Conversation summary text */}
-      <p className="text-sm text-gray-600 line-clamp-2 mb-3">{conversation.summary}</p>
+      {/* 19.4?? Conversation summary text - or, while searching, the passage that matched */}
+      <p className="text-sm text-gray-600 line-clamp-2 mb-3">
+        {highlightTerms.length > 0
+          ? <HighlightedText text={getSnippet(`${conversation.content}\n${annotationText(conversation)}`, highlightTerms)} terms={highlightTerms} />
+          : conversation.summary}
+      </p>
       
       {/* 19.5?? Tags section */}
       <div className="flex flex-wrap gap-1 mb-3">
         {/* Show first 3 tags */}
         {conversation.tags.slice(0, 3).map(tag => (
-          <span key={tag} className="px-2 py-1 bg-gray-100 text-gray-600 rounded text-xs">
+          <span key={tag} className={`px-2 py-1 rounded text-xs ${tagStyles[tag] || TAG_COLORS.gray}`}>
             #{tag}
           </span>
         ))}
@@ -1107,7 +1843,7 @@ const ConversationCard = ({ conversation, onClick, onToggleStar }) => {
       <div className="flex items-center justify-between text-xs text-gray-500">
         <span className="flex items-center space-x-1">
           <Clock className="w-3 h-3" />
-          <span>{conversation.date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+          <span>{conversation.undated ? 'No time' : conversation.date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
         </span>
         <span className="flex items-center space-x-1">
           <Eye className="w-3 h-3" />
@@ -1120,9 +1856,40 @@ const ConversationCard = ({ conversation, onClick, onToggleStar }) => {
 
 // 2??0?? CONVERSATION MODAL COMPONENT
 // Full-screen popup that shows complete conversation details
-const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
+const ConversationModal = ({ conversation, onClose, onToggleStar, highlightTerms = [], tagStyles = {}, knownTags = [], onAddTag, onRemoveTag, relatedConversations = [], onOpenConversation, onMoreLikeThis, onExport, onShare, onContinueChat, collections = [], onToggleCollection, onUpdateNotes, onAddHighlight, onUpdateHighlight, onRemoveHighlight, onCopyCode, onResummarize, qualityBreakdown, onOverrideQuality, platforms = PLATFORMS, locale }) => {
   // 20.1?? Get platform info for styling
-  const platform = PLATFORMS[conversation.platform];
+  const platform = getPlatform(platforms, conversation.platform);
+  const threads = getThreads(conversation); // Main thread first, then edit/regeneration branches
+  const [threadIndex, setThreadIndex] = useState(0);
+  const thread = threads[threadIndex] || threads[0];
+  const messages = thread.messages;
+  const [newTag, setNewTag] = useState(''); // Tag being typed into the "add tag" box
+  const [notes, setNotes] = useState(conversation.notes || ''); // Saved when the notes box loses focus
+  const [pendingHighlight, setPendingHighlight] = useState(null); // Selected text waiting to be highlighted
+  const [highlightComment, setHighlightComment] = useState('');
+  const highlights = conversation.highlights || [];
+  
+  // Messages before a branch's fork belong to the main thread, so their
+  // highlights show on every branch
+  const messageThreadId = (index) => (thread.forkIndex !== null && index < thread.forkIndex ? 'main' : thread.id);
+  
+  const saveNotes = () => {
+    if (notes !== (conversation.notes || '')) onUpdateNotes(conversation.id, notes);
+  };
+  
+  const submitHighlight = (e) => {
+    e.preventDefault();
+    onAddHighlight(conversation.id, { ...pendingHighlight, comment: highlightComment });
+    setPendingHighlight(null);
+    setHighlightComment('');
+    window.getSelection().removeAllRanges();
+  };
+  
+  const submitNewTag = (e) => {
+    e.preventDefault();
+    onAddTag(conversation.id, newTag);
+    setNewTag('');
+  };
   
   return (
     // 20.2?? Full-screen overlay background
@@ -1138,12 +1905,14 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
               <span className="text-white text-lg font-medium">{platform.icon}</span>
             </div>
             <div>
-              <h2 className="text-xl font-bold text-gray-900">{conversation.title}</h2>
+              <h2 className="text-xl font-bold text-gray-900">
+                <HighlightedText text={conversation.title} terms={highlightTerms} />
+              </h2>
               {/* 21.1.1?? Conversation metadata line */}
               <div className="flex items-center space-x-4 text-sm text-gray-500">
                 <span>{platform.name}</span>
                 <span></span>
-                <span>{conversation.date.toLocaleDateString('en-US', { 
+                <span>{formatConversationDate(conversation, locale, { 
                   weekday: 'long', 
                   year: 'numeric', 
                   month: 'long', 
@@ -1153,7 +1922,7 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
                 })}</span>
                 <span></span>
                 {/* Quality stars display */}
-                <div className="flex items-center space-x-1">
+                <div className="flex items-center space-x-1" title={typeof conversation.qualityOverride === 'number' ? 'Set by you' : 'Scored automatically'}>
                   <span>Quality:</span>
                   <div className="flex">
                     {Array.from({ length: 5 }).map((_, i) => (
@@ -1203,44 +1972,184 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
         {/* 2??2?? MODAL CONTENT AREA */}
         <div className="p-6 overflow-y-auto max-h-96">
           
-          {/* 22.1?? AI-Generated Summary Section */}
+          {/* 22.1?? Summary Section - says which summarizer wrote it */}
           <div className="mb-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
-              <Sparkles className="w-5 h-5 mr-2 text-purple-500" />
-              AI-Generated Summary
-            </h3>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Sparkles className="w-5 h-5 mr-2 text-purple-500" />
+                Summary
+              </h3>
+              {conversation.summarySource && (
+                <button
+                  onClick={() => onResummarize(conversation.id)}
+                  className="px-3 py-1 border border-gray-300 text-gray-600 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+                >
+                  Summarize again
+                </button>
+              )}
+            </div>
             <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
               <p className="text-gray-700">{conversation.summary}</p>
+              <p className="mt-2 text-xs text-purple-700">
+                {!conversation.summarySource && 'Preview - a summary is being written in the background'}
+                {conversation.summarySource === 'extractive' && 'Key sentences from the answers, picked offline'}
+                {(conversation.summarySource || '').startsWith('llm:') && `Written by ${conversation.summarySource.slice(4)}`}
+              </p>
             </div>
           </div>
           
+          {/* 22.1.1?? Your notes - why this conversation mattered */}
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+              <StickyNote className="w-5 h-5 mr-2 text-yellow-500" />
+              Notes
+            </h3>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              onBlur={saveNotes}
+              rows={3}
+              placeholder="Why did this conversation matter? Which answer was the good one?"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400"
+            />
+          </div>
+          
           {/* 22.2?? Smart Tags Section */}
           <div className="mb-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
               <Tag className="w-5 h-5 mr-2 text-blue-500" />
               Smart Tags
             </h3>
-            <div className="flex flex-wrap gap-2">
+            <div className="flex flex-wrap items-center gap-2">
+              {/* 22.2.1?? Tags - hand-added ones are marked, any can be removed */}
               {conversation.tags.map(tag => (
                 <span
                   key={tag}
-                  className="px-3 py-2 bg-blue-100 text-blue-800 rounded-lg text-sm font-medium"
+                  className={`flex items-center space-x-1 px-3 py-2 rounded-lg text-sm font-medium ${tagStyles[tag] || TAG_COLORS.gray}`}
+                  title={(conversation.manualTags || []).includes(tag) ? 'Added by you' : 'Added by auto-tagging'}
                 >
-                  #{tag}
+                  <span>#{tag}{(conversation.manualTags || []).includes(tag) ? ' *' : ''}</span>
+                  <button
+                    onClick={() => onRemoveTag(conversation.id, tag)}
+                    className="opacity-60 hover:opacity-100"
+                    title="Remove tag"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+              
+              {/* 22.2.2?? Add a tag */}
+              <form onSubmit={submitNewTag} className="flex items-center">
+                <input
+                  type="text"
+                  value={newTag}
+                  onChange={(e) => setNewTag(e.target.value)}
+                  list="known-tags"
+                  placeholder="Add tag..."
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-32 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <datalist id="known-tags">
+                  {knownTags.filter(tag => !conversation.tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+              </form>
+            </div>
+            
+            {/* 22.2.3?? Collections this conversation is filed in */}
+            <div className="flex flex-wrap items-center gap-2 mt-3">
+              {collections.filter(collection => isInCollection(conversation, collection.id)).map(collection => (
+                <span key={collection.id} className="flex items-center space-x-1 px-3 py-1 bg-blue-50 text-blue-700 border border-blue-200 rounded-lg text-sm">
+                  <Folder className="w-3 h-3" />
+                  <span>{collection.name}</span>
+                  <button
+                    onClick={() => onToggleCollection(conversation.id, collection.id)}
+                    className="opacity-60 hover:opacity-100"
+                    title="Remove from collection"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
                 </span>
               ))}
+              {collections.some(collection => !isInCollection(conversation, collection.id)) && (
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && onToggleCollection(conversation.id, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white"
+                >
+                  <option value="">Add to collection...</option>
+                  {collections.filter(collection => !isInCollection(conversation, collection.id)).map(collection => (
+                    <option key={collection.id} value={collection.id}>{collection.name}</option>
+                  ))}
+                </select>
+              )}
             </div>
           </div>
           
-          {/* 22.3?? Full Conversation Content */}
+          {/* 22.3?? Conversation Transcript */}
           <div className="mb-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
-              <MessageSquare className="w-5 h-5 mr-2 text-green-500" />
-              Conversation Content
-            </h3>
-            <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
-              {/* 22.3.1?? Full conversation text with line breaks preserved */}
-              <p className="text-gray-700 leading-relaxed whitespace-pre-wrap">{conversation.content}</p>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                <MessageSquare className="w-5 h-5 mr-2 text-green-500" />
+                Conversation
+              </h3>
+              
+              {/* 22.3.1?? Branch switcher - only when edits/regenerations exist */}
+              {threads.length > 1 && (
+                <select
+                  value={threadIndex}
+                  onChange={(e) => setThreadIndex(Number(e.target.value))}
+                  className="px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white"
+                  title="Switch between edited or regenerated branches"
+                >
+                  {threads.map((t, index) => (
+                    <option key={t.id} value={index}>{t.label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+              {/* 22.3.2?? One bubble per message, marking where a branch splits off */}
+              {messages.map((message, index) => (
+                <React.Fragment key={index}>
+                  {thread.forkIndex === index && (
+                    <div className="flex items-center space-x-2 text-xs text-purple-600">
+                      <div className="flex-1 border-t border-purple-200" />
+                      <span>Branch starts here</span>
+                      <div className="flex-1 border-t border-purple-200" />
+                    </div>
+                  )}
+                  <MessageBubble
+                    message={message}
+                    platform={platform}
+                    locale={locale}
+                    highlightTerms={highlightTerms}
+                    highlights={highlightRanges(highlights, messageThreadId(index), index)}
+                    onSelectText={(selection) => setPendingHighlight({ ...selection, threadId: messageThreadId(index), messageIndex: index })}
+                    onCopyCode={onCopyCode}
+                  />
+                  
+                  {/* 22.3.3?? Selected text - highlight it, with an optional comment */}
+                  {pendingHighlight && pendingHighlight.messageIndex === index && (
+                    <form onSubmit={submitHighlight} className="flex items-center space-x-2 p-2 bg-yellow-50 border border-yellow-200 rounded-lg">
+                      <Highlighter className="w-4 h-4 text-yellow-600 flex-shrink-0" />
+                      <input
+                        type="text"
+                        autoFocus
+                        value={highlightComment}
+                        onChange={(e) => setHighlightComment(e.target.value)}
+                        placeholder="Add a comment (optional)"
+                        className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                      />
+                      <button type="submit" className="px-3 py-1 bg-yellow-400 text-gray-900 rounded-lg text-sm font-medium hover:bg-yellow-500 transition-colors">
+                        Highlight
+                      </button>
+                      <button type="button" onClick={() => setPendingHighlight(null)} className="p-1 text-gray-500 hover:text-gray-700">
+                        <X className="w-4 h-4" />
+                      </button>
+                    </form>
+                  )}
+                </React.Fragment>
+              ))}
             </div>
           </div>
           
@@ -1256,12 +2165,22 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Date:</span>
-                  <span className="font-medium">{conversation.date.toLocaleDateString()}</span>
+                  <span className="font-medium">{formatConversationDate(conversation, locale)}</span>
                 </div>
+                {getLastActivity(conversation).toDateString() !== conversation.date.toDateString() && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Last Activity:</span>
+                    <span className="font-medium">{getLastActivity(conversation).toLocaleDateString(locale)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="text-gray-600">Quality Score:</span>
                   <span className="font-medium">{conversation.quality}/5</span>
                 </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Messages:</span>
+                  <span className="font-medium">{threads[0].messages.length}</span>
+                </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Content Length:</span>
                   <span className="font-medium">{conversation.content.length} chars</span>
@@ -1295,11 +2214,124 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Extracted:</span>
-                  <span className="font-medium">{conversation.extractedAt.toLocaleDateString()}</span>
+                  <span className="font-medium">{conversation.extractedAt.toLocaleDateString(locale)}</span>
                 </div>
               </div>
             </div>
           </div>
+          
+          {/* 22.4.3?? Quality breakdown - what each signal added, plus a manual override */}
+          <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <h4 className="font-semibold text-yellow-800">
+                Quality {conversation.quality}/5
+                {typeof conversation.qualityOverride === 'number' && (
+                  <span className="ml-2 text-sm font-normal text-yellow-700">set by you - scored {qualityBreakdown.score}/5 automatically</span>
+                )}
+              </h4>
+              <select
+                value={typeof conversation.qualityOverride === 'number' ? conversation.qualityOverride : ''}
+                onChange={(e) => onOverrideQuality(conversation.id, e.target.value === '' ? null : Number(e.target.value))}
+                className="px-2 py-1 border border-yellow-300 rounded-lg text-sm text-gray-700 bg-white"
+                title="Override the score - kept through re-imports and rescoring"
+              >
+                <option value="">Automatic ({qualityBreakdown.score})</option>
+                {[1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5].map(value => <option key={value} value={value}>{value} stars</option>)}
+              </select>
+            </div>
+            <div className="space-y-1 text-sm">
+              <div className="flex justify-between text-gray-600">
+                <span>Base</span>
+                <span className="font-medium">1.0</span>
+              </div>
+              {qualityBreakdown.signals.map(signal => (
+                <div key={signal.id} className={`flex justify-between ${signal.weight === 0 ? 'text-gray-400' : 'text-gray-600'}`} title={signal.description}>
+                  <span>{signal.label} <span className="text-xs">({signal.detail}, weight {signal.weight})</span></span>
+                  <span className="font-medium">+{signal.points.toFixed(1)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+          
+          {/* 22.5?? Related Conversations - linked by shared topic, across platforms */}
+          <div className="mt-6">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                <TrendingUp className="w-5 h-5 mr-2 text-orange-500" />
+                Related Conversations
+              </h3>
+              <button
+                onClick={() => onMoreLikeThis(conversation.id)}
+                className="flex items-center space-x-1 px-3 py-1 border border-gray-300 text-gray-600 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+              >
+                <Search className="w-4 h-4" />
+                <span>More like this</span>
+              </button>
+            </div>
+            {relatedConversations.length > 0 ? (
+              <div className="space-y-2">
+                {relatedConversations.map(({ conversation: related, score }) => {
+                  const relatedPlatform = getPlatform(platforms, related.platform);
+                  return (
+                    <button
+                      key={related.id}
+                      onClick={() => onOpenConversation(related)}
+                      className="w-full flex items-center space-x-3 p-3 bg-white border border-gray-200 rounded-lg text-left hover:bg-gray-50 transition-colors"
+                    >
+                      <div className={`w-8 h-8 ${relatedPlatform.bgClass} rounded-lg flex items-center justify-center flex-shrink-0`}>
+                        <span className="text-white text-sm font-medium">{relatedPlatform.icon}</span>
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <div className="font-medium text-gray-900 text-sm truncate">{related.title}</div>
+                        <div className="text-xs text-gray-500">{relatedPlatform.name} - {formatConversationDate(related, locale)}</div>
+                      </div>
+                      <span className="text-xs text-gray-500" title="How much the two conversations have in common">
+                        {Math.round(score * 100)}% similar
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No related conversations found yet.</p>
+            )}
+          </div>
+          
+          {/* 22.6?? Highlights - select text in any message to add one */}
+          <div className="mt-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+              <Highlighter className="w-5 h-5 mr-2 text-yellow-500" />
+              Highlights
+            </h3>
+            {highlights.length > 0 ? (
+              <div className="space-y-2">
+                {highlights.map(highlight => (
+                  <div key={highlight.id} className="p-3 bg-yellow-50 border-l-4 border-yellow-400 rounded-r-lg">
+                    <div className="flex items-start justify-between space-x-3">
+                      <p className="text-sm text-gray-800 whitespace-pre-wrap">{highlight.text}</p>
+                      <button
+                        onClick={() => onRemoveHighlight(conversation.id, highlight.id)}
+                        className="p-1 text-gray-400 hover:text-red-600 flex-shrink-0"
+                        title="Remove highlight"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <input
+                      type="text"
+                      defaultValue={highlight.comment}
+                      onBlur={(e) => e.target.value.trim() !== highlight.comment && onUpdateHighlight(conversation.id, highlight.id, e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                      placeholder="Add a comment..."
+                      className="mt-2 w-full px-2 py-1 bg-transparent border-b border-yellow-200 text-sm text-gray-600 italic focus:outline-none focus:border-yellow-500"
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Select text in a message to highlight it.</p>
+            )}
+          </div>
         </div>
         
         {/* 2??3?? MODAL FOOTER */}
@@ -1307,13 +2339,20 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
         <div className="flex items-center justify-between p-6 border-t border-gray-200 bg-gray-50">
           {/* 23.1?? Left side - primary action buttons */}
           <div className="flex items-center space-x-3">
-            {/* Continue conversation button */}
-            <button className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+            {/* Continue conversation button - copies a context prompt and opens the platform */}
+            <button
+              onClick={() => onContinueChat(conversation)}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              title={`Copy a prompt with this conversation's context and open ${platform.name}`}
+            >
               <Play className="w-4 h-4" />
               <span>Continue Chat</span>
             </button>
             {/* Share conversation button */}
-            <button className="flex items-center space-x-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors">
+            <button
+              onClick={() => onShare(conversation)}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+            >
               <Share2 className="w-4 h-4" />
               <span>Share</span>
             </button>
@@ -1322,7 +2361,10 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
           {/* 23.2?? Right side - secondary actions */}
           <div className="flex items-center space-x-3">
             {/* Export this conversation button */}
-            <button className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-600 rounded-lg hover:bg-gray-50 transition-colors">
+            <button
+              onClick={() => onExport(conversation)}
+              className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-600 rounded-lg hover:bg-gray-50 transition-colors"
+            >
               <Download className="w-4 h-4" />
               <span>Export</span>
             </button>
@@ -1340,7 +2382,2646 @@ const ConversationModal = ({ conversation, onClose, onToggleStar }) => {
   );
 };
 
-// 2??4?? EXPORT THE MAIN COMPONENT
+// 2??4?? IMPORT FORMAT PICKER COMPONENT
+// Lets the user choose an importer by hand; likely matches are listed first
+const ImportFormatPicker = ({ fileName, ranked, onChoose }) => {
+  // 24.1?? Detected candidates first, then every other importer
+  const rankedIds = new Set(ranked.map(match => match.importer.id));
+  const options = [
+    ...ranked,
+    ...IMPORTERS.filter(importer => !rankedIds.has(importer.id)).map(importer => ({ importer, confidence: 0 }))
+  ];
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg max-w-md w-full shadow-xl">
+        {/* 24.2?? Header */}
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-bold text-gray-900">Which format is this file?</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            We couldn't tell for sure what <strong>{fileName}</strong> is. Pick the export it came from.
+          </p>
+        </div>
+        
+        {/* 24.3?? Importer choices */}
+        <div className="p-4 space-y-2 max-h-80 overflow-y-auto">
+          {options.map(({ importer, confidence }) => (
+            <button
+              key={importer.id}
+              onClick={() => onChoose(importer)}
+              className="w-full flex items-center justify-between px-4 py-3 border border-gray-200 rounded-lg hover:bg-blue-50 hover:border-blue-200 transition-colors text-left"
+            >
+              <span className="font-medium text-gray-800">{importer.label}</span>
+              {confidence > 0 && (
+                <span className="text-xs text-gray-500">{Math.round(confidence * 100)}% match</span>
+              )}
+            </button>
+          ))}
+        </div>
+        
+        {/* 24.4?? Footer */}
+        <div className="flex justify-end p-4 border-t border-gray-200 bg-gray-50">
+          <button
+            onClick={() => onChoose(null)}
+            className="px-6 py-2 bg-gray-100 text-gray-600 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Skip file
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 2??5?? MESSAGE BUBBLE COMPONENT
+// One message in the conversation transcript - user on the right, AI on the left
+const MessageBubble = ({ message, platform, locale, highlightTerms = [], highlights = [], onSelectText, onCopyCode }) => {
+  const isUser = message.role === 'user';
+  const isAssistant = message.role === 'assistant';
+  const textRef = useRef(null);
+  
+  // 25.1?? Who said it
+  const speaker = isUser ? 'You' : isAssistant ? platform.name : message.role.charAt(0).toUpperCase() + message.role.slice(1);
+  
+  // 25.1.1?? Prose and fenced code, each with its offsets into the message text
+  const parts = useMemo(() => splitCodeFences(message.text), [message.text]);
+  
+  // 25.1.2?? One stretch of prose split around the highlighted ranges
+  const textSegments = (start, end) => {
+    const segments = [];
+    let cursor = start;
+    highlights.forEach(range => {
+      const from = Math.max(range.start, cursor);
+      const to = Math.min(range.end, end);
+      if (to <= from) return;
+      if (from > cursor) segments.push({ text: message.text.slice(cursor, from) });
+      segments.push({ text: message.text.slice(from, to), range });
+      cursor = to;
+    });
+    if (cursor < end) segments.push({ text: message.text.slice(cursor, end) });
+    return segments;
+  };
+  
+  // 25.1.3?? Report a text selection inside this message as character offsets.
+  // Prose elements carry their offset; the language label and copy button
+  // of a code block don't, so they never end up in a highlight.
+  const offsetOf = (node, nodeOffset) => {
+    const element = (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement).closest('[data-offset]');
+    if (!element || !textRef.current.contains(element)) return null;
+    const before = document.createRange();
+    before.selectNodeContents(element);
+    before.setEnd(node, nodeOffset);
+    return Number(element.dataset.offset) + before.toString().length;
+  };
+  
+  const handleMouseUp = () => {
+    const selection = window.getSelection();
+    if (!onSelectText || !selection || selection.isCollapsed || selection.rangeCount === 0) return;
+    const range = selection.getRangeAt(0);
+    const start = offsetOf(range.startContainer, range.startOffset);
+    const end = offsetOf(range.endContainer, range.endOffset);
+    if (start === null || end === null || end <= start) return;
+    
+    const text = message.text.slice(start, end);
+    if (text.trim()) onSelectText({ start, end, text });
+  };
+  
+  return (
+    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+      <div className={`max-w-[85%] rounded-lg px-4 py-3 ${
+        isUser ? 'bg-blue-600 text-white' :
+        isAssistant ? 'bg-white border border-gray-200 text-gray-800' :
+        'bg-gray-100 border border-gray-200 text-gray-600'
+      }`}>
+        {/* 25.2?? Speaker, model and time */}
+        <div className={`flex items-center space-x-2 text-xs mb-1 ${isUser ? 'text-blue-100' : 'text-gray-500'}`}>
+          <span className="font-semibold">{speaker}</span>
+          {message.model && <span>{message.model}</span>}
+          {message.timestamp && (
+            <span>{message.timestamp.toLocaleString(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+          )}
+        </div>
+        
+        {/* 25.3?? Message text with line breaks preserved */}
+        <div ref={textRef} onMouseUp={handleMouseUp} className="text-sm leading-relaxed whitespace-pre-wrap">
+          {parts.map(part => (part.type === 'code' ? (
+            <CodeBlock key={part.start} language={part.language} code={part.code} onCopy={onCopyCode} />
+          ) : (
+            <span key={part.start} data-offset={part.start}>
+              {textSegments(part.start, part.end).map((segment, i) => (segment.range ? (
+                <mark key={i} className="bg-yellow-200 text-gray-900 rounded-sm" title={segment.range.comments.join('\n')}>
+                  <HighlightedText text={segment.text} terms={highlightTerms} />
+                </mark>
+              ) : (
+                <HighlightedText key={i} text={segment.text} terms={highlightTerms} />
+              )))}
+            </span>
+          )))}
+        </div>
+        
+        {/* 25.4?? Attachments */}
+        {message.attachments.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {message.attachments.map((attachment, i) => (
+              <span
+                key={i}
+                className={`flex items-center space-x-1 px-2 py-1 rounded text-xs ${isUser ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-600'}`}
+              >
+                <Paperclip className="w-3 h-3" />
+                <span>{attachment.name}</span>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// 2??6?? HIGHLIGHTED TEXT COMPONENT
+// Renders text with the search terms marked
+const HighlightedText = ({ text, terms }) => {
+  const pattern = useMemo(() => buildHighlightPattern(terms), [terms]);
+  if (!pattern || !text) return text || null;
+  
+  // 26.1?? split() with a capturing group puts the matches at the odd indexes
+  return text.split(pattern).map((part, i) => (
+    i % 2 === 1
+      ? <mark key={i} className="bg-yellow-200 text-inherit rounded px-0.5">{part}</mark>
+      : <React.Fragment key={i}>{part}</React.Fragment>
+  ));
+};
+
+// 2??7?? EXPORT FORMAT PICKER COMPONENT
+// Lists the export formats; the chosen one is built from `count` conversations
+const ExportPicker = ({ count, title = 'Export conversations', onChoose, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+    <div className="bg-white rounded-lg max-w-md w-full shadow-xl">
+      {/* 27.1?? Header */}
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-lg font-bold text-gray-900">{title}</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          {count === 1 ? '1 conversation' : `${count} conversations`} will be exported. Pick a format.
+        </p>
+      </div>
+      
+      {/* 27.2?? Format choices */}
+      <div className="p-4 space-y-2 max-h-96 overflow-y-auto">
+        {EXPORTERS.map(exporter => (
+          <button
+            key={exporter.id}
+            onClick={() => onChoose(exporter.id)}
+            disabled={count === 0}
+            className="w-full px-4 py-3 border border-gray-200 rounded-lg hover:bg-blue-50 hover:border-blue-200 transition-colors text-left disabled:opacity-50 disabled:hover:bg-white"
+          >
+            <div className="font-medium text-gray-800">{exporter.label}</div>
+            <div className="text-xs text-gray-500">{exporter.description}</div>
+          </button>
+        ))}
+      </div>
+      
+      {/* 27.3?? Footer */}
+      <div className="flex justify-end p-4 border-t border-gray-200 bg-gray-50">
+        <button
+          onClick={onClose}
+          className="px-6 py-2 bg-gray-100 text-gray-600 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+// 2??8?? SHARE DIALOG COMPONENT
+// Picks what to hide before sharing, previews the result, then saves an HTML
+// page or copies Markdown. The rules ticked at first come from Settings.
+const ShareDialog = ({ conversation, platforms = PLATFORMS, defaultRules = DEFAULT_PREFERENCES.shareRedactions, onShare, onClose }) => {
+  const [rules, setRules] = useState(defaultRules);
+  const [termsText, setTermsText] = useState(''); // Comma-separated names or words to hide
+  
+  // 28.1?? The redacted copy that will be shared
+  const redacted = useMemo(() => redactConversation(conversation, {
+    rules,
+    terms: termsText.split(',')
+  }), [conversation, rules, termsText]);
+  const preview = useMemo(() => conversationToMarkdown(redacted, platforms), [redacted, platforms]);
+  
+  const toggleRule = (id) => {
+    setRules(prev => prev.includes(id) ? prev.filter(rule => rule !== id) : [...prev, id]);
+  };
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full shadow-xl">
+        {/* 28.2?? Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Share conversation</h2>
+            <p className="text-sm text-gray-600 mt-1">{conversation.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="w-8 h-8 flex items-center justify-center rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        
+        {/* 28.3?? Redaction options */}
+        <div className="p-6 space-y-4">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Hide before sharing</h3>
+            <div className="flex flex-wrap gap-3">
+              {REDACTION_RULES.map(rule => (
+                <label key={rule.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={rules.includes(rule.id)} onChange={() => toggleRule(rule.id)} />
+                  <span>{rule.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <input
+            type="text"
+            value={termsText}
+            onChange={(e) => setTermsText(e.target.value)}
+            placeholder="Also hide these words, e.g. your name, company (comma-separated)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          
+          {/* 28.4?? Preview of what will be shared */}
+          <pre className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-xs text-gray-700 whitespace-pre-wrap max-h-60 overflow-y-auto">
+            {preview}
+          </pre>
+        </div>
+        
+        {/* 28.5?? Footer */}
+        <div className="flex items-center justify-end space-x-3 p-4 border-t border-gray-200 bg-gray-50">
+          <button
+            onClick={() => onShare(redacted, 'markdown')}
+            className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-600 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <span>Copy Markdown</span>
+          </button>
+          <button
+            onClick={() => onShare(redacted, 'html')}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            <span>Save HTML page</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 2??9?? TAG MANAGER COMPONENT
+// Create, rename, merge, colour and delete tags, and edit their keyword rules
+const TagManager = ({ rules, conversations, onCreateTag, onUpdateRule, onRenameTag, onDeleteTag, onRetag }) => {
+  const [newTagName, setNewTagName] = useState('');
+  
+  // 29.1?? How many conversations carry each tag
+  const usage = useMemo(() => {
+    const counts = {};
+    conversations.forEach(conv => conv.tags.forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+    return counts;
+  }, [conversations]);
+  
+  const submitNewTag = (e) => {
+    e.preventDefault();
+    onCreateTag(newTagName);
+    setNewTagName('');
+  };
+  
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm">
+      {/* 29.2?? Header with create and re-tag actions */}
+      <div className="flex flex-wrap items-center justify-between gap-4 p-6 border-b border-gray-200">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Tags</h2>
+          <p className="text-sm text-gray-600">
+            Keyword rules tag conversations automatically. Tags you add or remove by hand are kept when you re-run auto-tagging.
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <form onSubmit={submitNewTag}>
+            <input
+              type="text"
+              value={newTagName}
+              onChange={(e) => setNewTagName(e.target.value)}
+              placeholder="New tag name"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </form>
+          <button
+            onClick={onRetag}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Sparkles className="w-4 h-4" />
+            <span>Re-run auto-tagging</span>
+          </button>
+        </div>
+      </div>
+      
+      {/* 29.3?? One row per tag */}
+      <div className="divide-y divide-gray-100">
+        {rules.map(rule => (
+          <TagRuleRow
+            key={rule.name}
+            rule={rule}
+            count={usage[rule.name] || 0}
+            otherTags={rules.map(other => other.name).filter(name => name !== rule.name)}
+            onUpdate={(changes) => onUpdateRule(rule.name, changes)}
+            onRename={(name) => onRenameTag(rule.name, name)}
+            onDelete={() => onDeleteTag(rule.name)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// 2??9.4?? TAG RULE ROW
+// Name and keywords are edited locally and saved when the field loses focus
+const TagRuleRow = ({ rule, count, otherTags, onUpdate, onRename, onDelete }) => {
+  const [name, setName] = useState(rule.name);
+  const [keywordsText, setKeywordsText] = useState(rule.keywords.join('\n'));
+  
+  // 29.4.1?? Regex keywords that don't compile never match - point them out
+  const invalidKeywords = rule.keywords.filter(keyword => keyword.trim() && !compileKeyword(keyword, rule.match));
+  
+  const saveKeywords = () => {
+    onUpdate({ keywords: keywordsText.split('\n').map(keyword => keyword.trim()).filter(Boolean) });
+  };
+  
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-12 gap-4 p-4 items-start">
+      {/* 29.4.2?? Colour, name and usage */}
+      <div className="md:col-span-4 space-y-2">
+        <div className="flex items-center space-x-2">
+          <select
+            value={rule.color}
+            onChange={(e) => onUpdate({ color: e.target.value })}
+            className={`px-2 py-2 rounded-lg text-sm border border-gray-200 ${TAG_COLORS[rule.color] || TAG_COLORS.gray}`}
+            title="Tag colour"
+          >
+            {Object.keys(TAG_COLORS).map(color => <option key={color} value={color}>{color}</option>)}
+          </select>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={() => (name.trim() ? onRename(name) : setName(rule.name))}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500"
+            title="Rename - using an existing tag's name merges the two"
+          />
+        </div>
+        <p className="text-xs text-gray-500">{count} conversation{count === 1 ? '' : 's'}</p>
+      </div>
+      
+      {/* 29.4.3?? Keyword rules */}
+      <div className="md:col-span-5 space-y-2">
+        <select
+          value={rule.match}
+          onChange={(e) => onUpdate({ match: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-xs text-gray-700 bg-white"
+        >
+          <option value="word">Whole words and phrases</option>
+          <option value="regex">Regular expressions</option>
+        </select>
+        <textarea
+          value={keywordsText}
+          onChange={(e) => setKeywordsText(e.target.value)}
+          onBlur={saveKeywords}
+          rows={3}
+          placeholder="One keyword per line (leave empty for a manual-only tag)"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xs font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {invalidKeywords.length > 0 && (
+          <p className="flex items-center space-x-1 text-xs text-red-600">
+            <AlertCircle className="w-3 h-3" />
+            <span>Not a valid regular expression: {invalidKeywords.join(', ')}</span>
+          </p>
+        )}
+      </div>
+      
+      {/* 29.4.4?? Merge and delete */}
+      <div className="md:col-span-3 flex items-center space-x-2">
+        <select
+          value=""
+          onChange={(e) => e.target.value && onRename(e.target.value)}
+          className="flex-1 px-2 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white"
+        >
+          <option value="">Merge into...</option>
+          {otherTags.map(tag => <option key={tag} value={tag}>#{tag}</option>)}
+        </select>
+        <button
+          onClick={onDelete}
+          className="px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 3??0?? LIBRARY SIDEBAR COMPONENT
+// Collections and saved searches; picking one narrows whatever view is open
+const LibrarySidebar = ({ conversations, collections, savedSearches, savedSearchCounts, activeCollectionId, activeSavedSearchId, onSelectCollection, onCreateCollection, onRenameCollection, onDeleteCollection, onApplySavedSearch, onDeleteSavedSearch, onSaveSearch }) => {
+  const [newCollectionName, setNewCollectionName] = useState(''); // Name typed into the "new collection" box
+  const [creating, setCreating] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, name } of the collection being renamed
+  
+  // 30.1?? How many conversations are in each collection
+  const collectionCounts = useMemo(() => {
+    const counts = {};
+    conversations.forEach(conv => (conv.collectionIds || []).forEach(id => { counts[id] = (counts[id] || 0) + 1; }));
+    return counts;
+  }, [conversations]);
+  
+  const submitNewCollection = (e) => {
+    e.preventDefault();
+    onCreateCollection(newCollectionName);
+    setNewCollectionName('');
+    setCreating(false);
+  };
+  
+  const submitRename = (e) => {
+    e.preventDefault();
+    onRenameCollection(editing.id, editing.name);
+    setEditing(null);
+  };
+  
+  const itemClass = (active) => `group flex items-center justify-between px-3 py-2 rounded-lg text-sm cursor-pointer transition-colors ${
+    active ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-50'
+  }`;
+  
+  return (
+    <aside className="lg:w-64 flex-shrink-0 space-y-6">
+      {/* 30.2?? Collections */}
+      <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-900">Collections</h3>
+          <button
+            onClick={() => setCreating(!creating)}
+            className="p-1 text-gray-500 hover:text-blue-600 rounded transition-colors"
+            title="New collection"
+          >
+            <FolderPlus className="w-4 h-4" />
+          </button>
+        </div>
+        
+        <div className={itemClass(!activeCollectionId)} onClick={() => onSelectCollection(null)}>
+          <span className="flex items-center space-x-2">
+            <MessageSquare className="w-4 h-4" />
+            <span>All conversations</span>
+          </span>
+          <span className="text-xs text-gray-500">{conversations.length}</span>
+        </div>
+        
+        {collections.map(collection => (editing && editing.id === collection.id ? (
+          <form key={collection.id} onSubmit={submitRename} className="px-1 py-1">
+            <input
+              type="text"
+              autoFocus
+              value={editing.name}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              onBlur={submitRename}
+              className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </form>
+        ) : (
+          <div key={collection.id} className={itemClass(activeCollectionId === collection.id)} onClick={() => onSelectCollection(collection.id)}>
+            <span className="flex items-center space-x-2 min-w-0">
+              <Folder className="w-4 h-4 flex-shrink-0" />
+              <span className="truncate">{collection.name}</span>
+            </span>
+            <span className="flex items-center space-x-1">
+              {/* 30.2.1?? Rename and delete show on hover */}
+              <button
+                onClick={(e) => { e.stopPropagation(); setEditing({ id: collection.id, name: collection.name }); }}
+                className="hidden group-hover:block p-1 text-gray-400 hover:text-gray-700"
+                title="Rename"
+              >
+                <Pencil className="w-3 h-3" />
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); onDeleteCollection(collection.id); }}
+                className="hidden group-hover:block p-1 text-gray-400 hover:text-red-600"
+                title="Delete collection (its conversations are kept)"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+              <span className="text-xs text-gray-500">{collectionCounts[collection.id] || 0}</span>
+            </span>
+          </div>
+        )))}
+        
+        {creating && (
+          <form onSubmit={submitNewCollection} className="mt-2">
+            <input
+              type="text"
+              autoFocus
+              value={newCollectionName}
+              onChange={(e) => setNewCollectionName(e.target.value)}
+              placeholder="Project, client, course..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </form>
+        )}
+        {collections.length === 0 && !creating && (
+          <p className="mt-2 px-3 text-xs text-gray-500">
+            Group conversations by project, client or course, then add them from a conversation's details.
+          </p>
+        )}
+      </div>
+      
+      {/* 30.3?? Saved searches - counts stay current as new conversations are imported */}
+      <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-900">Saved searches</h3>
+          <button
+            onClick={onSaveSearch}
+            className="p-1 text-gray-500 hover:text-blue-600 rounded transition-colors"
+            title="Save the current search"
+          >
+            <BookmarkPlus className="w-4 h-4" />
+          </button>
+        </div>
+        
+        {savedSearches.map(savedSearch => (
+          <div key={savedSearch.id} className={itemClass(activeSavedSearchId === savedSearch.id)} onClick={() => onApplySavedSearch(savedSearch)}>
+            <span className="flex items-center space-x-2 min-w-0" title={savedSearch.searchTerm || 'No search text'}>
+              <Bookmark className="w-4 h-4 flex-shrink-0" />
+              <span className="truncate">{savedSearch.name}</span>
+            </span>
+            <span className="flex items-center space-x-1">
+              <button
+                onClick={(e) => { e.stopPropagation(); onDeleteSavedSearch(savedSearch.id); }}
+                className="hidden group-hover:block p-1 text-gray-400 hover:text-red-600"
+                title="Delete saved search"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+              <span className="text-xs text-gray-500">{savedSearchCounts[savedSearch.id] || 0}</span>
+            </span>
+          </div>
+        ))}
+        {savedSearches.length === 0 && (
+          <p className="px-3 text-xs text-gray-500">
+            Save a search with its platforms, tags, dates and quality to come back to it in one click.
+          </p>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+// 3??1?? SAVE SEARCH DIALOG COMPONENT
+// Names the current search; tags, date range and quality can be set here too
+const SaveSearchDialog = ({ searchTerm, platformNames, filters, knownTags, onSave, onClose }) => {
+  const [name, setName] = useState(searchTerm.trim());
+  const [draft, setDraft] = useState(filters);
+  
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const toggleTag = (tag) => update({
+    tags: draft.tags.includes(tag) ? draft.tags.filter(other => other !== tag) : [...draft.tags, tag]
+  });
+  
+  const submit = (e) => {
+    e.preventDefault();
+    if (name.trim()) onSave(name, draft);
+  };
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <form onSubmit={submit} className="bg-white rounded-lg max-w-lg w-full shadow-xl">
+        {/* 31.1?? Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">Save search</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-8 h-8 flex items-center justify-center rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        
+        {/* 31.2?? Name, what's being saved, and the extra filters */}
+        <div className="p-6 space-y-4">
+          <input
+            type="text"
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name this search"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="text-sm text-gray-600 space-y-1">
+            <p><span className="font-medium">Search:</span> {searchTerm.trim() || 'everything'}</p>
+            <p><span className="font-medium">Platforms:</span> {platformNames.join(', ') || 'none'}</p>
+          </div>
+          
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Must have tags</p>
+            <div className="flex flex-wrap gap-2">
+              {knownTags.map(tag => (
+                <button
+                  key={tag}
+                  type="button"
+                  onClick={() => toggleTag(tag)}
+                  className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                    draft.tags.includes(tag) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          </div>
+          
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              From
+              <input type="date" value={draft.dateFrom} onChange={(e) => update({ dateFrom: e.target.value, datePreset: '' })} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm" />
+            </label>
+            <label className="text-sm text-gray-700">
+              To
+              <input type="date" value={draft.dateTo} onChange={(e) => update({ dateTo: e.target.value, datePreset: '' })} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Quality from
+              <select value={draft.minQuality} onChange={(e) => update({ minQuality: Number(e.target.value) })} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white">
+                {[1, 2, 3, 4, 5].filter(value => value <= draft.maxQuality).map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Quality to
+              <select value={draft.maxQuality} onChange={(e) => update({ maxQuality: Number(e.target.value) })} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white">
+                {[1, 2, 3, 4, 5].filter(value => value >= draft.minQuality).map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+        
+        {/* 31.3?? Actions */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!name.trim()}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Bookmark className="w-4 h-4" />
+            <span>Save search</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// 3??2?? HIGHLIGHTS VIEW COMPONENT
+// Every highlighted passage across the library, grouped by the day it was highlighted
+const HighlightsView = ({ conversations, onOpenConversation, platforms = PLATFORMS, locale }) => {
+  // 32.1?? Newest first, then grouped by day
+  const groups = useMemo(() => {
+    const byDay = new Map();
+    collectHighlights(conversations).forEach(entry => {
+      const day = entry.highlight.createdAt.toDateString();
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(entry);
+    });
+    return [...byDay];
+  }, [conversations]);
+  
+  if (groups.length === 0) {
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-12 text-center text-gray-500">
+        <Highlighter className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+        <p>No highlights yet.</p>
+        <p className="text-sm">Open a conversation and select text in any message to highlight it.</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="space-y-8">
+      {groups.map(([day, entries]) => (
+        <div key={day}>
+          <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">
+            {entries[0].highlight.createdAt.toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+          </h3>
+          <div className="space-y-3">
+            {entries.map(({ highlight, conversation }) => {
+              const platform = getPlatform(platforms, conversation.platform);
+              return (
+                <div
+                  key={highlight.id}
+                  onClick={() => onOpenConversation(conversation)}
+                  className="bg-white rounded-lg border border-gray-200 shadow-sm p-4 cursor-pointer hover:shadow-md transition-shadow"
+                >
+                  {/* 32.2?? The passage and the comment on it */}
+                  <blockquote className="pl-3 border-l-4 border-yellow-400 text-gray-800 whitespace-pre-wrap line-clamp-4">
+                    {highlight.text}
+                  </blockquote>
+                  {highlight.comment && <p className="mt-2 text-sm text-gray-600 italic">{highlight.comment}</p>}
+                  
+                  {/* 32.3?? Which conversation it came from */}
+                  <div className="flex items-center space-x-2 mt-3 text-xs text-gray-500">
+                    <span className={`w-5 h-5 ${platform.bgClass} rounded flex items-center justify-center text-white font-medium`}>
+                      {platform.icon}
+                    </span>
+                    <span className="font-medium text-gray-700 truncate">{conversation.title}</span>
+                    <span>-</span>
+                    <span>{formatConversationDate(conversation, locale)}</span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// 3??3?? CODE BLOCK COMPONENT
+// Syntax-highlighted code with its language and a copy button
+const CODE_TOKEN_CLASSES = {
+  plain: '',
+  keyword: 'text-purple-300',
+  string: 'text-green-300',
+  comment: 'text-gray-500 italic',
+  number: 'text-orange-300'
+};
+
+const CodeBlock = ({ language, code, onCopy }) => {
+  const [copied, setCopied] = useState(false);
+  const tokens = useMemo(() => highlightCode(code, language), [code, language]);
+  
+  const copy = () => {
+    Promise.resolve(onCopy && onCopy(code)).then(success => {
+      if (!success) return;
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+  };
+  
+  return (
+    <div className="my-2 rounded-lg overflow-hidden bg-gray-900 text-left whitespace-normal">
+      {/* 33.1?? Language and copy button */}
+      <div className="flex items-center justify-between px-3 py-1 bg-gray-800 text-xs text-gray-300">
+        <span className="font-mono">{language}</span>
+        {onCopy && (
+          <button onClick={copy} className="flex items-center space-x-1 hover:text-white transition-colors">
+            {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+            <span>{copied ? 'Copied' : 'Copy'}</span>
+          </button>
+        )}
+      </div>
+      {/* 33.2?? Highlighted code */}
+      <pre className="p-3 overflow-x-auto text-xs leading-relaxed text-gray-100">
+        <code>
+          {tokens.map((token, i) => <span key={i} className={CODE_TOKEN_CLASSES[token.type]}>{token.text}</span>)}
+        </code>
+      </pre>
+    </div>
+  );
+};
+
+// 3??4?? SNIPPETS VIEW COMPONENT
+// Search and filter every code block in the library by text, language,
+// platform and date
+const SNIPPETS_PAGE_SIZE = 50;
+
+const SnippetsView = ({ conversations, onOpenConversation, onCopyCode, platforms = PLATFORMS, locale }) => {
+  const [query, setQuery] = useState('');
+  const [language, setLanguage] = useState('all');
+  const [platformId, setPlatformId] = useState('all');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [visibleCount, setVisibleCount] = useState(SNIPPETS_PAGE_SIZE);
+  
+  const snippets = useMemo(() => collectSnippets(conversations), [conversations]);
+  
+  // 34.1?? Languages present, most common first
+  const languages = useMemo(() => {
+    const counts = {};
+    snippets.forEach(({ block }) => { counts[block.language] = (counts[block.language] || 0) + 1; });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  }, [snippets]);
+  
+  // 34.2?? Snippets passing every filter
+  const matching = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const dates = { ...DEFAULT_FILTERS, dateFrom, dateTo };
+    return snippets.filter(({ block, conversation }) => (
+      (language === 'all' || block.language === language)
+      && (platformId === 'all' || conversation.platform === platformId)
+      && matchesFilters(conversation, dates)
+      && (!needle || block.code.toLowerCase().includes(needle) || conversation.title.toLowerCase().includes(needle))
+    ));
+  }, [snippets, query, language, platformId, dateFrom, dateTo]);
+  
+  // Back to the first page whenever the filters change
+  useEffect(() => {
+    setVisibleCount(SNIPPETS_PAGE_SIZE);
+  }, [query, language, platformId, dateFrom, dateTo]);
+  
+  return (
+    <div className="space-y-6">
+      {/* 34.3?? Filters */}
+      <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-4 flex flex-wrap items-center gap-3">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search code..."
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <select value={language} onChange={(e) => setLanguage(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white">
+          <option value="all">All languages</option>
+          {languages.map(([name, count]) => <option key={name} value={name}>{name} ({count})</option>)}
+        </select>
+        <select value={platformId} onChange={(e) => setPlatformId(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white">
+          <option value="all">All platforms</option>
+          {Object.entries(platforms).map(([key, platform]) => <option key={key} value={key}>{platform.name}</option>)}
+        </select>
+        <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm" title="From" />
+        <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm" title="To" />
+        <span className="text-sm text-gray-500">{matching.length.toLocaleString()} of {snippets.length.toLocaleString()} snippets</span>
+      </div>
+      
+      {/* 34.4?? Results */}
+      {matching.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-12 text-center text-gray-500">
+          <Code className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+          <p>{snippets.length === 0 ? 'No code blocks in your library yet.' : 'No snippets match these filters.'}</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {matching.slice(0, visibleCount).map(({ key, block, conversation }) => {
+            const platform = getPlatform(platforms, conversation.platform);
+            return (
+              <div key={key} className="bg-white rounded-lg border border-gray-200 shadow-sm p-4">
+                <button
+                  onClick={() => onOpenConversation(conversation)}
+                  className="flex items-center space-x-2 mb-2 text-sm text-left hover:text-blue-600"
+                >
+                  <span className={`w-5 h-5 ${platform.bgClass} rounded flex items-center justify-center text-white text-xs font-medium`}>
+                    {platform.icon}
+                  </span>
+                  <span className="font-medium text-gray-900 truncate">{conversation.title}</span>
+                  <span className="text-gray-500">{formatConversationDate(conversation, locale)}</span>
+                </button>
+                <div className="max-h-96 overflow-y-auto">
+                  <CodeBlock language={block.language} code={block.code} onCopy={onCopyCode} />
+                </div>
+              </div>
+            );
+          })}
+          {matching.length > visibleCount && (
+            <button
+              onClick={() => setVisibleCount(visibleCount + SNIPPETS_PAGE_SIZE)}
+              className="w-full py-3 bg-white border border-gray-200 rounded-lg text-sm text-gray-600 hover:bg-gray-50 transition-colors"
+            >
+              Show more ({(matching.length - visibleCount).toLocaleString()} left)
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 3??6?? SETTINGS DIALOG COMPONENT
+// Preferences saved in this browser. Changes apply when saved.
+const COMMON_LOCALES = ['en-US', 'en-GB', 'en-AU', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'pt-BR', 'sv-SE', 'pl-PL', 'ja-JP', 'zh-CN', 'ko-KR'];
+const WEEK_STARTS = [[0, 'Sunday'], [1, 'Monday'], [6, 'Saturday']];
+const TIME_ZONES = listTimeZones();
+const NEW_PLATFORM = { name: '', icon: '', colorId: 'indigo', url: '' };
+
+const SettingsDialog = ({ summarizer, qualityWeights, preferences, scopes, accounts, builtInPlatforms, conversations, current, pendingSummaries, onSave, onResummarizeAll, onClose }) => {
+  const [draft, setDraft] = useState(summarizer);
+  const [weights, setWeights] = useState(qualityWeights);
+  const [prefs, setPrefs] = useState(preferences);
+  const [newPlatform, setNewPlatform] = useState(NEW_PLATFORM);
+  const [scopeDrafts, setScopeDrafts] = useState(scopes);
+  const [newScopeName, setNewScopeName] = useState('');
+  const [connection, setConnection] = useState(null); // { state: 'checking' | 'ok' | 'error', message }
+  
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const updatePrefs = (changes) => setPrefs(prev => ({ ...prev, ...changes }));
+  
+  // 36.1.1?? Platforms as they'll be once saved, and how many conversations each has
+  const allPlatforms = buildPlatforms(builtInPlatforms, prefs.customPlatforms);
+  const platformCounts = useMemo(() => {
+    const counts = {};
+    conversations.forEach(conv => { counts[conv.platform] = (counts[conv.platform] || 0) + 1; });
+    return counts;
+  }, [conversations]);
+  const previewLocale = resolveLocale(prefs.locale);
+  const previewTimeZone = resolveTimeZone(prefs.timeZone);
+  const blankPlatformName = prefs.customPlatforms.some(platform => !platform.name.trim());
+  
+  const updateCustomPlatform = (platformId, changes) => updatePrefs({
+    customPlatforms: prefs.customPlatforms.map(platform => (platform.id === platformId ? { ...platform, ...changes } : platform))
+  });
+  
+  const addCustomPlatform = (e) => {
+    e.preventDefault();
+    updatePrefs({ customPlatforms: [...prefs.customPlatforms, createCustomPlatform(newPlatform, Object.keys(allPlatforms))] });
+    setNewPlatform(NEW_PLATFORM);
+  };
+  
+  // null means "every platform", so ones added later are shown too
+  const toggleDefaultPlatform = (platformId) => {
+    const selected = prefs.defaultPlatforms || Object.keys(allPlatforms);
+    const next = selected.includes(platformId) ? selected.filter(id => id !== platformId) : [...selected, platformId];
+    updatePrefs({ defaultPlatforms: Object.keys(allPlatforms).every(id => next.includes(id)) ? null : next });
+  };
+  
+  // 36.1.2?? Scope edits; an empty list means "any"
+  const updateScope = (scopeId, changes) => setScopeDrafts(prev => prev.map(scope => (scope.id === scopeId ? { ...scope, ...changes } : scope)));
+  
+  const toggleInScope = (scope, list, value) => updateScope(scope.id, {
+    [list]: scope[list].includes(value) ? scope[list].filter(other => other !== value) : [...scope[list], value]
+  });
+  
+  const addScope = (e) => {
+    e.preventDefault();
+    setScopeDrafts(prev => [...prev, createScope(newScopeName)]);
+    setNewScopeName('');
+  };
+  
+  const removeScope = (scopeId) => {
+    setScopeDrafts(prev => prev.filter(scope => scope.id !== scopeId));
+    if (prefs.defaultScopeId === scopeId) updatePrefs({ defaultScopeId: null });
+  };
+  
+  const toggleShareRedaction = (ruleId) => updatePrefs({
+    shareRedactions: prefs.shareRedactions.includes(ruleId)
+      ? prefs.shareRedactions.filter(id => id !== ruleId)
+      : [...prefs.shareRedactions, ruleId]
+  });
+  
+  const checkConnection = () => {
+    setConnection({ state: 'checking', message: 'Connecting...' });
+    listEndpointModels(draft)
+      .then(models => setConnection({
+        state: 'ok',
+        message: models.length > 0 ? `Connected - models: ${models.join(', ')}` : 'Connected'
+      }))
+      .catch(error => setConnection({ state: 'error', message: `Could not connect: ${error.message}` }));
+  };
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-xl">
+        {/* 36.1?? Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">Settings</h2>
+          <button
+            onClick={onClose}
+            className="w-8 h-8 flex items-center justify-center rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        
+        {/* 36.2?? Summaries */}
+        <div className="p-6 space-y-4">
+          <div>
+            <h3 className="font-semibold text-gray-900">Summaries</h3>
+            <p className="text-sm text-gray-600">
+              Written in the background after each import.
+              {pendingSummaries > 0 && ` ${pendingSummaries.toLocaleString()} conversations are waiting for one.`}
+            </p>
+          </div>
+          
+          <label className="flex items-start space-x-3 p-3 border border-gray-200 rounded-lg cursor-pointer">
+            <input type="radio" checked={draft.engine === 'extractive'} onChange={() => update({ engine: 'extractive' })} className="mt-1" />
+            <span>
+              <span className="block text-sm font-medium text-gray-900">Offline</span>
+              <span className="block text-sm text-gray-600">Picks the key sentences from the assistant's answers. Nothing leaves this browser.</span>
+            </span>
+          </label>
+          
+          <label className="flex items-start space-x-3 p-3 border border-gray-200 rounded-lg cursor-pointer">
+            <input type="radio" checked={draft.engine === 'openai'} onChange={() => update({ engine: 'openai' })} className="mt-1" />
+            <span>
+              <span className="block text-sm font-medium text-gray-900">Local model server</span>
+              <span className="block text-sm text-gray-600">
+                Any OpenAI-compatible endpoint, such as Ollama or llama.cpp's llama-server. The server must allow requests
+                from this page (for Ollama, set OLLAMA_ORIGINS).
+              </span>
+            </span>
+          </label>
+          
+          {draft.engine === 'openai' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pl-3">
+              <label className="text-sm text-gray-700 md:col-span-2">
+                Endpoint
+                <input
+                  type="url"
+                  value={draft.endpoint}
+                  onChange={(e) => update({ endpoint: e.target.value })}
+                  placeholder="http://localhost:11434/v1"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Model
+                <input
+                  type="text"
+                  value={draft.model}
+                  onChange={(e) => update({ model: e.target.value })}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                API key (optional)
+                <input
+                  type="password"
+                  value={draft.apiKey}
+                  onChange={(e) => update({ apiKey: e.target.value })}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                />
+              </label>
+              <div className="md:col-span-2 flex items-center space-x-3">
+                <button
+                  onClick={checkConnection}
+                  className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+                >
+                  Test connection
+                </button>
+                {connection && (
+                  <span className={`text-sm ${
+                    connection.state === 'ok' ? 'text-green-700' : connection.state === 'error' ? 'text-red-700' : 'text-gray-500'
+                  }`}>
+                    {connection.message}
+                  </span>
+                )}
+              </div>
+            </div>
+          )}
+          
+          <button
+            onClick={onResummarizeAll}
+            className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+          >
+            Summarize every conversation again
+          </button>
+        </div>
+        
+        {/* 36.3?? Quality score weights */}
+        <div className="p-6 space-y-4 border-t border-gray-200">
+          <div>
+            <h3 className="font-semibold text-gray-900">Quality score</h3>
+            <p className="text-sm text-gray-600">
+              How much each signal counts towards a conversation's stars. 0 ignores it. Scores you set by hand are kept.
+            </p>
+          </div>
+          {QUALITY_SIGNALS.map(signal => (
+            <label key={signal.id} className="grid grid-cols-12 items-center gap-3 text-sm">
+              <span className="col-span-4 text-gray-700" title={signal.description}>{signal.label}</span>
+              <input
+                type="range"
+                min="0"
+                max="3"
+                step="0.5"
+                value={weights[signal.id]}
+                onChange={(e) => setWeights({ ...weights, [signal.id]: Number(e.target.value) })}
+                className="col-span-7"
+              />
+              <span className="col-span-1 text-right font-medium text-gray-900">{weights[signal.id]}</span>
+            </label>
+          ))}
+          <button
+            onClick={() => setWeights(DEFAULT_QUALITY_WEIGHTS)}
+            className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+          >
+            Reset to defaults
+          </button>
+        </div>
+        
+        {/* 36.4?? Platforms - the built-in ones plus the user's own */}
+        <div className="p-6 space-y-4 border-t border-gray-200">
+          <div>
+            <h3 className="font-semibold text-gray-900">Platforms</h3>
+            <p className="text-sm text-gray-600">
+              Add assistants without a built-in importer, such as an internal chatbot, Copilot or Mistral. Pick one when
+              importing to file conversations under it.
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(builtInPlatforms).map(([key, platform]) => (
+              <span key={key} className="flex items-center space-x-2 px-3 py-1 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+                <span className={`w-5 h-5 ${platform.bgClass} rounded flex items-center justify-center text-white text-xs font-medium`}>{platform.icon}</span>
+                <span>{platform.name}</span>
+              </span>
+            ))}
+          </div>
+          
+          {prefs.customPlatforms.map(platform => {
+            const count = platformCounts[platform.id] || 0;
+            return (
+              <div key={platform.id} className="grid grid-cols-12 items-center gap-2">
+                <span className={`col-span-1 w-8 h-8 ${allPlatforms[platform.id].bgClass} rounded-lg flex items-center justify-center text-white text-sm font-medium`}>
+                  {platform.icon}
+                </span>
+                <input
+                  type="text"
+                  value={platform.name}
+                  onChange={(e) => updateCustomPlatform(platform.id, { name: e.target.value })}
+                  className="col-span-3 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                  title="Name"
+                />
+                <input
+                  type="text"
+                  value={platform.icon}
+                  maxLength={2}
+                  onChange={(e) => updateCustomPlatform(platform.id, { icon: e.target.value })}
+                  className="col-span-1 px-2 py-1 border border-gray-300 rounded-lg text-sm text-center"
+                  title="Icon (one or two characters)"
+                />
+                <select
+                  value={platform.colorId}
+                  onChange={(e) => updateCustomPlatform(platform.id, { colorId: e.target.value })}
+                  className="col-span-2 px-2 py-1 border border-gray-300 rounded-lg text-sm bg-white"
+                >
+                  {Object.entries(PLATFORM_COLORS).map(([colorId, color]) => <option key={colorId} value={colorId}>{color.label}</option>)}
+                </select>
+                <input
+                  type="url"
+                  value={platform.url}
+                  onChange={(e) => updateCustomPlatform(platform.id, { url: e.target.value })}
+                  placeholder="New chat link (optional)"
+                  className="col-span-4 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                />
+                <button
+                  onClick={() => updatePrefs({ customPlatforms: prefs.customPlatforms.filter(other => other.id !== platform.id) })}
+                  disabled={count > 0}
+                  className="col-span-1 p-1 text-gray-400 hover:text-red-600 disabled:opacity-40 disabled:hover:text-gray-400"
+                  title={count > 0 ? `${count.toLocaleString()} conversations use this platform` : 'Delete platform'}
+                >
+                  <Trash2 className="w-4 h-4 mx-auto" />
+                </button>
+              </div>
+            );
+          })}
+          
+          <form onSubmit={addCustomPlatform} className="grid grid-cols-12 items-center gap-2">
+            <input
+              type="text"
+              value={newPlatform.name}
+              onChange={(e) => setNewPlatform({ ...newPlatform, name: e.target.value })}
+              placeholder="New platform name"
+              className="col-span-4 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="text"
+              value={newPlatform.icon}
+              maxLength={2}
+              onChange={(e) => setNewPlatform({ ...newPlatform, icon: e.target.value })}
+              placeholder="Icon"
+              className="col-span-1 px-2 py-1 border border-gray-300 rounded-lg text-sm text-center"
+            />
+            <select
+              value={newPlatform.colorId}
+              onChange={(e) => setNewPlatform({ ...newPlatform, colorId: e.target.value })}
+              className="col-span-2 px-2 py-1 border border-gray-300 rounded-lg text-sm bg-white"
+            >
+              {Object.entries(PLATFORM_COLORS).map(([colorId, color]) => <option key={colorId} value={colorId}>{color.label}</option>)}
+            </select>
+            <input
+              type="url"
+              value={newPlatform.url}
+              onChange={(e) => setNewPlatform({ ...newPlatform, url: e.target.value })}
+              placeholder="New chat link (optional)"
+              className="col-span-3 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            />
+            <button
+              type="submit"
+              disabled={!newPlatform.name.trim()}
+              className="col-span-2 px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Add
+            </button>
+          </form>
+        </div>
+        
+        {/* 36.4.1?? Sources - accounts seen in imports, and named scopes over them */}
+        <div className="p-6 space-y-4 border-t border-gray-200">
+          <div>
+            <h3 className="font-semibold text-gray-900">Sources</h3>
+            <p className="text-sm text-gray-600">
+              Each import is labelled with an account. Group platforms and accounts into scopes, such as "Work accounts"
+              or "Personal", and switch between them in the header. Leave a list empty to include everything.
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {accounts.map(account => (
+              <span key={account.accountId} className="px-3 py-1 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+                {account.accountId}
+                <span className="text-gray-500"> - {account.count.toLocaleString()} on {account.platforms.map(id => getPlatform(allPlatforms, id).name).join(', ')}</span>
+              </span>
+            ))}
+            {accounts.length === 0 && <span className="text-sm text-gray-500">No accounts yet - import an export first.</span>}
+          </div>
+          
+          {scopeDrafts.map(scope => (
+            <div key={scope.id} className="p-3 border border-gray-200 rounded-lg space-y-3">
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={scope.name}
+                  onChange={(e) => updateScope(scope.id, { name: e.target.value })}
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-sm font-medium"
+                  title="Scope name"
+                />
+                <button onClick={() => removeScope(scope.id)} className="p-1 text-gray-400 hover:text-red-600" title="Delete scope">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(allPlatforms).map(([key, platform]) => (
+                  <button
+                    key={key}
+                    onClick={() => toggleInScope(scope, 'platforms', key)}
+                    className={`px-3 py-1 rounded-full text-xs transition-colors ${
+                      scope.platforms.includes(key) ? `${platform.bgClass} text-white` : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {platform.name}
+                  </button>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {accounts.map(({ accountId }) => (
+                  <button
+                    key={accountId}
+                    onClick={() => toggleInScope(scope, 'accountIds', accountId)}
+                    className={`px-3 py-1 rounded-full text-xs transition-colors ${
+                      scope.accountIds.includes(accountId) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {accountId}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">{describeScope(scope, id => getPlatform(allPlatforms, id).name)}</p>
+            </div>
+          ))}
+          
+          <form onSubmit={addScope} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={newScopeName}
+              onChange={(e) => setNewScopeName(e.target.value)}
+              placeholder="New scope, e.g. Work accounts"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <button
+              type="submit"
+              disabled={!newScopeName.trim()}
+              className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Add scope
+            </button>
+          </form>
+        </div>
+        
+        {/* 36.5?? Display - locale, first day of the week and import time zone */}
+        <div className="p-6 space-y-4 border-t border-gray-200">
+          <h3 className="font-semibold text-gray-900">Display</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              Date format (locale)
+              <input
+                type="text"
+                list="settings-locales"
+                value={prefs.locale}
+                onChange={(e) => updatePrefs({ locale: e.target.value.trim() })}
+                placeholder="Browser default"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <datalist id="settings-locales">
+                {COMMON_LOCALES.map(code => <option key={code} value={code} />)}
+              </datalist>
+              <span className={`block mt-1 text-xs ${prefs.locale && !previewLocale ? 'text-red-700' : 'text-gray-500'}`}>
+                {prefs.locale && !previewLocale
+                  ? 'Unknown locale - the browser default is used instead'
+                  : new Date().toLocaleDateString(previewLocale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+              </span>
+            </label>
+            <label className="text-sm text-gray-700">
+              Weeks start on
+              <select
+                value={prefs.weekStart}
+                onChange={(e) => updatePrefs({ weekStart: Number(e.target.value) })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              >
+                {WEEK_STARTS.map(([day, label]) => <option key={day} value={day}>{label}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Time zone of imported exports
+              <input
+                type="text"
+                list="settings-time-zones"
+                value={prefs.timeZone}
+                onChange={(e) => updatePrefs({ timeZone: e.target.value.trim() })}
+                placeholder="Browser default"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <datalist id="settings-time-zones">
+                {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+              </datalist>
+              <span className={`block mt-1 text-xs ${prefs.timeZone && !previewTimeZone ? 'text-red-700' : 'text-gray-500'}`}>
+                {prefs.timeZone && !previewTimeZone
+                  ? 'Unknown time zone - the browser default is used instead'
+                  : 'Used for export times written without a zone. Applies to the next import.'}
+              </span>
+            </label>
+          </div>
+        </div>
+        
+        {/* 36.6?? Start-up defaults */}
+        <div className="p-6 space-y-4 border-t border-gray-200">
+          <div className="flex items-start justify-between">
+            <div>
+              <h3 className="font-semibold text-gray-900">When the app opens</h3>
+              <p className="text-sm text-gray-600">The view, platforms and filters to start with.</p>
+            </div>
+            <button
+              onClick={() => updatePrefs({
+                defaultView: current.view,
+                defaultPlatforms: Object.keys(allPlatforms).every(id => current.platforms.includes(id)) ? null : current.platforms,
+                defaultFilters: current.filters
+              })}
+              className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+            >
+              Use what's on screen now
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              View
+              <select
+                value={prefs.defaultView}
+                onChange={(e) => updatePrefs({ defaultView: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              >
+                {VIEWS.map(v => <option key={v} value={v}>{v.charAt(0).toUpperCase() + v.slice(1)}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Sources
+              <select
+                value={prefs.defaultScopeId || ''}
+                onChange={(e) => updatePrefs({ defaultScopeId: e.target.value || null })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              >
+                <option value="">All sources</option>
+                {scopeDrafts.map(scope => <option key={scope.id} value={scope.id}>{scope.name || 'Unnamed scope'}</option>)}
+              </select>
+            </label>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Platforms</p>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(allPlatforms).map(([key, platform]) => (
+                <button
+                  key={key}
+                  onClick={() => toggleDefaultPlatform(key)}
+                  className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                    !prefs.defaultPlatforms || prefs.defaultPlatforms.includes(key)
+                      ? `${platform.bgClass} text-white`
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {platform.name}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Filters</p>
+            <div className="flex flex-wrap items-center gap-2">
+              {describeFilters(prefs.defaultFilters).map(chip => (
+                <span key={chip.key} className="flex items-center space-x-1 px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm">
+                  <span>{chip.label}</span>
+                  <button
+                    onClick={() => updatePrefs({ defaultFilters: { ...prefs.defaultFilters, ...chip.clear } })}
+                    className="opacity-60 hover:opacity-100"
+                    title="Remove filter"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+              {describeFilters(prefs.defaultFilters).length === 0 && (
+                <span className="text-sm text-gray-500">None - set filters on the main page, then use "Use what's on screen now".</span>
+              )}
+            </div>
+          </div>
+        </div>
+        
+        {/* 36.7?? Privacy */}
+        <div className="p-6 space-y-3 border-t border-gray-200">
+          <div>
+            <h3 className="font-semibold text-gray-900">Privacy</h3>
+            <p className="text-sm text-gray-600">What the share dialog hides unless you untick it.</p>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            {REDACTION_RULES.map(rule => (
+              <label key={rule.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="checkbox" checked={prefs.shareRedactions.includes(rule.id)} onChange={() => toggleShareRedaction(rule.id)} />
+                <span>{rule.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        
+        {/* 36.8?? Actions */}
+        <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({
+              summarizer: draft,
+              qualityWeights: weights,
+              scopes: scopeDrafts.map(scope => ({ ...scope, name: scope.name.trim() || 'Unnamed scope' })),
+              preferences: {
+                ...prefs,
+                customPlatforms: prefs.customPlatforms.map(platform => ({ ...platform, name: platform.name.trim(), icon: platform.icon.trim() || platform.name.trim().slice(0, 2) }))
+              }
+            })}
+            disabled={blankPlatformName}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            title={blankPlatformName ? 'Every platform needs a name' : undefined}
+          >
+            Save settings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 3??7?? YEAR HEATMAP COMPONENT
+// Twelve months at a glance, one square per day, darker for busier days
+const YearHeatmap = ({ calendarData, month, weekStart, locale, selectedDate, onSelectDate }) => {
+  const weeks = useMemo(() => yearGrid(month, weekStart), [month, weekStart]);
+  const counts = weeks.map(week => week.map(day => (day ? (calendarData[day.toDateString()] || []).length : 0)));
+  const max = Math.max(0, ...counts.flat());
+  const total = counts.flat().reduce((sum, count) => sum + count, 0);
+  const labels = weekdayLabels(locale, weekStart);
+  
+  return (
+    <div className="space-y-3">
+      {/* 37.1?? Weekday labels, then one column per week with month names above */}
+      <div className="overflow-x-auto">
+        <div className="inline-flex space-x-1">
+          <div className="flex flex-col space-y-1 pt-5 pr-1">
+            {labels.map((label, i) => (
+              <div key={label} className="h-3 text-[10px] leading-3 text-gray-500">{i % 2 === 1 ? label : ''}</div>
+            ))}
+          </div>
+          {weeks.map((week, w) => {
+            const firstOfMonth = week.find(day => day && day.getDate() === 1);
+            return (
+              <div key={w} className="flex flex-col space-y-1">
+                <div className="h-4 w-3 text-[10px] text-gray-500 whitespace-nowrap">
+                  {firstOfMonth ? firstOfMonth.toLocaleDateString(locale, { month: 'short' }) : ''}
+                </div>
+                {week.map((day, d) => (day ? (
+                  <button
+                    key={d}
+                    onClick={() => onSelectDate(day)}
+                    className={`w-3 h-3 rounded-sm ${HEAT_CLASSES[heatLevel(counts[w][d], max)]} ${
+                      day.toDateString() === selectedDate.toDateString() ? 'ring-2 ring-offset-1 ring-blue-500' : 'hover:ring-1 hover:ring-gray-400'
+                    }`}
+                    title={`${counts[w][d]} conversation${counts[w][d] === 1 ? '' : 's'} on ${day.toLocaleDateString(locale, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}`}
+                  />
+                ) : (
+                  <div key={d} className="w-3 h-3" />
+                )))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      
+      {/* 37.2?? Total and legend */}
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>{total.toLocaleString()} conversations in these twelve months</span>
+        <span className="flex items-center space-x-1">
+          <span>Less</span>
+          {HEAT_CLASSES.map(heatClass => <span key={heatClass} className={`w-3 h-3 rounded-sm ${heatClass}`} />)}
+          <span>More</span>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// 3??8?? WEEK VIEW COMPONENT
+// Seven days side by side, with each conversation in the hour it started -
+// or, on later days of a long chat, the hour it picked up again
+const HOUR_ROW_PX = 40; // Height of one hour row (h-10)
+
+const WeekView = ({ calendarData, date, weekStart, locale, platforms, onSelectDate, onOpenConversation }) => {
+  const days = weekDays(date, weekStart);
+  const scrollRef = useRef(null);
+  const today = new Date().toDateString();
+  
+  // 38.1?? Open scrolled to the morning rather than midnight
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 7 * HOUR_ROW_PX;
+  }, []);
+  
+  // 38.2?? Each day's conversations sorted into hour slots
+  const slots = days.map(day => {
+    const byHour = Array.from({ length: 24 }, () => []);
+    (calendarData[day.toDateString()] || []).forEach(conv => {
+      const firstActivity = activeDays(conv).get(day.toDateString());
+      byHour[firstActivity.getHours()].push({ conv, firstActivity });
+    });
+    return byHour;
+  });
+  
+  return (
+    <div>
+      {/* 38.3?? Day headers - click to list that day's conversations */}
+      <div className="grid grid-cols-8 gap-1 mb-1">
+        <div />
+        {days.map(day => (
+          <button
+            key={day.toDateString()}
+            onClick={() => onSelectDate(day)}
+            className={`py-2 rounded-lg text-center text-sm transition-colors ${
+              day.toDateString() === date.toDateString() ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-100 text-gray-700'
+            }`}
+          >
+            <span className="block text-xs text-gray-500">{day.toLocaleDateString(locale, { weekday: 'short' })}</span>
+            <span className={`font-semibold ${day.toDateString() === today ? 'text-blue-600' : ''}`}>{day.getDate()}</span>
+          </button>
+        ))}
+      </div>
+      
+      {/* 38.4?? Hour rows */}
+      <div ref={scrollRef} className="max-h-[32rem] overflow-y-auto">
+        {Array.from({ length: 24 }, (_, hour) => (
+          <div key={hour} className="grid grid-cols-8 gap-1 h-10 border-t border-gray-100">
+            <div className="pr-2 text-right text-xs text-gray-400">
+              {new Date(2023, 0, 1, hour).toLocaleTimeString(locale, { hour: 'numeric' })}
+            </div>
+            {days.map((day, d) => {
+              const hourConversations = slots[d][hour];
+              const shown = hourConversations.length > 2 ? 1 : 2; // Leave room for "+N more"
+              return (
+                <div
+                  key={day.toDateString()}
+                  onClick={() => onSelectDate(day)}
+                  className="min-w-0 overflow-hidden py-0.5 space-y-0.5 rounded cursor-pointer hover:bg-gray-50"
+                >
+                  {hourConversations.slice(0, shown).map(({ conv, firstActivity }) => (
+                    <button
+                      key={conv.id}
+                      onClick={(e) => {
+                        e.stopPropagation(); // Open the conversation, not just the day
+                        onOpenConversation(conv);
+                      }}
+                      className={`block w-full px-1 rounded text-left text-[11px] leading-4 text-white truncate ${getPlatform(platforms, conv.platform).bgClass}`}
+                      title={`${firstActivity.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })} ${conv.title}`}
+                    >
+                      {conv.title}
+                    </button>
+                  ))}
+                  {hourConversations.length > shown && (
+                    <div className="px-1 text-[10px] leading-3 text-gray-500">+{hourConversations.length - shown} more</div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// 3??9?? DAY AGENDA COMPONENT
+// The selected day in time order, with each conversation's summary. Chats
+// carried over from an earlier day are listed when they picked up again.
+const DayAgenda = ({ conversations, date, locale, platforms, onOpenConversation }) => {
+  const dayKey = date.toDateString();
+  const sorted = conversations
+    .map(conv => ({ conv, firstActivity: activeDays(conv).get(dayKey) }))
+    .sort((a, b) => a.firstActivity.getTime() - b.firstActivity.getTime());
+  
+  if (sorted.length === 0) {
+    return (
+      <div className="py-12 text-center text-gray-500">
+        <Clock className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+        <p>No conversations on this day</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="space-y-3">
+      {sorted.map(({ conv, firstActivity }) => {
+        const platform = getPlatform(platforms, conv.platform);
+        const continued = conv.date.toDateString() !== dayKey;
+        return (
+          <button
+            key={conv.id}
+            onClick={() => onOpenConversation(conv)}
+            className="w-full flex items-stretch space-x-4 p-3 border border-gray-200 rounded-lg text-left hover:bg-gray-50 transition-colors"
+          >
+            <span className="w-16 flex-shrink-0 text-sm font-medium text-gray-500">
+              {firstActivity.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })}
+            </span>
+            <span className={`w-1 flex-shrink-0 rounded-full ${platform.bgClass}`} />
+            <span className="flex-1 min-w-0">
+              <span className="block font-medium text-gray-900 truncate">{conv.title}</span>
+              <span className="block text-xs text-gray-500">
+                {platform.name} - {getMessages(conv).length} messages
+                {continued && ` - continued from ${conv.date.toLocaleDateString(locale, { month: 'short', day: 'numeric' })}`}
+              </span>
+              <span className="block mt-1 text-sm text-gray-600 line-clamp-2">{conv.summary}</span>
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// 4??0?? TIMELINE COMPONENT
+// Conversations along a horizontal time axis, one row per platform, with a
+// bar out to the last activity of chats that went on for a while. Zoom from
+// a week to a year; click a row to pick that day, or a dot to open it.
+const TimelineView = ({ conversations, center, zoomId, onZoom, weekStart, locale, platforms, onSelectDate, onOpenConversation }) => {
+  const zoomIndex = TIMELINE_ZOOMS.findIndex(zoom => zoom.id === zoomId);
+  const zoom = TIMELINE_ZOOMS[zoomIndex];
+  const range = timelineRange(startOfDay(center), zoom);
+  const ticks = timelineTicks(range, zoom, weekStart);
+  const percent = (date) => `${timelinePosition(date, range) * 100}%`;
+  const clamp = (date) => Math.min(1, Math.max(0, timelinePosition(date, range)));
+  
+  // 40.1?? Conversations active in the window, grouped by platform in the usual order
+  const inRange = conversations.filter(conv => !conv.undated && conv.date < range.end && getLastActivity(conv) >= range.start);
+  const rows = Object.keys(platforms)
+    .map(platformId => ({ platformId, items: inRange.filter(conv => conv.platform === platformId) }))
+    .filter(row => row.items.length > 0);
+  
+  // 40.2?? A click on a row picks the day under the pointer
+  const selectAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = (e.clientX - rect.left) / rect.width;
+    onSelectDate(startOfDay(new Date(range.start.getTime() + fraction * (range.end.getTime() - range.start.getTime()))));
+  };
+  
+  const tickLabel = (tick) => tick.toLocaleDateString(locale, zoom.id === 'year' ? { month: 'short' } : { month: 'short', day: 'numeric' });
+  const selectedBand = { left: percent(startOfDay(center)), width: `${100 / zoom.days}%` };
+  
+  return (
+    <div className="space-y-3">
+      {/* 40.3?? Zoom controls */}
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-500">{inRange.length.toLocaleString()} conversations</span>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={() => onZoom(TIMELINE_ZOOMS[zoomIndex - 1].id)}
+            disabled={zoomIndex === 0}
+            className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40 transition-colors"
+            title="Zoom in"
+          >
+            <ZoomIn className="w-4 h-4" />
+          </button>
+          <span className="w-16 text-center text-sm font-medium text-gray-700">{zoom.label}</span>
+          <button
+            onClick={() => onZoom(TIMELINE_ZOOMS[zoomIndex + 1].id)}
+            disabled={zoomIndex === TIMELINE_ZOOMS.length - 1}
+            className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40 transition-colors"
+            title="Zoom out"
+          >
+            <ZoomOut className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      
+      {/* 40.4?? Axis */}
+      <div className="flex">
+        <div className="w-28 flex-shrink-0" />
+        <div className="relative flex-1 h-5">
+          {ticks.map(tick => (
+            <span key={tick.getTime()} className="absolute text-[10px] text-gray-500 whitespace-nowrap" style={{ left: percent(tick) }}>
+              {tickLabel(tick)}
+            </span>
+          ))}
+        </div>
+      </div>
+      
+      {/* 40.5?? One row per platform */}
+      {rows.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">
+          <Clock className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+          <p>No conversations in this period</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {rows.map(({ platformId, items }) => {
+            const platform = getPlatform(platforms, platformId);
+            return (
+              <div key={platformId} className="flex items-center">
+                <div className="w-28 flex-shrink-0 flex items-center space-x-2 pr-2 text-sm text-gray-700">
+                  <span className={`w-5 h-5 ${platform.bgClass} rounded flex items-center justify-center text-white text-xs font-medium`}>{platform.icon}</span>
+                  <span className="truncate">{platform.name}</span>
+                </div>
+                <div onClick={selectAt} className="relative flex-1 h-8 bg-gray-50 rounded cursor-pointer">
+                  <div className="absolute inset-y-0 bg-blue-100" style={selectedBand} />
+                  {ticks.map(tick => (
+                    <div key={tick.getTime()} className="absolute inset-y-0 w-px bg-gray-200" style={{ left: percent(tick) }} />
+                  ))}
+                  {items.map(conv => {
+                    const from = clamp(conv.date);
+                    const to = clamp(getLastActivity(conv));
+                    const timeText = (date) => date.toLocaleString(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+                    return (
+                      <React.Fragment key={conv.id}>
+                        {to > from && (
+                          <div
+                            className={`absolute top-1/2 h-1 -mt-0.5 rounded-full ${platform.bgClass} opacity-40`}
+                            style={{ left: `${from * 100}%`, width: `${(to - from) * 100}%` }}
+                          />
+                        )}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation(); // Open the conversation, not just the day
+                            onOpenConversation(conv);
+                          }}
+                          className={`absolute top-1/2 w-3 h-3 -mt-1.5 -ml-1.5 rounded-full ${platform.bgClass} opacity-80 hover:opacity-100 hover:ring-2 hover:ring-gray-400`}
+                          style={{ left: `${from * 100}%` }}
+                          title={`${conv.title} - ${timeText(conv.date)}${to > from ? ` to ${timeText(getLastActivity(conv))}` : ''}`}
+                        />
+                      </React.Fragment>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 4??1?? ANALYTICS VIEW COMPONENT
+// Totals, trends and habits for the conversations shown, over a chosen date
+// range. Every bar, cell and row can be clicked to list the conversations behind it.
+const DRILL_DOWN_LIMIT = 200; // Conversations listed before "and N more"
+
+const AnalyticsView = ({ conversations, weekStart, locale, platforms, onOpenConversation }) => {
+  const [rangeId, setRangeId] = useState('90d');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [activityMetric, setActivityMetric] = useState('conversations'); // 'conversations' | 'messages'
+  const [drillDown, setDrillDown] = useState(null); // { title, conversations }
+  const drillDownRef = useRef(null);
+  
+  // 41.1?? Everything below is worked out for the chosen range only
+  const range = useMemo(() => analyticsRange(rangeId, customRange), [rangeId, customRange]);
+  const inRange = useMemo(() => conversationsInRange(conversations, range), [conversations, range]);
+  const { unit, buckets } = useMemo(() => timeBuckets(inRange, range, weekStart), [inRange, range, weekStart]);
+  const activity = useMemo(() => platformActivity(buckets), [buckets]);
+  const trends = useMemo(() => tagTrends(inRange, buckets), [inRange, buckets]);
+  const usage = useMemo(() => usageGrid(inRange), [inRange]);
+  const averages = useMemo(() => platformAverages(inRange), [inRange]);
+  const streaks = useMemo(() => activityStreaks(inRange), [inRange]);
+  
+  const platformIds = Object.keys(platforms).filter(id => averages.some(average => average.platformId === id));
+  const activityValue = (entry) => (!entry ? 0 : activityMetric === 'messages' ? entry.messages : entry.conversations.length);
+  const activityTotals = activity.map(byPlatform => platformIds.reduce((sum, id) => sum + activityValue(byPlatform[id]), 0));
+  const maxActivity = Math.max(0, ...activityTotals);
+  const maxUsage = Math.max(0, ...usage.flat().map(cell => cell.messages));
+  const maxLength = Math.max(0, ...averages.map(average => average.averageLength));
+  const weekdays = weekdayLabels(locale, weekStart).map((label, i) => ({ label, day: (weekStart + i) % 7 }));
+  
+  const bucketLabel = (bucket) => (unit === 'month'
+    ? bucket.start.toLocaleDateString(locale, { month: 'short', year: 'numeric' })
+    : `Week of ${bucket.start.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric' })}`);
+  const dayLabel = (day) => day.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric' });
+  const drill = (title, drillConversations) => setDrillDown({ title, conversations: drillConversations });
+  
+  // 41.2?? A new range starts without a drill-down; a new drill-down scrolls into view
+  useEffect(() => setDrillDown(null), [range]);
+  useEffect(() => {
+    if (drillDown && drillDownRef.current) drillDownRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [drillDown]);
+  
+  const card = 'bg-white rounded-lg border border-gray-200 shadow-sm p-6';
+  const summaryCards = [
+    { label: 'Conversations', value: inRange.length, icon: MessageSquare, tint: 'bg-blue-100 text-blue-600', drillTitle: 'All conversations', items: inRange },
+    {
+      label: 'Starred',
+      value: inRange.filter(conv => conv.starred).length,
+      icon: Star,
+      tint: 'bg-yellow-100 text-yellow-600',
+      drillTitle: 'Starred',
+      items: inRange.filter(conv => conv.starred)
+    },
+    {
+      label: 'Avg Quality',
+      value: inRange.length > 0 ? (inRange.reduce((sum, conv) => sum + conv.quality, 0) / inRange.length).toFixed(1) : '0',
+      icon: Sparkles,
+      tint: 'bg-green-100 text-green-600',
+      drillTitle: 'Quality 4 and up',
+      items: inRange.filter(conv => conv.quality >= 4)
+    },
+    { label: 'AI Platforms', value: platformIds.length, icon: Calendar, tint: 'bg-purple-100 text-purple-600', drillTitle: 'All conversations', items: inRange }
+  ];
+  
+  return (
+    <div className="space-y-6">
+      {/* 41.3?? Date range */}
+      <div className="flex flex-wrap items-center gap-2">
+        {ANALYTICS_RANGES.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setRangeId(option.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              rangeId === option.id ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+        {rangeId === 'custom' && (
+          <div className="flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="date"
+              value={customRange.from}
+              onChange={(e) => setCustomRange(prev => ({ ...prev, from: e.target.value }))}
+              className="px-2 py-1 border border-gray-300 rounded-lg"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={customRange.to}
+              onChange={(e) => setCustomRange(prev => ({ ...prev, to: e.target.value }))}
+              className="px-2 py-1 border border-gray-300 rounded-lg"
+            />
+          </div>
+        )}
+      </div>
+      
+      {/* 41.4?? Summary cards */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {summaryCards.map(({ label, value, icon: Icon, tint, drillTitle, items }) => (
+          <button key={label} onClick={() => drill(drillTitle, items)} className={`${card} text-left hover:shadow-md transition-shadow`}>
+            <div className="flex items-center space-x-3">
+              <div className={`w-12 h-12 rounded-lg flex items-center justify-center ${tint}`}>
+                <Icon className="w-6 h-6" />
+              </div>
+              <div>
+                <p className="text-2xl font-bold text-gray-900">{value}</p>
+                <p className="text-sm text-gray-600">{label}</p>
+              </div>
+            </div>
+          </button>
+        ))}
+      </div>
+      
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* 41.5?? Conversations or messages per week, stacked by platform */}
+        <div className={`${card} lg:col-span-2`}>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{activityMetric === 'messages' ? 'Messages' : 'Conversations'} per {unit}</h3>
+            <select
+              value={activityMetric}
+              onChange={(e) => setActivityMetric(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-lg text-sm bg-white"
+            >
+              <option value="conversations">Conversations</option>
+              <option value="messages">Messages</option>
+            </select>
+          </div>
+          {buckets.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">No dated conversations in this range</p>
+          ) : (
+            <div>
+              <div className="flex items-end h-40 space-x-px">
+                {buckets.map((bucket, b) => (
+                  <div
+                    key={bucket.start.getTime()}
+                    className="flex-1 min-w-0 h-full flex flex-col-reverse"
+                    title={`${bucketLabel(bucket)}: ${activityTotals[b]} ${activityMetric}`}
+                  >
+                    {platformIds.filter(id => activityValue(activity[b][id]) > 0).map(id => (
+                      <button
+                        key={id}
+                        onClick={() => drill(`${getPlatform(platforms, id).name} - ${bucketLabel(bucket)}`, activity[b][id].conversations)}
+                        className={`w-full ${getPlatform(platforms, id).bgClass} opacity-80 hover:opacity-100`}
+                        style={{ height: `${(activityValue(activity[b][id]) / maxActivity) * 100}%` }}
+                        title={`${getPlatform(platforms, id).name}, ${bucketLabel(bucket)}: ${activityValue(activity[b][id])} ${activityMetric}`}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-between mt-2 text-xs text-gray-500">
+                <span>{bucketLabel(buckets[0])}</span>
+                <span>{bucketLabel(buckets[buckets.length - 1])}</span>
+              </div>
+              <div className="flex flex-wrap gap-3 mt-3">
+                {platformIds.map(id => (
+                  <span key={id} className="flex items-center space-x-1 text-xs text-gray-600">
+                    <span className={`w-3 h-3 rounded-sm ${getPlatform(platforms, id).bgClass}`} />
+                    <span>{getPlatform(platforms, id).name}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+        
+        {/* 41.6?? Tag trends - one row per popular tag, darker for busier weeks */}
+        <div className={`${card} lg:col-span-2`}>
+          <h3 className="text-lg font-semibold mb-4">Tag trends</h3>
+          {trends.length === 0 || buckets.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">No tags in this range</p>
+          ) : (
+            <div className="space-y-1">
+              {trends.map(trend => {
+                const maxCount = Math.max(...trend.buckets.map(items => items.length));
+                return (
+                  <div key={trend.tag} className="flex items-center">
+                    <button
+                      onClick={() => drill(`#${trend.tag}`, inRange.filter(conv => conv.tags.includes(trend.tag)))}
+                      className="w-32 flex-shrink-0 pr-2 text-left text-sm text-gray-700 truncate hover:text-blue-600"
+                    >
+                      #{trend.tag} <span className="text-gray-400">({trend.total})</span>
+                    </button>
+                    <div className="flex-1 flex space-x-px">
+                      {trend.buckets.map((items, b) => (
+                        <button
+                          key={buckets[b].start.getTime()}
+                          onClick={() => items.length > 0 && drill(`#${trend.tag} - ${bucketLabel(buckets[b])}`, items)}
+                          className={`flex-1 h-4 rounded-sm ${HEAT_CLASSES[heatLevel(items.length, maxCount)]}`}
+                          title={`#${trend.tag}, ${bucketLabel(buckets[b])}: ${items.length}`}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+        
+        {/* 41.7?? When you chat - weekday by hour, shaded by message count */}
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-4">When you chat</h3>
+          <div className="space-y-px">
+            <div className="flex pl-10">
+              {Array.from({ length: 24 }, (_, hour) => (
+                <span key={hour} className="flex-1 text-[10px] text-gray-500">{hour % 6 === 0 ? hour : ''}</span>
+              ))}
+            </div>
+            {weekdays.map(({ label, day }) => (
+              <div key={day} className="flex items-center">
+                <button
+                  onClick={() => drill(`${label} conversations`, [...new Set(usage[day].flatMap(cell => cell.conversations))])}
+                  className="w-10 flex-shrink-0 text-left text-xs text-gray-500 hover:text-blue-600"
+                >
+                  {label}
+                </button>
+                <div className="flex-1 flex space-x-px">
+                  {usage[day].map((cell, hour) => (
+                    <button
+                      key={hour}
+                      onClick={() => cell.conversations.length > 0 && drill(`${label}, ${hour}:00-${hour + 1}:00`, cell.conversations)}
+                      className={`flex-1 h-5 rounded-sm ${HEAT_CLASSES[heatLevel(cell.messages, maxUsage)]}`}
+                      title={`${label} ${hour}:00 - ${cell.messages} messages in ${cell.conversations.length} conversations`}
+                    />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+        
+        {/* 41.8?? Length and turns per platform */}
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-4">By platform</h3>
+          {averages.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">No conversations in this range</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="pb-2 font-medium">Platform</th>
+                  <th className="pb-2 font-medium text-right">Chats</th>
+                  <th className="pb-2 pl-4 font-medium">Avg length</th>
+                  <th className="pb-2 font-medium text-right">Avg turns</th>
+                </tr>
+              </thead>
+              <tbody>
+                {averages.map(average => {
+                  const platform = getPlatform(platforms, average.platformId);
+                  return (
+                    <tr
+                      key={average.platformId}
+                      onClick={() => drill(platform.name, average.conversations)}
+                      className="cursor-pointer hover:bg-gray-50"
+                    >
+                      <td className="py-1.5">
+                        <span className="flex items-center space-x-2">
+                          <span className={`w-5 h-5 ${platform.bgClass} rounded flex items-center justify-center text-white text-xs font-medium`}>{platform.icon}</span>
+                          <span className="truncate">{platform.name}</span>
+                        </span>
+                      </td>
+                      <td className="py-1.5 text-right">{average.conversations.length}</td>
+                      <td className="py-1.5 pl-4">
+                        <span className="flex items-center space-x-2">
+                          <span className="w-20 bg-gray-200 rounded-full h-2">
+                            <span className={`block h-2 rounded-full ${platform.bgClass}`} style={{ width: `${(average.averageLength / maxLength) * 100}%` }} />
+                          </span>
+                          <span className="text-xs text-gray-600">{average.averageLength.toLocaleString(locale)} chars</span>
+                        </span>
+                      </td>
+                      <td className="py-1.5 text-right">{average.averageTurns}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+        
+        {/* 41.9?? Streaks of consecutive active days */}
+        <div className={`${card} lg:col-span-2`}>
+          <h3 className="text-lg font-semibold mb-4">Streaks</h3>
+          {streaks.longest.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">No dated conversations in this range</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              {[
+                ...(streaks.current ? [{ title: 'Current streak', streak: streaks.current }] : []),
+                ...streaks.longest.map((streak, i) => ({ title: i === 0 ? 'Longest streak' : `Runner-up ${i}`, streak }))
+              ].map(({ title, streak }) => (
+                <button
+                  key={title}
+                  onClick={() => drill(`${title}: ${dayLabel(streak.start)} to ${dayLabel(streak.end)}`, streak.conversations)}
+                  className="p-4 border border-gray-200 rounded-lg text-left hover:bg-gray-50 transition-colors"
+                >
+                  <p className="text-xs text-gray-500">{title}</p>
+                  <p className="text-2xl font-bold text-gray-900">{streak.days} day{streak.days === 1 ? '' : 's'}</p>
+                  <p className="text-xs text-gray-500">
+                    {streak.days === 1 ? dayLabel(streak.start) : `${dayLabel(streak.start)} - ${dayLabel(streak.end)}`}
+                  </p>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+      
+      {/* 41.10?? Drill-down - the conversations behind the last thing clicked */}
+      {drillDown && (
+        <div ref={drillDownRef} className={card}>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">
+              {drillDown.title} <span className="text-sm font-normal text-gray-500">({drillDown.conversations.length})</span>
+            </h3>
+            <button onClick={() => setDrillDown(null)} className="p-2 rounded-lg hover:bg-gray-100" title="Close">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {[...drillDown.conversations]
+              .sort((a, b) => b.date.getTime() - a.date.getTime())
+              .slice(0, DRILL_DOWN_LIMIT)
+              .map(conv => {
+                const platform = getPlatform(platforms, conv.platform);
+                return (
+                  <button
+                    key={conv.id}
+                    onClick={() => onOpenConversation(conv)}
+                    className="w-full flex items-center space-x-3 py-2 text-left text-sm hover:bg-gray-50"
+                  >
+                    <span className={`w-5 h-5 flex-shrink-0 ${platform.bgClass} rounded flex items-center justify-center text-white text-xs font-medium`}>{platform.icon}</span>
+                    <span className="flex-1 font-medium text-gray-900 truncate">{conv.title}</span>
+                    <span className="text-gray-500">{formatConversationDate(conv, locale)}</span>
+                  </button>
+                );
+              })}
+          </div>
+          {drillDown.conversations.length > DRILL_DOWN_LIMIT && (
+            <p className="mt-2 text-xs text-gray-500">and {drillDown.conversations.length - DRILL_DOWN_LIMIT} more</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 4??2?? FILTER PANEL COMPONENT
+// Advanced filters under the search box. Changes apply straight away and
+// end up in the page's address, so "Copy link" shares exactly this view.
+// Tags cycle through include, exclude and off.
+const FilterPanel = ({ filters, knownTags, onChange, onCopyLink }) => {
+  const active = { ...DEFAULT_FILTERS, ...filters };
+  const [customDates, setCustomDates] = useState(!active.datePreset && Boolean(active.dateFrom || active.dateTo));
+  const showCustomDates = customDates && !active.datePreset;
+  const tags = [...new Set([...knownTags, ...active.tags, ...active.excludeTags])];
+  
+  const cycleTag = (tag) => {
+    if (active.tags.includes(tag)) {
+      onChange({ tags: active.tags.filter(other => other !== tag), excludeTags: [...active.excludeTags, tag] });
+    } else if (active.excludeTags.includes(tag)) {
+      onChange({ excludeTags: active.excludeTags.filter(other => other !== tag) });
+    } else {
+      onChange({ tags: [...active.tags, tag] });
+    }
+  };
+  
+  const dateOptions = [
+    { id: 'any', label: 'Any time', selected: !active.datePreset && !showCustomDates && !active.dateFrom && !active.dateTo },
+    ...DATE_PRESETS.map(preset => ({ id: preset.id, label: preset.label, selected: active.datePreset === preset.id })),
+    { id: 'custom', label: 'Custom', selected: showCustomDates || (!active.datePreset && Boolean(active.dateFrom || active.dateTo)) }
+  ];
+  const pickDates = (id) => {
+    setCustomDates(id === 'custom');
+    if (id === 'custom') onChange({ datePreset: '' });
+    else onChange({ datePreset: id === 'any' ? '' : id, dateFrom: '', dateTo: '' });
+  };
+  
+  return (
+    <div className="p-4 bg-white border border-gray-200 rounded-lg shadow-sm space-y-4">
+      {/* 42.1?? Date window */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Date</p>
+        <div className="flex flex-wrap items-center gap-2">
+          {dateOptions.map(option => (
+            <button
+              key={option.id}
+              onClick={() => pickDates(option.id)}
+              className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                option.selected ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          {dateOptions[dateOptions.length - 1].selected && (
+            <div className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="date"
+                value={active.dateFrom}
+                onChange={(e) => onChange({ dateFrom: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg"
+              />
+              <span>to</span>
+              <input
+                type="date"
+                value={active.dateTo}
+                onChange={(e) => onChange({ dateTo: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg"
+              />
+            </div>
+          )}
+        </div>
+      </div>
+      
+      {/* 42.2?? Quality, length, starred and code */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <label className="text-sm text-gray-700">
+          Quality from
+          <select value={active.minQuality} onChange={(e) => onChange({ minQuality: Number(e.target.value) })} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white">
+            {[1, 2, 3, 4, 5].filter(value => value <= active.maxQuality).map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Quality to
+          <select value={active.maxQuality} onChange={(e) => onChange({ maxQuality: Number(e.target.value) })} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white">
+            {[1, 2, 3, 4, 5].filter(value => value >= active.minQuality).map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Minimum length (characters)
+          <input
+            type="number"
+            min="0"
+            step="500"
+            value={active.minLength || ''}
+            onChange={(e) => onChange({ minLength: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+            placeholder="Any"
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <div className="flex flex-col justify-end space-y-1 text-sm text-gray-700">
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={active.starredOnly} onChange={(e) => onChange({ starredOnly: e.target.checked })} />
+            <span>Starred only</span>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={active.hasCode} onChange={(e) => onChange({ hasCode: e.target.checked })} />
+            <span>Has code</span>
+          </label>
+        </div>
+      </div>
+      
+      {/* 42.3?? Tags - click once to require, twice to exclude, again to clear */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Tags</p>
+        <div className="flex flex-wrap gap-2">
+          {tags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => cycleTag(tag)}
+              className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                active.tags.includes(tag)
+                  ? 'bg-blue-600 text-white'
+                  : active.excludeTags.includes(tag)
+                    ? 'bg-red-100 text-red-700 line-through'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+              title={active.tags.includes(tag) ? 'Required - click to exclude' : active.excludeTags.includes(tag) ? 'Excluded - click to clear' : 'Click to require'}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      </div>
+      
+      {/* 42.4?? Share */}
+      <div className="flex justify-end">
+        <button
+          onClick={onCopyLink}
+          className="flex items-center space-x-1 px-3 py-1 text-sm text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+        >
+          <Copy className="w-4 h-4" />
+          <span>Copy link to this view</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 4??3?? LIST VIEW COMPONENT
+// Sorted conversations as cards or a compact table. Only the rows on screen
+// are rendered; ticking conversations brings up a bar of bulk actions.
+const CARD_ROW_PX = 216; // One row of cards (h-48) plus the gap below it (mb-6)
+const TABLE_ROW_PX = 40; // One table row (h-10)
+const WIDE_SCREEN_PX = 1024; // Tailwind's lg breakpoint, where cards go three to a row
+
+const ListView = ({ conversations, sort, onSortChange, layout, onLayoutChange, searching, knownTags = [], collections = [], highlightTerms = [], tagStyles = {}, platforms = PLATFORMS, locale, onOpenConversation, onToggleStar, onStar, onTag, onAddToCollection, onExport, onDelete }) => {
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState({ height: 0, wide: window.innerWidth >= WIDE_SCREEN_PX });
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkTag, setBulkTag] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  
+  // 43.1?? "Best match" only means something while searching
+  const { field, direction } = sort.field === 'relevance' && !searching ? DEFAULT_LIST_SORT : sort;
+  const sorted = useMemo(() => sortConversations(conversations, { field, direction }, locale), [conversations, field, direction, locale]);
+  
+  // 43.2?? Track the list's height and the breakpoint as the window resizes
+  useEffect(() => {
+    const measure = () => setViewport({
+      height: scrollRef.current ? scrollRef.current.clientHeight : 0,
+      wide: window.innerWidth >= WIDE_SCREEN_PX
+    });
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+  
+  // 43.3?? A new order or layout starts from the top
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [field, direction, layout]);
+  
+  // 43.4?? Selection - ticked conversations that are still in the list
+  const selected = useMemo(() => sorted.filter(conv => selectedIds.has(conv.id)), [sorted, selectedIds]);
+  const selectedIdList = selected.map(conv => conv.id);
+  const allSelected = sorted.length > 0 && selected.length === sorted.length;
+  
+  const toggleSelected = (conversationId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(conversationId)) next.delete(conversationId);
+      else next.add(conversationId);
+      return next;
+    });
+  };
+  
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setConfirmingDelete(false);
+  };
+  
+  const submitBulkTag = (e) => {
+    e.preventDefault();
+    if (!bulkTag.trim()) return;
+    onTag(selectedIdList, bulkTag);
+    setBulkTag('');
+  };
+  
+  // Picking the current order again flips its direction
+  const chooseSort = (sortId) => {
+    const option = LIST_SORTS.find(candidate => candidate.id === sortId);
+    onSortChange(sortId === field
+      ? { field, direction: direction === 'asc' ? 'desc' : 'asc' }
+      : { field: sortId, direction: option.direction });
+  };
+  
+  // 43.5?? Windowing - cards are laid out in rows, so whole rows are shown or skipped
+  const columns = layout === 'cards' && viewport.wide ? 3 : 1;
+  const rowHeight = layout === 'cards' ? CARD_ROW_PX : TABLE_ROW_PX;
+  const rowCount = Math.ceil(sorted.length / columns);
+  const { first, last } = visibleRows({ scrollTop, viewportHeight: viewport.height, rowHeight, rowCount });
+  const rows = Array.from({ length: last - first }, (_, i) => sorted.slice((first + i) * columns, (first + i + 1) * columns));
+  
+  const sortHeader = (sortId, label, className) => (
+    <button onClick={() => chooseSort(sortId)} className={`flex items-center space-x-1 hover:text-gray-900 ${className}`}>
+      <span>{label}</span>
+      {field === sortId && (direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+    </button>
+  );
+  
+  return (
+    <div>
+      {/* 43.6?? Toolbar - select all, sort order and layout */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            disabled={sorted.length === 0}
+            onChange={() => (allSelected ? clearSelection() : setSelectedIds(new Set(sorted.map(conv => conv.id))))}
+          />
+          <span>
+            {selected.length > 0
+              ? `${selected.length.toLocaleString(locale)} of ${sorted.length.toLocaleString(locale)} selected`
+              : `${sorted.length.toLocaleString(locale)} conversations`}
+          </span>
+        </label>
+        
+        <div className="flex items-center space-x-2">
+          <select value={field} onChange={(e) => chooseSort(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white">
+            {LIST_SORTS.filter(option => option.id !== 'relevance' || searching).map(option => (
+              <option key={option.id} value={option.id}>Sort by {option.label.toLowerCase()}</option>
+            ))}
+          </select>
+          {field !== 'relevance' && (
+            <button
+              onClick={() => chooseSort(field)}
+              className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50"
+              title={direction === 'asc' ? 'Ascending - click for descending' : 'Descending - click for ascending'}
+            >
+              {direction === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+            </button>
+          )}
+          <div className="flex bg-gray-100 rounded-lg p-1">
+            {LIST_LAYOUTS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => onLayoutChange(option.id)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  layout === option.id ? 'bg-white shadow-sm text-blue-600' : 'text-gray-600 hover:text-gray-900'
+                }`}
+                title={`Show as ${option.label.toLowerCase()}`}
+              >
+                {option.id === 'cards' ? <LayoutGrid className="w-4 h-4" /> : <Table className="w-4 h-4" />}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+      
+      {/* 43.7?? Bulk actions for the ticked conversations */}
+      {selected.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+          <button
+            onClick={() => onStar(selectedIdList, !selected.every(conv => conv.starred))}
+            className="flex items-center space-x-1 px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Star className="w-4 h-4" />
+            <span>{selected.every(conv => conv.starred) ? 'Unstar' : 'Star'}</span>
+          </button>
+          
+          <form onSubmit={submitBulkTag} className="flex items-center">
+            <input
+              type="text"
+              value={bulkTag}
+              onChange={(e) => setBulkTag(e.target.value)}
+              list="bulk-tags"
+              placeholder="Add tag..."
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm w-32 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <datalist id="bulk-tags">
+              {knownTags.map(tag => <option key={tag} value={tag} />)}
+            </datalist>
+          </form>
+          
+          {collections.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && onAddToCollection(selectedIdList, e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm bg-white"
+            >
+              <option value="">Add to collection...</option>
+              {collections.map(collection => <option key={collection.id} value={collection.id}>{collection.name}</option>)}
+            </select>
+          )}
+          
+          <button
+            onClick={() => onExport(selected)}
+            className="flex items-center space-x-1 px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4" />
+            <span>Export</span>
+          </button>
+          
+          {confirmingDelete ? (
+            <span className="flex items-center space-x-2">
+              <span className="text-red-700">Delete {selected.length === 1 ? '1 conversation' : `${selected.length.toLocaleString(locale)} conversations`}?</span>
+              <button
+                onClick={() => {
+                  onDelete(selectedIdList);
+                  clearSelection();
+                }}
+                className="px-3 py-1 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                Delete
+              </button>
+              <button onClick={() => setConfirmingDelete(false)} className="px-3 py-1 text-gray-600 hover:bg-gray-100 rounded-lg">
+                Cancel
+              </button>
+            </span>
+          ) : (
+            <button
+              onClick={() => setConfirmingDelete(true)}
+              className="flex items-center space-x-1 px-3 py-1 bg-white border border-gray-300 rounded-lg text-red-600 hover:bg-red-50"
+            >
+              <Trash2 className="w-4 h-4" />
+              <span>Delete</span>
+            </button>
+          )}
+          
+          <button onClick={clearSelection} className="ml-auto px-3 py-1 text-gray-600 hover:bg-blue-100 rounded-lg">
+            Clear selection
+          </button>
+        </div>
+      )}
+      
+      {/* 43.8?? Table header */}
+      {layout === 'table' && (
+        <div className="flex items-center px-3 py-2 space-x-3 bg-gray-50 border border-gray-200 rounded-t-lg text-xs font-medium text-gray-500 uppercase">
+          <span className="w-4" />
+          <span className="w-4" />
+          {sortHeader('title', 'Title', 'flex-1 min-w-0')}
+          <span className="w-28 hidden md:block">Platform</span>
+          {sortHeader('date', 'Date', 'w-28')}
+          {sortHeader('quality', 'Quality', 'w-16')}
+          {sortHeader('length', 'Length', 'w-20 justify-end')}
+          <span className="w-48 hidden lg:block">Tags</span>
+        </div>
+      )}
+      
+      {/* 43.9?? Scrolling window - a spacer as tall as the whole list, with only the visible rows in it */}
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className={`h-[70vh] overflow-y-auto ${layout === 'table' ? 'bg-white border border-t-0 border-gray-200 rounded-b-lg' : ''}`}
+      >
+        {sorted.length === 0 && (
+          <div className="text-center py-8 text-gray-500">
+            <MessageSquare className="w-12 h-12 mx-auto mb-3 opacity-50" />
+            <p>No conversations match</p>
+          </div>
+        )}
+        
+        <div style={{ height: rowCount * rowHeight }}>
+          <div style={{ transform: `translateY(${first * rowHeight}px)` }}>
+            {rows.map(row => (layout === 'cards' ? (
+              <div key={row[0].id} className="grid grid-cols-1 lg:grid-cols-3 gap-6 h-48 mb-6">
+                {row.map(conv => (
+                  <ConversationCard
+                    key={conv.id}
+                    conversation={conv}
+                    onClick={onOpenConversation}
+                    onToggleStar={onToggleStar}
+                    selected={selectedIds.has(conv.id)}
+                    onToggleSelect={toggleSelected}
+                    highlightTerms={highlightTerms}
+                    tagStyles={tagStyles}
+                    platforms={platforms}
+                    locale={locale}
+                  />
+                ))}
+              </div>
+            ) : (
+              <ConversationRow
+                key={row[0].id}
+                conversation={row[0]}
+                onClick={onOpenConversation}
+                onToggleStar={onToggleStar}
+                selected={selectedIds.has(row[0].id)}
+                onToggleSelect={toggleSelected}
+                highlightTerms={highlightTerms}
+                tagStyles={tagStyles}
+                platforms={platforms}
+                locale={locale}
+              />
+            )))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 4??4?? CONVERSATION TABLE ROW COMPONENT
+// One line of the list view's table mode
+const ConversationRow = ({ conversation, onClick, onToggleStar, selected, onToggleSelect, highlightTerms = [], tagStyles = {}, platforms = PLATFORMS, locale }) => {
+  const platform = getPlatform(platforms, conversation.platform);
+  
+  return (
+    <div
+      onClick={() => onClick(conversation)}
+      className={`flex items-center h-10 px-3 space-x-3 border-b border-gray-100 text-sm cursor-pointer transition-colors ${
+        selected ? 'bg-blue-50' : 'hover:bg-gray-50'
+      }`}
+    >
+      {/* 44.1?? Select and star */}
+      <input
+        type="checkbox"
+        checked={selected}
+        onClick={(e) => e.stopPropagation()} // Tick the row without opening it
+        onChange={() => onToggleSelect(conversation.id)}
+        className="w-4"
+      />
+      <button
+        onClick={(e) => onToggleStar(conversation.id, e)}
+        className={`w-4 ${conversation.starred ? 'text-yellow-500 hover:text-yellow-600' : 'text-gray-300 hover:text-yellow-500'}`}
+        title={conversation.starred ? 'Remove from starred' : 'Add to starred'}
+      >
+        <Star className={`w-4 h-4 ${conversation.starred ? 'fill-current' : ''}`} />
+      </button>
+      
+      {/* 44.2?? Details */}
+      <span className="flex-1 min-w-0 truncate font-medium text-gray-900">
+        <HighlightedText text={conversation.title} terms={highlightTerms} />
+      </span>
+      <span className="w-28 hidden md:flex items-center space-x-2 text-gray-600">
+        <span className={`w-2 h-2 rounded-full flex-shrink-0 ${platform.bgClass}`} />
+        <span className="truncate">{platform.name}</span>
+      </span>
+      <span className="w-28 text-gray-600 truncate">{formatConversationDate(conversation, locale, { year: 'numeric', month: 'short', day: 'numeric' })}</span>
+      <span className="w-16 flex">
+        {Array.from({ length: 5 }).map((_, i) => (
+          <span key={i} className={`w-1 h-1 rounded-full mr-1 ${i < conversation.quality ? 'bg-green-500' : 'bg-gray-200'}`} />
+        ))}
+      </span>
+      <span className="w-20 text-right text-gray-500">{conversation.content.length.toLocaleString(locale)}</span>
+      <span className="w-48 hidden lg:flex space-x-1 overflow-hidden">
+        {conversation.tags.slice(0, 2).map(tag => (
+          <span key={tag} className={`px-2 rounded text-xs truncate ${tagStyles[tag] || TAG_COLORS.gray}`}>#{tag}</span>
+        ))}
+      </span>
+    </div>
+  );
+};
+
+// 4??5?? EXPORT THE MAIN COMPONENT
 // Makes the AIChatCalendar available for use in other files
 export default AIChatCalendar;
   
\ No newline at end of file
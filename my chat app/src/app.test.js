@@ -0,0 +1,103 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import AIChatCalendar from './app';
+import { createMessage } from './messages';
+import { makeConversation } from './testConversations';
+
+jest.mock('./importClient', () => ({ importFile: jest.fn() }));
+jest.mock('./storage', () => ({
+  loadConversations: jest.fn(),
+  putConversations: () => Promise.resolve(),
+  deleteConversations: () => Promise.resolve(),
+  loadSetting: jest.fn(),
+  saveSetting: () => Promise.resolve()
+}));
+
+const { loadConversations, loadSetting } = jest.requireMock('./storage');
+
+const library = [
+  makeConversation({
+    id: 'chatgpt:regex',
+    platform: 'chatgpt',
+    title: 'Regex help for Acme',
+    accountId: 'work',
+    messages: [createMessage({ role: 'user', text: 'Match Acme as a word' }), createMessage({ role: 'assistant', text: 'Put \\b on both sides of Acme' })]
+  }),
+  makeConversation({
+    id: 'claude:trip',
+    title: 'Trip planning',
+    date: new Date(2024, 4, 2, 10),
+    accountId: 'personal',
+    messages: [createMessage({ role: 'user', text: 'Plan a trip' }), createMessage({ role: 'assistant', text: 'Day 1: Alfama' })]
+  })
+];
+
+const renderApp = async (settings = {}) => {
+  loadConversations.mockResolvedValue(library);
+  loadSetting.mockImplementation((key, fallback) => Promise.resolve(key in settings ? settings[key] : fallback));
+  render(<AIChatCalendar />);
+  await act(async () => {}); // Let the saved library and settings load
+  fireEvent.click(screen.getByRole('button', { name: 'List' }));
+};
+
+describe('sharing from the conversation modal', () => {
+  let writeText;
+  beforeEach(() => {
+    writeText = jest.fn(() => Promise.resolve());
+    Object.assign(navigator, { clipboard: { writeText } });
+    URL.createObjectURL = jest.fn(() => 'blob:shared');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  const openShareDialog = () => {
+    fireEvent.click(screen.getByText('Regex help for Acme'));
+    fireEvent.click(screen.getByRole('button', { name: 'Share' }));
+    fireEvent.change(screen.getByPlaceholderText(/Also hide these words/), { target: { value: 'Acme' } });
+  };
+
+  it('copies the redacted Markdown and closes the dialog', async () => {
+    await renderApp();
+    openShareDialog();
+    await act(async () => { fireEvent.click(screen.getByRole('button', { name: 'Copy Markdown' })); });
+    expect(writeText).toHaveBeenCalledTimes(1);
+    expect(writeText.mock.calls[0][0]).toContain('Match [redacted] as a word');
+    expect(writeText.mock.calls[0][0]).not.toMatch(/acme/i);
+    expect(screen.queryByText('Share conversation')).toBeNull();
+  });
+
+  it('saves the redacted HTML page', async () => {
+    await renderApp();
+    openShareDialog();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    fireEvent.click(screen.getByRole('button', { name: 'Save HTML page' }));
+    const [blob] = URL.createObjectURL.mock.calls[0];
+    const html = await new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(blob.type).toBe('text/html');
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(html).toContain('Match [redacted] as a word');
+    expect(html).not.toMatch(/acme/i);
+    expect(screen.queryByText('Share conversation')).toBeNull();
+    click.mockRestore();
+  });
+});
+
+describe('source scopes', () => {
+  const scopes = [{ id: 'work', name: 'Work accounts', platforms: [], accountIds: ['work'] }];
+
+  it('shows every platform until a scope is picked', async () => {
+    await renderApp({ scopes });
+    expect(screen.queryByText('Regex help for Acme')).not.toBeNull();
+    expect(screen.queryByText('Trip planning')).not.toBeNull();
+    expect(screen.queryByText('Import Exports')).not.toBeNull();
+  });
+
+  it('only shows conversations from the picked scope', async () => {
+    await renderApp({ scopes });
+    fireEvent.change(screen.getByDisplayValue('All sources'), { target: { value: 'work' } });
+    expect(screen.queryByText('Regex help for Acme')).not.toBeNull();
+    expect(screen.queryByText('Trip planning')).toBeNull();
+  });
+});
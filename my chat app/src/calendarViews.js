@@ -0,0 +1,81 @@
+// ?? CALENDAR VIEWS
+// Date arithmetic and layout for the calendar's month, week, day, year and
+// timeline modes. Days are local calendar days throughout; weeks start on
+// the weekday chosen in Settings (0 = Sunday).
+
+export const CALENDAR_MODES = [
+  { id: 'month', label: 'Month' },
+  { id: 'week', label: 'Week' },
+  { id: 'day', label: 'Day' },
+  { id: 'year', label: 'Year' },
+  { id: 'timeline', label: 'Timeline' }
+];
+
+// ?? DAY HELPERS
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Calendar arithmetic, so daylight-saving changes don't shift the day
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+export const startOfWeek = (date, weekStart) => addDays(date, -((date.getDay() - weekStart + 7) % 7));
+
+export const weekDays = (date, weekStart) => {
+  const first = startOfWeek(date, weekStart);
+  return Array.from({ length: 7 }, (_, i) => addDays(first, i));
+};
+
+export const minutesIntoDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+// ?? YEAR HEATMAP
+// One column per week covering the twelve months that end with `month`;
+// days outside that span are null so the grid stays rectangular
+export const yearGrid = (month, weekStart) => {
+  const first = new Date(month.getFullYear(), month.getMonth() - 11, 1);
+  const last = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+  const weeks = [];
+  for (let start = startOfWeek(first, weekStart); start <= last; start = addDays(start, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => {
+      const day = addDays(start, i);
+      return day >= first && day <= last ? day : null;
+    }));
+  }
+  return weeks;
+};
+
+// Five shades, GitHub style. Levels are relative to the busiest day shown,
+// so a quiet year still shows its pattern.
+export const HEAT_CLASSES = ['bg-gray-100', 'bg-blue-200', 'bg-blue-400', 'bg-blue-600', 'bg-blue-800'];
+
+export const heatLevel = (count, max) => (count === 0 || max === 0 ? 0 : Math.max(1, Math.ceil((count / max) * 4)));
+
+// ?? TIMELINE
+// Zoom levels from closest to widest. The window is centred on the selected day.
+export const TIMELINE_ZOOMS = [
+  { id: 'week', label: 'Week', days: 7 },
+  { id: 'month', label: 'Month', days: 31 },
+  { id: 'quarter', label: 'Quarter', days: 92 },
+  { id: 'year', label: 'Year', days: 366 }
+];
+
+export const timelineRange = (center, zoom) => {
+  const start = addDays(center, -Math.floor(zoom.days / 2));
+  return { start, end: addDays(start, zoom.days) };
+};
+
+// Where a moment falls across the range, 0 to 1
+export const timelinePosition = (date, { start, end }) => (date.getTime() - start.getTime()) / (end.getTime() - start.getTime());
+
+// Axis labels: every day for a week, every week for a month or quarter, every month for a year
+export const timelineTicks = ({ start, end }, zoom, weekStart) => {
+  const ticks = [];
+  if (zoom.id === 'year') {
+    for (let tick = new Date(start.getFullYear(), start.getMonth() + 1, 1); tick < end; tick = new Date(tick.getFullYear(), tick.getMonth() + 1, 1)) {
+      ticks.push(tick);
+    }
+  } else {
+    const step = zoom.id === 'week' ? 1 : 7;
+    let tick = zoom.id === 'week' ? start : startOfWeek(addDays(start, 6), weekStart);
+    for (; tick < end; tick = addDays(tick, step)) ticks.push(tick);
+  }
+  return ticks;
+};
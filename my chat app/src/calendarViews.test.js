@@ -0,0 +1,61 @@
+import {
+  startOfWeek, weekDays, minutesIntoDay, yearGrid, heatLevel,
+  TIMELINE_ZOOMS, timelineRange, timelinePosition, timelineTicks
+} from './calendarViews';
+
+const zoom = (id) => TIMELINE_ZOOMS.find(option => option.id === id);
+
+describe('weeks', () => {
+  it('start on the chosen weekday', () => {
+    const wednesday = new Date(2024, 4, 15, 13, 30);
+    expect(startOfWeek(wednesday, 0)).toEqual(new Date(2024, 4, 12));
+    expect(startOfWeek(wednesday, 1)).toEqual(new Date(2024, 4, 13));
+    expect(startOfWeek(wednesday, 3)).toEqual(new Date(2024, 4, 15));
+  });
+
+  it('list seven days, across a month end', () => {
+    const days = weekDays(new Date(2024, 4, 30), 1);
+    expect(days.map(day => day.getDate())).toEqual([27, 28, 29, 30, 31, 1, 2]);
+  });
+
+  it('place a time of day in minutes', () => {
+    expect(minutesIntoDay(new Date(2024, 4, 15, 13, 30))).toBe(810);
+  });
+});
+
+describe('yearGrid', () => {
+  it('covers the twelve months ending with the given one, padded with nulls', () => {
+    const weeks = yearGrid(new Date(2024, 11, 10), 0);
+    const days = weeks.flat().filter(Boolean);
+    expect(days[0]).toEqual(new Date(2024, 0, 1));
+    expect(days[days.length - 1]).toEqual(new Date(2024, 11, 31));
+    expect(days).toHaveLength(366);
+    expect(weeks.every(week => week.length === 7)).toBe(true);
+    expect(weeks[0][0]).toBeNull(); // 1 January 2024 was a Monday
+  });
+});
+
+describe('heatLevel', () => {
+  it('shades days relative to the busiest one', () => {
+    expect([0, 1, 5, 10, 20].map(count => heatLevel(count, 20))).toEqual([0, 1, 1, 2, 4]);
+    expect(heatLevel(0, 0)).toBe(0);
+  });
+});
+
+describe('timeline', () => {
+  it('centres the window on the selected day', () => {
+    const range = timelineRange(new Date(2024, 4, 15), zoom('week'));
+    expect(range).toEqual({ start: new Date(2024, 4, 12), end: new Date(2024, 4, 19) });
+    expect(timelinePosition(new Date(2024, 4, 15, 12), range)).toBeCloseTo(3.5 / 7);
+  });
+
+  it('labels every day, week or month depending on the zoom', () => {
+    const center = new Date(2024, 4, 15);
+    expect(timelineTicks(timelineRange(center, zoom('week')), zoom('week'), 0)).toHaveLength(7);
+    const weekly = timelineTicks(timelineRange(center, zoom('month')), zoom('month'), 1);
+    expect(weekly.every(tick => tick.getDay() === 1)).toBe(true);
+    const monthly = timelineTicks(timelineRange(center, zoom('year')), zoom('year'), 0);
+    expect(monthly.every(tick => tick.getDate() === 1)).toBe(true);
+    expect(monthly).toHaveLength(12);
+  });
+});
@@ -0,0 +1,39 @@
+// ?? COLLECTIONS AND SAVED SEARCHES
+// Collections are user-made folders (projects, clients, courses); a
+// conversation lists the ones it belongs to in `collectionIds` and can be in
+// several. Saved searches remember a search so it can be re-run at any time:
+//   { id, name, searchTerm, platforms, filters }
+// They store the query, not the results, so newly imported conversations
+// show up in them automatically.
+
+// ?? IDS
+// Short, unique enough for a single user's library
+export const createLocalId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const createCollection = (name) => ({ id: createLocalId('collection'), name: name.trim() });
+
+export const createSavedSearch = (name, { searchTerm, platforms, filters }) => ({
+  id: createLocalId('search'),
+  name: name.trim(),
+  searchTerm,
+  platforms,
+  filters
+});
+
+// ?? MEMBERSHIP
+export const isInCollection = (conversation, collectionId) => (conversation.collectionIds || []).includes(collectionId);
+
+// Adds the conversation to the collection, or takes it out if it's already there
+export const toggleCollection = (conversation, collectionId) => ({
+  ...conversation,
+  collectionIds: isInCollection(conversation, collectionId)
+    ? conversation.collectionIds.filter(id => id !== collectionId)
+    : [...(conversation.collectionIds || []), collectionId]
+});
+
+// ??? Deleting a collection keeps its conversations, it just un-files them
+export const removeCollectionFromConversations = (conversations, collectionId) => conversations.map(conversation => (
+  isInCollection(conversation, collectionId)
+    ? { ...conversation, collectionIds: conversation.collectionIds.filter(id => id !== collectionId) }
+    : conversation
+));
@@ -0,0 +1,31 @@
+import { createCollection, createSavedSearch, isInCollection, toggleCollection, removeCollectionFromConversations } from './collections';
+
+describe('collections', () => {
+  it('creates collections with a trimmed name and a unique id', () => {
+    const first = createCollection('  Client work ');
+    const second = createCollection('Client work');
+    expect(first.name).toBe('Client work');
+    expect(first.id).toMatch(/^collection-/);
+    expect(first.id).not.toBe(second.id);
+  });
+
+  it('files and un-files a conversation', () => {
+    const filed = toggleCollection({ id: 'a' }, 'c1');
+    expect(isInCollection(filed, 'c1')).toBe(true);
+    expect(toggleCollection(filed, 'c1').collectionIds).toEqual([]);
+  });
+
+  it('keeps conversations when their collection is deleted', () => {
+    const library = [{ id: 'a', collectionIds: ['c1', 'c2'] }, { id: 'b' }];
+    const updated = removeCollectionFromConversations(library, 'c1');
+    expect(updated[0].collectionIds).toEqual(['c2']);
+    expect(updated[1]).toBe(library[1]);
+  });
+});
+
+describe('saved searches', () => {
+  it('remember the query rather than its results', () => {
+    const saved = createSavedSearch(' Rust ', { searchTerm: 'rust', platforms: ['claude'], filters: { tags: ['coding'] } });
+    expect(saved).toEqual({ id: expect.stringMatching(/^search-/), name: 'Rust', searchTerm: 'rust', platforms: ['claude'], filters: { tags: ['coding'] } });
+  });
+});
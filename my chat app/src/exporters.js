@@ -0,0 +1,344 @@
+// ?? CONVERSATION EXPORTERS
+// Turns conversations into downloadable files. Each exporter has:
+//   id, label, description - shown in the export format picker
+//   build(conversations, { platforms, library }) -> { fileName, mimeType, data }
+// `platforms` is the PLATFORMS table (names and colours) and `library` every
+// conversation, so links to related conversations can be resolved.
+// `data` is a string or, for ZIP bundles, a Uint8Array.
+
+import { zipSync, strToU8 } from 'fflate';
+import { getThreads } from './messages';
+import { getLastActivity } from './timestamps';
+
+// ?? SHARED HELPERS
+const pad = (number) => String(number).padStart(2, '0');
+
+const formatDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Conversations the export gave no time for say so instead of 1970-01-01
+const conversationDay = (conversation) => (conversation.undated ? 'undated' : formatDay(conversation.date));
+
+const platformName = (platforms, conversation) => (platforms[conversation.platform] || {}).name || conversation.platform;
+
+// Who said a message, the same way the transcript shows it
+const speakerName = (message, platforms, conversation) => {
+  if (message.role === 'user') return 'You';
+  if (message.role === 'assistant') return platformName(platforms, conversation);
+  return message.role.charAt(0).toUpperCase() + message.role.slice(1);
+};
+
+// File-system safe name: no path separators, reserved or wiki-link characters
+const safeFileName = (text, fallback) => {
+  const cleaned = (text || '').replace(/[\\/:*?"<>|#^[\]\r\n\t]+/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 80).trim();
+  return cleaned || fallback;
+};
+
+const slugify = (text) => (text || '').toLowerCase().normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s_-]+/g, '-').substring(0, 60) || 'conversation';
+
+// Dated, URL-friendly file name for one conversation
+export const conversationFileName = (conversation, extension) => `${conversationDay(conversation)}-${slugify(conversation.title)}.${extension}`;
+
+// Gives every conversation its own file name, numbering any repeats
+const assignFileNames = (conversations, nameFor, separator = ' ') => {
+  const used = new Set();
+  const names = new Map();
+  conversations.forEach(conversation => {
+    const base = nameFor(conversation);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}${separator}${n}`;
+    used.add(name.toLowerCase());
+    names.set(conversation.id, name);
+  });
+  return names;
+};
+
+const zipFiles = (files) => zipSync(Object.fromEntries(
+  Object.entries(files).map(([path, text]) => [path, strToU8(text)])
+));
+
+// ?? YAML FRONT-MATTER
+// JSON strings are valid double-quoted YAML scalars, so they're used for
+// escaping. Undefined fields (an id left out of a shared copy) are skipped.
+const frontMatter = (fields) => [
+  '---',
+  ...Object.entries(fields).filter(([, value]) => value !== undefined).map(([key, value]) => {
+    if (Array.isArray(value)) {
+      return value.length === 0 ? `${key}: []` : `${key}:\n${value.map(item => `  - ${JSON.stringify(item)}`).join('\n')}`;
+    }
+    return `${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`;
+  }),
+  '---'
+].join('\n');
+
+// ?? MARKDOWN TRANSCRIPT
+// Messages as "### Speaker" sections; edit/regeneration branches follow the main thread
+const messagesToMarkdown = (messages, platforms, conversation) => messages.map(message => {
+  const attachments = message.attachments.map(attachment => `- Attachment: ${attachment.name}`);
+  return [`### ${speakerName(message, platforms, conversation)}`, message.text, ...attachments].filter(Boolean).join('\n\n');
+}).join('\n\n');
+
+const transcriptToMarkdown = (conversation, platforms) => {
+  const [main, ...branches] = getThreads(conversation);
+  const sections = [messagesToMarkdown(main.messages, platforms, conversation)];
+  branches.forEach(branch => {
+    sections.push(`## ${branch.label}\n\n${messagesToMarkdown(branch.messages.slice(branch.forkIndex), platforms, conversation)}`);
+  });
+  return sections.join('\n\n');
+};
+
+const conversationFrontMatter = (conversation, platforms) => ({
+  title: conversation.title,
+  platform: platformName(platforms, conversation),
+  date: conversation.undated ? null : conversation.date.toISOString(),
+  lastActivity: conversation.undated ? null : getLastActivity(conversation).toISOString(),
+  tags: conversation.tags,
+  quality: conversation.quality,
+  starred: conversation.starred,
+  id: conversation.id
+});
+
+// The user's notes and highlights go above the transcript
+const annotationsToMarkdown = (conversation) => {
+  const lines = [];
+  if ((conversation.notes || '').trim()) lines.push('## Notes', '', conversation.notes.trim(), '');
+  const highlights = conversation.highlights || [];
+  if (highlights.length > 0) {
+    lines.push('## Highlights', '');
+    highlights.forEach(highlight => {
+      lines.push(`> ${highlight.text.replace(/\n/g, '\n> ')}`, '');
+      if (highlight.comment) lines.push(highlight.comment, '');
+    });
+  }
+  return lines;
+};
+
+// One conversation as a Markdown document with YAML front-matter
+export const conversationToMarkdown = (conversation, platforms) => [
+  frontMatter(conversationFrontMatter(conversation, platforms)),
+  '',
+  `# ${conversation.title}`,
+  '',
+  ...annotationsToMarkdown(conversation),
+  transcriptToMarkdown(conversation, platforms),
+  ''
+].join('\n');
+
+// ?? HTML DOCUMENT
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 860px; margin: 0 auto; padding: 32px 16px; color: #1f2937; background: #f9fafb; }
+  h1 { font-size: 28px; }
+  nav ol { padding-left: 20px; line-height: 1.7; }
+  nav a, .related a { color: #2563eb; text-decoration: none; }
+  article { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 24px; margin: 24px 0; }
+  article h2 { margin-top: 0; }
+  .meta { color: #6b7280; font-size: 14px; margin-bottom: 16px; }
+  .platform { display: inline-block; color: #fff; border-radius: 4px; padding: 1px 8px; font-size: 12px; font-weight: 600; }
+  .tag { display: inline-block; background: #f3f4f6; border-radius: 4px; padding: 1px 6px; margin-right: 4px; font-size: 12px; }
+  .message { border-radius: 8px; padding: 12px 16px; margin: 12px 0; white-space: pre-wrap; line-height: 1.5; }
+  .message.user { background: #eff6ff; border: 1px solid #bfdbfe; margin-left: 15%; }
+  .message.assistant { background: #fff; border: 1px solid #e5e7eb; margin-right: 15%; }
+  .message.other { background: #f3f4f6; border: 1px solid #e5e7eb; color: #4b5563; }
+  .speaker { font-weight: 600; font-size: 12px; color: #6b7280; margin-bottom: 4px; white-space: normal; }
+  .branch { color: #7c3aed; font-size: 14px; border-top: 1px solid #ddd6fe; padding-top: 8px; margin-top: 20px; }
+  @media print {
+    body { background: #fff; max-width: none; padding: 0; }
+    nav { display: none; }
+    article { border: none; padding: 0; margin: 0; page-break-after: always; }
+    .message { page-break-inside: avoid; }
+  }`;
+
+const messagesToHtml = (messages, platforms, conversation) => messages.map(message => {
+  const roleClass = message.role === 'user' || message.role === 'assistant' ? message.role : 'other';
+  const attachments = message.attachments.map(attachment => `\n[Attachment: ${escapeHtml(attachment.name)}]`).join('');
+  return `<div class="message ${roleClass}"><div class="speaker">${escapeHtml(speakerName(message, platforms, conversation))}</div>${escapeHtml(message.text)}${attachments}</div>`;
+}).join('\n');
+
+const conversationToHtml = (conversation, platforms, anchors, titles) => {
+  const platform = platforms[conversation.platform] || {};
+  const [main, ...branches] = getThreads(conversation);
+  const related = conversation.relationships.filter(relationship => anchors.has(relationship.id));
+
+  return `<article id="${anchors.get(conversation.id)}">
+<h2>${conversation.starred ? '&#9733; ' : ''}${escapeHtml(conversation.title)}</h2>
+<div class="meta"><span class="platform" style="background:${escapeHtml(platform.color || '#6b7280')}">${escapeHtml(platformName(platforms, conversation))}</span>
+${conversation.undated ? 'Undated' : escapeHtml(conversation.date.toLocaleString())} &middot; Quality ${conversation.quality}/5
+${conversation.tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')}</div>
+${messagesToHtml(main.messages, platforms, conversation)}
+${branches.map(branch => `<div class="branch">${escapeHtml(branch.label)}</div>\n${messagesToHtml(branch.messages.slice(branch.forkIndex), platforms, conversation)}`).join('\n')}
+${related.length > 0 ? `<div class="related meta">Related: ${related.map(relationship => `<a href="#${anchors.get(relationship.id)}">${escapeHtml(titles.get(relationship.id))}</a>`).join(', ')}</div>` : ''}
+</article>`;
+};
+
+// A complete, self-contained HTML page - styles inline, no scripts or external files
+export const conversationsToHtml = (conversations, platforms, title = 'AI Conversations') => {
+  const anchors = new Map(conversations.map((conversation, index) => [conversation.id, `conversation-${index + 1}`]));
+  const titles = new Map(conversations.map(conversation => [conversation.id, conversation.title]));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${conversations.length} conversation${conversations.length === 1 ? '' : 's'} &middot; exported ${escapeHtml(new Date().toLocaleString())}</p>
+${conversations.length > 1 ? `<nav><ol>\n${conversations.map(conversation => `<li><a href="#${anchors.get(conversation.id)}">${escapeHtml(conversation.title)}</a> <span class="meta">${escapeHtml(platformName(platforms, conversation))}, ${conversationDay(conversation)}</span></li>`).join('\n')}\n</ol></nav>` : ''}
+${conversations.map(conversation => conversationToHtml(conversation, platforms, anchors, titles)).join('\n')}
+</body>
+</html>
+`;
+};
+
+// ?? CSV
+// Quotes every field; cells that a spreadsheet would run as a formula get a leading '
+const csvCell = (value) => {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const conversationsToCsv = (conversations, platforms) => {
+  const rows = [
+    ['title', 'platform', 'date', 'tags', 'quality', 'starred'],
+    ...conversations.map(conversation => [
+      conversation.title,
+      platformName(platforms, conversation),
+      conversation.undated ? '' : conversation.date.toISOString(),
+      conversation.tags.join('; '),
+      conversation.quality,
+      conversation.starred
+    ])
+  ];
+  // The byte-order mark makes Excel read the file as UTF-8
+  return '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// ?? OBSIDIAN / LOGSEQ VAULT
+// One note per conversation named after its title, with front-matter tags and
+// [[wiki-links]] to related conversations, plus an index note listing them all
+const VAULT_FOLDER = 'AI Conversations';
+
+const vaultTag = (tag) => tag.replace(/\s+/g, '-');
+
+const conversationsToVault = (conversations, platforms, library) => {
+  const noteNames = assignFileNames(conversations, conversation => safeFileName(conversation.title, conversationDay(conversation)));
+  const titles = new Map(library.map(conversation => [conversation.id, conversation.title]));
+  const files = {};
+
+  conversations.forEach(conversation => {
+    const links = conversation.relationships
+      .filter(relationship => noteNames.has(relationship.id))
+      .map(relationship => `- [[${noteNames.get(relationship.id)}]]`);
+    const unlinked = conversation.relationships
+      .filter(relationship => !noteNames.has(relationship.id) && titles.has(relationship.id))
+      .map(relationship => `- ${titles.get(relationship.id)} (not in this export)`);
+
+    files[`${VAULT_FOLDER}/${noteNames.get(conversation.id)}.md`] = [
+      frontMatter({
+        ...conversationFrontMatter(conversation, platforms),
+        tags: [...conversation.tags.map(vaultTag), `ai/${conversation.platform}`]
+      }),
+      '',
+      `# ${conversation.title}`,
+      '',
+      transcriptToMarkdown(conversation, platforms),
+      ...(links.length + unlinked.length > 0 ? ['', '## Related', '', ...links, ...unlinked] : []),
+      ''
+    ].join('\n');
+  });
+
+  files[`${VAULT_FOLDER}/Index.md`] = [
+    `# ${VAULT_FOLDER}`,
+    '',
+    ...conversations.map(conversation => `- ${conversationDay(conversation)} [[${noteNames.get(conversation.id)}]] (${platformName(platforms, conversation)})`),
+    ''
+  ].join('\n');
+
+  return zipFiles(files);
+};
+
+// ?? EXPORTER REGISTRY
+const datedName = (name, extension) => `${name}-${formatDay(new Date())}.${extension}`;
+
+// A lone conversation is named after itself rather than the export date
+const buildHtml = (conversations, { platforms }) => (conversations.length === 1
+  ? { fileName: conversationFileName(conversations[0], 'html'), mimeType: 'text/html', data: conversationsToHtml(conversations, platforms, conversations[0].title) }
+  : { fileName: datedName('ai-conversations', 'html'), mimeType: 'text/html', data: conversationsToHtml(conversations, platforms) });
+
+export const EXPORTERS = [
+  {
+    id: 'markdown',
+    label: 'Markdown',
+    description: 'One .md file per conversation with YAML front-matter, zipped when there are several',
+    build: (conversations, { platforms }) => {
+      if (conversations.length === 1) {
+        return {
+          fileName: conversationFileName(conversations[0], 'md'),
+          mimeType: 'text/markdown',
+          data: conversationToMarkdown(conversations[0], platforms)
+        };
+      }
+      const fileNames = assignFileNames(conversations, conversation => `${conversationDay(conversation)}-${slugify(conversation.title)}`, '-');
+      const files = {};
+      conversations.forEach(conversation => {
+        files[`${fileNames.get(conversation.id)}.md`] = conversationToMarkdown(conversation, platforms);
+      });
+      return { fileName: datedName('ai-conversations-markdown', 'zip'), mimeType: 'application/zip', data: zipFiles(files) };
+    }
+  },
+  {
+    id: 'html',
+    label: 'HTML archive',
+    description: 'A single self-contained web page you can open anywhere',
+    build: buildHtml
+  },
+  {
+    id: 'print',
+    label: 'Print / PDF',
+    description: 'Opens a print-ready page - choose "Save as PDF" in the print dialog',
+    print: true,
+    build: buildHtml
+  },
+  {
+    id: 'csv',
+    label: 'CSV metadata',
+    description: 'Title, platform, date, tags, quality and starred - for spreadsheets',
+    build: (conversations, { platforms }) => ({
+      fileName: datedName('ai-conversations', 'csv'),
+      mimeType: 'text/csv',
+      data: conversationsToCsv(conversations, platforms)
+    })
+  },
+  {
+    id: 'obsidian',
+    label: 'Obsidian / Logseq vault',
+    description: 'Notes with tags and [[wiki-links]] between related conversations',
+    build: (conversations, { platforms, library }) => ({
+      fileName: datedName('ai-conversations-vault', 'zip'),
+      mimeType: 'application/zip',
+      data: conversationsToVault(conversations, platforms, library)
+    })
+  },
+  {
+    id: 'json',
+    label: 'JSON',
+    description: 'Everything, including messages and branches - for backups',
+    build: (conversations) => ({
+      fileName: datedName('ai-conversations', 'json'),
+      mimeType: 'application/json',
+      data: JSON.stringify(conversations, null, 2)
+    })
+  }
+];
+
+export const getExporter = (id) => EXPORTERS.find(exporter => exporter.id === id);
@@ -0,0 +1,74 @@
+import { unzipSync, strFromU8 } from 'fflate';
+import { conversationFileName, conversationToMarkdown, conversationsToHtml, getExporter } from './exporters';
+import { createMessage } from './messages';
+import { makeConversation } from './testConversations';
+
+const platforms = { claude: { name: 'Claude', color: '#d97706' }, chatgpt: { name: 'ChatGPT', color: '#10a37f' } };
+
+const conversation = (changes = {}) => makeConversation({
+  title: 'Trip: "Lisbon"',
+  messages: [createMessage({ role: 'user', text: 'Plan a trip' }), createMessage({ role: 'assistant', text: 'Day 1: <b>Alfama</b>' })],
+  tags: ['travel'],
+  ...changes
+});
+
+describe('Markdown export', () => {
+  it('writes front-matter, the transcript and any branches', () => {
+    const markdown = conversationToMarkdown(conversation({
+      notes: 'Book early',
+      branches: [{ id: 'b', forkIndex: 1, messages: [createMessage({ role: 'assistant', text: 'Go to Porto instead' })] }]
+    }), platforms);
+    expect(markdown).toContain('title: "Trip: \\"Lisbon\\""');
+    expect(markdown).toContain('tags:\n  - "travel"');
+    expect(markdown).toContain('## Notes\n\nBook early');
+    expect(markdown).toContain('### You\n\nPlan a trip\n\n### Claude\n\nDay 1: <b>Alfama</b>');
+    expect(markdown).toContain('## Branch 2 (from message 2)\n\n### Claude\n\nGo to Porto instead');
+  });
+
+  it('names files by day and title, or "undated"', () => {
+    expect(conversationFileName(conversation(), 'md')).toBe('2024-05-01-trip-lisbon.md');
+    expect(conversationFileName(conversation({ undated: true, date: new Date(0) }), 'md')).toBe('undated-trip-lisbon.md');
+  });
+
+  it('zips several conversations with distinct file names', () => {
+    const { fileName, data } = getExporter('markdown').build([conversation(), conversation({ id: 'claude-2' })], { platforms });
+    expect(fileName).toMatch(/\.zip$/);
+    expect(Object.keys(unzipSync(data))).toEqual(['2024-05-01-trip-lisbon.md', '2024-05-01-trip-lisbon-2.md']);
+  });
+});
+
+describe('HTML export', () => {
+  it('escapes text and links related conversations in the page', () => {
+    const html = conversationsToHtml([
+      conversation({ relationships: [{ id: 'gpt-1', score: 0.5 }, { id: 'elsewhere', score: 0.4 }] }),
+      conversation({ id: 'gpt-1', platform: 'chatgpt', title: 'Porto' })
+    ], platforms);
+    expect(html).toContain('Day 1: &lt;b&gt;Alfama&lt;/b&gt;');
+    expect(html).toContain('Related: <a href="#conversation-2">Porto</a></div>');
+    expect(html).not.toContain('<script');
+  });
+});
+
+describe('CSV export', () => {
+  it('quotes every cell and defuses spreadsheet formulas', () => {
+    const { data } = getExporter('csv').build([conversation({ title: '=HYPERLINK("x")' })], { platforms });
+    const [header, row] = data.replace(/^\ufeff/, '').trim().split('\r\n');
+    expect(header).toBe('"title","platform","date","tags","quality","starred"');
+    expect(row.startsWith('"\'=HYPERLINK(""x"")","Claude"')).toBe(true);
+  });
+});
+
+describe('Obsidian vault export', () => {
+  it('links related notes and names ones left out of the export', () => {
+    const library = [
+      conversation({ relationships: [{ id: 'gpt-1', score: 0.5 }, { id: 'gpt-2', score: 0.3 }] }),
+      conversation({ id: 'gpt-1', platform: 'chatgpt', title: 'Porto' }),
+      conversation({ id: 'gpt-2', platform: 'chatgpt', title: 'Madrid' })
+    ];
+    const files = unzipSync(getExporter('obsidian').build(library.slice(0, 2), { platforms, library }).data);
+    const note = strFromU8(files['AI Conversations/Trip Lisbon.md']);
+    expect(note).toContain('## Related\n\n- [[Porto]]\n- Madrid (not in this export)');
+    expect(note).toContain('  - "ai/claude"');
+    expect(strFromU8(files['AI Conversations/Index.md'])).toContain('- 2024-05-01 [[Porto]] (ChatGPT)');
+  });
+});
@@ -0,0 +1,115 @@
+// ?? CONVERSATION FILTERS
+// Structured filters that work alongside the text search. Saved searches
+// store them together with the search text and selected platforms.
+//   tags                 - conversations must carry every one of these
+//   excludeTags          - conversations carrying any of these are hidden
+//   datePreset           - '7d', '30d' or '90d' for a window ending today ('' = use the days below)
+//   dateFrom / dateTo    - 'YYYY-MM-DD', both days included ('' = open-ended)
+//   minQuality / maxQuality - 1 to 5
+//   starredOnly          - only starred conversations
+//   minLength            - shortest transcript shown, in characters (0 = any)
+//   hasCode              - only conversations with at least one code block
+
+export const DEFAULT_FILTERS = {
+  tags: [],
+  excludeTags: [],
+  datePreset: '',
+  dateFrom: '',
+  dateTo: '',
+  minQuality: 1,
+  maxQuality: 5,
+  starredOnly: false,
+  minLength: 0,
+  hasCode: false
+};
+
+// ?? DATE PRESETS
+// Rolling windows, so a bookmarked "last 7 days" stays the last 7 days
+export const DATE_PRESETS = [
+  { id: '7d', label: 'Last 7 days', days: 7 },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '90d', label: 'Last 90 days', days: 90 }
+];
+
+// ?? DAY PARSER
+// A 'YYYY-MM-DD' value as local midnight, or null when empty
+export const parseDay = (value) => {
+  const match = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+// The filters' date window as { from, to } - local midnights, `to` exclusive,
+// null when open-ended. A preset wins over the custom days.
+export const filterDateRange = (filters, today = new Date()) => {
+  const preset = DATE_PRESETS.find(option => option.id === filters.datePreset);
+  if (preset) {
+    return { from: new Date(today.getFullYear(), today.getMonth(), today.getDate() - preset.days + 1), to: null };
+  }
+  const to = parseDay(filters.dateTo);
+  return { from: parseDay(filters.dateFrom), to: to ? new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1) : null };
+};
+
+// ?? MATCHER
+// Undated conversations drop out as soon as any date is set
+export const matchesFilters = (conversation, filters) => {
+  const active = { ...DEFAULT_FILTERS, ...filters };
+
+  if (!active.tags.every(tag => conversation.tags.includes(tag))) return false;
+  if (active.excludeTags.some(tag => conversation.tags.includes(tag))) return false;
+  if (active.starredOnly && !conversation.starred) return false;
+  if (active.hasCode && (conversation.codeBlocks || []).length === 0) return false;
+  if (conversation.content.length < active.minLength) return false;
+
+  const { from, to } = filterDateRange(active);
+  if ((from || to) && conversation.undated) return false;
+  if (from && conversation.date < from) return false;
+  if (to && conversation.date >= to) return false;
+
+  return conversation.quality >= active.minQuality && conversation.quality <= active.maxQuality;
+};
+
+// ?? ACTIVE FILTER SUMMARY
+// Human-readable labels, each with the change that clears it
+export const describeFilters = (filters) => {
+  const active = { ...DEFAULT_FILTERS, ...filters };
+  const labels = [
+    ...active.tags.map(tag => ({
+      key: `tag:${tag}`,
+      label: `#${tag}`,
+      clear: { tags: active.tags.filter(other => other !== tag) }
+    })),
+    ...active.excludeTags.map(tag => ({
+      key: `exclude:${tag}`,
+      label: `Not #${tag}`,
+      clear: { excludeTags: active.excludeTags.filter(other => other !== tag) }
+    }))
+  ];
+
+  const preset = DATE_PRESETS.find(option => option.id === active.datePreset);
+  if (preset) {
+    labels.push({ key: 'date', label: preset.label, clear: { datePreset: '' } });
+  } else if (active.dateFrom || active.dateTo) {
+    labels.push({
+      key: 'date',
+      label: active.dateFrom && active.dateTo
+        ? `${active.dateFrom} to ${active.dateTo}`
+        : active.dateFrom ? `From ${active.dateFrom}` : `Until ${active.dateTo}`,
+      clear: { dateFrom: '', dateTo: '' }
+    });
+  }
+  if (active.minQuality > DEFAULT_FILTERS.minQuality || active.maxQuality < DEFAULT_FILTERS.maxQuality) {
+    labels.push({
+      key: 'quality',
+      label: `Quality ${active.minQuality}-${active.maxQuality}`,
+      clear: { minQuality: DEFAULT_FILTERS.minQuality, maxQuality: DEFAULT_FILTERS.maxQuality }
+    });
+  }
+  if (active.starredOnly) labels.push({ key: 'starred', label: 'Starred', clear: { starredOnly: false } });
+  if (active.minLength > 0) {
+    labels.push({ key: 'length', label: `At least ${active.minLength.toLocaleString()} chars`, clear: { minLength: 0 } });
+  }
+  if (active.hasCode) labels.push({ key: 'code', label: 'Has code', clear: { hasCode: false } });
+  return labels;
+};
+
+export const hasActiveFilters = (filters) => describeFilters(filters).length > 0;
@@ -0,0 +1,85 @@
+import { DEFAULT_FILTERS, parseDay, filterDateRange, matchesFilters, describeFilters, hasActiveFilters } from './filters';
+import { makeConversation } from './testConversations';
+
+const conversation = (changes = {}) => makeConversation({
+  tags: ['coding'],
+  content: 'Human: hello',
+  date: new Date(2024, 4, 10, 15),
+  ...changes
+});
+
+describe('matchesFilters', () => {
+  it('matches everything with the default filters', () => {
+    expect(matchesFilters(conversation(), DEFAULT_FILTERS)).toBe(true);
+    expect(matchesFilters(conversation({ undated: true }), {})).toBe(true);
+  });
+
+  it('requires every tag and hides excluded ones', () => {
+    expect(matchesFilters(conversation({ tags: ['coding', 'work'] }), { tags: ['coding', 'work'] })).toBe(true);
+    expect(matchesFilters(conversation(), { tags: ['coding', 'work'] })).toBe(false);
+    expect(matchesFilters(conversation(), { excludeTags: ['coding'] })).toBe(false);
+  });
+
+  it('keeps quality within the chosen range', () => {
+    expect(matchesFilters(conversation({ quality: 4.5 }), { minQuality: 4 })).toBe(true);
+    expect(matchesFilters(conversation({ quality: 4.5 }), { maxQuality: 4 })).toBe(false);
+  });
+
+  it('includes both ends of a custom date range', () => {
+    expect(matchesFilters(conversation(), { dateFrom: '2024-05-10', dateTo: '2024-05-10' })).toBe(true);
+    expect(matchesFilters(conversation(), { dateFrom: '2024-05-11' })).toBe(false);
+    expect(matchesFilters(conversation(), { dateTo: '2024-05-09' })).toBe(false);
+  });
+});
+
+describe('more filters', () => {
+  it('keeps starred conversations, long ones and ones with code', () => {
+    expect(matchesFilters(conversation(), { starredOnly: true })).toBe(false);
+    expect(matchesFilters(conversation({ starred: true }), { starredOnly: true })).toBe(true);
+    expect(matchesFilters(conversation(), { minLength: 100 })).toBe(false);
+    expect(matchesFilters(conversation(), { hasCode: true })).toBe(false);
+    expect(matchesFilters(conversation({ codeBlocks: [{ code: 'a' }] }), { hasCode: true })).toBe(true);
+  });
+
+  it('drops undated conversations once a date is set', () => {
+    expect(matchesFilters(conversation({ undated: true, date: new Date(0) }), { datePreset: '7d' })).toBe(false);
+  });
+});
+
+describe('date presets', () => {
+  it('end today and win over custom days', () => {
+    const today = new Date(2024, 4, 10, 15);
+    expect(filterDateRange({ datePreset: '7d', dateFrom: '2020-01-01', dateTo: '' }, today)).toEqual({ from: new Date(2024, 4, 4), to: null });
+  });
+});
+
+describe('describeFilters', () => {
+  it('labels each active filter with the change that clears it', () => {
+    const labels = describeFilters({ tags: ['coding', 'work'], dateFrom: '2024-01-01', minQuality: 3 });
+    expect(labels.map(label => label.label)).toEqual(['#coding', '#work', 'From 2024-01-01', 'Quality 3-5']);
+    expect(labels[0].clear).toEqual({ tags: ['work'] });
+    expect(labels[3].clear).toEqual({ minQuality: 1, maxQuality: 5 });
+  });
+
+  it('labels presets, starred, length and code filters', () => {
+    const labels = describeFilters({ datePreset: '30d', starredOnly: true, minLength: 2000, hasCode: true, excludeTags: ['work'] });
+    expect(labels.map(label => label.key)).toEqual(['exclude:work', 'date', 'starred', 'length', 'code']);
+    expect(labels[1]).toEqual({ key: 'date', label: 'Last 30 days', clear: { datePreset: '' } });
+  });
+
+  it('reports no filters for the defaults', () => {
+    expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false);
+  });
+});
+
+describe('date parsing', () => {
+  it('reads days as local midnight and rejects anything else', () => {
+    expect(parseDay('2024-03-05')).toEqual(new Date(2024, 2, 5));
+    expect(parseDay('5 March')).toBeNull();
+    expect(parseDay('')).toBeNull();
+  });
+
+  it('makes the last day of a range inclusive', () => {
+    expect(filterDateRange({ dateFrom: '', dateTo: '2024-12-31' })).toEqual({ from: null, to: new Date(2025, 0, 1) });
+  });
+});
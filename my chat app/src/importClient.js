@@ -0,0 +1,71 @@
+// ?? IMPORT CLIENT
+// Main-thread side of the import worker: starts one worker per file,
+// collects the parsed conversations and lets the caller cancel
+
+import { getImporter } from './importers';
+
+// ?? IMPORT ONE FILE
+// Returns { promise, cancel }. The promise resolves with
+// { conversations, results } where results lists each file read (a zip can
+// hold several) with the importer used and how many conversations it gave.
+// When cancelled it rejects with an error whose `cancelled` flag is set.
+//   onProgress({ fileName, fraction, conversations }) - as parsing moves along
+//   chooseFormat(fileName, ranked) - resolves with an importer or null to skip
+//   timeZone - zone for times the export writes without one ('' = this browser's)
+export const importFile = (file, { format = 'auto', timeZone = '', onProgress = () => {}, chooseFormat }) => {
+  const worker = new Worker(new URL('./importWorker.js', import.meta.url));
+  let cancel = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    const conversations = [];
+    let settled = false;
+
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      worker.terminate();
+      callback();
+    };
+
+    cancel = () => finish(() => {
+      const error = new Error('Import cancelled');
+      error.cancelled = true;
+      reject(error);
+    });
+
+    worker.onmessage = async ({ data }) => {
+      switch (data.type) {
+        case 'progress':
+          onProgress(data);
+          break;
+        case 'conversations':
+          conversations.push(...data.conversations);
+          break;
+        case 'chooseFormat': {
+          // ?? Hand the question to the UI and pass the answer back
+          const ranked = data.ranked.map(({ id, confidence }) => ({ importer: getImporter(id), confidence }));
+          const importer = await chooseFormat(data.fileName, ranked);
+          if (!settled) worker.postMessage({ type: 'format', importerId: importer ? importer.id : null });
+          break;
+        }
+        case 'done':
+          finish(() => resolve({ conversations, results: data.results }));
+          break;
+        case 'error':
+          finish(() => reject(new Error(data.message)));
+          break;
+        default:
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(() => reject(new Error(event.message || 'The import worker crashed')));
+    };
+
+    worker.postMessage({ type: 'import', file, format, timeZone });
+  });
+
+  return { promise, cancel };
+};
@@ -0,0 +1,291 @@
+/* eslint-disable no-restricted-globals */
+// ?? IMPORT WORKER
+// Reads and parses export files off the main thread so the page stays
+// responsive with exports of hundreds of MB. Talks to importClient.js:
+//   in:  { type: 'import', file, format, timeZone }   format = importer id or 'auto'
+//        { type: 'format', importerId }      answer to a 'chooseFormat' question
+//   out: { type: 'progress', fileName, fraction, conversations }
+//        { type: 'chooseFormat', fileName, ranked: [{ id, confidence }] }
+//        { type: 'conversations', conversations }
+//        { type: 'done', results: [{ fileName, importerId, count }] }
+//        { type: 'error', message }
+
+import { Unzip, UnzipInflate } from 'fflate';
+import { createImportSource, createParsedImportSource, getImporter, rankImporters, pickImporter } from './importers';
+import { createJsonArraySplitter } from './jsonStream';
+import { withCodeBlocks } from './snippets';
+
+// ?? TUNING
+const BATCH_SIZE = 25; // Conversations parsed (and posted back) at a time
+
+// ?? ZIP ENTRIES WE CAN IMPORT
+const IMPORTABLE_ENTRY = /\.(json|html?|md)$/i;
+const PRIMARY_ENTRY = /(^|\/)conversations\.json$/i; // ChatGPT and Claude downloads
+
+// ?? FORMAT QUESTIONS
+// The main thread answers 'chooseFormat' with a 'format' message
+let answerFormatQuestion = null;
+
+const askForFormat = (fileName, ranked) => new Promise(resolve => {
+  answerFormatQuestion = resolve;
+  self.postMessage({
+    type: 'chooseFormat',
+    fileName,
+    ranked: ranked.map(({ importer, confidence }) => ({ id: importer.id, confidence }))
+  });
+});
+
+// ?? TEXT CHUNK SOURCE
+// Files are decoded as they stream in
+async function* streamFileText(file) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    yield value;
+  }
+}
+
+// ?? ZIP READER
+// Official ChatGPT/Claude downloads are zips holding conversations.json;
+// when that's missing (e.g. Google Takeout) every JSON/HTML/Markdown file is tried
+const isZipFile = async (file) => {
+  if (/\.zip$/i.test(file.name)) return true;
+  const header = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  return header[0] === 0x50 && header[1] === 0x4b && header[2] === 0x03 && header[3] === 0x04;
+};
+
+// ?? Entry names from the central directory at the end of the archive, so
+// the choice of entries is made without reading the rest of it
+const END_OF_DIRECTORY = 0x06054b50;
+const UTF8_NAME_FLAG = 0x800;
+
+const listZipEntries = async (file) => {
+  const tailSize = Math.min(file.size, 22 + 0xffff); // End record plus the longest possible comment
+  const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+  let end = tail.byteLength - 22;
+  while (end >= 0 && tail.getUint32(end, true) !== END_OF_DIRECTORY) end--;
+  if (end < 0) throw new Error('This zip file is damaged or incomplete');
+
+  const count = tail.getUint16(end + 10, true);
+  const directorySize = tail.getUint32(end + 12, true);
+  const directoryOffset = tail.getUint32(end + 16, true);
+  if (directoryOffset === 0xffffffff) throw new Error('Zip files over 4 GB are not supported - unzip it and import conversations.json');
+
+  const directory = await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer();
+  const view = new DataView(directory);
+  const names = [];
+  for (let i = 0, offset = 0; i < count && offset + 46 <= view.byteLength; i++) {
+    const nameBytes = new Uint8Array(directory, offset + 46, view.getUint16(offset + 28, true));
+    // Names are UTF-8 when flagged, otherwise read byte for byte, as fflate does
+    names.push(view.getUint16(offset + 8, true) & UTF8_NAME_FLAG
+      ? new TextDecoder().decode(nameBytes)
+      : String.fromCharCode(...nameBytes));
+    offset += 46 + nameBytes.length + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return names;
+};
+
+const chooseZipEntries = (names) => {
+  const primary = names.filter(name => PRIMARY_ENTRY.test(name));
+  return new Set(primary.length > 0 ? primary : names.filter(name => IMPORTABLE_ENTRY.test(name)));
+};
+
+// ?? Streams the wanted entries one after another. The archive is only read
+// as fast as the importer takes text, so no more than a chunk or two of it is
+// held in memory. Each entry's chunks must be read (or abandoned) before the
+// next entry is asked for.
+async function* streamZipEntries(file, wanted) {
+  const reader = file.stream().getReader();
+  const queue = []; // { start, name, size } | { text } | { end } | { error }, in archive order
+  let finished = false;
+
+  const unzip = new Unzip(stream => {
+    if (!wanted.has(stream.name)) return;
+    const decoder = new TextDecoder();
+    queue.push({ start: true, name: stream.name, size: stream.originalSize || 0 });
+    stream.ondata = (error, data, final) => {
+      if (error) {
+        queue.push({ error });
+        return;
+      }
+      const text = decoder.decode(data, { stream: !final });
+      if (text) queue.push({ text });
+      if (final) queue.push({ end: true });
+    };
+    stream.start();
+  });
+  unzip.register(UnzipInflate);
+
+  // The next queued item, reading more of the archive when the queue is empty
+  const next = async () => {
+    while (queue.length === 0 && !finished) {
+      const { done, value } = await reader.read();
+      if (done) {
+        unzip.push(new Uint8Array(0), true);
+        finished = true;
+      } else {
+        unzip.push(value);
+      }
+    }
+    return queue.shift() || null;
+  };
+
+  for (let item = await next(); item; item = await next()) {
+    if (!item.start) continue; // The rest of an entry nothing recognised
+    yield {
+      name: item.name.split('/').pop(),
+      size: item.size,
+      lastModified: file.lastModified,
+      fromZip: true,
+      chunks: async function* () {
+        for (let chunk = await next(); chunk && !chunk.end; chunk = await next()) {
+          if (chunk.error) throw chunk.error;
+          if (chunk.start) {
+            queue.unshift(chunk); // Entry ended without a final chunk - leave the next one be
+            return;
+          }
+          yield chunk.text;
+        }
+      }
+    };
+  }
+}
+
+// ?? IMPORTER CHOICE
+// Explicit format wins; otherwise detect, and ask when detection isn't sure.
+// Inside a zip, files nothing recognises are skipped without asking.
+const resolveImporter = async (source, format, fromZip) => {
+  if (format !== 'auto') return getImporter(format);
+
+  const ranked = rankImporters(source);
+  const importer = pickImporter(ranked);
+  if (importer) return importer;
+  if (fromZip && ranked.length === 0) return null;
+
+  const chosenId = await askForFormat(source.originalName, ranked);
+  return chosenId ? getImporter(chosenId) : null;
+};
+
+// ?? POST HELPERS
+// Code blocks are pulled out here, off the main thread, whatever the importer
+const postConversations = (conversations) => {
+  if (conversations.length > 0) self.postMessage({ type: 'conversations', conversations: conversations.map(withCodeBlocks) });
+};
+
+const postProgress = (entry, charsRead, conversations) => {
+  self.postMessage({
+    type: 'progress',
+    fileName: entry.name,
+    fraction: entry.size > 0 ? Math.min(1, charsRead / entry.size) : 1,
+    conversations
+  });
+};
+
+// ?? IMPORT ONE FILE
+// Top-level JSON arrays are split element by element as the text arrives;
+// anything else (objects, HTML, Markdown) is read whole and parsed in one go
+const importEntry = async (entry, format, timeZone) => {
+  const iterator = entry.chunks();
+  let first = await iterator.next();
+  while (!first.done && first.value.trim().length === 0) first = await iterator.next();
+  if (first.done) return { fileName: entry.name, importerId: null, count: 0 };
+
+  // ?? Whole-file path
+  if (first.value.trimStart()[0] !== '[') {
+    let text = first.value;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) text += next.value;
+
+    const source = createImportSource(entry.name, text, entry.lastModified, timeZone);
+    const importer = await resolveImporter(source, format, entry.fromZip);
+    if (!importer) return { fileName: entry.name, importerId: null, count: 0 };
+
+    const conversations = importer.parse(source);
+    postConversations(conversations);
+    postProgress(entry, entry.size, conversations.length);
+    return { fileName: entry.name, importerId: importer.id, count: conversations.length };
+  }
+
+  // ?? Streaming path
+  let importer = null;
+  let pendingTexts = []; // Element texts waiting for a parser
+  let collected = []; // Parsed elements, for importers that need the whole array
+  let count = 0;
+  let elementsParsed = 0; // Where the next batch starts in the array
+  let charsRead = 0;
+  const splitter = createJsonArraySplitter(text => pendingTexts.push(text));
+
+  const parseBatch = (texts) => {
+    const elements = texts.map(text => JSON.parse(text));
+    if (!importer.streamable) {
+      collected = collected.concat(elements);
+      return;
+    }
+    const conversations = importer.parse(createParsedImportSource(entry.name, elements, entry.lastModified, timeZone, elementsParsed));
+    elementsParsed += elements.length;
+    count += conversations.length;
+    postConversations(conversations);
+  };
+
+  for (let chunk = first; !chunk.done; chunk = await iterator.next()) {
+    splitter.push(chunk.value);
+    charsRead += chunk.value.length;
+
+    // ?? The first complete element is enough to tell which importer to use
+    if (!importer && pendingTexts.length > 0) {
+      const preview = createImportSource(entry.name, `[${pendingTexts[0]}]`, entry.lastModified, timeZone);
+      importer = await resolveImporter(preview, format, entry.fromZip);
+      if (!importer) return { fileName: entry.name, importerId: null, count: 0 };
+    }
+
+    while (importer && pendingTexts.length >= BATCH_SIZE) {
+      parseBatch(pendingTexts.splice(0, BATCH_SIZE));
+    }
+    postProgress(entry, charsRead, count);
+  }
+  splitter.end();
+
+  if (!importer) return { fileName: entry.name, importerId: null, count: 0 }; // Empty array
+  if (pendingTexts.length > 0) parseBatch(pendingTexts);
+
+  // ?? Importers that group across elements (e.g. Gemini activity) parse at the end
+  if (!importer.streamable) {
+    const conversations = importer.parse(createParsedImportSource(entry.name, collected, entry.lastModified, timeZone));
+    count = conversations.length;
+    postConversations(conversations);
+  }
+
+  postProgress(entry, entry.size, count);
+  return { fileName: entry.name, importerId: importer.id, count };
+};
+
+// ?? MESSAGE HANDLER
+self.onmessage = async ({ data }) => {
+  if (data.type === 'format') {
+    if (answerFormatQuestion) answerFormatQuestion(data.importerId);
+    answerFormatQuestion = null;
+    return;
+  }
+  if (data.type !== 'import') return;
+
+  try {
+    const { file, format, timeZone } = data;
+    let entries = [{ name: file.name, size: file.size, lastModified: file.lastModified, fromZip: false, chunks: () => streamFileText(file) }];
+
+    if (await isZipFile(file)) {
+      const wanted = chooseZipEntries(await listZipEntries(file));
+      if (wanted.size === 0) {
+        throw new Error('The zip file has no conversations.json or other importable files');
+      }
+      entries = streamZipEntries(file, wanted);
+    }
+
+    const results = [];
+    for await (const entry of entries) {
+      results.push(await importEntry(entry, format, timeZone));
+    }
+    self.postMessage({ type: 'done', results });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+import { File } from 'buffer';
+import { TextDecoderStream } from 'stream/web';
+import { zipSync, strToU8 } from 'fflate';
+
+// The worker talks through `self`; collect what it posts back
+const posted = [];
+global.self = { postMessage: message => posted.push(message) };
+global.TextDecoderStream = TextDecoderStream;
+require('./importWorker');
+const { onmessage } = global.self;
+
+const claudeExport = (count) => JSON.stringify(Array.from({ length: count }, (_, i) => ({
+  uuid: `c${i}`,
+  name: `Chat ${i}`,
+  created_at: '2024-05-01T10:00:00Z',
+  chat_messages: [{ sender: 'human', text: `Question ${i} ${'é'.repeat(2000)}`, created_at: '2024-05-01T10:00:00Z' }]
+})));
+
+const importFile = async (file) => {
+  posted.length = 0;
+  await onmessage({ data: { type: 'import', file, format: 'auto', timeZone: '' } });
+  return {
+    conversations: posted.filter(message => message.type === 'conversations').flatMap(message => message.conversations),
+    done: posted.find(message => message.type === 'done'),
+    error: posted.find(message => message.type === 'error')
+  };
+};
+
+describe('import worker', () => {
+  it('streams a plain JSON array in batches', async () => {
+    const { conversations, done } = await importFile(new File([claudeExport(60)], 'conversations.json'));
+    expect(conversations).toHaveLength(60);
+    expect(posted.filter(message => message.type === 'conversations').length).toBeGreaterThan(1);
+    expect(done.results).toEqual([{ fileName: 'conversations.json', importerId: 'claude', count: 60 }]);
+  });
+
+  it('reads conversations.json out of a zip without the other entries', async () => {
+    const zip = zipSync({
+      'export/conversations.json': [strToU8(claudeExport(40)), { level: 6 }],
+      'export/users.json': strToU8('[{"email": "someone@example.com"}]')
+    });
+    const { conversations, done } = await importFile(new File([zip], 'export.zip'));
+    expect(conversations).toHaveLength(40);
+    expect(conversations[0].content).toContain('é'.repeat(2000)); // Multi-byte text split across chunks
+    expect(done.results).toEqual([{ fileName: 'conversations.json', importerId: 'claude', count: 40 }]);
+  });
+
+  it('tries every importable entry when a zip has no conversations.json', async () => {
+    const zip = zipSync({ 'readme.txt': strToU8('hi'), 'claude/chats.json': strToU8(claudeExport(2)) });
+    const { done } = await importFile(new File([zip], 'takeout.zip'));
+    expect(done.results).toEqual([{ fileName: 'chats.json', importerId: 'claude', count: 2 }]);
+  });
+
+  it('reports a zip with nothing to import', async () => {
+    const { error } = await importFile(new File([zipSync({ 'readme.txt': strToU8('hi') })], 'empty.zip'));
+    expect(error.message).toMatch(/no conversations\.json/);
+  });
+});
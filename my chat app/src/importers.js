@@ -0,0 +1,1042 @@
+// ?? CHAT EXPORT IMPORTERS
+// Parsers for each platform's export format, plus the registry the upload
+// handler uses to work out which parser a file needs
+
+import { generateSmartTags } from './tagging';
+import { calculateQualityScore } from './quality';
+import { createMessage, messagesToContent } from './messages';
+import { parseTimestamp, conversationTimes, fromWallTime, wallTime } from './timestamps';
+
+// ?? STABLE HASH
+// Small non-cryptographic string hash (cyrb53), returned as base-36 text
+const hashString = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+// ?? CONVERSATION IDENTITY
+// Ids are namespaced by platform so exports can't collide with each other
+// or with the demo data. The platform's own id is used when the export has
+// one; otherwise the id is derived from things that don't change when the
+// conversation grows (start time and opening message). Undated conversations
+// all start at the epoch, so their id rests on the opening message alone.
+const createConversationId = (platform, nativeId, date, content) => {
+  if (nativeId) return `${platform}:${nativeId}`;
+  return `${platform}:h${hashString(`${date.getTime()}|${content.substring(0, 200)}`)}`;
+};
+
+// ?? CONVERSATION LINKS
+// Where a conversation can be reopened on its platform, when the export says which one it is
+const CONVERSATION_URLS = {
+  chatgpt: (id) => `https://chatgpt.com/c/${id}`,
+  claude: (id) => `https://claude.ai/chat/${id}`,
+  grok: (id) => `https://grok.com/chat/${id}`,
+  perplexity: (slug) => `https://www.perplexity.ai/search/${slug}`,
+  deepseek: (id) => `https://chat.deepseek.com/a/chat/s/${id}`
+};
+
+const createConversationUrl = (platform, nativeId) => (
+  nativeId ? CONVERSATION_URLS[platform](encodeURIComponent(nativeId)) : null
+);
+
+// ?? CHATGPT CONTENT READER
+// Message content comes in several shapes (content_type); turn each into
+// text plus attachments instead of joining raw objects
+const readChatGPTPart = (part) => {
+  if (typeof part === 'string') return { text: part, attachments: [] };
+  if (!part || typeof part !== 'object') return { text: '', attachments: [] };
+  
+  switch (part.content_type) {
+    case 'image_asset_pointer':
+      return {
+        text: '',
+        attachments: [{ name: part.metadata && part.metadata.dalle ? 'Generated image' : 'Image', type: 'image', size: part.size_bytes }]
+      };
+    case 'audio_asset_pointer':
+      return { text: '', attachments: [{ name: 'Audio', type: 'audio', size: part.size_bytes }] };
+    case 'audio_transcription':
+      return { text: part.text || '', attachments: [] };
+    default:
+      return { text: typeof part.text === 'string' ? part.text : '', attachments: [] };
+  }
+};
+
+const readChatGPTContent = (content) => {
+  switch (content.content_type) {
+    case 'code': {
+      // Code the model ran (e.g. data analysis) - keep it fenced
+      const language = content.language && content.language !== 'unknown' ? content.language : '';
+      return { text: content.text ? `\`\`\`${language}\n${content.text}\n\`\`\`` : '', attachments: [] };
+    }
+    case 'execution_output':
+      return { text: content.text ? `Output:\n\`\`\`\n${content.text}\n\`\`\`` : '', attachments: [] };
+    case 'tether_browsing_display':
+      // Web browsing results shown to the model
+      return { text: content.result || content.summary || '', attachments: [] };
+    case 'tether_quote':
+      return {
+        text: [content.text && `> ${content.text}`, (content.title || content.url) && `- ${[content.title, content.url].filter(Boolean).join(' ')}`]
+          .filter(Boolean).join('\n'),
+        attachments: []
+      };
+    case 'system_error':
+      return { text: content.text ? `Error: ${content.text}` : '', attachments: [] };
+    case 'thoughts':
+    case 'reasoning_recap':
+      // Hidden reasoning isn't part of the visible transcript
+      return { text: '', attachments: [] };
+    default: {
+      // text, multimodal_text and anything new that still uses `parts`
+      const parts = Array.isArray(content.parts) ? content.parts : [content.parts];
+      const read = parts.map(readChatGPTPart);
+      return {
+        text: read.map(part => part.text).filter(Boolean).join('\n'),
+        attachments: read.flatMap(part => part.attachments)
+      };
+    }
+  }
+};
+
+// ?? CHATGPT NODE READER
+// Converts one node of the conversation tree into a message, or null when
+// there's nothing worth showing (empty system prompts, hidden nodes)
+const readChatGPTNode = (node, timeZone) => {
+  const msg = node && node.message;
+  if (!msg || !msg.content) return null;
+  
+  const metadata = msg.metadata || {};
+  if (metadata.is_visually_hidden_from_conversation) return null;
+  
+  const { text, attachments } = readChatGPTContent(msg.content);
+  const files = (metadata.attachments || []).map(file => ({ name: file.name, type: file.mime_type, size: file.size }));
+  
+  const message = createMessage({
+    role: msg.author?.role,
+    text: text,
+    timestamp: parseTimestamp(msg.create_time, timeZone),
+    model: metadata.model_slug,
+    attachments: [...attachments, ...files]
+  });
+  return message.text.trim().length > 0 || message.attachments.length > 0 ? message : null;
+};
+
+// ?? CHATGPT TREE WALKER
+// `mapping` is a tree linked by `parent`/`children`: every edit or
+// regeneration starts a new branch. The thread the user last saw ends at
+// `current_node`; every other leaf is an alternative branch. Branches are
+// stored as the messages after the point where they leave the main thread.
+const readChatGPTThreads = (conv, timeZone) => {
+  const mapping = conv.mapping;
+  
+  // ?? Walk from a node up to the root, then flip into reading order
+  const pathTo = (nodeId) => {
+    const path = [];
+    const seen = new Set();
+    let id = nodeId;
+    while (id && mapping[id] && !seen.has(id)) {
+      seen.add(id);
+      path.push(id);
+      id = mapping[id].parent;
+    }
+    return path.reverse();
+  };
+  
+  const toEntries = (path) => path
+    .map(id => ({ id, message: readChatGPTNode(mapping[id], timeZone) }))
+    .filter(entry => entry.message);
+  
+  const leaves = Object.keys(mapping).filter(id => !(mapping[id].children || []).some(child => mapping[child]));
+  
+  // ?? Main thread: current_node, or the most recently written leaf for older exports
+  const nodeTime = (id) => (mapping[id].message && mapping[id].message.create_time) || 0;
+  const mainLeaf = mapping[conv.current_node]
+    ? conv.current_node
+    : [...leaves].sort((a, b) => nodeTime(b) - nodeTime(a))[0];
+  const main = toEntries(pathTo(mainLeaf));
+  
+  // ?? Alternative branches, relative to the main thread
+  const branches = leaves
+    .filter(leafId => leafId !== mainLeaf)
+    .map(leafId => {
+      const entries = toEntries(pathTo(leafId));
+      let forkIndex = 0;
+      while (forkIndex < entries.length && forkIndex < main.length && entries[forkIndex].id === main[forkIndex].id) {
+        forkIndex++;
+      }
+      return { id: leafId, forkIndex, messages: entries.slice(forkIndex).map(entry => entry.message) };
+    })
+    .filter(branch => branch.messages.length > 0)
+    .sort((a, b) => a.forkIndex - b.forkIndex);
+  
+  return { messages: main.map(entry => entry.message), branches };
+};
+
+// ?? CHATGPT DATA PARSER
+// Converts exported ChatGPT JSON into our standard format
+const parseChatGPTData = (chatgptJson, timeZone, offset = 0) => {
+  const conversations = [];
+  try {
+    // ?? Find conversations data in different possible JSON structures
+    let conversationsData = null;
+    
+    if (chatgptJson.conversations) {
+      conversationsData = chatgptJson.conversations;
+    } else if (Array.isArray(chatgptJson)) {
+      // Sometimes the data is an array of conversations
+      conversationsData = chatgptJson;
+    } else if (chatgptJson.data && chatgptJson.data.conversations) {
+      conversationsData = chatgptJson.data.conversations;
+    }
+    
+    if (!conversationsData) {
+      throw new Error('No conversations data found in the JSON structure');
+    }
+    
+    // ?? Convert to array format for processing
+    // Array exports carry their own id on each conversation
+    const conversationEntries = Array.isArray(conversationsData) 
+      ? conversationsData.map(conv => [conv.conversation_id || conv.id || null, conv])
+      : Object.entries(conversationsData);
+    
+    console.log(`Found ${conversationEntries.length} conversation entries`);
+    
+    // ??? Process each conversation
+    conversationEntries.forEach(([id, conv], index) => {
+      try {
+        let messages = [];
+        let branches = []; // Alternative threads from edits/regenerations
+        let title = conv.title || `ChatGPT Conversation ${offset + index + 1}`;
+        const createTime = parseTimestamp(conv.create_time || conv.created_at, timeZone);
+        const updateTime = parseTimestamp(conv.update_time || conv.updated_at, timeZone);
+        
+        // ?? Extract messages from different possible structures
+        if (conv.mapping) {
+          // Standard ChatGPT export format with a message tree
+          ({ messages, branches } = readChatGPTThreads(conv, timeZone));
+        } else if (conv.messages) {
+          // Alternative format with direct messages array
+          messages = conv.messages.map(msg => createMessage({
+            role: msg.role || msg.author?.role,
+            text: Array.isArray(msg.content) ? msg.content.join(' ') : msg.content,
+            timestamp: parseTimestamp(msg.create_time, timeZone),
+            model: msg.model
+          }));
+        } else if (conv.conversation) {
+          // Nested conversation structure
+          messages = [createMessage({ role: 'unknown', text: conv.conversation })];
+        }
+        
+        const fullContent = messagesToContent(messages);
+        
+        // ? Only add conversations with actual content
+        if (fullContent.trim().length > 0) {
+          const times = conversationTimes(createTime, updateTime, messages);
+          const conversation = {
+            id: createConversationId('chatgpt', id, times.date, fullContent),
+            platform: 'chatgpt',
+            title: title,
+            ...times,
+            url: createConversationUrl('chatgpt', id),
+            summary: fullContent.substring(0, 150) + (fullContent.length > 150 ? '...' : ''),
+            messages: messages,
+            branches: branches,
+            content: fullContent,
+            tags: generateSmartTags(fullContent, title), // Auto-generate tags
+            starred: false,
+            quality: 0, // Will be calculated below
+            relationships: [],
+            extractedAt: new Date()
+          };
+          
+          // Calculate and assign quality score
+          conversation.quality = calculateQualityScore(conversation);
+          conversations.push(conversation);
+        }
+      } catch (convError) {
+        console.warn(`Error parsing individual conversation ${id || index}:`, convError);
+      }
+    });
+    
+    console.log(`Successfully parsed ${conversations.length} ChatGPT conversations`);
+    return conversations;
+  } catch (error) {
+    console.error('Error parsing ChatGPT data:', error);
+    throw new Error(`ChatGPT parsing failed: ${error.message}`);
+  }
+};
+
+// ?? DEEPSEEK DATA PARSER
+// Converts exported DeepSeek JSON into our standard format
+const parseDeepSeekData = (deepseekJson, timeZone, offset = 0) => {
+  const conversations = [];
+  try {
+    // ?? Find chat list in different possible JSON structures
+    let chatList = null;
+    
+    if (deepseekJson.chat_list) {
+      chatList = deepseekJson.chat_list;
+    } else if (deepseekJson.chats) {
+      chatList = deepseekJson.chats;
+    } else if (Array.isArray(deepseekJson)) {
+      chatList = deepseekJson;
+    } else if (deepseekJson.data && deepseekJson.data.chat_list) {
+      chatList = deepseekJson.data.chat_list;
+    }
+    
+    if (!chatList) {
+      throw new Error('No chat list found in the JSON structure');
+    }
+    
+    console.log(`Found ${chatList.length} DeepSeek chats`);
+    
+    // ??? Process each chat
+    chatList.forEach((chat, index) => {
+      try {
+        const rawMessages = chat.messages || chat.conversation || [];
+        
+        // ?? Convert messages to our message model
+        const messages = Array.isArray(rawMessages)
+          ? rawMessages.map(msg => createMessage({
+            role: msg.role,
+            text: msg.content || msg.message || '',
+            timestamp: parseTimestamp(msg.created_at || msg.timestamp, timeZone),
+            model: msg.model
+          }))
+          : [createMessage({ role: 'unknown', text: String(rawMessages) })];
+        const content = messagesToContent(messages);
+        
+        // ? Only add chats with actual content
+        if (content.trim().length > 0) {
+          const times = conversationTimes(
+            parseTimestamp(chat.created_at || chat.timestamp, timeZone),
+            parseTimestamp(chat.updated_at, timeZone),
+            messages
+          );
+          const conversation = {
+            id: createConversationId('deepseek', chat.chat_id || chat.id, times.date, content),
+            platform: 'deepseek',
+            title: chat.title || chat.name || `DeepSeek Conversation ${offset + index + 1}`,
+            ...times,
+            url: createConversationUrl('deepseek', chat.chat_id || chat.id),
+            summary: content.substring(0, 150) + (content.length > 150 ? '...' : ''),
+            messages: messages,
+            content: content,
+            tags: generateSmartTags(content, chat.title || ''), // Auto-generate tags
+            starred: false,
+            quality: 0, // Will be calculated below
+            relationships: [],
+            extractedAt: new Date()
+          };
+          
+          // Calculate and assign quality score
+          conversation.quality = calculateQualityScore(conversation);
+          conversations.push(conversation);
+        }
+      } catch (chatError) {
+        console.warn(`Error parsing individual DeepSeek chat ${index}:`, chatError);
+      }
+    });
+    
+    console.log(`Successfully parsed ${conversations.length} DeepSeek conversations`);
+    return conversations;
+  } catch (error) {
+    console.error('Error parsing DeepSeek data:', error);
+    throw new Error(`DeepSeek parsing failed: ${error.message}`);
+  }
+};
+
+// ?? CLAUDE DATA PARSER
+// Converts the claude.ai data export (conversations.json) into our standard format
+const parseClaudeData = (claudeJson, timeZone, offset = 0) => {
+  const conversations = [];
+  try {
+    // ?? Find conversations list - the official export is a bare array
+    let conversationList = null;
+    
+    if (Array.isArray(claudeJson)) {
+      conversationList = claudeJson;
+    } else if (Array.isArray(claudeJson.conversations)) {
+      conversationList = claudeJson.conversations;
+    } else if (claudeJson.chat_messages) {
+      // A single conversation saved on its own
+      conversationList = [claudeJson];
+    }
+    
+    if (!conversationList) {
+      throw new Error('No conversations list found in the JSON structure');
+    }
+    
+    // ??? Process each conversation
+    conversationList.forEach((conv, index) => {
+      try {
+        const chatMessages = conv.chat_messages || [];
+        
+        // ?? Convert messages to our message model
+        const messages = chatMessages.map(msg => {
+          // Newer exports keep the text in content blocks, older ones in `text`
+          let text = msg.text || '';
+          if (!text && Array.isArray(msg.content)) {
+            text = msg.content
+              .filter(block => block.type === 'text' && block.text)
+              .map(block => block.text)
+              .join('\n');
+          }
+          
+          // ?? Attached files and uploads
+          const attachments = [...(msg.attachments || []), ...(msg.files || [])]
+            .map(file => ({ name: file.file_name, type: file.file_type, size: file.file_size }));
+          
+          return createMessage({
+            role: msg.sender,
+            text: text,
+            timestamp: parseTimestamp(msg.created_at, timeZone),
+            attachments: attachments
+          });
+        });
+        
+        const content = messagesToContent(messages);
+        const title = conv.name || `Claude Conversation ${offset + index + 1}`;
+        
+        // ? Only add conversations with actual content
+        if (chatMessages.length > 0 && content.trim().length > 0) {
+          const times = conversationTimes(parseTimestamp(conv.created_at, timeZone), parseTimestamp(conv.updated_at, timeZone), messages);
+          const conversation = {
+            id: createConversationId('claude', conv.uuid, times.date, content),
+            platform: 'claude',
+            title: title,
+            ...times,
+            url: createConversationUrl('claude', conv.uuid),
+            summary: content.substring(0, 150) + (content.length > 150 ? '...' : ''),
+            messages: messages,
+            content: content,
+            tags: generateSmartTags(content, title), // Auto-generate tags
+            starred: false,
+            quality: 0, // Will be calculated below
+            relationships: [],
+            extractedAt: new Date()
+          };
+          
+          // Calculate and assign quality score
+          conversation.quality = calculateQualityScore(conversation);
+          conversations.push(conversation);
+        }
+      } catch (convError) {
+        console.warn(`Error parsing individual Claude conversation ${index}:`, convError);
+      }
+    });
+    return conversations;
+  } catch (error) {
+    console.error('Error parsing Claude data:', error);
+    throw new Error(`Claude parsing failed: ${error.message}`);
+  }
+};
+
+// ?? HTML TO TEXT HELPER
+// Turns exported HTML (Google Takeout responses) into readable plain text,
+// keeping code blocks fenced so they still count as code
+const decodeHtmlEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const htmlToText = (html) => decodeHtmlEntities(
+  html
+    .replace(/<pre[^>]*>/gi, '\n```\n')
+    .replace(/<\/pre>/gi, '\n```\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(p|div|li|h[1-6]|tr|ul|ol)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+).replace(/\n{3,}/g, '\n\n').trim();
+
+// ?? GEMINI SESSION GAP
+// Takeout stores one entry per prompt, so prompts closer together than this
+// are grouped into the same conversation
+const GEMINI_SESSION_GAP_MS = 30 * 60 * 1000;
+
+// ?? GEMINI ACTIVITY GROUPER
+// Turns a list of { prompt, response, time } activity entries into
+// conversations. Entries without a readable time can't be placed in a
+// session, so each becomes an undated conversation of its own.
+const groupGeminiActivity = (entries) => {
+  const conversations = [];
+  
+  // ?? Oldest first so sessions can be built by walking forward in time
+  const sortedEntries = entries
+    .filter(entry => entry.prompt && entry.time)
+    .sort((a, b) => a.time.getTime() - b.time.getTime());
+  
+  const sessions = [];
+  sortedEntries.forEach(entry => {
+    const currentSession = sessions[sessions.length - 1];
+    const lastEntry = currentSession && currentSession[currentSession.length - 1];
+    
+    if (lastEntry && entry.time.getTime() - lastEntry.time.getTime() <= GEMINI_SESSION_GAP_MS) {
+      currentSession.push(entry);
+    } else {
+      sessions.push([entry]);
+    }
+  });
+  entries.filter(entry => entry.prompt && !entry.time).forEach(entry => sessions.push([entry]));
+  
+  // ??? Build one conversation per session
+  sessions.forEach(session => {
+    const messages = session.flatMap(entry => [
+      createMessage({ role: 'user', text: entry.prompt, timestamp: entry.time }),
+      ...(entry.response ? [createMessage({ role: 'assistant', text: entry.response, timestamp: entry.time })] : [])
+    ]);
+    const content = messagesToContent(messages);
+    const firstPrompt = session[0].prompt;
+    const title = firstPrompt.length > 60 ? `${firstPrompt.substring(0, 60)}...` : firstPrompt;
+    
+    const times = conversationTimes(session[0].time, session[session.length - 1].time, messages);
+    const conversation = {
+      id: createConversationId('gemini', null, times.date, content),
+      platform: 'gemini',
+      title: title,
+      ...times,
+      summary: content.substring(0, 150) + (content.length > 150 ? '...' : ''),
+      messages: messages,
+      content: content,
+      tags: generateSmartTags(content, title), // Auto-generate tags
+      starred: false,
+      quality: 0, // Will be calculated below
+      relationships: [],
+      extractedAt: new Date()
+    };
+    
+    // Calculate and assign quality score
+    conversation.quality = calculateQualityScore(conversation);
+    conversations.push(conversation);
+  });
+  
+  return conversations;
+};
+
+// ?? GEMINI PRODUCT CHECK
+// "My Activity" exports can mix products - keep only Gemini (formerly Bard)
+const isGeminiProduct = (name) => /gemini|bard/i.test(name || '');
+
+// ?? GEMINI DATA PARSER (JSON)
+// Converts Google Takeout "My Activity" JSON for Gemini Apps into our standard format
+const parseGeminiData = (geminiJson, timeZone) => {
+  try {
+    const activity = Array.isArray(geminiJson) ? geminiJson : geminiJson.activity;
+    
+    if (!Array.isArray(activity)) {
+      throw new Error('No activity list found in the JSON structure');
+    }
+    
+    // ?? Convert each activity record into a prompt/response entry
+    const entries = activity
+      .filter(item => isGeminiProduct(item.header) || (item.products || []).some(isGeminiProduct))
+      .filter(item => /^Prompted\s/.test(item.title || ''))
+      .map(item => ({
+        prompt: item.title.replace(/^Prompted\s+/, '').trim(),
+        response: (item.safeHtmlItem || []).map(part => htmlToText(part.html || '')).join('\n\n'),
+        time: parseTimestamp(item.time, timeZone)
+      }));
+    
+    const conversations = groupGeminiActivity(entries);
+    return conversations;
+  } catch (error) {
+    console.error('Error parsing Gemini data:', error);
+    throw new Error(`Gemini parsing failed: ${error.message}`);
+  }
+};
+
+// ?? TAKEOUT DATE PARSER
+// HTML exports print localized dates like "1 May 2024, 10:00:00 BST". A zone
+// the browser can read is used as is; otherwise the abbreviation is dropped
+// and the wall-clock time is read in the import time zone.
+const TAKEOUT_ZONE = /\s+(?!AM$|PM$)[A-Z]{2,5}$/;
+
+const parseTakeoutDate = (text, timeZone) => {
+  const cleaned = text.replace(/[\u00a0\u202f]/g, ' ').trim();
+  if (TAKEOUT_ZONE.test(cleaned)) {
+    const zoned = new Date(cleaned);
+    if (!isNaN(zoned.getTime())) return zoned;
+  }
+  const local = new Date(cleaned.replace(TAKEOUT_ZONE, ''));
+  return isNaN(local.getTime()) ? null : fromWallTime(wallTime(local, ''), timeZone);
+};
+
+// ?? GEMINI DATA PARSER (HTML)
+// Converts Google Takeout "My Activity" HTML (MyActivity.html) into our standard format
+const parseGeminiHtml = (html, timeZone) => {
+  try {
+    // ?? Every activity record lives in its own "outer-cell" block
+    const cells = html.split(/<div class="outer-cell/).slice(1);
+    
+    if (cells.length === 0) {
+      throw new Error('No activity records found in the HTML file');
+    }
+    
+    const entries = [];
+    cells.forEach(cell => {
+      const headerMatch = cell.match(/<p class="mdl-typography--title">([\s\S]*?)<\/p>/);
+      if (headerMatch && !isGeminiProduct(htmlToText(headerMatch[1]))) return;
+      
+      // ?? The first content cell holds "Prompted <query><br><date><br><response>"
+      const start = cell.search(/<div class="content-cell/);
+      if (start === -1) return;
+      const afterOpen = cell.indexOf('>', start) + 1;
+      const end = cell.indexOf('<div class="content-cell', afterOpen);
+      const body = cell.substring(afterOpen, end === -1 ? cell.length : end).replace(/<\/div>\s*$/, '');
+      
+      const [promptHtml = '', dateHtml = '', ...responseParts] = body.split(/<br\s*\/?>/i);
+      const prompt = htmlToText(promptHtml);
+      if (!/^Prompted\s/.test(prompt)) return;
+      
+      entries.push({
+        prompt: prompt.replace(/^Prompted\s+/, '').trim(),
+        response: htmlToText(responseParts.join('<br>')),
+        time: parseTakeoutDate(htmlToText(dateHtml), timeZone)
+      });
+    });
+    
+    const conversations = groupGeminiActivity(entries);
+    return conversations;
+  } catch (error) {
+    console.error('Error parsing Gemini HTML:', error);
+    throw new Error(`Gemini parsing failed: ${error.message}`);
+  }
+};
+
+// ?? GROK DATA PARSER
+// Converts the Grok (x.ai) account data export into our standard format.
+// Times are MongoDB-style ({ $date: { $numberLong } }) or ISO strings.
+const parseGrokData = (grokJson, timeZone) => {
+  const conversations = [];
+  try {
+    const conversationList = Array.isArray(grokJson) ? grokJson : grokJson.conversations;
+    
+    if (!Array.isArray(conversationList)) {
+      throw new Error('No conversations list found in the JSON structure');
+    }
+    
+    // ??? Process each conversation
+    conversationList.forEach((item, index) => {
+      try {
+        const meta = item.conversation || item;
+        const responses = (item.responses || [])
+          .map(entry => entry.response || entry)
+          .sort((a, b) => (parseTimestamp(a.create_time, timeZone)?.getTime() || 0) - (parseTimestamp(b.create_time, timeZone)?.getTime() || 0));
+        
+        // ?? Convert responses to our message model
+        const messages = responses
+          .filter(response => response.message)
+          .map(response => createMessage({
+            role: response.sender,
+            text: response.message,
+            timestamp: parseTimestamp(response.create_time, timeZone),
+            model: response.model
+          }));
+        const content = messagesToContent(messages);
+        
+        const title = meta.title || `Grok Conversation ${index + 1}`;
+        
+        // ? Only add conversations with actual content
+        if (content.trim().length > 0) {
+          const times = conversationTimes(parseTimestamp(meta.create_time, timeZone), parseTimestamp(meta.modify_time, timeZone), messages);
+          const conversation = {
+            id: createConversationId('grok', meta.id || meta.conversation_id, times.date, content),
+            platform: 'grok',
+            title: title,
+            ...times,
+            url: createConversationUrl('grok', meta.id || meta.conversation_id),
+            summary: content.substring(0, 150) + (content.length > 150 ? '...' : ''),
+            messages: messages,
+            content: content,
+            tags: generateSmartTags(content, title), // Auto-generate tags
+            starred: false,
+            quality: 0, // Will be calculated below
+            relationships: [],
+            extractedAt: new Date()
+          };
+          
+          // Calculate and assign quality score
+          conversation.quality = calculateQualityScore(conversation);
+          conversations.push(conversation);
+        }
+      } catch (convError) {
+        console.warn(`Error parsing individual Grok conversation ${index}:`, convError);
+      }
+    });
+    return conversations;
+  } catch (error) {
+    console.error('Error parsing Grok data:', error);
+    throw new Error(`Grok parsing failed: ${error.message}`);
+  }
+};
+
+// ?? PERPLEXITY ANSWER READER
+// Thread entries carry the answer directly, or inside a JSON-encoded list of steps
+const readPerplexityAnswer = (entry) => {
+  if (entry.answer) return entry.answer;
+  if (entry.response) return entry.response;
+  if (typeof entry.text !== 'string') return '';
+  
+  try {
+    const parsed = JSON.parse(entry.text);
+    if (parsed && parsed.answer) return parsed.answer;
+    if (Array.isArray(parsed)) {
+      const finalStep = parsed.filter(step => step.content && step.content.answer).pop();
+      if (finalStep) {
+        const answer = finalStep.content.answer;
+        try {
+          return JSON.parse(answer).answer || answer;
+        } catch (e) {
+          return answer;
+        }
+      }
+    }
+    return '';
+  } catch (e) {
+    // Plain text answer
+    return entry.text;
+  }
+};
+
+// ?? PERPLEXITY DATA PARSER (JSON)
+// Converts Perplexity thread exports (one thread or a list of threads) into our standard format
+const parsePerplexityData = (perplexityJson, timeZone, offset = 0) => {
+  const conversations = [];
+  try {
+    let threads = null;
+    
+    if (Array.isArray(perplexityJson)) {
+      threads = perplexityJson;
+    } else if (Array.isArray(perplexityJson.threads)) {
+      threads = perplexityJson.threads;
+    } else if (perplexityJson.entries) {
+      // A single exported thread
+      threads = [perplexityJson];
+    }
+    
+    if (!threads) {
+      throw new Error('No threads found in the JSON structure');
+    }
+    
+    // ??? Process each thread
+    threads.forEach((thread, index) => {
+      try {
+        const entries = thread.entries || thread.messages || [];
+        
+        // ?? Convert each question/answer pair to messages, keeping sources with the answer
+        const messages = entries.flatMap(entry => {
+          const query = entry.query_str || entry.query || entry.question || '';
+          const answer = readPerplexityAnswer(entry);
+          const sources = (entry.web_results || entry.sources || [])
+            .map(source => `- ${source.name || source.title || source.url}${source.url ? ` (${source.url})` : ''}`);
+          const timestamp = parseTimestamp(entry.created_datetime || entry.updated_datetime || entry.timestamp, timeZone);
+          
+          return [
+            query && createMessage({ role: 'user', text: query, timestamp }),
+            (answer || sources.length > 0) && createMessage({
+              role: 'assistant',
+              text: [answer, sources.length > 0 && `Sources:\n${sources.join('\n')}`].filter(Boolean).join('\n\n'),
+              timestamp,
+              model: entry.display_model
+            })
+          ].filter(Boolean);
+        });
+        const content = messagesToContent(messages);
+        
+        const firstEntry = entries[0] || {};
+        const title = thread.title || thread.thread_title || firstEntry.query_str || firstEntry.query || `Perplexity Thread ${offset + index + 1}`;
+        
+        // ? Only add threads with actual content
+        if (content.trim().length > 0) {
+          const times = conversationTimes(parseTimestamp(thread.created_at, timeZone), parseTimestamp(thread.updated_at, timeZone), messages);
+          const conversation = {
+            id: createConversationId('perplexity', thread.uuid || thread.id || thread.thread_url_slug || firstEntry.thread_url_slug, times.date, content),
+            platform: 'perplexity',
+            title: title,
+            ...times,
+            url: createConversationUrl('perplexity', thread.thread_url_slug || firstEntry.thread_url_slug),
+            summary: content.substring(0, 150) + (content.length > 150 ? '...' : ''),
+            messages: messages,
+            content: content,
+            tags: generateSmartTags(content, title), // Auto-generate tags
+            starred: false,
+            quality: 0, // Will be calculated below
+            relationships: [],
+            extractedAt: new Date()
+          };
+          
+          // Calculate and assign quality score
+          conversation.quality = calculateQualityScore(conversation);
+          conversations.push(conversation);
+        }
+      } catch (threadError) {
+        console.warn(`Error parsing individual Perplexity thread ${index}:`, threadError);
+      }
+    });
+    return conversations;
+  } catch (error) {
+    console.error('Error parsing Perplexity data:', error);
+    throw new Error(`Perplexity parsing failed: ${error.message}`);
+  }
+};
+
+// ?? PERPLEXITY DATA PARSER (MARKDOWN)
+// Converts a thread saved with Perplexity's "Export as Markdown" - each
+// question is a "# heading" followed by the answer, turns split by "---"
+const parsePerplexityMarkdown = (markdown, fileName, fileDate) => {
+  const messages = markdown
+    .split(/^\s*---\s*$/m)
+    .map(section => section.trim())
+    .filter(Boolean)
+    .flatMap(section => {
+      const headingMatch = section.match(/^#{1,2}\s+(.+)$/m);
+      const query = headingMatch ? headingMatch[1].trim() : '';
+      const answer = headingMatch ? section.replace(headingMatch[0], '').trim() : section;
+      return [
+        query && createMessage({ role: 'user', text: query }),
+        answer && createMessage({ role: 'assistant', text: answer })
+      ].filter(Boolean);
+    });
+  
+  const content = messagesToContent(messages);
+  if (content.trim().length === 0) {
+    throw new Error('Perplexity parsing failed: the markdown file is empty');
+  }
+  
+  const firstQuery = (markdown.match(/^#{1,2}\s+(.+)$/m) || [])[1];
+  const title = firstQuery ? firstQuery.trim() : fileName.replace(/\.md$/i, '');
+  
+  // Markdown has no thread id or reliable date, so identify it by its opening question
+  const conversation = {
+    id: createConversationId('perplexity', null, new Date(0), content),
+    platform: 'perplexity',
+    title: title,
+    ...conversationTimes(fileDate, null, messages),
+    summary: content.substring(0, 150) + (content.length > 150 ? '...' : ''),
+    messages: messages,
+    content: content,
+    tags: generateSmartTags(content, title), // Auto-generate tags
+    starred: false,
+    quality: 0, // Will be calculated below
+    relationships: [],
+    extractedAt: new Date()
+  };
+  
+  // Calculate and assign quality score
+  conversation.quality = calculateQualityScore(conversation);
+  return [conversation];
+};
+
+// ?? IMPORT SOURCE
+// Everything an importer may look at when sniffing or parsing a file.
+// `json` is null when the file isn't valid JSON; `timeZone` is the zone
+// for times the export writes without one ('' = this browser's). `offset` is
+// the position of the first element in the file, so fallback titles keep
+// counting across streamed batches.
+export const createImportSource = (fileName, text, lastModified = Date.now(), timeZone = '') => {
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    // Not JSON - HTML and Markdown importers read `text` instead
+  }
+  
+  return { fileName: fileName.toLowerCase(), originalName: fileName, text, json, lastModified, timeZone, offset: 0 };
+};
+
+// Same shape for JSON that has already been parsed (e.g. streamed in pieces)
+export const createParsedImportSource = (fileName, json, lastModified = Date.now(), timeZone = '', offset = 0) => (
+  { fileName: fileName.toLowerCase(), originalName: fileName, text: '', json, lastModified, timeZone, offset }
+);
+
+// ?? DETECTION HELPERS
+// Shared checks used by the importers' detect functions
+const firstItemOf = (list) => {
+  if (Array.isArray(list)) return list[0];
+  if (list && typeof list === 'object') return Object.values(list)[0];
+  return undefined;
+};
+
+// A matching file name nudges the score up, or gives a weak guess on its own
+const withFileNameHint = (score, fileName, pattern) => {
+  if (!pattern.test(fileName)) return score;
+  return score > 0 ? Math.min(1, score + 0.05) : 0.3;
+};
+
+// ?? IMPORTER REGISTRY
+// Each importer declares:
+//   id       - unique key, also used for the manual format picker
+//   label    - name shown to the user
+//   platform - key into PLATFORMS for the conversations it produces
+//   detect   - (source) => confidence from 0 (no match) to 1 (certain)
+//   parse    - (source) => array of normalized conversations
+//   streamable - true when each element of a top-level JSON array is one
+//              conversation, so big files can be parsed a few elements at a time
+// New platforms only need a new entry here.
+export const IMPORTERS = [
+  {
+    id: 'chatgpt',
+    label: 'ChatGPT (conversations.json)',
+    platform: 'chatgpt',
+    streamable: true,
+    detect: ({ fileName, json }) => {
+      let score = 0;
+      if (json) {
+        const list = json.conversations || (json.data && json.data.conversations) || json;
+        const first = firstItemOf(list);
+        if (first && first.mapping) score = 0.95;
+        else if (json.conversations || (json.data && json.data.conversations)) score = 0.5;
+        else if (Array.isArray(json) && first && Array.isArray(first.messages)) score = 0.4;
+      }
+      return withFileNameHint(score, fileName, /chatgpt|openai/);
+    },
+    parse: ({ json, timeZone, offset }) => parseChatGPTData(json, timeZone, offset)
+  },
+  {
+    id: 'claude',
+    label: 'Claude (claude.ai conversations.json)',
+    platform: 'claude',
+    streamable: true,
+    detect: ({ fileName, json }) => {
+      let score = 0;
+      if (json) {
+        const first = firstItemOf(Array.isArray(json) ? json : json.conversations);
+        if (first && Array.isArray(first.chat_messages)) score = 0.95;
+        else if (Array.isArray(json.chat_messages)) score = 0.9;
+      }
+      return withFileNameHint(score, fileName, /claude|anthropic/);
+    },
+    parse: ({ json, timeZone, offset }) => parseClaudeData(json, timeZone, offset)
+  },
+  {
+    id: 'gemini-json',
+    label: 'Gemini (Google Takeout MyActivity.json)',
+    platform: 'gemini',
+    detect: ({ fileName, json }) => {
+      let score = 0;
+      if (Array.isArray(json) && json.length > 0) {
+        if (json.some(item => isGeminiProduct(item.header) || (item.products || []).some(isGeminiProduct))) score = 0.95;
+        else if (json.some(item => /^Prompted\s/.test(item.title || '') && item.time)) score = 0.6;
+      }
+      return withFileNameHint(score, fileName, /gemini|bard/);
+    },
+    parse: ({ json, timeZone }) => parseGeminiData(json, timeZone)
+  },
+  {
+    id: 'gemini-html',
+    label: 'Gemini (Google Takeout MyActivity.html)',
+    platform: 'gemini',
+    detect: ({ fileName, text, json }) => {
+      if (json) return 0;
+      let score = 0;
+      if (text.includes('outer-cell')) {
+        score = /Gemini Apps|Bard/.test(text) ? 0.95 : 0.4;
+      }
+      return withFileNameHint(score, fileName, /gemini|bard|myactivity\.html?$/);
+    },
+    parse: ({ text, timeZone }) => parseGeminiHtml(text, timeZone)
+  },
+  {
+    id: 'grok',
+    label: 'Grok (x.ai data export)',
+    platform: 'grok',
+    detect: ({ fileName, json }) => {
+      let score = 0;
+      if (json) {
+        const first = firstItemOf(Array.isArray(json) ? json : json.conversations);
+        if (first && first.conversation && Array.isArray(first.responses)) score = 0.95;
+      }
+      return withFileNameHint(score, fileName, /grok/);
+    },
+    parse: ({ json, timeZone }) => parseGrokData(json, timeZone)
+  },
+  {
+    id: 'perplexity-json',
+    label: 'Perplexity (thread JSON)',
+    platform: 'perplexity',
+    streamable: true,
+    detect: ({ fileName, json }) => {
+      let score = 0;
+      if (json) {
+        const threads = Array.isArray(json) ? json : (json.threads || [json]);
+        const withEntries = Array.isArray(threads) ? threads.filter(thread => thread && Array.isArray(thread.entries)) : [];
+        if (withEntries.some(thread => thread.entries.some(entry => entry && 'query_str' in entry))) score = 0.95;
+        else if (withEntries.length > 0) score = 0.4;
+      }
+      return withFileNameHint(score, fileName, /perplexity/);
+    },
+    parse: ({ json, timeZone, offset }) => parsePerplexityData(json, timeZone, offset)
+  },
+  {
+    id: 'perplexity-markdown',
+    label: 'Perplexity (thread Markdown)',
+    platform: 'perplexity',
+    detect: ({ fileName, text, json }) => {
+      if (json || !/\.(md|markdown)$/.test(fileName)) return 0;
+      const score = /^#{1,2}\s+\S/m.test(text) ? 0.7 : 0.5;
+      return /perplexity/i.test(`${fileName} ${text}`) ? 0.9 : score;
+    },
+    parse: ({ text, originalName, lastModified }) => parsePerplexityMarkdown(text, originalName, new Date(lastModified))
+  },
+  {
+    id: 'deepseek',
+    label: 'DeepSeek (chat history JSON)',
+    platform: 'deepseek',
+    streamable: true,
+    detect: ({ fileName, json }) => {
+      let score = 0;
+      if (json) {
+        const list = json.chat_list || (json.data && json.data.chat_list) || json.chats || json;
+        const first = firstItemOf(list);
+        if (json.chat_list || (json.data && json.data.chat_list)) score = 0.9;
+        else if (first && first.chat_id) score = 0.7;
+        else if (Array.isArray(list) && first && Array.isArray(first.messages)) score = 0.4;
+      }
+      return withFileNameHint(score, fileName, /deepseek/);
+    },
+    parse: ({ json, timeZone, offset }) => parseDeepSeekData(json, timeZone, offset)
+  }
+];
+
+// ?? AUTO-DETECT THRESHOLDS
+// Below this confidence, or when the runner-up is this close, ask the user
+export const MIN_AUTO_CONFIDENCE = 0.6;
+export const AMBIGUITY_MARGIN = 0.15;
+
+export const getImporter = (id) => IMPORTERS.find(importer => importer.id === id) || null;
+
+// ?? RANK IMPORTERS
+// Asks every importer how well it matches, best match first
+export const rankImporters = (source) => IMPORTERS
+  .map(importer => {
+    let confidence = 0;
+    try {
+      confidence = importer.detect(source);
+    } catch (error) {
+      console.warn(`Format detection failed for ${importer.id}:`, error);
+    }
+    return { importer, confidence };
+  })
+  .filter(match => match.confidence > 0)
+  .sort((a, b) => b.confidence - a.confidence);
+
+// ?? PICK IMPORTER
+// Returns the clear winner of a ranking, or null when the user should choose
+export const pickImporter = (ranked) => {
+  const [best, runnerUp] = ranked;
+  if (!best || best.confidence < MIN_AUTO_CONFIDENCE) return null;
+  if (runnerUp && best.confidence - runnerUp.confidence < AMBIGUITY_MARGIN) return null;
+  return best.importer;
+};
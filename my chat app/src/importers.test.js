@@ -0,0 +1,219 @@
+import { createImportSource, createParsedImportSource, rankImporters, pickImporter, getImporter } from './importers';
+
+const source = (fileName, data) => createImportSource(fileName, typeof data === 'string' ? data : JSON.stringify(data));
+
+const chatgptExport = [{
+  id: 'gpt-1',
+  title: 'Regex help',
+  create_time: 1714557600,
+  update_time: 1714557700,
+  current_node: 'answer',
+  mapping: {
+    root: { id: 'root', parent: null, children: ['question'], message: null },
+    question: {
+      id: 'question',
+      parent: 'root',
+      children: ['answer'],
+      message: { author: { role: 'user' }, create_time: 1714557600, content: { content_type: 'text', parts: ['How do I match a word?'] } }
+    },
+    answer: {
+      id: 'answer',
+      parent: 'question',
+      children: [],
+      message: { author: { role: 'assistant' }, create_time: 1714557660, content: { content_type: 'text', parts: ['Use \\b around it.'] } }
+    }
+  }
+}];
+
+const claudeExport = [{
+  uuid: 'claude-1',
+  name: 'Trip planning',
+  created_at: '2024-05-01T10:00:00Z',
+  chat_messages: [{ sender: 'human', text: 'Plan a trip', created_at: '2024-05-01T10:00:00Z' }]
+}];
+
+describe('importer detection', () => {
+  it('recognises a ChatGPT export with confidence', () => {
+    const ranked = rankImporters(source('conversations.json', chatgptExport));
+    expect(pickImporter(ranked).id).toBe('chatgpt');
+  });
+
+  it('recognises a Claude export with the same file name', () => {
+    const ranked = rankImporters(source('conversations.json', claudeExport));
+    expect(pickImporter(ranked).id).toBe('claude');
+  });
+
+  it('leaves unrecognised files to the user', () => {
+    const ranked = rankImporters(source('notes.json', { hello: 'world' }));
+    expect(ranked).toEqual([]);
+    expect(pickImporter(ranked)).toBeNull();
+  });
+
+  it('does not guess between two close matches', () => {
+    const importer = getImporter('chatgpt');
+    expect(pickImporter([{ importer, confidence: 0.7 }, { importer: getImporter('deepseek'), confidence: 0.65 }])).toBeNull();
+  });
+
+  it('takes a file name hint into account when the content says little', () => {
+    const ranked = rankImporters(source('deepseek_history.json', [{ messages: [] }]));
+    expect(ranked[0].importer.id).toBe('deepseek');
+  });
+});
+
+describe('Claude importer', () => {
+  const parse = (data) => getImporter('claude').parse(source('conversations.json', data));
+
+  it('reads messages, content blocks and attachments', () => {
+    const [conversation] = parse([{
+      uuid: 'abc',
+      name: 'Trip planning',
+      created_at: '2024-05-01T10:00:00Z',
+      updated_at: '2024-05-01T11:00:00Z',
+      chat_messages: [
+        { sender: 'human', text: 'Plan a trip', created_at: '2024-05-01T10:00:00Z', attachments: [{ file_name: 'map.pdf', file_type: 'pdf', file_size: 10 }] },
+        { sender: 'assistant', text: '', content: [{ type: 'text', text: 'Here is a plan' }], created_at: '2024-05-01T10:05:00Z' }
+      ]
+    }]);
+    expect(conversation).toMatchObject({ platform: 'claude', title: 'Trip planning', url: 'https://claude.ai/chat/abc' });
+    expect(conversation.messages.map(message => [message.role, message.text])).toEqual([['user', 'Plan a trip'], ['assistant', 'Here is a plan']]);
+    expect(conversation.messages[0].attachments).toEqual([{ name: 'map.pdf', type: 'pdf', size: 10 }]);
+    expect(conversation.content).toContain('[Attachment: map.pdf]');
+  });
+
+  it('skips conversations without messages and names untitled ones', () => {
+    const conversations = parse([
+      { uuid: 'empty', name: 'Nothing here', chat_messages: [] },
+      { uuid: 'untitled', name: '', chat_messages: [{ sender: 'human', text: 'Hi' }] }
+    ]);
+    expect(conversations.map(conv => conv.title)).toEqual(['Claude Conversation 2']);
+  });
+
+  it('accepts a single conversation saved on its own', () => {
+    expect(parse(claudeExport[0])).toHaveLength(1);
+  });
+});
+
+describe('Gemini importers', () => {
+  const activity = (prompt, time, response = 'An answer') => ({
+    header: 'Gemini Apps',
+    title: `Prompted ${prompt}`,
+    time,
+    safeHtmlItem: [{ html: `<p>${response}</p><pre>code()</pre>` }]
+  });
+
+  it('groups prompts less than half an hour apart into one conversation', () => {
+    const conversations = getImporter('gemini-json').parse(source('MyActivity.json', [
+      activity('first question', '2024-05-01T10:00:00Z'),
+      activity('follow-up', '2024-05-01T10:20:00Z'),
+      activity('next day', '2024-05-02T09:00:00Z'),
+      { header: 'Search', title: 'Searched for cats', time: '2024-05-01T10:10:00Z' }
+    ]));
+    expect(conversations.map(conv => conv.messages.length).sort()).toEqual([2, 4]);
+    const session = conversations.find(conv => conv.messages.length === 4);
+    expect(session.title).toBe('first question');
+    expect(session.messages[1].text).toContain('```\ncode()\n```');
+  });
+
+  it('keeps prompts without a time as undated conversations of their own', () => {
+    const conversations = getImporter('gemini-json').parse(source('MyActivity.json', [activity('when?', undefined), activity('also when?', undefined)]));
+    expect(conversations).toHaveLength(2);
+    expect(conversations.every(conv => conv.undated)).toBe(true);
+  });
+
+  it('reads the Takeout HTML page', () => {
+    const html = '<div class="outer-cell"><p class="mdl-typography--title">Gemini Apps<br></p>'
+      + '<div class="content-cell">Prompted what is 2+2?<br>1 May 2024, 10:00:00 UTC<br><p>4</p></div></div>';
+    const [conversation] = getImporter('gemini-html').parse(source('MyActivity.html', html));
+    expect(conversation.messages.map(message => message.text)).toEqual(['what is 2+2?', '4']);
+    expect(conversation.date).toEqual(new Date('2024-05-01T10:00:00Z'));
+  });
+});
+
+describe('Grok importer', () => {
+  it('reads MongoDB-style times and orders the responses', () => {
+    const [conversation] = getImporter('grok').parse(source('grok.json', {
+      conversations: [{
+        conversation: { id: 'g1', title: 'Jokes', create_time: { $date: { $numberLong: '1714557600000' } } },
+        responses: [
+          { response: { sender: 'assistant', message: 'Why did the chicken...', create_time: '2024-05-01T10:01:00Z', model: 'grok-2' } },
+          { response: { sender: 'human', message: 'Tell me a joke', create_time: '2024-05-01T10:00:00Z' } }
+        ]
+      }]
+    }));
+    expect(conversation).toMatchObject({ platform: 'grok', title: 'Jokes', url: 'https://grok.com/chat/g1' });
+    expect(conversation.date).toEqual(new Date(1714557600000));
+    expect(conversation.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(conversation.messages[1].model).toBe('grok-2');
+  });
+});
+
+describe('Perplexity importers', () => {
+  it('keeps the sources with each answer', () => {
+    const [conversation] = getImporter('perplexity-json').parse(source('perplexity.json', {
+      title: 'Best tents',
+      thread_url_slug: 'best-tents',
+      entries: [{
+        query_str: 'Best tents?',
+        answer: 'Look for a light one.',
+        web_results: [{ name: 'Gear review', url: 'https://example.com/tents' }],
+        created_datetime: '2024-05-01T10:00:00Z'
+      }]
+    }));
+    expect(conversation.url).toBe('https://www.perplexity.ai/search/best-tents');
+    expect(conversation.messages[1].text).toBe('Look for a light one.\n\nSources:\n- Gear review (https://example.com/tents)');
+  });
+
+  it('reads an exported Markdown thread', () => {
+    const [conversation] = getImporter('perplexity-markdown').parse(source('thread.md', '# Best tents?\n\nLook for a light one.\n\n---\n\n# And sleeping bags?\n\nDown ones.'));
+    expect(conversation.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+  });
+});
+
+describe('ChatGPT importer', () => {
+  it('reads the message tree into a conversation', () => {
+    const [conversation] = getImporter('chatgpt').parse(source('conversations.json', chatgptExport));
+    expect(conversation).toMatchObject({ platform: 'chatgpt', title: 'Regex help', undated: false });
+    expect(conversation.messages.map(message => [message.role, message.text])).toEqual([
+      ['user', 'How do I match a word?'],
+      ['assistant', 'Use \\b around it.']
+    ]);
+    expect(conversation.date).toEqual(new Date(1714557600 * 1000));
+  });
+
+  it('reads message times without a zone in the import time zone', () => {
+    const zoneless = JSON.parse(JSON.stringify(chatgptExport));
+    zoneless[0].mapping.question.message.create_time = '2024-05-01 10:00:00';
+    zoneless[0].mapping.answer.message.create_time = '2024-05-01 10:01:00';
+    const text = JSON.stringify(zoneless);
+    const [conversation] = getImporter('chatgpt').parse(createImportSource('conversations.json', text, Date.now(), 'America/New_York'));
+    expect(conversation.messages.map(message => message.timestamp)).toEqual([new Date('2024-05-01T14:00:00Z'), new Date('2024-05-01T14:01:00Z')]);
+  });
+
+  it('keeps edits and regenerations as branches off the main thread', () => {
+    const node = (id, parent, children, role, text, time) => ({
+      id, parent, children, message: { author: { role }, create_time: time, content: { content_type: 'text', parts: [text] } }
+    });
+    const [conversation] = getImporter('chatgpt').parse(source('conversations.json', [{
+      id: 'gpt-2',
+      title: 'Edited',
+      create_time: 1714557600,
+      current_node: 'a2',
+      mapping: {
+        q: node('q', null, ['a1', 'a2'], 'user', 'Question', 1714557600),
+        a1: node('a1', 'q', [], 'assistant', 'First answer', 1714557610),
+        a2: node('a2', 'q', ['hidden'], 'assistant', 'Regenerated answer', 1714557620),
+        hidden: { id: 'hidden', parent: 'a2', children: [], message: { author: { role: 'system' }, content: { content_type: 'text', parts: [''] } } }
+      }
+    }]));
+    expect(conversation.messages.map(message => message.text)).toEqual(['Question', 'Regenerated answer']);
+    expect(conversation.branches).toEqual([{ id: 'a1', forkIndex: 1, messages: [expect.objectContaining({ text: 'First answer' })] }]);
+  });
+});
+
+describe('streamed batches', () => {
+  it('keeps numbering untitled conversations from where the last batch stopped', () => {
+    const batch = [{ uuid: 'u26', name: '', chat_messages: [{ sender: 'human', text: 'Hi' }] }];
+    const [conversation] = getImporter('claude').parse(createParsedImportSource('conversations.json', batch, Date.now(), '', 25));
+    expect(conversation.title).toBe('Claude Conversation 26');
+  });
+});
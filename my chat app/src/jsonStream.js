@@ -0,0 +1,67 @@
+// ?? STREAMING JSON ARRAY SPLITTER
+// Export files are usually one big JSON array of conversations. Instead of
+// parsing hundreds of MB in one go, feed the text in chunks and get the raw
+// text of each top-level element back as soon as it is complete.
+
+export const createJsonArraySplitter = (onElement) => {
+  let depth = 0; // Nesting level: 1 = inside the top-level array
+  let inString = false;
+  let escaped = false;
+  let buffer = ''; // Text of the current element carried over from earlier chunks
+  let finished = false;
+
+  const emit = (text) => {
+    if (text.trim().length > 0) onElement(text);
+  };
+
+  return {
+    // ?? Feed the next piece of text
+    push(chunk) {
+      if (finished) return;
+      let start = 0; // Where the current element's text begins in this chunk
+
+      for (let i = 0; i < chunk.length; i++) {
+        const ch = chunk[i];
+
+        // ?? Skip over string contents (brackets and commas in strings don't count)
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+
+        if (ch === '"') {
+          inString = true;
+        } else if (ch === '[' || ch === '{') {
+          depth++;
+          if (depth === 1) {
+            if (ch !== '[') throw new Error('Expected the file to start with a JSON array');
+            start = i + 1;
+            buffer = '';
+          }
+        } else if (ch === ']' || ch === '}') {
+          depth--;
+          if (depth === 0) {
+            // ? End of the top-level array
+            emit(buffer + chunk.substring(start, i));
+            buffer = '';
+            finished = true;
+            return;
+          }
+        } else if (ch === ',' && depth === 1) {
+          emit(buffer + chunk.substring(start, i));
+          buffer = '';
+          start = i + 1;
+        }
+      }
+
+      if (depth >= 1) buffer += chunk.substring(start);
+    },
+
+    // ?? Call once all text has been pushed
+    end() {
+      if (!finished) throw new Error('The JSON array ended unexpectedly - is the file complete?');
+    }
+  };
+};
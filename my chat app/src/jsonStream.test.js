@@ -0,0 +1,49 @@
+import { createJsonArraySplitter } from './jsonStream';
+
+// Feeds `text` in pieces of `size` characters and returns the parsed elements
+const split = (text, size) => {
+  const elements = [];
+  const splitter = createJsonArraySplitter(element => elements.push(JSON.parse(element)));
+  for (let i = 0; i < text.length; i += size) splitter.push(text.slice(i, i + size));
+  splitter.end();
+  return elements;
+};
+
+describe('createJsonArraySplitter', () => {
+  const data = [
+    { title: 'Brackets ] and } and commas, in "strings"', nested: [1, [2, { deep: true }]] },
+    'a plain string, with a comma',
+    [1, [2]],
+    42,
+    {}
+  ];
+  const text = JSON.stringify(data, null, 2);
+
+  it.each([1, 2, 7, 64, text.length])('returns every top-level element when fed %i characters at a time', (size) => {
+    expect(split(text, size)).toEqual(data);
+  });
+
+  it('handles escaped quotes and backslashes split across chunks', () => {
+    const tricky = JSON.stringify([{ text: 'ends with a backslash \\' }, { text: 'quote " inside' }]);
+    expect(split(tricky, 1)).toEqual(JSON.parse(tricky));
+  });
+
+  it('emits nothing for an empty array', () => {
+    expect(split(' [ ] ', 1)).toEqual([]);
+  });
+
+  it('ignores anything after the array ends', () => {
+    expect(split('[1, 2]\n', 3)).toEqual([1, 2]);
+  });
+
+  it('rejects a file that is not an array', () => {
+    const splitter = createJsonArraySplitter(() => {});
+    expect(() => splitter.push('{"conversations": []}')).toThrow('Expected the file to start with a JSON array');
+  });
+
+  it('complains when the array is cut off', () => {
+    const splitter = createJsonArraySplitter(() => {});
+    splitter.push('[1, 2');
+    expect(() => splitter.end()).toThrow('ended unexpectedly');
+  });
+});
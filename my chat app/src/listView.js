@@ -0,0 +1,59 @@
+// ?? LIST VIEW
+// Sort orders and windowing for the conversation list. Only the rows in view
+// are rendered, so the list stays quick with tens of thousands of conversations.
+//   relevance - search ranking while searching, otherwise library order
+//   date      - when the conversation started; undated ones go last either way
+//   quality   - quality score, 1-5
+//   length    - transcript length in characters
+//   title     - alphabetical, numbers in natural order ("Part 2" before "Part 10")
+
+export const LIST_SORTS = [
+  { id: 'relevance', label: 'Best match' },
+  { id: 'date', label: 'Date', direction: 'desc' },
+  { id: 'quality', label: 'Quality', direction: 'desc' },
+  { id: 'length', label: 'Length', direction: 'desc' },
+  { id: 'title', label: 'Title', direction: 'asc' }
+];
+
+export const DEFAULT_LIST_SORT = { field: 'date', direction: 'desc' };
+
+export const LIST_LAYOUTS = [
+  { id: 'cards', label: 'Cards' },
+  { id: 'table', label: 'Table' }
+];
+
+// ?? SORTING
+// Keys are read once per conversation rather than on every comparison; ties
+// keep the order the conversations came in
+const SORT_KEYS = {
+  date: conv => (conv.undated ? null : conv.date.getTime()),
+  quality: conv => conv.quality || 0,
+  length: conv => conv.content.length,
+  title: conv => conv.title || ''
+};
+
+export const sortConversations = (conversations, { field, direction }, locale) => {
+  const sortKey = SORT_KEYS[field];
+  if (!sortKey) return conversations;
+
+  const compare = field === 'title'
+    ? new Intl.Collator(locale, { numeric: true, sensitivity: 'base' }).compare
+    : (a, b) => a - b;
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return conversations
+    .map((conversation, index) => ({ conversation, index, key: sortKey(conversation) }))
+    .sort((a, b) => {
+      if (a.key === null || b.key === null) return (a.key === null) - (b.key === null) || a.index - b.index;
+      return sign * compare(a.key, b.key) || a.index - b.index;
+    })
+    .map(entry => entry.conversation);
+};
+
+// ?? WINDOWING
+// Rows [first, last) to render for a scroll position, with `overscan` extra
+// rows either side so fast scrolling doesn't flash blank space
+export const visibleRows = ({ scrollTop, viewportHeight, rowHeight, rowCount, overscan = 4 }) => ({
+  first: Math.max(0, Math.floor(scrollTop / rowHeight) - overscan),
+  last: Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan)
+});
@@ -0,0 +1,47 @@
+import { DEFAULT_LIST_SORT, sortConversations, visibleRows } from './listView';
+import { makeConversation } from './testConversations';
+
+const conversation = (id, changes = {}) => makeConversation({ id, title: id, date: new Date(2024, 0, 1), ...changes });
+
+const ids = (conversations) => conversations.map(conv => conv.id);
+
+describe('sortConversations', () => {
+  const library = [
+    conversation('a', { date: new Date(2024, 0, 1), quality: 2, content: 'xx' }),
+    conversation('undated', { date: new Date(0), undated: true, quality: 5 }),
+    conversation('b', { date: new Date(2024, 5, 1), quality: 4, content: 'xxxx' }),
+    conversation('c', { date: new Date(2023, 0, 1), quality: 4, content: 'x' })
+  ];
+
+  it('puts undated conversations last in either direction', () => {
+    expect(ids(sortConversations(library, DEFAULT_LIST_SORT))).toEqual(['b', 'a', 'c', 'undated']);
+    expect(ids(sortConversations(library, { field: 'date', direction: 'asc' }))).toEqual(['c', 'a', 'b', 'undated']);
+  });
+
+  it('sorts by quality keeping ties in their original order', () => {
+    expect(ids(sortConversations(library, { field: 'quality', direction: 'desc' }))).toEqual(['undated', 'b', 'c', 'a']);
+  });
+
+  it('sorts by transcript length', () => {
+    expect(ids(sortConversations(library, { field: 'length', direction: 'asc' }))).toEqual(['undated', 'c', 'a', 'b']);
+  });
+
+  it('sorts titles with numbers in natural order, ignoring case', () => {
+    const parts = ['Part 10', 'part 2', 'Part 1'].map(title => conversation(title));
+    expect(ids(sortConversations(parts, { field: 'title', direction: 'asc' }, 'en'))).toEqual(['Part 1', 'part 2', 'Part 10']);
+  });
+
+  it('leaves the order alone for relevance', () => {
+    expect(sortConversations(library, { field: 'relevance' })).toBe(library);
+  });
+});
+
+describe('visibleRows', () => {
+  it('renders the rows in view plus some either side', () => {
+    expect(visibleRows({ scrollTop: 1000, viewportHeight: 500, rowHeight: 100, rowCount: 1000 })).toEqual({ first: 6, last: 19 });
+  });
+
+  it('stays within the list', () => {
+    expect(visibleRows({ scrollTop: 0, viewportHeight: 500, rowHeight: 100, rowCount: 3, overscan: 2 })).toEqual({ first: 0, last: 3 });
+  });
+});
@@ -0,0 +1,84 @@
+// ?? IMPORT MERGE
+// Folds freshly parsed conversations into the library without duplicating
+// them: new conversations are added, ones we already have are updated with
+// any new messages, and unchanged ones are skipped
+
+// ?? USER FIELDS
+// Things the user changed inside this app - a re-import must never reset them
+export const USER_FIELDS = ['starred', 'manualTags', 'removedTags', 'collectionIds', 'notes', 'highlights', 'qualityOverride'];
+
+// ?? WORKED-OUT FIELDS
+// Filled in after import. Related links are redone after every merge, so the
+// old ones just bridge the gap. Summaries can come from a paid server, so
+// they are kept when the export only adds messages at the end; a
+// conversation whose earlier text changed is summarised again.
+const SUMMARY_FIELDS = ['summary', 'summarySource'];
+
+// ?? FALLBACK MATCH KEY
+// Libraries saved before ids were platform-namespaced still need to match
+// their re-imported copies, so those alone are also matched on platform +
+// start time + title. Undated conversations all start at the epoch and often
+// share a fallback title, so they are only ever matched by id.
+const isNamespaced = (conversation) => conversation.id.startsWith(`${conversation.platform}:`);
+
+const fingerprintOf = (conversation) =>
+  `${conversation.platform}|${conversation.date.getTime()}|${conversation.title}`;
+
+const hasFingerprint = (conversation) => !conversation.undated && !isNamespaced(conversation);
+
+// ?? MERGE ONE CONVERSATION
+// Returns the updated conversation, or null when the import adds nothing new.
+// Importing the same export under another account label moves it there, and
+// conversations saved before last-activity times were kept pick them up.
+const mergeConversation = (existing, incoming) => {
+  // An older export is a prefix of what we already have
+  if (existing.content === incoming.content || existing.content.startsWith(incoming.content)) {
+    const relabel = incoming.accountId && incoming.accountId !== existing.accountId;
+    const retime = !existing.lastActivity && incoming.lastActivity;
+    if (!relabel && !retime) return null;
+    return {
+      ...existing,
+      ...(relabel && { accountId: incoming.accountId }),
+      ...(retime && { date: incoming.date, lastActivity: incoming.lastActivity, undated: incoming.undated })
+    };
+  }
+  
+  const merged = { ...incoming, id: existing.id, relationships: existing.relationships || [] };
+  const extended = incoming.content.startsWith(existing.content);
+  [...USER_FIELDS, ...(extended ? SUMMARY_FIELDS : [])].forEach(field => {
+    if (field in existing) merged[field] = existing[field];
+  });
+  return merged;
+};
+
+// ?? MERGE IMPORTED CONVERSATIONS
+// Returns the new library (newest first) and counts of what happened
+export const mergeConversations = (library, imported) => {
+  const byId = new Map(library.map(conv => [conv.id, conv]));
+  const idByFingerprint = new Map(library.filter(hasFingerprint).map(conv => [fingerprintOf(conv), conv.id]));
+  const summary = { added: 0, updated: 0, skipped: 0 };
+  
+  imported.forEach(incoming => {
+    const existingId = byId.has(incoming.id) || incoming.undated ? incoming.id : idByFingerprint.get(fingerprintOf(incoming));
+    const existing = existingId && byId.get(existingId);
+    
+    // ? Brand new conversation
+    if (!existing) {
+      byId.set(incoming.id, incoming);
+      summary.added += 1;
+      return;
+    }
+    
+    // ?? Known conversation - update only if the export has something new
+    const merged = mergeConversation(existing, incoming);
+    if (merged) {
+      byId.set(existing.id, merged);
+      summary.updated += 1;
+    } else {
+      summary.skipped += 1;
+    }
+  });
+  
+  const conversations = [...byId.values()].sort((a, b) => b.date.getTime() - a.date.getTime());
+  return { conversations, summary };
+};
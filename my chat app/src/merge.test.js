@@ -0,0 +1,88 @@
+import { mergeConversations } from './merge';
+import { makeConversation } from './testConversations';
+
+const conversation = (changes = {}) => makeConversation({
+  date: new Date('2024-03-01T10:00:00Z'),
+  lastActivity: new Date('2024-03-01T10:30:00Z'),
+  content: 'Human: Plan a trip',
+  summary: 'Preview',
+  summarySource: null,
+  tags: ['personal'],
+  accountId: 'default',
+  ...changes
+});
+
+describe('mergeConversations', () => {
+  it('adds conversations it has not seen', () => {
+    const { conversations, summary } = mergeConversations([conversation()], [conversation({ id: 'claude-2', title: 'Other' })]);
+    expect(conversations.map(conv => conv.id).sort()).toEqual(['claude-1', 'claude-2']);
+    expect(summary).toEqual({ added: 1, updated: 0, skipped: 0 });
+  });
+
+  it('skips a re-import that adds nothing, including an older, shorter export', () => {
+    const stored = conversation({ content: 'Human: Plan a trip\nAssistant: Sure' });
+    const { conversations, summary } = mergeConversations([stored], [conversation()]);
+    expect(conversations[0]).toBe(stored);
+    expect(summary).toEqual({ added: 0, updated: 0, skipped: 1 });
+  });
+
+  it('updates with new messages but keeps what the user changed', () => {
+    const stored = conversation({ starred: true, notes: 'Book early', manualTags: ['travel'], collectionIds: ['c1'] });
+    const incoming = conversation({ content: 'Human: Plan a trip\nAssistant: Sure' });
+    const { conversations, summary } = mergeConversations([stored], [incoming]);
+    expect(summary.updated).toBe(1);
+    expect(conversations[0]).toMatchObject({
+      content: incoming.content,
+      starred: true,
+      notes: 'Book early',
+      manualTags: ['travel'],
+      collectionIds: ['c1']
+    });
+  });
+
+  it('keeps summaries and related links when messages were only added at the end', () => {
+    const stored = conversation({ summary: 'Written summary', summarySource: 'llm:local', relationships: [{ id: 'gpt-1', score: 0.4 }] });
+    const { conversations } = mergeConversations([stored], [conversation({ content: 'Human: Plan a trip\nAssistant: Sure' })]);
+    expect(conversations[0]).toMatchObject({ summary: 'Written summary', summarySource: 'llm:local', relationships: stored.relationships });
+  });
+
+  it('summarises again when earlier text changed', () => {
+    const stored = conversation({ summary: 'Written summary', summarySource: 'llm:local' });
+    const { conversations } = mergeConversations([stored], [conversation({ content: 'Human: Plan a holiday' })]);
+    expect(conversations[0]).toMatchObject({ summary: 'Preview', summarySource: null });
+  });
+
+  it('matches libraries saved before ids were namespaced by platform, start and title', () => {
+    const stored = conversation({ id: 'old-id' });
+    const { conversations, summary } = mergeConversations([stored], [conversation({ content: 'Human: Plan a trip\nMore' })]);
+    expect(summary.updated).toBe(1);
+    expect(conversations.map(conv => conv.id)).toEqual(['old-id']);
+  });
+
+  it('only matches legacy ids by platform, start and title', () => {
+    const stored = conversation({ id: 'claude:abc' });
+    const { conversations, summary } = mergeConversations([stored], [conversation({ id: 'claude:def', content: 'Human: Plan a holiday' })]);
+    expect(summary.added).toBe(1);
+    expect(conversations).toContain(stored);
+  });
+
+  it('keeps two different undated, untitled chats apart', () => {
+    const untitled = (id, content) => conversation({ id, content, title: 'Claude Conversation 1', date: new Date(0), undated: true });
+    const first = untitled('claude:h1', 'Human: First chat');
+    const { conversations, summary } = mergeConversations([{ ...first, id: 'legacy-1' }], [untitled('claude:h2', 'Human: Second chat')]);
+    expect(summary).toEqual({ added: 1, updated: 0, skipped: 0 });
+    expect(conversations.map(conv => conv.content).sort()).toEqual(['Human: First chat', 'Human: Second chat']);
+  });
+
+  it('moves a conversation to the account it was re-imported under', () => {
+    const { conversations, summary } = mergeConversations([conversation()], [conversation({ accountId: 'work' })]);
+    expect(summary.updated).toBe(1);
+    expect(conversations[0].accountId).toBe('work');
+  });
+
+  it('lists the library newest first', () => {
+    const older = conversation({ id: 'a', title: 'A', date: new Date('2023-01-01') });
+    const newer = conversation({ id: 'b', title: 'B', date: new Date('2024-01-01') });
+    expect(mergeConversations([older], [newer]).conversations.map(conv => conv.id)).toEqual(['b', 'a']);
+  });
+});
@@ -0,0 +1,91 @@
+// ?? MESSAGE MODEL
+// Every conversation keeps its transcript as a `messages` list:
+//   { role, text, timestamp, model, attachments: [{ name, type, size }] }
+// `content` is derived from it so search, tagging and scoring keep working
+// on one plain-text string
+
+// ?? ROLE ALIASES
+// Exports name the speakers differently - map them onto our roles
+const ROLE_ALIASES = {
+  human: 'user',
+  prompt: 'user',
+  question: 'user',
+  bot: 'assistant',
+  ai: 'assistant',
+  model: 'assistant',
+  answer: 'assistant',
+  chatgpt: 'assistant',
+  claude: 'assistant',
+  gemini: 'assistant',
+  grok: 'assistant',
+  perplexity: 'assistant',
+  deepseek: 'assistant'
+};
+
+const KNOWN_ROLES = ['user', 'assistant', 'system', 'tool'];
+
+export const normalizeRole = (role) => {
+  const key = String(role || '').trim().toLowerCase();
+  if (KNOWN_ROLES.includes(key)) return key;
+  return ROLE_ALIASES[key] || 'unknown';
+};
+
+// ?? MESSAGE FACTORY
+// Builds a message with every field present, dropping invalid timestamps
+export const createMessage = ({ role, text, timestamp = null, model = null, attachments = [] }) => ({
+  role: normalizeRole(role),
+  text: text ? String(text) : '',
+  timestamp: timestamp instanceof Date && !isNaN(timestamp.getTime()) ? timestamp : null,
+  model: model || null,
+  attachments: attachments
+    .filter(attachment => attachment && attachment.name)
+    .map(attachment => ({ name: attachment.name, type: attachment.type || null, size: attachment.size || null }))
+});
+
+// ?? CONTENT DERIVATION
+// Flattens messages into the "role: text" form used for search and scoring
+export const messagesToContent = (messages) => messages
+  .map(message => {
+    const attachmentLines = message.attachments.map(attachment => `[Attachment: ${attachment.name}]`);
+    return `${message.role}: ${[message.text, ...attachmentLines].filter(Boolean).join('\n')}`;
+  })
+  .join('\n\n');
+
+// ?? LEGACY CONTENT PARSER
+// Turns a flat "Role: text" transcript (demo data, libraries saved before
+// messages existed) back into messages. Text without speaker labels becomes
+// a single message.
+const SPEAKER_NAMES = [...KNOWN_ROLES, ...Object.keys(ROLE_ALIASES), 'unknown'].join('|');
+const SPEAKER_SPLIT = new RegExp(`(?:^|\\n\\n)(?=(?:${SPEAKER_NAMES}):\\s)`, 'i');
+const SPEAKER_PREFIX = new RegExp(`^(${SPEAKER_NAMES}):\\s([\\s\\S]*)$`, 'i');
+
+export const messagesFromText = (content) => (content || '')
+  .split(SPEAKER_SPLIT)
+  .map(block => block.trim())
+  .filter(Boolean)
+  .map(block => {
+    const match = block.match(SPEAKER_PREFIX);
+    return match
+      ? createMessage({ role: match[1], text: match[2].trim() })
+      : createMessage({ role: 'unknown', text: block });
+  });
+
+// ?? MESSAGE ACCESSOR
+// Use this rather than reading `conversation.messages` directly
+export const getMessages = (conversation) =>
+  Array.isArray(conversation.messages) ? conversation.messages : messagesFromText(conversation.content);
+
+// ?? THREAD ACCESSOR
+// The main thread plus any alternative branches (ChatGPT edits and
+// regenerations), each as a full message list ready to display
+export const getThreads = (conversation) => {
+  const main = getMessages(conversation);
+  const branches = (conversation.branches || []).map((branch, index) => ({
+    id: branch.id,
+    label: `Branch ${index + 2} (from message ${branch.forkIndex + 1})`,
+    forkIndex: branch.forkIndex,
+    messages: [...main.slice(0, branch.forkIndex), ...branch.messages]
+  }));
+  
+  return [{ id: 'main', label: 'Main thread', forkIndex: null, messages: main }, ...branches];
+};
@@ -0,0 +1,65 @@
+import { normalizeRole, createMessage, messagesToContent, messagesFromText, getMessages, getThreads } from './messages';
+
+describe('normalizeRole', () => {
+  it.each([['Human', 'user'], ['model', 'assistant'], ['ChatGPT', 'assistant'], ['system', 'system'], ['narrator', 'unknown'], [undefined, 'unknown']])(
+    'maps %s to %s',
+    (role, expected) => expect(normalizeRole(role)).toBe(expected)
+  );
+});
+
+describe('createMessage', () => {
+  it('fills every field and drops invalid times and unnamed attachments', () => {
+    expect(createMessage({ role: 'human', text: 42, timestamp: new Date('nonsense'), attachments: [{ name: 'a.txt' }, {}] })).toEqual({
+      role: 'user',
+      text: '42',
+      timestamp: null,
+      model: null,
+      attachments: [{ name: 'a.txt', type: null, size: null }]
+    });
+  });
+});
+
+describe('transcripts', () => {
+  const messages = [
+    createMessage({ role: 'user', text: 'Hello', attachments: [{ name: 'notes.md' }] }),
+    createMessage({ role: 'assistant', text: 'Hi there\n\nHow can I help?' })
+  ];
+
+  it('flattens messages into role-labelled text', () => {
+    expect(messagesToContent(messages)).toBe('user: Hello\n[Attachment: notes.md]\n\nassistant: Hi there\n\nHow can I help?');
+  });
+
+  it('reads a flat transcript back into messages, keeping paragraphs together', () => {
+    expect(messagesFromText('User: Hello\n\nChatGPT: Hi there\n\nHow can I help?').map(message => [message.role, message.text])).toEqual([
+      ['user', 'Hello'],
+      ['assistant', 'Hi there\n\nHow can I help?']
+    ]);
+  });
+
+  it('keeps unlabelled text as one message', () => {
+    expect(messagesFromText('Just some notes')).toEqual([createMessage({ role: 'unknown', text: 'Just some notes' })]);
+  });
+
+  it('falls back to the transcript for libraries saved before messages existed', () => {
+    expect(getMessages({ content: 'Human: Hi' })).toEqual([createMessage({ role: 'user', text: 'Hi' })]);
+    expect(getMessages({ content: 'ignored', messages })).toBe(messages);
+  });
+});
+
+describe('getThreads', () => {
+  it('lists the main thread, then each branch with the messages it shares', () => {
+    const question = createMessage({ role: 'user', text: 'Question' });
+    const conversation = {
+      messages: [question, createMessage({ role: 'assistant', text: 'Second answer' })],
+      branches: [{ id: 'b1', forkIndex: 1, messages: [createMessage({ role: 'assistant', text: 'First answer' })] }]
+    };
+    const [main, branch] = getThreads(conversation);
+    expect(main).toMatchObject({ id: 'main', label: 'Main thread', forkIndex: null });
+    expect(branch.label).toBe('Branch 2 (from message 2)');
+    expect(branch.messages.map(message => message.text)).toEqual(['Question', 'First answer']);
+  });
+
+  it('has just the main thread when nothing was edited', () => {
+    expect(getThreads({ content: 'User: Hi' })).toHaveLength(1);
+  });
+});
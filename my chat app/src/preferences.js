@@ -0,0 +1,119 @@
+// ?? PREFERENCES
+// Display and start-up settings, saved in this browser:
+//   customPlatforms      - extra platforms: [{ id, name, icon, colorId, url }]
+//   locale               - BCP 47 tag for dates, e.g. 'en-GB' ('' = the browser's own)
+//   timeZone             - IANA zone for import times written without one ('' = the browser's own)
+//   weekStart            - first day of the calendar week, 0 = Sunday ... 6 = Saturday
+//   defaultView          - view shown when the app opens
+//   defaultPlatforms     - platform ids selected on open (null = all of them)
+//   defaultFilters       - filters applied on open
+//   defaultScopeId       - source scope picked on open (null = every source)
+//   shareRedactions      - redaction rules ticked when the share dialog opens
+
+import { DEFAULT_FILTERS } from './filters';
+import { createLocalId } from './collections';
+
+export const DEFAULT_PREFERENCES = {
+  customPlatforms: [],
+  locale: '',
+  timeZone: '',
+  weekStart: 0,
+  defaultView: 'calendar',
+  defaultPlatforms: null,
+  defaultFilters: DEFAULT_FILTERS,
+  defaultScopeId: null,
+  shareRedactions: ['emails', 'secrets', 'phones']
+};
+
+// ?? PLATFORM COLOURS
+// Full class strings so Tailwind keeps them in the build; `color` is the
+// same shade for exports and anything styled inline
+export const PLATFORM_COLORS = {
+  slate: { label: 'Slate', bgClass: 'bg-slate-500', color: '#64748b' },
+  red: { label: 'Red', bgClass: 'bg-red-500', color: '#ef4444' },
+  orange: { label: 'Orange', bgClass: 'bg-orange-500', color: '#f97316' },
+  amber: { label: 'Amber', bgClass: 'bg-amber-500', color: '#f59e0b' },
+  lime: { label: 'Lime', bgClass: 'bg-lime-500', color: '#84cc16' },
+  green: { label: 'Green', bgClass: 'bg-green-500', color: '#22c55e' },
+  teal: { label: 'Teal', bgClass: 'bg-teal-500', color: '#14b8a6' },
+  sky: { label: 'Sky', bgClass: 'bg-sky-500', color: '#0ea5e9' },
+  blue: { label: 'Blue', bgClass: 'bg-blue-500', color: '#3b82f6' },
+  indigo: { label: 'Indigo', bgClass: 'bg-indigo-500', color: '#6366f1' },
+  purple: { label: 'Purple', bgClass: 'bg-purple-500', color: '#a855f7' },
+  pink: { label: 'Pink', bgClass: 'bg-pink-500', color: '#ec4899' }
+};
+
+// ?? CUSTOM PLATFORMS
+// The id is a slug of the name when it's free, so `platform:mistral` works in
+// the search box. The icon is one or two characters shown on the platform's badge.
+const platformId = (name, takenIds) => {
+  const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug && !takenIds.includes(slug) ? slug : createLocalId(slug || 'platform');
+};
+
+export const createCustomPlatform = ({ name, icon, colorId, url }, takenIds = []) => ({
+  id: platformId(name, takenIds),
+  name: name.trim(),
+  icon: (icon || name).trim().slice(0, 2),
+  colorId: PLATFORM_COLORS[colorId] ? colorId : 'slate',
+  url: (url || '').trim()
+});
+
+// Built-in platforms plus the user's own, in the shape the app uses everywhere:
+// { name, color, icon, bgClass, url, custom }
+export const buildPlatforms = (builtIn, customPlatforms = []) => ({
+  ...builtIn,
+  ...Object.fromEntries(customPlatforms.map(platform => {
+    const palette = PLATFORM_COLORS[platform.colorId] || PLATFORM_COLORS.slate;
+    return [platform.id, {
+      name: platform.name,
+      color: palette.color,
+      icon: platform.icon,
+      bgClass: palette.bgClass,
+      url: platform.url,
+      custom: true
+    }];
+  }))
+});
+
+// Conversations can outlive a custom platform that was deleted; they are
+// shown with a plain grey badge instead
+export const getPlatform = (platforms, platformId) => platforms[platformId] || {
+  name: platformId,
+  color: PLATFORM_COLORS.slate.color,
+  icon: '?',
+  bgClass: PLATFORM_COLORS.slate.bgClass,
+  url: ''
+};
+
+// ?? LOCALE
+// The saved locale if the browser knows it, otherwise undefined (= the
+// browser's own), so a typo can't break every date on the page
+export const resolveLocale = (locale) => {
+  if (!locale) return undefined;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0 ? locale : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Short weekday names in calendar order, starting from `weekStart`
+export const weekdayLabels = (locale, weekStart) => Array.from({ length: 7 }, (_, i) => (
+  new Date(2023, 0, 1 + ((weekStart + i) % 7)).toLocaleDateString(locale, { weekday: 'short' }) // 1 Jan 2023 was a Sunday
+));
+
+// Blank cells before the 1st of a month, for a week starting on `weekStart`
+export const leadingDays = (firstOfMonth, weekStart) => (firstOfMonth.getDay() - weekStart + 7) % 7;
+
+// ?? LOADING
+// Saved preferences over the defaults, so settings added later get a value.
+// The old cross-platform switch was replaced by source scopes.
+export const withPreferenceDefaults = (stored) => {
+  const { crossPlatformDefault, ...rest } = stored || {};
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...rest,
+    defaultFilters: { ...DEFAULT_FILTERS, ...rest.defaultFilters }
+  };
+};
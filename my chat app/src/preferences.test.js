@@ -0,0 +1,46 @@
+import {
+  DEFAULT_PREFERENCES, createCustomPlatform, buildPlatforms, getPlatform, resolveLocale,
+  weekdayLabels, leadingDays, withPreferenceDefaults
+} from './preferences';
+
+describe('custom platforms', () => {
+  it('uses a slug of the name as the id when it is free', () => {
+    expect(createCustomPlatform({ name: ' Le Chat (Mistral) ', colorId: 'orange' })).toEqual({
+      id: 'le-chat-mistral', name: 'Le Chat (Mistral)', icon: 'Le', colorId: 'orange', url: ''
+    });
+    expect(createCustomPlatform({ name: 'Claude' }, ['claude']).id).toMatch(/^claude-/);
+  });
+
+  it('falls back to slate for an unknown colour', () => {
+    expect(createCustomPlatform({ name: 'Pi', icon: 'AI', colorId: 'mauve' })).toMatchObject({ icon: 'AI', colorId: 'slate' });
+  });
+
+  it('joins the built-in table and shows deleted platforms in grey', () => {
+    const platforms = buildPlatforms({ claude: { name: 'Claude' } }, [createCustomPlatform({ name: 'Pi', colorId: 'teal' })]);
+    expect(platforms.pi).toMatchObject({ name: 'Pi', color: '#14b8a6', bgClass: 'bg-teal-500', custom: true });
+    expect(getPlatform(platforms, 'gone')).toMatchObject({ name: 'gone', icon: '?', bgClass: 'bg-slate-500' });
+  });
+});
+
+describe('calendar settings', () => {
+  it('ignores a locale the browser does not know', () => {
+    expect(resolveLocale('en-GB')).toBe('en-GB');
+    expect(resolveLocale('not a locale')).toBeUndefined();
+    expect(resolveLocale('')).toBeUndefined();
+  });
+
+  it('starts the week on the chosen day', () => {
+    expect(weekdayLabels('en-US', 1)).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    expect(leadingDays(new Date(2024, 5, 1), 0)).toBe(6); // 1 June 2024 was a Saturday
+    expect(leadingDays(new Date(2024, 5, 1), 1)).toBe(5);
+  });
+});
+
+describe('withPreferenceDefaults', () => {
+  it('fills in settings added later and drops the old cross-platform switch', () => {
+    const loaded = withPreferenceDefaults({ locale: 'de-DE', crossPlatformDefault: true, defaultFilters: { starredOnly: true } });
+    expect(loaded).not.toHaveProperty('crossPlatformDefault');
+    expect(loaded).toMatchObject({ locale: 'de-DE', weekStart: 0, defaultFilters: { starredOnly: true, tags: [] } });
+    expect(withPreferenceDefaults(null)).toEqual(DEFAULT_PREFERENCES);
+  });
+});
@@ -0,0 +1,124 @@
+// ? QUALITY SCORING SYSTEM
+// Calculates how valuable a conversation is (1-5 stars) from weighted
+// signals. Each signal measures one thing on a 0-1 scale; the score is
+// 1 star plus up to 4 more, shared out by weight. Users can change the
+// weights in settings, or override a conversation's score by hand
+// (`qualityOverride`), which rescoring and re-imports leave alone.
+
+import { getMessages } from './messages';
+
+const countFenced = (conversation) => (conversation.codeBlocks
+  ? conversation.codeBlocks.length
+  : Math.floor((conversation.content.match(/```/g) || []).length / 2));
+
+const wordCount = (text) => (text.match(/\S+/g) || []).length;
+
+// ?? SIGNALS
+// { id, label, description, measure(conversation) -> { value: 0-1, detail } }
+export const QUALITY_SIGNALS = [
+  {
+    id: 'turns',
+    label: 'Turn count',
+    description: 'Back-and-forth exchanges - 8 or more counts fully',
+    measure: (conversation) => {
+      const messages = getMessages(conversation);
+      const turns = Math.min(
+        messages.filter(message => message.role === 'user').length,
+        messages.filter(message => message.role === 'assistant').length
+      );
+      return { value: Math.min(1, turns / 8), detail: `${turns} turn${turns === 1 ? '' : 's'}` };
+    }
+  },
+  {
+    id: 'code',
+    label: 'Code',
+    description: 'Code blocks in the answers - 2 or more counts fully',
+    measure: (conversation) => {
+      const blocks = countFenced(conversation);
+      return { value: Math.min(1, blocks / 2), detail: `${blocks} code block${blocks === 1 ? '' : 's'}` };
+    }
+  },
+  {
+    id: 'answerLength',
+    label: 'Answer length',
+    description: 'Average length of the assistant\'s answers - 300 words counts fully',
+    measure: (conversation) => {
+      const answers = getMessages(conversation).filter(message => message.role === 'assistant');
+      const average = answers.length > 0
+        ? Math.round(answers.reduce((sum, message) => sum + wordCount(message.text), 0) / answers.length)
+        : 0;
+      return { value: Math.min(1, average / 300), detail: `${average} words per answer` };
+    }
+  },
+  {
+    id: 'followUps',
+    label: 'Follow-up depth',
+    description: 'Substantial follow-up questions after the first - 4 or more counts fully',
+    measure: (conversation) => {
+      const followUps = getMessages(conversation)
+        .filter(message => message.role === 'user')
+        .slice(1)
+        .filter(message => wordCount(message.text) >= 5).length;
+      return { value: Math.min(1, followUps / 4), detail: `${followUps} follow-up${followUps === 1 ? '' : 's'}` };
+    }
+  },
+  {
+    id: 'starred',
+    label: 'Your star',
+    description: 'Conversations you starred',
+    measure: (conversation) => ({ value: conversation.starred ? 1 : 0, detail: conversation.starred ? 'Starred' : 'Not starred' })
+  }
+];
+
+// ?? DEFAULT WEIGHTS
+// 0 switches a signal off; settings allow up to 3
+export const DEFAULT_QUALITY_WEIGHTS = {
+  turns: 1,
+  code: 1,
+  answerLength: 1.5,
+  followUps: 1,
+  starred: 2
+};
+
+// ?? SCORE BREAKDOWN
+// { score, signals: [{ id, label, description, value, detail, weight, points }] }
+// where `points` is how many of the stars above the first one the signal earned
+export const explainQualityScore = (conversation, weights = DEFAULT_QUALITY_WEIGHTS) => {
+  const totalWeight = QUALITY_SIGNALS.reduce((sum, signal) => sum + (weights[signal.id] || 0), 0);
+  const signals = QUALITY_SIGNALS.map(signal => {
+    const weight = weights[signal.id] || 0;
+    const { value, detail } = signal.measure(conversation);
+    return {
+      id: signal.id,
+      label: signal.label,
+      description: signal.description,
+      value,
+      detail,
+      weight,
+      points: totalWeight > 0 ? (4 * weight * value) / totalWeight : 0
+    };
+  });
+
+  const raw = totalWeight > 0 ? 1 + signals.reduce((sum, signal) => sum + signal.points, 0) : 3;
+  // Keep score between 1 and 5, round to nearest 0.5
+  return { score: Math.min(5, Math.max(1, Math.round(raw * 2) / 2)), signals };
+};
+
+export const calculateQualityScore = (conversation, weights = DEFAULT_QUALITY_WEIGHTS) => explainQualityScore(conversation, weights).score;
+
+// ?? APPLY THE SCORE
+// Sets `quality` to the override when there is one, otherwise to the computed
+// score. Returns the same object when nothing changed.
+export const applyQualityScore = (conversation, weights) => {
+  const quality = typeof conversation.qualityOverride === 'number'
+    ? conversation.qualityOverride
+    : calculateQualityScore(conversation, weights);
+  return quality === conversation.quality ? conversation : { ...conversation, quality };
+};
+
+export const rescoreConversations = (conversations, weights) => conversations.map(conv => applyQualityScore(conv, weights));
+
+export const setQualityOverride = (conversation, override, weights) => applyQualityScore({
+  ...conversation,
+  qualityOverride: typeof override === 'number' ? override : null
+}, weights);
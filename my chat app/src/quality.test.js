@@ -0,0 +1,47 @@
+import { DEFAULT_QUALITY_WEIGHTS, explainQualityScore, calculateQualityScore, applyQualityScore, setQualityOverride } from './quality';
+import { createMessage } from './messages';
+import { makeConversation } from './testConversations';
+
+const turn = (question, answer) => [createMessage({ role: 'user', text: question }), createMessage({ role: 'assistant', text: answer })];
+
+const conversation = (messages, changes = {}) => makeConversation({ messages, quality: 1, ...changes });
+
+const shortChat = conversation(turn('Hi', 'Hello'));
+
+const deepChat = conversation([
+  ...turn('How do I parse dates?', `Use a library. ${'word '.repeat(300)}`),
+  ...Array.from({ length: 7 }, (_, i) => turn(`What about case number ${i} then?`, `Like this ${'word '.repeat(300)}`)).flat()
+], { starred: true, codeBlocks: [{ code: 'a' }, { code: 'b' }] });
+
+describe('explainQualityScore', () => {
+  it('scores a short exchange low and a deep, starred one at the top', () => {
+    expect(calculateQualityScore(shortChat)).toBe(1);
+    expect(calculateQualityScore(deepChat)).toBe(5);
+  });
+
+  it('explains what each signal measured and earned', () => {
+    const { signals } = explainQualityScore(deepChat);
+    expect(signals.find(signal => signal.id === 'turns')).toMatchObject({ value: 1, detail: '8 turns' });
+    expect(signals.find(signal => signal.id === 'followUps').detail).toBe('7 follow-ups');
+    expect(signals.reduce((sum, signal) => sum + signal.points, 0)).toBeCloseTo(4);
+  });
+
+  it('follows the weights and ignores signals switched off', () => {
+    const starredOnly = { ...DEFAULT_QUALITY_WEIGHTS, turns: 0, code: 0, answerLength: 0, followUps: 0 };
+    expect(calculateQualityScore({ ...shortChat, starred: true }, starredOnly)).toBe(5);
+    expect(calculateQualityScore(shortChat, { turns: 0, code: 0, answerLength: 0, followUps: 0, starred: 0 })).toBe(3);
+  });
+});
+
+describe('quality overrides', () => {
+  it('keeps a score set by hand until it is cleared', () => {
+    const overridden = setQualityOverride(shortChat, 4);
+    expect(overridden.quality).toBe(4);
+    expect(applyQualityScore(overridden)).toBe(overridden);
+    expect(setQualityOverride(overridden, null).quality).toBe(1);
+  });
+
+  it('returns the same conversation when the score did not change', () => {
+    expect(applyQualityScore(shortChat)).toBe(shortChat);
+  });
+});
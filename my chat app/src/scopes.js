@@ -0,0 +1,65 @@
+// ?? SOURCE SCOPES
+// Every imported conversation records the account it came from in
+// `accountId` - a label picked at import time, such as "work" or "personal".
+// Scopes are named views over those sources:
+//   { id, name, platforms: [platform ids], accountIds: [account labels] }
+// An empty list means "any", so a scope of accountIds ['work'] covers the
+// work accounts on every platform.
+
+import { createLocalId } from './collections';
+
+// Conversations imported without a label, and libraries saved before accounts existed
+export const DEFAULT_ACCOUNT = 'default';
+
+// ?? ACCOUNT LABELS
+export const normalizeAccountId = (label) => (label || '').trim().replace(/\s+/g, ' ') || DEFAULT_ACCOUNT;
+
+export const getAccountId = (conversation) => conversation.accountId || DEFAULT_ACCOUNT;
+
+// Files the conversation under an account. Parsers used to set a fixed
+// `userId` per platform; that placeholder is dropped.
+export const withAccount = (conversation, accountId) => {
+  const { userId, ...rest } = conversation;
+  return { ...rest, accountId: normalizeAccountId(accountId) };
+};
+
+// Libraries saved with the old placeholder get the default account, once
+export const migrateAccount = (conversation) => ('userId' in conversation || !conversation.accountId
+  ? withAccount(conversation, conversation.accountId)
+  : conversation);
+
+// ?? KNOWN ACCOUNTS
+// [{ accountId, count, platforms: [platform ids] }], largest first
+export const listAccounts = (conversations) => {
+  const accounts = new Map();
+  conversations.forEach(conv => {
+    const accountId = getAccountId(conv);
+    if (!accounts.has(accountId)) accounts.set(accountId, { accountId, count: 0, platforms: new Set() });
+    const account = accounts.get(accountId);
+    account.count++;
+    account.platforms.add(conv.platform);
+  });
+  return [...accounts.values()]
+    .map(account => ({ ...account, platforms: [...account.platforms] }))
+    .sort((a, b) => b.count - a.count || a.accountId.localeCompare(b.accountId));
+};
+
+// ?? SCOPES
+export const createScope = (name, { platforms = [], accountIds = [] } = {}) => ({
+  id: createLocalId('scope'),
+  name: name.trim(),
+  platforms,
+  accountIds
+});
+
+// No scope (null) shows every source
+export const matchesScope = (conversation, scope) => !scope || (
+  (scope.platforms.length === 0 || scope.platforms.includes(conversation.platform))
+  && (scope.accountIds.length === 0 || scope.accountIds.includes(getAccountId(conversation)))
+);
+
+export const describeScope = (scope, platformName) => {
+  const platformsText = scope.platforms.length > 0 ? scope.platforms.map(platformName).join(', ') : 'Every platform';
+  const accountsText = scope.accountIds.length > 0 ? scope.accountIds.join(', ') : 'every account';
+  return `${platformsText} - ${accountsText}`;
+};
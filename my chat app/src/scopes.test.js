@@ -0,0 +1,48 @@
+import {
+  DEFAULT_ACCOUNT, normalizeAccountId, withAccount, migrateAccount, listAccounts,
+  createScope, matchesScope, describeScope
+} from './scopes';
+
+describe('accounts', () => {
+  it('tidies labels and falls back to the default account', () => {
+    expect(normalizeAccountId('  work   laptop ')).toBe('work laptop');
+    expect(normalizeAccountId('')).toBe(DEFAULT_ACCOUNT);
+  });
+
+  it('drops the old per-platform user id when filing a conversation', () => {
+    expect(withAccount({ id: 'a', userId: 'claude-user' }, 'work')).toEqual({ id: 'a', accountId: 'work' });
+  });
+
+  it('migrates old libraries once and leaves labelled conversations alone', () => {
+    const labelled = { id: 'b', accountId: 'work' };
+    expect(migrateAccount({ id: 'a', userId: 'claude-user' })).toEqual({ id: 'a', accountId: DEFAULT_ACCOUNT });
+    expect(migrateAccount(labelled)).toBe(labelled);
+  });
+
+  it('lists accounts with their platforms, largest first', () => {
+    expect(listAccounts([
+      { platform: 'claude', accountId: 'work' },
+      { platform: 'chatgpt', accountId: 'work' },
+      { platform: 'claude' }
+    ])).toEqual([
+      { accountId: 'work', count: 2, platforms: ['claude', 'chatgpt'] },
+      { accountId: DEFAULT_ACCOUNT, count: 1, platforms: ['claude'] }
+    ]);
+  });
+});
+
+describe('scopes', () => {
+  const work = createScope(' Work ', { accountIds: ['work'] });
+
+  it('treats an empty list as any', () => {
+    expect(matchesScope({ platform: 'grok', accountId: 'work' }, work)).toBe(true);
+    expect(matchesScope({ platform: 'grok' }, work)).toBe(false);
+    expect(matchesScope({ platform: 'grok' }, null)).toBe(true);
+  });
+
+  it('describes what a scope covers', () => {
+    expect(work.name).toBe('Work');
+    expect(describeScope(work, id => id)).toBe('Every platform - work');
+    expect(describeScope(createScope('AI', { platforms: ['claude'] }), id => id.toUpperCase())).toBe('CLAUDE - every account');
+  });
+});
@@ -0,0 +1,397 @@
+// ?? FULL-TEXT SEARCH
+// In-browser inverted index over every conversation with BM25 relevance
+// ranking. Query syntax:
+//   react hooks        both words (the last word also matches as a prefix)
+//   "state management" exact phrase
+//   -angular -"vue 2"  leave out conversations containing these
+//   platform:claude  account:work  tag:coding  starred:true  before:2024-05-01  after:2024-01-31
+//   like:<conversation id>  "more like this" - ranked by shared distinctive words
+// Any qualifier can be negated too, e.g. -platform:chatgpt
+// Notes, highlights and highlight comments are searched along with the transcript.
+
+import { annotationText } from './annotations';
+import { getAccountId } from './scopes';
+
+// ?? FIELD WEIGHTS
+// A match in the title (or in the user's own notes) counts more than one
+// buried in the transcript
+const FIELD_WEIGHTS = { title: 3, tags: 2, annotations: 2, content: 1 };
+
+// ?? BM25 PARAMETERS
+const K1 = 1.2;
+const B = 0.75;
+
+// Prefix expansion is capped so one-letter queries stay fast
+const MAX_PREFIX_TERMS = 50;
+
+// How many of the example's words a "more like this" query uses
+const LIKE_TERMS = 25;
+
+// Queries whose text matches are remembered until the indexed text changes
+const MAX_CACHED_QUERIES = 50;
+
+// ?? TOKENIZER
+// Lowercase words made of letters and digits, in any script
+export const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const normalizeText = (text) => tokenize(text).join(' ');
+
+// ?? STOP WORDS
+// Words too common to say anything about what a conversation is about
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'him', 'his', 'how', 'its', 'let', 'may', 'who', 'did', 'get', 'got', 'use',
+  'this', 'that', 'with', 'from', 'they', 'them', 'then', 'than', 'there', 'their', 'what', 'when', 'where',
+  'which', 'while', 'will', 'would', 'could', 'should', 'been', 'being', 'were', 'into', 'also', 'just',
+  'like', 'some', 'more', 'most', 'such', 'only', 'other', 'very', 'here', 'these', 'those', 'about',
+  'each', 'make', 'does', 'doing', 'need', 'want', 'using', 'used', 'don', 'yes', 'sure',
+  'user', 'assistant', 'please', 'thanks', 'thank', 'help', 'example', 'following', 'below', 'above'
+]);
+
+// Words worth comparing conversations by: not stop words, numbers or fragments
+export const isContentWord = (term) => term.length > 2 && !STOP_WORDS.has(term) && !/^\d+$/.test(term);
+
+// ?? DOCUMENT FIELDS
+// The text of a conversation that gets indexed, with each field's weight
+const documentFields = (conversation) => [
+  [conversation.title, FIELD_WEIGHTS.title],
+  [conversation.tags.join(' '), FIELD_WEIGHTS.tags],
+  [annotationText(conversation), FIELD_WEIGHTS.annotations],
+  [conversation.content, FIELD_WEIGHTS.content]
+];
+
+const searchableText = (conversation) => documentFields(conversation).map(([text]) => text).join(' ');
+
+// ?? DATE QUALIFIER PARSER
+// "2024-05-01" means local midnight at the start of that day
+const parseDay = (value) => {
+  const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+// ?? FIELD QUALIFIERS
+// field name -> (conversation, value) => whether it matches. Undated
+// conversations are parked at the epoch, so no date qualifier matches them.
+export const FIELD_FILTERS = {
+  platform: (conv, value) => conv.platform === value,
+  account: (conv, value) => getAccountId(conv).toLowerCase() === value,
+  tag: (conv, value) => conv.tags.some(tag => tag.toLowerCase() === value),
+  starred: (conv, value) => conv.starred === ['true', 'yes', '1'].includes(value),
+  before: (conv, value) => {
+    const day = parseDay(value);
+    if (!day) return true;
+    return !conv.undated && conv.date.getTime() < day.getTime();
+  },
+  after: (conv, value) => {
+    const day = parseDay(value);
+    if (!day) return true;
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1); // 23 or 25 hours on clock-change days
+    return !conv.undated && conv.date.getTime() >= nextDay.getTime();
+  }
+};
+
+// ?? QUERY PARSER
+// Splits a query into terms, phrases, exclusions and field filters
+export const parseSearchQuery = (query) => {
+  const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [], filters: [], like: null };
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [, minus, rawField, quoted, bare] = match;
+    const negated = minus === '-';
+    const field = rawField && rawField.toLowerCase();
+    const value = (quoted !== undefined ? quoted : bare || '').trim();
+
+    // ?? "More like this" - conversation ids are case-sensitive
+    if (field === 'like') {
+      if (value) parsed.like = value;
+      continue;
+    }
+
+    // ?? Field qualifier
+    if (field && FIELD_FILTERS[field]) {
+      if (value) parsed.filters.push({ field, value: value.toLowerCase(), negated });
+      continue;
+    }
+
+    // Unknown "word:" prefixes (e.g. URLs) are searched as ordinary text
+    const text = rawField ? `${rawField} ${value}` : value;
+    const words = tokenize(text);
+    if (words.length === 0) continue;
+
+    if (quoted !== undefined || words.length > 1) {
+      (negated ? parsed.excludedPhrases : parsed.phrases).push(words.join(' '));
+    } else {
+      (negated ? parsed.excludedTerms : parsed.terms).push(words[0]);
+    }
+  }
+
+  return parsed;
+};
+
+// ?? HIGHLIGHT TERMS
+// What to mark in results for a query: its words and phrases, not exclusions
+export const getHighlightTerms = (query) => {
+  const { terms, phrases } = parseSearchQuery(query);
+  return [...phrases, ...terms];
+};
+
+// ?? SEARCH INDEX
+// Each conversation gets a numbered slot. Postings map a term to the slots
+// containing it and the weighted count there. Changing or removing a
+// conversation empties its slot instead of rewriting postings; the index is
+// rebuilt once more than half the slots are empty.
+export const createSearchIndex = () => {
+  let slots = []; // slot -> { conversation, length } or null once removed
+  let slotById = new Map();
+  let postings = new Map(); // term -> { slots: [], weights: [] }
+  let totalLength = 0;
+  let liveCount = 0;
+  let version = 0; // Bumped whenever indexed text is added or removed
+  const textMatchCache = new Map(); // query -> [{ slot, score }] for `cachedVersion`
+  let cachedVersion = 0;
+
+  // ?? Add one conversation
+  const addDocument = (conversation) => {
+    const slot = slots.length;
+    const weights = new Map();
+    let length = 0;
+
+    documentFields(conversation).forEach(([text, weight]) => {
+      tokenize(text).forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + weight);
+        length++;
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      let posting = postings.get(term);
+      if (!posting) {
+        posting = { slots: [], weights: [] };
+        postings.set(term, posting);
+      }
+      posting.slots.push(slot);
+      posting.weights.push(weight);
+    });
+
+    slots.push({ conversation, length });
+    slotById.set(conversation.id, slot);
+    totalLength += length;
+    liveCount++;
+    version++;
+  };
+
+  // ??? Remove one conversation (leaves an empty slot)
+  const removeDocument = (id) => {
+    const slot = slotById.get(id);
+    if (slot === undefined) return;
+    totalLength -= slots[slot].length;
+    liveCount--;
+    slots[slot] = null;
+    slotById.delete(id);
+    version++;
+  };
+
+  const rebuild = (conversations) => {
+    slots = [];
+    slotById = new Map();
+    postings = new Map();
+    totalLength = 0;
+    liveCount = 0;
+    conversations.forEach(addDocument);
+  };
+
+  // ?? SYNC WITH THE LIBRARY
+  // Conversations are replaced (never mutated) when they change. Only those
+  // whose indexed text changed are re-indexed; starring or linking a
+  // conversation just swaps in the new object.
+  const update = (conversations) => {
+    const currentIds = new Set();
+    conversations.forEach(conversation => {
+      currentIds.add(conversation.id);
+      const slot = slotById.get(conversation.id);
+      if (slot !== undefined) {
+        const indexed = slots[slot].conversation;
+        if (indexed === conversation) return;
+        const newFields = documentFields(conversation);
+        if (documentFields(indexed).every(([text], i) => text === newFields[i][0])) {
+          slots[slot].conversation = conversation;
+          return;
+        }
+      }
+      removeDocument(conversation.id);
+      addDocument(conversation);
+    });
+    [...slotById.keys()].filter(id => !currentIds.has(id)).forEach(removeDocument);
+
+    if (slots.length - liveCount > liveCount) rebuild(conversations);
+  };
+
+  // ?? Terms in the index that a query word should match
+  const expandTerm = (term, allowPrefix) => {
+    if (!allowPrefix) return postings.has(term) ? [term] : [];
+    const matches = postings.has(term) ? [term] : [];
+    for (const candidate of postings.keys()) {
+      if (matches.length >= MAX_PREFIX_TERMS) break;
+      if (candidate !== term && candidate.startsWith(term)) matches.push(candidate);
+    }
+    return matches;
+  };
+
+  const inverseDocumentFrequency = (posting) => {
+    const documentCount = posting.slots.filter(slot => slots[slot]).length; // Ignoring emptied slots
+    return Math.log(1 + (liveCount - documentCount + 0.5) / (documentCount + 0.5));
+  };
+
+  // ?? Slots containing a term, with that term's BM25 contribution
+  const scoreTerm = (terms) => {
+    const scores = new Map();
+    const averageLength = liveCount > 0 ? totalLength / liveCount : 1;
+
+    terms.forEach(term => {
+      const posting = postings.get(term);
+      const idf = inverseDocumentFrequency(posting);
+      posting.slots.forEach((slot, i) => {
+        const doc = slots[slot];
+        if (!doc) return;
+        const tf = posting.weights[i];
+        const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / averageLength));
+        scores.set(slot, Math.max(scores.get(slot) || 0, score));
+      });
+    });
+    return scores;
+  };
+
+  // ?? MORE LIKE THIS
+  // Scores every other conversation by the example's most distinctive words;
+  // unlike a typed query, matching any one of them is enough
+  const scoreLike = (id) => {
+    const scores = new Map();
+    const slot = slotById.get(id);
+    if (slot === undefined) return scores;
+
+    const weights = new Map();
+    documentFields(slots[slot].conversation).forEach(([text, weight]) => {
+      tokenize(text).filter(isContentWord).forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+    });
+
+    [...weights]
+      .map(([term, tf]) => [term, tf * inverseDocumentFrequency(postings.get(term))])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, LIKE_TERMS)
+      .forEach(([term]) => {
+        scoreTerm([term]).forEach((score, other) => scores.set(other, (scores.get(other) || 0) + score));
+      });
+
+    scores.delete(slot);
+    return scores;
+  };
+
+  // ?? TEXT MATCHES
+  // Slots matching the words and phrases of a query, with their scores. This
+  // only depends on indexed text, so it is cached until that changes;
+  // starring or filing a conversation keeps the cache.
+  const textMatches = (query, { terms, phrases, excludedTerms, excludedPhrases, like }) => {
+    if (cachedVersion !== version) {
+      textMatchCache.clear();
+      cachedVersion = version;
+    }
+    if (textMatchCache.has(query)) return textMatchCache.get(query);
+
+    // ?? Every word - including the words of phrases - must appear
+    const requiredWords = [...terms, ...phrases.flatMap(phrase => phrase.split(' '))];
+    let scores = like ? scoreLike(like) : null;
+    requiredWords.forEach((word, index) => {
+      // The last plain word may still be being typed
+      const wordScores = scoreTerm(expandTerm(word, index === terms.length - 1));
+      if (scores === null) {
+        scores = wordScores;
+        return;
+      }
+      // ?? Keep only conversations matching every word so far
+      const combined = new Map();
+      scores.forEach((score, slot) => {
+        if (wordScores.has(slot)) combined.set(slot, score + wordScores.get(slot));
+      });
+      scores = combined;
+    });
+
+    // ?? No words - start from everything
+    if (scores === null) {
+      scores = new Map();
+      slots.forEach((doc, slot) => { if (doc) scores.set(slot, 0); });
+    }
+
+    // ?? Exclusions
+    excludedTerms.forEach(term => {
+      const posting = postings.get(term);
+      if (posting) posting.slots.forEach(slot => scores.delete(slot));
+    });
+
+    const matches = [];
+    scores.forEach((score, slot) => {
+      // ?? Phrases are checked against the normalized text of candidates only
+      if (phrases.length > 0 || excludedPhrases.length > 0) {
+        const text = ` ${normalizeText(searchableText(slots[slot].conversation))} `;
+        if (!phrases.every(phrase => text.includes(` ${phrase} `))) return;
+        if (excludedPhrases.some(phrase => text.includes(` ${phrase} `))) return;
+      }
+      matches.push({ slot, score });
+    });
+
+    if (textMatchCache.size >= MAX_CACHED_QUERIES) textMatchCache.delete(textMatchCache.keys().next().value);
+    textMatchCache.set(query, matches);
+    return matches;
+  };
+
+  // ?? SEARCH
+  // Returns matching conversations, best first. Queries with only filters
+  // (or nothing at all) return every match in library order with score 0.
+  // Field qualifiers are checked against the conversations as they are now.
+  const search = (query) => {
+    const parsed = parseSearchQuery(query);
+    const results = [];
+    textMatches(query, parsed).forEach(({ slot, score }) => {
+      const { conversation } = slots[slot];
+      if (!parsed.filters.every(({ field, value, negated }) => FIELD_FILTERS[field](conversation, value) !== negated)) return;
+      results.push({ conversation, score });
+    });
+
+    return results.sort((a, b) => b.score - a.score || b.conversation.date.getTime() - a.conversation.date.getTime());
+  };
+
+  return { update, search };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Terms start at a word boundary; the words of a phrase may be separated by
+// any spaces or punctuation
+const termPattern = (term) => `(?<![\\p{L}\\p{N}])${escapeRegExp(term).replace(/ /g, '[^\\p{L}\\p{N}]+')}`;
+
+// ?? SNIPPET EXTRACTOR
+// A short excerpt of `text` around the first highlighted term
+export const getSnippet = (text, highlightTerms, radius = 80) => {
+  const source = text || '';
+  const lower = source.toLowerCase();
+  const positions = highlightTerms
+    .map(term => lower.search(new RegExp(termPattern(term), 'u')))
+    .filter(position => position >= 0);
+  if (positions.length === 0) return source.substring(0, radius * 2) + (source.length > radius * 2 ? '...' : '');
+
+  const first = Math.min(...positions);
+  const start = Math.max(0, first - radius);
+  const end = Math.min(source.length, first + radius);
+  return `${start > 0 ? '...' : ''}${source.substring(start, end).replace(/\s+/g, ' ')}${end < source.length ? '...' : ''}`;
+};
+
+// ?? HIGHLIGHT MATCHER
+// Regex matching any highlight term, or null when there is nothing to highlight
+export const buildHighlightPattern = (highlightTerms) => {
+  if (!highlightTerms || highlightTerms.length === 0) return null;
+  const alternatives = [...highlightTerms]
+    .sort((a, b) => b.length - a.length)
+    .map(termPattern);
+  return new RegExp(`(${alternatives.join('|')})`, 'giu');
+};
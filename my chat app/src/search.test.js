@@ -0,0 +1,117 @@
+import { parseSearchQuery, createSearchIndex, getHighlightTerms, getSnippet, buildHighlightPattern } from './search';
+import { makeConversation } from './testConversations';
+
+const conversation = (id, title, content, changes = {}) => makeConversation({
+  id,
+  title,
+  content,
+  date: new Date('2024-05-01T10:00:00Z'),
+  ...changes
+});
+
+const library = [
+  conversation('a', 'React hooks', 'How does useState manage state in React components?', { tags: ['coding'], starred: true }),
+  conversation('b', 'Vue or Angular', 'Comparing state management in Vue 2 and Angular', { platform: 'chatgpt', date: new Date('2023-01-01T10:00:00Z') }),
+  conversation('c', 'Dinner ideas', 'Something with react-ive cooking? No, just pasta.', { undated: true, date: new Date(0) })
+];
+
+const searchIds = (query, conversations = library) => {
+  const index = createSearchIndex();
+  index.update(conversations);
+  return index.search(query).map(result => result.conversation.id);
+};
+
+describe('parseSearchQuery', () => {
+  it('splits words, phrases, exclusions and qualifiers', () => {
+    expect(parseSearchQuery('react "state management" -angular -"vue 2" platform:Claude -tag:coding')).toEqual({
+      terms: ['react'],
+      phrases: ['state management'],
+      excludedTerms: ['angular'],
+      excludedPhrases: ['vue 2'],
+      filters: [{ field: 'platform', value: 'claude', negated: false }, { field: 'tag', value: 'coding', negated: true }],
+      like: null
+    });
+  });
+
+  it('searches unknown prefixes such as URLs as text', () => {
+    expect(parseSearchQuery('https://example.com').phrases).toEqual(['https example com']);
+  });
+
+  it('keeps the case of a like: conversation id', () => {
+    expect(parseSearchQuery('like:AbC-1').like).toBe('AbC-1');
+  });
+
+  it('highlights words and phrases but not exclusions', () => {
+    expect(getHighlightTerms('react "state management" -vue')).toEqual(['state management', 'react']);
+  });
+});
+
+describe('search index', () => {
+  it('requires every word and treats the last one as a prefix', () => {
+    expect(searchIds('state reac')).toEqual(['a']);
+  });
+
+  it('ranks title matches above matches in the transcript', () => {
+    const ids = searchIds('angular', [
+      conversation('body', 'Frameworks', 'A long talk about angular and other things'),
+      conversation('title', 'Angular routing', 'Routes and guards')
+    ]);
+    expect(ids).toEqual(['title', 'body']);
+  });
+
+  it('matches phrases as consecutive words and honours exclusions', () => {
+    expect(searchIds('"state management"')).toEqual(['b']);
+    expect(searchIds('state -angular')).toEqual(['a']);
+    expect(searchIds('state -"vue 2"')).toEqual(['a']);
+  });
+
+  it('filters by qualifiers, negated or not', () => {
+    expect(searchIds('platform:chatgpt')).toEqual(['b']);
+    expect(searchIds('-platform:chatgpt starred:true')).toEqual(['a']);
+    expect(searchIds('tag:CODING')).toEqual(['a']);
+  });
+
+  it('leaves undated conversations out of date qualifiers', () => {
+    expect(searchIds('before:2024-01-01')).toEqual(['b']);
+    expect(searchIds('after:2023-06-01')).toEqual(['a']);
+  });
+
+  it('starts after: at the next midnight on clock-change days', () => {
+    const late = conversation('late', 'Late', 'Written late', { date: new Date(2024, 2, 10, 23, 30) });
+    const nextMorning = conversation('next', 'Next', 'Written early', { date: new Date(2024, 2, 11, 0, 30) });
+    expect(searchIds('after:2024-03-10', [late, nextMorning])).toEqual(['next']);
+  });
+
+  it('finds conversations like another by shared distinctive words', () => {
+    const ids = searchIds('like:a');
+    expect(ids).toContain('b');
+    expect(ids).not.toContain('a');
+  });
+
+  it('follows changes to the library, including ones that keep the text', () => {
+    const index = createSearchIndex();
+    index.update(library);
+    expect(index.search('starred:true').map(result => result.conversation.id)).toEqual(['a']);
+
+    index.update([{ ...library[0], starred: false }, library[1], { ...library[2], content: 'useState again' }]);
+    expect(index.search('starred:true')).toEqual([]);
+    expect(index.search('usestate').map(result => result.conversation.id).sort()).toEqual(['a', 'c']);
+
+    index.update([library[1]]);
+    expect(index.search('usestate')).toEqual([]);
+  });
+});
+
+describe('snippets and highlighting', () => {
+  it('cuts an excerpt around the first match', () => {
+    const text = `${'x '.repeat(100)}the\n\nreact part ${'y '.repeat(100)}`;
+    expect(getSnippet(text, ['react'], 10)).toBe('... x x the react part...');
+    expect(getSnippet('short text', ['missing'])).toBe('short text');
+  });
+
+  it('only highlights terms at the start of a word', () => {
+    const pattern = buildHighlightPattern(['act']);
+    expect('react acts'.replace(pattern, '[$1]')).toBe('react [act]s');
+    expect(buildHighlightPattern([])).toBeNull();
+  });
+});
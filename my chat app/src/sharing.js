@@ -0,0 +1,117 @@
+// ?? SHARING AND CONTINUING CONVERSATIONS
+// Redaction for shared copies, and the context-priming prompt used to pick a
+// conversation back up in a new chat
+
+import { getMessages } from './messages';
+import { withCodeBlocks } from './snippets';
+
+// ?? REDACTION RULES
+// Each rule swaps matches for a placeholder so the shared copy still reads naturally
+export const REDACTION_RULES = [
+  {
+    id: 'emails',
+    label: 'Email addresses',
+    pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g,
+    replacement: '[email]'
+  },
+  {
+    id: 'secrets',
+    label: 'API keys and tokens',
+    pattern: /\b(sk-[\w-]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_\w{30,}|xox[abprs]-[\w-]{10,}|AIza[\w-]{35}|eyJ[\w-]+\.[\w-]+\.[\w-]+|[A-Fa-f0-9]{32,}|[A-Za-z0-9]{40,})\b/g,
+    replacement: '[secret]'
+  },
+  {
+    id: 'urls',
+    label: 'Links',
+    pattern: /\bhttps?:\/\/[^\s<>"')\]]+/g,
+    replacement: '[link]'
+  },
+  {
+    id: 'ips',
+    label: 'IP addresses',
+    pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+    replacement: '[ip]'
+  },
+  {
+    id: 'phones',
+    label: 'Phone numbers',
+    pattern: /(?<![\w.])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}(?!\w|\.\d)/g,
+    replacement: '[phone]'
+  }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ?? REDACT TEXT
+// `options` = { rules: [rule ids], terms: [extra words to hide, e.g. names] }.
+// Secrets run before links so a token inside a URL is caught either way.
+export const redactText = (text, { rules = [], terms = [] }) => {
+  let redacted = text || '';
+  REDACTION_RULES
+    .filter(rule => rules.includes(rule.id))
+    .forEach(rule => { redacted = redacted.replace(rule.pattern, rule.replacement); });
+
+  const words = terms.map(term => term.trim()).filter(Boolean);
+  if (words.length > 0) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    redacted = redacted.replace(pattern, '[redacted]');
+  }
+  return redacted;
+};
+
+// ?? REDACT CONVERSATION
+// A copy of the conversation with every piece of shown text redacted. The
+// platform's id, link and the account label would identify the chat, so
+// they are left out; code blocks are read again from the redacted messages.
+export const redactConversation = (conversation, options) => {
+  const { id, url, accountId, ...shared } = conversation;
+  const redactMessages = (messages) => messages.map(message => ({
+    ...message,
+    text: redactText(message.text, options),
+    attachments: message.attachments.map(attachment => ({ ...attachment, name: redactText(attachment.name, options) }))
+  }));
+  const redactTags = (tags) => (tags || []).map(tag => redactText(tag, options));
+
+  return withCodeBlocks({
+    ...shared,
+    title: redactText(conversation.title, options),
+    summary: redactText(conversation.summary, options),
+    content: redactText(conversation.content, options),
+    tags: redactTags(conversation.tags),
+    manualTags: redactTags(conversation.manualTags),
+    removedTags: redactTags(conversation.removedTags),
+    messages: redactMessages(getMessages(conversation)),
+    branches: (conversation.branches || []).map(branch => ({ ...branch, messages: redactMessages(branch.messages) })),
+    relationships: [], // Titles of other conversations shouldn't leak into a shared copy
+    notes: '', // Nor should the user's private notes
+    highlights: []
+  });
+};
+
+// ?? CONTINUATION PROMPT
+// Primes a fresh chat with what the conversation was about and how it ended.
+// Only the last few messages are quoted in full, trimmed to a sensible size.
+const CONTINUATION_MESSAGES = 6;
+const CONTINUATION_MESSAGE_CHARS = 1500;
+
+export const buildContinuationPrompt = (conversation, platformName) => {
+  const messages = getMessages(conversation).filter(message => message.text.trim().length > 0);
+  const recent = messages.slice(-CONTINUATION_MESSAGES).map(message => {
+    const speaker = message.role === 'user' ? 'Me' : message.role === 'assistant' ? platformName : message.role;
+    const text = message.text.length > CONTINUATION_MESSAGE_CHARS
+      ? `${message.text.substring(0, CONTINUATION_MESSAGE_CHARS)}...`
+      : message.text;
+    return `${speaker}: ${text}`;
+  });
+
+  return [
+    `I'd like to continue a conversation I had with ${platformName}${conversation.undated ? '' : ` on ${conversation.date.toLocaleDateString()}`} titled "${conversation.title}".`,
+    conversation.tags.length > 0 ? `Topics: ${conversation.tags.join(', ')}.` : '',
+    `Summary: ${conversation.summary}`,
+    messages.length > recent.length
+      ? `Here are the last ${recent.length} of ${messages.length} messages:`
+      : 'Here is the conversation so far:',
+    recent.join('\n\n'),
+    'Please pick up where we left off. Start by briefly confirming what we were working on.'
+  ].filter(Boolean).join('\n\n');
+};
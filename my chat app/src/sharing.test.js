@@ -0,0 +1,93 @@
+import { redactText, redactConversation, buildContinuationPrompt } from './sharing';
+import { createMessage } from './messages';
+import { conversationToMarkdown, conversationsToHtml } from './exporters';
+import { makeConversation } from './testConversations';
+
+const allRules = { rules: ['emails', 'secrets', 'urls', 'ips', 'phones'] };
+
+describe('redactText', () => {
+  it.each([
+    ['Mail jane.doe+work@example.co.uk today', 'Mail [email] today'],
+    ['key sk-abcdefghijklmnop1234 here', 'key [secret] here'],
+    ['see https://example.com/path?q=1 first', 'see [link] first'],
+    ['server 192.168.1.20 is down', 'server [ip] is down'],
+    ['call +44 20 7946 0958 now', 'call [phone] now']
+  ])('redacts %p', (text, expected) => {
+    expect(redactText(text, allRules)).toBe(expected);
+  });
+
+  it('leaves versions and dates alone', () => {
+    expect(redactText('React 18.2.0 came out on 2022-03-29', allRules)).toBe('React 18.2.0 came out on 2022-03-29');
+  });
+
+  it('hides extra terms as whole words, in any case', () => {
+    expect(redactText('Ana met anatoly and ANA', { terms: ['ana', ' '] })).toBe('[redacted] met anatoly and [redacted]');
+  });
+
+  it('only applies the rules it is given', () => {
+    expect(redactText('a@b.com', { rules: ['urls'] })).toBe('a@b.com');
+  });
+});
+
+describe('redactConversation', () => {
+  it('redacts every shown text and drops private notes and links', () => {
+    const shared = redactConversation({
+      title: 'Email a@b.com',
+      summary: 'About a@b.com',
+      content: 'a@b.com',
+      messages: [createMessage({ role: 'user', text: 'Write to a@b.com', attachments: [{ name: 'a@b.com notes.txt' }] })],
+      branches: [{ id: 'x', forkIndex: 0, messages: [createMessage({ role: 'user', text: 'Or c@d.com' })] }],
+      relationships: [{ id: 'other', score: 0.5 }],
+      notes: 'private',
+      highlights: [{ id: 'h', text: 'a@b.com' }]
+    }, { rules: ['emails'] });
+    expect(shared).toMatchObject({ title: 'Email [email]', summary: 'About [email]', relationships: [], notes: '', highlights: [] });
+    expect(shared.messages[0]).toMatchObject({ text: 'Write to [email]', attachments: [{ name: '[email] notes.txt' }] });
+    expect(shared.branches[0].messages[0].text).toBe('Or [email]');
+  });
+});
+
+describe('shared previews', () => {
+  const conversation = makeConversation({
+    id: 'claude:5f1e-native-id',
+    url: 'https://claude.ai/chat/5f1e-native-id',
+    accountId: 'acme-work',
+    title: 'Acme launch plan',
+    date: new Date(2024, 4, 1),
+    summary: 'Planning for Acme',
+    messages: [
+      createMessage({ role: 'user', text: 'Write a script for Acme' }),
+      createMessage({ role: 'assistant', text: '```js\nconst client = "Acme";\n```' })
+    ],
+    tags: ['acme', 'coding'],
+    manualTags: ['acme'],
+    codeBlocks: [{ language: 'javascript', code: 'const client = "Acme";', role: 'assistant', threadId: 'main', messageIndex: 1 }]
+  });
+  const shared = redactConversation(conversation, { rules: [], terms: ['Acme'] });
+
+  it('leaves the name, native id, link and account out of the Markdown', () => {
+    const preview = conversationToMarkdown(shared, {});
+    expect(preview).not.toMatch(/acme|5f1e/i);
+    expect(preview).toContain('tags:\n  - "[redacted]"\n  - "coding"');
+    expect(preview).not.toContain('id:');
+  });
+
+  it('leaves them out of the HTML page and the copy\'s code blocks too', () => {
+    expect(conversationsToHtml([shared], {}, shared.title)).not.toMatch(/acme|5f1e/i);
+    expect(shared).not.toHaveProperty('url');
+    expect(shared).not.toHaveProperty('accountId');
+    expect(shared.codeBlocks[0].code).toBe('const client = "[redacted]";');
+  });
+});
+
+describe('buildContinuationPrompt', () => {
+  it('quotes the last messages, trimmed, after the summary', () => {
+    const messages = Array.from({ length: 8 }, (_, i) => createMessage({ role: i % 2 ? 'assistant' : 'user', text: i === 7 ? 'x'.repeat(2000) : `Message ${i}` }));
+    const prompt = buildContinuationPrompt({ title: 'Trip', undated: true, tags: ['travel'], summary: 'Planning Lisbon', messages }, 'Claude');
+    expect(prompt).toContain('I\'d like to continue a conversation I had with Claude titled "Trip".');
+    expect(prompt).toContain('Topics: travel.\n\nSummary: Planning Lisbon');
+    expect(prompt).toContain('Here are the last 6 of 8 messages:\n\nMe: Message 2');
+    expect(prompt).not.toContain('Message 1');
+    expect(prompt).toContain(`Claude: ${'x'.repeat(1500)}...`);
+  });
+});
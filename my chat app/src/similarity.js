@@ -0,0 +1,105 @@
+// ?? RELATED CONVERSATIONS
+// Links conversations about the same topic - even on different platforms,
+// weeks apart - by comparing TF-IDF word vectors with cosine similarity.
+// Everything runs locally; nothing is sent over the network.
+
+import { tokenize, isContentWord } from './search';
+
+// ?? TUNING
+const MAX_RELATED = 5; // Links kept per conversation
+const MIN_SIMILARITY = 0.15; // Weaker matches aren't worth showing
+const MIN_SHARED_TERMS = 2; // One word in common is a coincidence, not a topic
+const TERMS_PER_VECTOR = 40; // Only each conversation's most distinctive words are compared
+const MAX_DOCUMENT_SHARE = 0.5; // Words in over half the library say nothing about the topic
+const TITLE_WEIGHT = 3; // Title words count like three mentions in the text
+
+// ?? WORD COUNTS
+const countTerms = (conversation) => {
+  const counts = new Map();
+  const add = (text, weight) => {
+    tokenize(text).filter(isContentWord).forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+  };
+  add(conversation.title, TITLE_WEIGHT);
+  add(conversation.content, 1);
+  return counts;
+};
+
+// ?? TF-IDF VECTORS
+// One sparse, unit-length vector per conversation: [[term, weight], ...].
+// Words found in just one conversation can't link it to anything, so they're left out.
+export const buildTfIdfVectors = (conversations) => {
+  const counts = conversations.map(countTerms);
+
+  const documentFrequency = new Map();
+  counts.forEach(termCounts => {
+    termCounts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  const maxDocuments = Math.max(2, conversations.length * MAX_DOCUMENT_SHARE);
+
+  return counts.map(termCounts => {
+    const weights = [];
+    termCounts.forEach((tf, term) => {
+      const df = documentFrequency.get(term);
+      if (df < 2 || df > maxDocuments) return;
+      weights.push([term, (1 + Math.log(tf)) * Math.log(1 + conversations.length / df)]);
+    });
+
+    const vector = weights.sort((a, b) => b[1] - a[1]).slice(0, TERMS_PER_VECTOR);
+    const length = Math.sqrt(vector.reduce((sum, [, weight]) => sum + weight * weight, 0));
+    return length > 0 ? vector.map(([term, weight]) => [term, weight / length]) : [];
+  });
+};
+
+// ?? SIMILARITY SEARCH
+// For each vector, the indexes of the most similar others with their cosine
+// score. Goes through shared words only, so unrelated pairs cost nothing.
+const findNearest = (vectors) => {
+  const postings = new Map(); // term -> [[index, weight], ...]
+  vectors.forEach((vector, index) => {
+    vector.forEach(([term, weight]) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([index, weight]);
+    });
+  });
+
+  return vectors.map((vector, index) => {
+    const matches = new Map(); // other index -> { score, shared }
+    vector.forEach(([term, weight]) => {
+      postings.get(term).forEach(([other, otherWeight]) => {
+        if (other === index) return;
+        const match = matches.get(other) || { score: 0, shared: 0 };
+        match.score += weight * otherWeight;
+        match.shared++;
+        matches.set(other, match);
+      });
+    });
+
+    return [...matches]
+      .filter(([, { score, shared }]) => score >= MIN_SIMILARITY && shared >= MIN_SHARED_TERMS)
+      .map(([other, { score }]) => [other, score])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_RELATED);
+  });
+};
+
+const sameRelationships = (a, b) => (
+  a.length === b.length && a.every((relationship, i) => relationship.id === b[i].id && relationship.score === b[i].score)
+);
+
+// ?? LINK THE LIBRARY
+// Fills each conversation's `relationships` with [{ id, score }], most
+// similar first. Conversations whose links didn't change are returned as-is,
+// so only the changed ones get saved again.
+export const linkRelatedConversations = (conversations) => {
+  const nearest = findNearest(buildTfIdfVectors(conversations));
+
+  return conversations.map((conversation, index) => {
+    const relationships = nearest[index].map(([other, score]) => ({
+      id: conversations[other].id,
+      score: Math.round(score * 100) / 100
+    }));
+    return sameRelationships(conversation.relationships || [], relationships)
+      ? conversation
+      : { ...conversation, relationships };
+  });
+};
@@ -0,0 +1,50 @@
+import { buildTfIdfVectors, linkRelatedConversations } from './similarity';
+import { makeConversation } from './testConversations';
+
+const conversation = (id, title, content, changes = {}) => makeConversation({ id, title, content, ...changes });
+
+const library = [
+  conversation('gpt-1', 'Sourdough starter', 'Feeding a sourdough starter with rye flour and keeping the hydration steady'),
+  conversation('claude-1', 'Sourdough again', 'My sourdough starter smells sour; more rye flour or less hydration?'),
+  conversation('gpt-2', 'Tax return', 'Which receipts do I keep for my tax return deductions'),
+  conversation('claude-2', 'Kubernetes pods', 'Pods restart in a loop after the deployment'),
+  conversation('gpt-3', 'Bike gears', 'Shifting gears on a bike with a worn chain')
+];
+
+describe('buildTfIdfVectors', () => {
+  it('makes unit-length vectors from words shared with other conversations', () => {
+    const [vector] = buildTfIdfVectors(library);
+    const terms = vector.map(([term]) => term);
+    expect(terms).toEqual(expect.arrayContaining(['sourdough', 'starter', 'rye', 'flour', 'hydration']));
+    expect(terms).not.toContain('feeding'); // Only in this conversation
+    expect(vector.reduce((sum, [, weight]) => sum + weight * weight, 0)).toBeCloseTo(1);
+  });
+
+  it('gives a conversation with nothing in common an empty vector', () => {
+    expect(buildTfIdfVectors(library)[3]).toEqual([]);
+  });
+});
+
+describe('linkRelatedConversations', () => {
+  it('links conversations on the same topic across platforms, both ways', () => {
+    const linked = linkRelatedConversations(library);
+    expect(linked[0].relationships.map(relationship => relationship.id)).toEqual(['claude-1']);
+    expect(linked[1].relationships.map(relationship => relationship.id)).toEqual(['gpt-1']);
+    expect(linked[0].relationships[0].score).toBeGreaterThan(0.15);
+  });
+
+  it('does not link on a single shared word', () => {
+    const linked = linkRelatedConversations([
+      ...library,
+      conversation('gpt-4', 'Bike tax', 'Is there a tax on a new bike')
+    ]);
+    expect(linked[5].relationships).toEqual([]);
+  });
+
+  it('returns unchanged conversations as the same objects', () => {
+    const linked = linkRelatedConversations(library);
+    const relinked = linkRelatedConversations(linked);
+    relinked.forEach((conv, i) => expect(conv).toBe(linked[i]));
+    expect(linked[3]).toBe(library[3]);
+  });
+});
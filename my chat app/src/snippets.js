@@ -0,0 +1,208 @@
+// ?? CODE SNIPPETS
+// Fenced code blocks (```lang ... ```) are pulled out of the messages at
+// import, so code can be browsed and copied without digging through
+// transcripts. Each conversation keeps them in `codeBlocks`:
+//   [{ language, code, role, threadId, messageIndex }]
+// Also home to a small built-in syntax highlighter.
+
+import { getThreads } from './messages';
+
+// ?? LANGUAGE NAMES
+// Fence labels vary ("js", "node", "c++") - map them onto one name each
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', python3: 'python', py3: 'python',
+  rb: 'ruby',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash', terminal: 'bash',
+  ps1: 'powershell', pwsh: 'powershell',
+  yml: 'yaml',
+  'c++': 'cpp', cc: 'cpp', cxx: 'cpp', hpp: 'cpp',
+  'c#': 'csharp', cs: 'csharp',
+  golang: 'go',
+  rs: 'rust',
+  kt: 'kotlin',
+  md: 'markdown',
+  htm: 'html', xml: 'html', svg: 'html', vue: 'html',
+  postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql', plsql: 'sql',
+  plaintext: 'text', plain: 'text', txt: 'text'
+};
+
+// "```python title=app.py" -> "python"; no label -> "text"
+export const normalizeLanguage = (info) => {
+  const name = (info || '').trim().split(/\s+/)[0].toLowerCase().replace(/^[{.]+|[}]+$/g, '');
+  return LANGUAGE_ALIASES[name] || name || 'text';
+};
+
+// ?? FENCE SPLITTER
+// Splits message text into prose and code parts, with character offsets into
+// the text so highlights can still be placed:
+//   { type: 'text', start, end }
+//   { type: 'code', start, end, language, code }
+// An unclosed fence runs to the end of the message, as in most Markdown renderers.
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})([^`]*)$/;
+const FENCE_CLOSE = /^ {0,3}(`{3,}|~{3,})\s*$/;
+
+export const splitCodeFences = (text) => {
+  const parts = [];
+  let textStart = 0;
+  let open = null; // { marker, language, start, codeStart }
+  let offset = 0;
+
+  const pushText = (start, end) => {
+    if (end > start) parts.push({ type: 'text', start, end });
+  };
+  const pushCode = (end, codeEnd) => {
+    // The line break next to a fence belongs to the fence, not to the prose
+    pushText(textStart, text[open.start - 1] === '\n' ? open.start - 1 : open.start);
+    parts.push({
+      type: 'code',
+      start: open.start,
+      end,
+      language: open.language,
+      code: text.slice(open.codeStart, Math.max(open.codeStart, codeEnd))
+    });
+    textStart = text[end] === '\n' ? end + 1 : end;
+    open = null;
+  };
+
+  text.split('\n').forEach(line => {
+    const lineEnd = offset + line.length;
+    if (!open) {
+      const match = line.match(FENCE_OPEN);
+      if (match) open = { marker: match[1], language: normalizeLanguage(match[2]), start: offset, codeStart: Math.min(lineEnd + 1, text.length) };
+    } else {
+      const match = line.match(FENCE_CLOSE);
+      if (match && match[1][0] === open.marker[0] && match[1].length >= open.marker.length) pushCode(lineEnd, offset - 1);
+    }
+    offset = lineEnd + 1;
+  });
+
+  if (open) pushCode(text.length, text.length);
+  pushText(textStart, text.length);
+  return parts;
+};
+
+// ?? EXTRACTION
+// Every code block in every thread; messages a branch shares with the main
+// thread are only read once
+export const extractCodeBlocks = (conversation) => getThreads(conversation).flatMap(thread => thread.messages
+  .map((message, messageIndex) => ({ message, messageIndex }))
+  .filter(({ messageIndex }) => thread.forkIndex === null || messageIndex >= thread.forkIndex)
+  .flatMap(({ message, messageIndex }) => splitCodeFences(message.text)
+    .filter(part => part.type === 'code' && part.code.trim().length > 0)
+    .map(part => ({ language: part.language, code: part.code, role: message.role, threadId: thread.id, messageIndex }))));
+
+export const withCodeBlocks = (conversation) => ({ ...conversation, codeBlocks: extractCodeBlocks(conversation) });
+
+// ?? ALL SNIPPETS
+// [{ key, block, conversation }] in library order (newest conversation first)
+export const collectSnippets = (conversations) => conversations.flatMap(conversation => (conversation.codeBlocks || [])
+  .map((block, index) => ({ key: `${conversation.id}:${index}`, block, conversation })));
+
+// ?? SYNTAX HIGHLIGHTING
+// Deliberately small: comments, strings, numbers and keywords for a few
+// language families. Enough to make code easy to read, without pulling a
+// full highlighter into the bundle.
+const words = (list) => new Set(list.split(' '));
+
+const C_STRINGS = ['"(?:\\\\.|[^"\\\\\\n])*"', "'(?:\\\\.|[^'\\\\\\n])*'", '`(?:\\\\.|[^`\\\\])*`'];
+const HASH_COMMENT = ['#.*'];
+
+const LANGUAGE_FAMILIES = {
+  c: {
+    comments: ['//.*', '/\\*[\\s\\S]*?(?:\\*/|$)'],
+    strings: C_STRINGS,
+    keywords: words('if else for while do switch case break continue return function const let var new class extends import export from default try catch finally throw async await yield typeof instanceof in of this super null undefined true false void delete static public private protected interface type enum implements package struct fn impl pub use mod match mut func defer chan range select int float double char bool boolean string long short unsigned namespace using template virtual override final val fun when object nil self')
+  },
+  python: {
+    comments: HASH_COMMENT,
+    strings: ['"""[\\s\\S]*?(?:"""|$)', "'''[\\s\\S]*?(?:'''|$)", ...C_STRINGS.slice(0, 2)],
+    keywords: words('def class if elif else for while in not and or is return import from as with try except finally raise lambda yield pass break continue global nonlocal None True False async await self end do begin rescue ensure module require unless nil puts')
+  },
+  shell: {
+    comments: HASH_COMMENT,
+    strings: C_STRINGS,
+    keywords: words('if then else elif fi for do done while until case esac function in return export local source echo cd sudo npm npx yarn pnpm pip pip3 git docker kubectl curl wget FROM RUN CMD COPY ADD ENV WORKDIR EXPOSE ENTRYPOINT ARG param foreach')
+  },
+  sql: {
+    comments: ['--.*', '/\\*[\\s\\S]*?(?:\\*/|$)'],
+    strings: C_STRINGS.slice(0, 2),
+    keywords: words('select from where join inner left right outer full on group by order having insert into values update set delete create table view alter drop index primary key foreign references not null and or as distinct limit offset union all case when then else end count sum avg min max exists in like between is with returning'),
+    ignoreCase: true
+  },
+  data: {
+    comments: HASH_COMMENT,
+    strings: C_STRINGS.slice(0, 2),
+    keywords: words('true false null yes no')
+  },
+  markup: {
+    comments: ['<!--[\\s\\S]*?(?:-->|$)'],
+    strings: C_STRINGS.slice(0, 2),
+    tags: '</?[A-Za-z][\\w:-]*|/?>'
+  }
+};
+
+const FAMILY_OF_LANGUAGE = {
+  javascript: 'c', typescript: 'c', java: 'c', c: 'c', cpp: 'c', csharp: 'c', go: 'c', rust: 'c', swift: 'c',
+  kotlin: 'c', php: 'c', dart: 'c', scala: 'c', css: 'c', scss: 'c', solidity: 'c',
+  python: 'python', ruby: 'python', r: 'python',
+  bash: 'shell', powershell: 'shell', dockerfile: 'shell', makefile: 'shell',
+  sql: 'sql',
+  json: 'data', yaml: 'data', toml: 'data', ini: 'data',
+  html: 'markup'
+};
+
+const patternCache = new Map();
+
+const familyPattern = (name) => {
+  if (!patternCache.has(name)) {
+    const family = LANGUAGE_FAMILIES[name];
+    const groups = [
+      `(?<comment>${family.comments.join('|')})`,
+      `(?<string>${family.strings.join('|')})`,
+      family.tags ? `(?<tag>${family.tags})` : null,
+      '(?<number>\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)',
+      '(?<word>[A-Za-z_$][\\w$]*)'
+    ].filter(Boolean);
+    patternCache.set(name, groups.join('|'));
+  }
+  return new RegExp(patternCache.get(name), 'g');
+};
+
+// Tokens for rendering: [{ type: 'plain' | 'keyword' | 'string' | 'comment' | 'number', text }]
+export const highlightCode = (code, language) => {
+  const familyName = FAMILY_OF_LANGUAGE[language];
+  if (!familyName) return [{ type: 'plain', text: code }];
+
+  const family = LANGUAGE_FAMILIES[familyName];
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) last.text += text;
+    else tokens.push({ type, text });
+  };
+
+  const pattern = familyPattern(familyName);
+  let cursor = 0;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    const { comment, string, tag, number, word } = match.groups;
+    let type = 'plain';
+    if (comment !== undefined) type = 'comment';
+    else if (string !== undefined) type = 'string';
+    else if (tag !== undefined) type = 'keyword';
+    else if (number !== undefined) type = 'number';
+    else if (word !== undefined && family.keywords && family.keywords.has(family.ignoreCase ? word.toLowerCase() : word)) type = 'keyword';
+
+    if (match.index > cursor) push('plain', code.slice(cursor, match.index));
+    push(type, match[0]);
+    cursor = pattern.lastIndex;
+  }
+  if (cursor < code.length) push('plain', code.slice(cursor));
+  return tokens;
+};
@@ -0,0 +1,74 @@
+import { normalizeLanguage, splitCodeFences, extractCodeBlocks, collectSnippets, highlightCode } from './snippets';
+import { createMessage } from './messages';
+
+describe('normalizeLanguage', () => {
+  it.each([
+    ['js', 'javascript'],
+    ['Python title=app.py', 'python'],
+    ['c++', 'cpp'],
+    ['{.rust}', 'rust'],
+    ['', 'text']
+  ])('reads %p as %p', (info, language) => {
+    expect(normalizeLanguage(info)).toBe(language);
+  });
+});
+
+describe('splitCodeFences', () => {
+  it('splits prose and code with offsets into the text', () => {
+    const text = 'Try this:\n```js\nconst a = 1;\n```\nDone.';
+    const parts = splitCodeFences(text);
+    expect(parts.map(part => part.type)).toEqual(['text', 'code', 'text']);
+    expect(text.slice(parts[0].start, parts[0].end)).toBe('Try this:');
+    expect(parts[1]).toMatchObject({ language: 'javascript', code: 'const a = 1;' });
+    expect(text.slice(parts[2].start, parts[2].end)).toBe('Done.');
+  });
+
+  it('only closes a fence with the same marker, at least as long', () => {
+    const [code] = splitCodeFences('````md\n```\ninner\n```\n````');
+    expect(code.code).toBe('```\ninner\n```');
+  });
+
+  it('runs an unclosed fence to the end of the message', () => {
+    expect(splitCodeFences('```\nlet a').map(part => [part.type, part.code])).toEqual([['code', 'let a']]);
+  });
+});
+
+describe('extractCodeBlocks', () => {
+  it('reads each thread once, skipping the messages a branch shares', () => {
+    const conversation = {
+      id: 'c1',
+      messages: [
+        createMessage({ role: 'user', text: '```py\nprint(1)\n```' }),
+        createMessage({ role: 'assistant', text: '```sh\nls\n```\n```\n\n```' })
+      ],
+      branches: [{ id: 'b1', forkIndex: 1, messages: [createMessage({ role: 'assistant', text: '```sh\npwd\n```' })] }]
+    };
+    const blocks = extractCodeBlocks(conversation);
+    expect(blocks).toEqual([
+      { language: 'python', code: 'print(1)', role: 'user', threadId: 'main', messageIndex: 0 },
+      { language: 'bash', code: 'ls', role: 'assistant', threadId: 'main', messageIndex: 1 },
+      { language: 'bash', code: 'pwd', role: 'assistant', threadId: 'b1', messageIndex: 1 }
+    ]);
+    expect(collectSnippets([{ ...conversation, codeBlocks: blocks }]).map(snippet => snippet.key)).toEqual(['c1:0', 'c1:1', 'c1:2']);
+  });
+});
+
+describe('highlightCode', () => {
+  it('marks keywords, strings, numbers and comments', () => {
+    expect(highlightCode('const s = "if"; // 42', 'javascript')).toEqual([
+      { type: 'keyword', text: 'const' },
+      { type: 'plain', text: ' s = ' },
+      { type: 'string', text: '"if"' },
+      { type: 'plain', text: '; ' },
+      { type: 'comment', text: '// 42' }
+    ]);
+  });
+
+  it('reads SQL keywords in any case', () => {
+    expect(highlightCode('SELECT 1', 'sql')).toEqual([{ type: 'keyword', text: 'SELECT' }, { type: 'plain', text: ' ' }, { type: 'number', text: '1' }]);
+  });
+
+  it('leaves unknown languages as plain text', () => {
+    expect(highlightCode('anything', 'cobol')).toEqual([{ type: 'plain', text: 'anything' }]);
+  });
+});
@@ -0,0 +1,148 @@
+// ?? LOCAL LIBRARY STORAGE
+// Saves conversations (with their stars, tags and quality scores) and the
+// user's settings in IndexedDB so the library survives page reloads
+
+const DB_NAME = 'ai-chat-calendar';
+const DB_VERSION = 2;
+const CONVERSATIONS_STORE = 'conversations';
+const SETTINGS_STORE = 'settings'; // { key, value } records - tag rules and other preferences
+
+// ?? DATE FIELDS
+// Conversation fields that must always come back as Date objects
+const DATE_FIELDS = ['date', 'lastActivity', 'extractedAt'];
+
+let dbPromise = null;
+
+// ?? DATABASE CONNECTION
+// Opens (and on first run creates) the database, reusing one connection
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    // ??? Create any missing object stores (first run, or upgrading an older database)
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CONVERSATIONS_STORE)) {
+        db.createObjectStore(CONVERSATIONS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+        db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    // Allow a later call to retry instead of caching the failure
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+// ?? TRANSACTION HELPER
+// Runs `work` inside a transaction and resolves once it has committed
+const runTransaction = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+    work(transaction);
+  });
+};
+
+// ?? DATE REVIVER
+// IndexedDB keeps Date objects as-is, but older or hand-edited records may hold
+// ISO strings or numbers, so normalise them back into Dates
+const reviveDate = (value) => {
+  if (value === undefined || value === null || value instanceof Date) return value;
+  return new Date(value);
+};
+
+const reviveConversation = (record) => {
+  const conversation = { ...record };
+  DATE_FIELDS.forEach(field => {
+    conversation[field] = reviveDate(conversation[field]);
+  });
+  const reviveMessages = (messages) => messages.map(message => ({ ...message, timestamp: reviveDate(message.timestamp) }));
+  if (Array.isArray(conversation.messages)) {
+    conversation.messages = reviveMessages(conversation.messages);
+  }
+  if (Array.isArray(conversation.branches)) {
+    conversation.branches = conversation.branches.map(branch => ({ ...branch, messages: reviveMessages(branch.messages) }));
+  }
+  if (Array.isArray(conversation.highlights)) {
+    conversation.highlights = conversation.highlights.map(highlight => ({ ...highlight, createdAt: reviveDate(highlight.createdAt) }));
+  }
+  return conversation;
+};
+
+// ?? LOAD ALL CONVERSATIONS
+// Returns every stored conversation, newest first
+export const loadConversations = async () => {
+  let records = [];
+
+  await runTransaction(CONVERSATIONS_STORE, 'readonly', transaction => {
+    const request = transaction.objectStore(CONVERSATIONS_STORE).getAll();
+    request.onsuccess = () => { records = request.result || []; };
+  });
+
+  return records
+    .map(reviveConversation)
+    .sort((a, b) => b.date.getTime() - a.date.getTime());
+};
+
+// ?? SAVE CONVERSATIONS
+// Inserts or replaces the given conversations (matched by id)
+export const putConversations = async (conversations) => {
+  if (conversations.length === 0) return;
+
+  await runTransaction(CONVERSATIONS_STORE, 'readwrite', transaction => {
+    const store = transaction.objectStore(CONVERSATIONS_STORE);
+    conversations.forEach(conversation => store.put(conversation));
+  });
+};
+
+// ??? DELETE CONVERSATIONS
+// Removes the conversations with the given ids
+export const deleteConversations = async (ids) => {
+  if (ids.length === 0) return;
+
+  await runTransaction(CONVERSATIONS_STORE, 'readwrite', transaction => {
+    const store = transaction.objectStore(CONVERSATIONS_STORE);
+    ids.forEach(id => store.delete(id));
+  });
+};
+
+// ?? LOAD A SETTING
+// Resolves with the saved value, or `fallback` when it was never saved
+export const loadSetting = async (key, fallback) => {
+  let record;
+
+  await runTransaction(SETTINGS_STORE, 'readonly', transaction => {
+    const request = transaction.objectStore(SETTINGS_STORE).get(key);
+    request.onsuccess = () => { record = request.result; };
+  });
+
+  return record ? record.value : fallback;
+};
+
+// ?? SAVE A SETTING
+export const saveSetting = async (key, value) => {
+  await runTransaction(SETTINGS_STORE, 'readwrite', transaction => {
+    transaction.objectStore(SETTINGS_STORE).put({ key, value });
+  });
+};
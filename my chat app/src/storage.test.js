@@ -0,0 +1,100 @@
+import { loadConversations, putConversations, deleteConversations, loadSetting, saveSetting } from './storage';
+import { makeConversation } from './testConversations';
+
+// A small in-memory stand-in for the parts of IndexedDB the library uses.
+// Requests succeed on the next tick and the transaction completes after them.
+const createFakeIndexedDB = () => {
+  const stores = new Map();
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: (name, { keyPath }) => stores.set(name, { keyPath, records: new Map() }),
+    transaction: (storeNames, mode) => {
+      const transaction = {};
+      let pending = Promise.resolve();
+      const request = (run) => {
+        const req = {};
+        pending = pending.then(() => {
+          req.result = run();
+          if (req.onsuccess) req.onsuccess();
+        });
+        return req;
+      };
+      transaction.objectStore = (name) => {
+        const { keyPath, records } = stores.get(name);
+        const writable = () => {
+          if (mode !== 'readwrite') throw new Error('Read-only transaction');
+        };
+        return {
+          get: key => request(() => records.get(key)),
+          getAll: () => request(() => [...records.values()]),
+          put: record => { writable(); return request(() => records.set(record[keyPath], record)); },
+          delete: key => { writable(); return request(() => records.delete(key)); }
+        };
+      };
+      setTimeout(() => pending.then(() => transaction.oncomplete()));
+      return transaction;
+    }
+  };
+  return {
+    open: () => {
+      const req = { result: db };
+      setTimeout(() => {
+        req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    }
+  };
+};
+
+const conversation = (id, date) => makeConversation({ id, title: id, date: new Date(date) });
+
+beforeAll(() => {
+  global.indexedDB = createFakeIndexedDB();
+});
+
+describe('conversation storage', () => {
+  it('saves, replaces and deletes conversations by id, loading them newest first', async () => {
+    await putConversations([conversation('a', '2024-01-01'), conversation('b', '2024-03-01')]);
+    await putConversations([{ ...conversation('a', '2024-05-01'), title: 'Renamed' }]);
+    expect((await loadConversations()).map(conv => [conv.id, conv.title])).toEqual([['a', 'Renamed'], ['b', 'b']]);
+
+    await deleteConversations(['a', 'b']);
+    expect(await loadConversations()).toEqual([]);
+  });
+
+  it('turns dates stored as strings or numbers back into Dates', async () => {
+    await putConversations([{
+      id: 'old',
+      date: '2024-01-01T00:00:00.000Z',
+      lastActivity: 1704067200000,
+      messages: [{ role: 'user', text: 'Hi', timestamp: '2024-01-01T00:00:00.000Z' }],
+      highlights: [{ id: 'h', text: 'Hi', createdAt: '2024-01-02T00:00:00.000Z' }]
+    }]);
+    const [stored] = await loadConversations();
+    expect(stored.date).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+    expect(stored.lastActivity).toEqual(new Date(1704067200000));
+    expect(stored.messages[0].timestamp).toBeInstanceOf(Date);
+    expect(stored.highlights[0].createdAt).toBeInstanceOf(Date);
+    await deleteConversations(['old']);
+  });
+});
+
+describe('settings storage', () => {
+  it('returns the fallback until a setting is saved', async () => {
+    expect(await loadSetting('tagRules', [])).toEqual([]);
+    await saveSetting('tagRules', [{ tag: 'coding' }]);
+    expect(await loadSetting('tagRules', [])).toEqual([{ tag: 'coding' }]);
+  });
+});
+
+describe('without IndexedDB', () => {
+  it('rejects so the app can fall back to an unsaved library', async () => {
+    const available = global.indexedDB;
+    delete global.indexedDB;
+    let storage;
+    jest.isolateModules(() => { storage = require('./storage'); }); // A module without a cached connection
+    await expect(storage.loadConversations()).rejects.toThrow('IndexedDB is not available');
+    global.indexedDB = available;
+  });
+});
@@ -0,0 +1,199 @@
+// ?? SUMMARIZERS
+// Turn a conversation into a short summary. Every summarizer has the same shape:
+//   { source, batchSize, summarize(conversation) -> Promise<string> }
+// `source` is stored with the summary (`summarySource`) so the app knows which
+// conversations still need one and can say where each came from. Importers
+// only set a short preview; summaries are filled in later in the background.
+
+import { getMessages } from './messages';
+import { tokenize, isContentWord } from './search';
+import { splitCodeFences } from './snippets';
+
+// ?? SETTINGS
+// engine: 'extractive' (offline, built in) or 'openai' (an OpenAI-compatible
+// server such as Ollama or llama.cpp's llama-server)
+export const SUMMARIZER_DEFAULTS = {
+  engine: 'extractive',
+  endpoint: 'http://localhost:11434/v1',
+  model: 'llama3.2',
+  apiKey: ''
+};
+
+// ?? EXTRACTIVE TUNING
+const SUMMARY_SENTENCES = 3;
+const MAX_SUMMARY_CHARS = 400;
+const MIN_SENTENCE_WORDS = 5;
+const MAX_SENTENCE_CHARS = 300;
+const MAX_OVERLAP = 0.6; // Skip sentences that mostly repeat one already picked
+
+// ?? SENTENCES
+// Prose only - code blocks and Markdown markup don't make good summaries
+const proseOf = (text) => splitCodeFences(text)
+  .filter(part => part.type === 'text')
+  .map(part => text.slice(part.start, part.end))
+  .join('\n');
+
+const stripMarkdown = (text) => text
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+  .replace(/\*+|(?<!\w)_+|_+(?!\w)/g, '')
+  .replace(/[#>|]+/g, ' ')
+  .replace(/[ \t]+/g, ' ');
+
+const splitSentences = (text) => stripMarkdown(proseOf(text))
+  .split(/\n+|(?<=[.!?])\s+(?=["'(\p{Lu}\p{N}])/u)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length <= MAX_SENTENCE_CHARS && tokenize(sentence).length >= MIN_SENTENCE_WORDS);
+
+const contentWords = (text) => tokenize(text).filter(isContentWord);
+
+// ?? EXTRACTIVE SUMMARY
+// Scores each sentence of the assistant's answers by how many of the
+// conversation's most frequent words it uses (and words from the title),
+// favouring the opening sentence of each answer, then keeps the best few in
+// their original order
+export const summarizeExtractively = (conversation) => {
+  const messages = getMessages(conversation);
+  const answers = messages.filter(message => message.role === 'assistant');
+  const sources = answers.length > 0 ? answers : messages;
+
+  const sentences = sources.flatMap(message => splitSentences(message.text).map((text, index) => ({ text, first: index === 0 })));
+  if (sentences.length === 0) return conversation.summary || '';
+
+  const frequency = new Map();
+  sentences.forEach(({ text }) => contentWords(text).forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1)));
+  const titleWords = new Set(contentWords(conversation.title || ''));
+
+  const scored = sentences.map((sentence, position) => {
+    const words = [...new Set(contentWords(sentence.text))];
+    const weight = words.reduce((sum, word) => sum + frequency.get(word) + (titleWords.has(word) ? 2 : 0), 0);
+    const score = words.length > 0 ? (weight / Math.sqrt(words.length)) * (sentence.first ? 1.2 : 1) : 0;
+    return { ...sentence, words, position, score };
+  });
+
+  const picked = [];
+  scored
+    .filter(sentence => sentence.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .forEach(sentence => {
+      if (picked.length >= SUMMARY_SENTENCES) return;
+      const repeats = picked.some(other => {
+        const shared = sentence.words.filter(word => other.words.includes(word)).length;
+        return shared / Math.min(sentence.words.length, other.words.length) > MAX_OVERLAP;
+      });
+      if (!repeats) picked.push(sentence);
+    });
+
+  const summary = picked
+    .sort((a, b) => a.position - b.position)
+    .map(sentence => (/[.!?]$/.test(sentence.text) ? sentence.text : `${sentence.text}.`))
+    .join(' ');
+  if (summary.length <= MAX_SUMMARY_CHARS) return summary;
+  return `${summary.substring(0, summary.lastIndexOf(' ', MAX_SUMMARY_CHARS))}...`;
+};
+
+export const extractiveSummarizer = {
+  source: 'extractive',
+  batchSize: 200,
+  summarize: async (conversation) => summarizeExtractively(conversation)
+};
+
+// ?? OPENAI-COMPATIBLE ADAPTER
+// Talks to /chat/completions on a local server. Long transcripts keep their
+// beginning and end, which is where the question and the conclusion are.
+const MAX_PROMPT_CHARS = 12000;
+const REQUEST_TIMEOUT_MS = 120000;
+
+const SYSTEM_PROMPT = 'You summarize conversations between a user and an AI assistant. '
+  + 'Reply with two or three plain sentences saying what the user wanted and what the answer was. '
+  + 'No preamble, no bullet points, no Markdown.';
+
+const baseUrl = (endpoint) => endpoint.trim().replace(/\/+$/, '');
+
+const requestHeaders = (apiKey) => ({
+  'Content-Type': 'application/json',
+  ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+});
+
+const transcriptPrompt = (conversation) => {
+  const transcript = getMessages(conversation)
+    .filter(message => message.text.trim().length > 0)
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.text}`)
+    .join('\n\n');
+  const trimmed = transcript.length > MAX_PROMPT_CHARS
+    ? `${transcript.substring(0, MAX_PROMPT_CHARS * 0.7)}\n\n[...]\n\n${transcript.substring(transcript.length - MAX_PROMPT_CHARS * 0.3)}`
+    : transcript;
+  return `Title: ${conversation.title}\n\n${trimmed}`;
+};
+
+const fetchWithTimeout = async (url, options) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) throw new Error(`${url} answered ${response.status} ${response.statusText}`);
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+export const createOpenAiSummarizer = ({ endpoint, model, apiKey }) => ({
+  source: `llm:${model}`,
+  batchSize: 4,
+  summarize: async (conversation) => {
+    const data = await fetchWithTimeout(`${baseUrl(endpoint)}/chat/completions`, {
+      method: 'POST',
+      headers: requestHeaders(apiKey),
+      body: JSON.stringify({
+        model,
+        temperature: 0.2,
+        max_tokens: 200,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: transcriptPrompt(conversation) }
+        ]
+      })
+    });
+    const text = data.choices?.[0]?.message?.content?.trim();
+    if (!text) throw new Error('The summarizer returned an empty answer');
+    return text;
+  }
+});
+
+// ?? CONNECTION CHECK
+// Resolves with the model names the server offers
+export const listEndpointModels = async ({ endpoint, apiKey }) => {
+  const data = await fetchWithTimeout(`${baseUrl(endpoint)}/models`, { headers: requestHeaders(apiKey) });
+  return (data.data || []).map(model => model.id);
+};
+
+// ?? PICK A SUMMARIZER
+export const getSummarizer = (settings) => (
+  settings.engine === 'openai' && settings.endpoint.trim() && settings.model.trim()
+    ? createOpenAiSummarizer(settings)
+    : extractiveSummarizer
+);
+
+// Conversations whose summary is still the importer's preview
+export const needsSummary = (conversation) => !conversation.summarySource;
+
+// ?? BATCHES
+// One conversation at a time - local servers handle one request best. After
+// a failure the rest of the batch falls back to the offline summarizer.
+// Resolves with { results: [{ conversation, summary, source }], error }.
+export const summarizeBatch = async (summarizer, conversations) => {
+  const results = [];
+  let error = null;
+  for (const conversation of conversations) {
+    const active = error ? extractiveSummarizer : summarizer;
+    try {
+      results.push({ conversation, summary: await active.summarize(conversation), source: active.source });
+    } catch (failure) {
+      error = failure;
+      results.push({ conversation, summary: summarizeExtractively(conversation), source: extractiveSummarizer.source });
+    }
+  }
+  return { results, error };
+};
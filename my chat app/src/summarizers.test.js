@@ -0,0 +1,89 @@
+import {
+  SUMMARIZER_DEFAULTS, summarizeExtractively, extractiveSummarizer, createOpenAiSummarizer,
+  listEndpointModels, getSummarizer, needsSummary, summarizeBatch
+} from './summarizers';
+import { createMessage } from './messages';
+import { makeConversation } from './testConversations';
+
+const conversation = (answer, changes = {}) => makeConversation({
+  title: 'Sourdough starter',
+  summary: 'Preview',
+  messages: [createMessage({ role: 'user', text: 'How do I keep a sourdough starter alive?' }), createMessage({ role: 'assistant', text: answer })],
+  ...changes
+});
+
+const answer = [
+  'Feed your sourdough starter with equal weights of flour and water every day.',
+  '```\nflour = 50\n```',
+  'Keep the starter somewhere warm so the yeast stays active.',
+  'A sourdough starter that smells of acetone is simply hungry and needs feeding.',
+  'Good luck!'
+].join('\n');
+
+const respond = (body, ok = true) => Promise.resolve({ ok, status: ok ? 200 : 500, statusText: ok ? 'OK' : 'Server Error', json: () => Promise.resolve(body) });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('summarizeExtractively', () => {
+  it('keeps the best sentences of the answers in their original order', () => {
+    const summary = summarizeExtractively(conversation(answer));
+    expect(summary.startsWith('Feed your sourdough starter')).toBe(true);
+    expect(summary).not.toContain('flour = 50');
+    expect(summary).not.toContain('Good luck');
+  });
+
+  it('keeps the preview when there is nothing to summarize', () => {
+    expect(summarizeExtractively(conversation('Ok.'))).toBe('Preview');
+  });
+
+  it('stays within the summary length', () => {
+    const sentence = (i) => `The sourdough ${Array.from({ length: 20 }, (_, j) => `topic${i}x${j}`).join(' ')}.`;
+    const summary = summarizeExtractively(conversation([0, 1, 2].map(sentence).join('\n')));
+    expect(summary.endsWith('...')).toBe(true);
+    expect(summary.length).toBeLessThanOrEqual(403);
+  });
+});
+
+describe('OpenAI-compatible summarizer', () => {
+  const settings = { ...SUMMARIZER_DEFAULTS, engine: 'openai', endpoint: 'http://localhost:11434/v1/', apiKey: 'key' };
+
+  it('posts the transcript to /chat/completions and returns the answer', async () => {
+    global.fetch = jest.fn(() => respond({ choices: [{ message: { content: ' A short summary. ' } }] }));
+    const summarizer = getSummarizer(settings);
+    expect(summarizer.source).toBe('llm:llama3.2');
+    expect(await summarizer.summarize(conversation(answer))).toBe('A short summary.');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(options.headers.Authorization).toBe('Bearer key');
+    expect(JSON.parse(options.body).messages[1].content).toContain('Title: Sourdough starter\n\nUser: How do I keep');
+  });
+
+  it('lists the models a server offers', async () => {
+    global.fetch = jest.fn(() => respond({ data: [{ id: 'llama3.2' }, { id: 'qwen2.5' }] }));
+    expect(await listEndpointModels(settings)).toEqual(['llama3.2', 'qwen2.5']);
+  });
+
+  it('falls back to the offline summarizer for the rest of a batch after a failure', async () => {
+    global.fetch = jest.fn(() => respond({}, false));
+    const conversations = [conversation(answer), conversation(answer)];
+    const { results, error } = await summarizeBatch(createOpenAiSummarizer(settings), conversations);
+    expect(error.message).toContain('answered 500');
+    expect(results.map(result => result.source)).toEqual(['extractive', 'extractive']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses the offline summarizer until a server and model are set', () => {
+    expect(getSummarizer({ ...settings, model: ' ' })).toBe(extractiveSummarizer);
+    expect(getSummarizer(SUMMARIZER_DEFAULTS)).toBe(extractiveSummarizer);
+  });
+});
+
+describe('needsSummary', () => {
+  it('is true until a summarizer has filled in the summary', () => {
+    expect(needsSummary({ summarySource: null })).toBe(true);
+    expect(needsSummary({ summarySource: 'extractive' })).toBe(false);
+  });
+});
@@ -0,0 +1,168 @@
+// ??? SMART TAGGING SYSTEM
+// Tags come from editable keyword rules, plus tags the user adds or removes
+// by hand. Each conversation keeps:
+//   tags        - what is shown: auto tags minus removedTags, plus manualTags
+//   manualTags  - tags the user added themselves
+//   removedTags - auto tags the user took off, so re-tagging won't bring them back
+
+// ?? TAG COLOURS
+// Full class strings so Tailwind keeps them in the build
+export const TAG_COLORS = {
+  gray: 'bg-gray-100 text-gray-700',
+  blue: 'bg-blue-100 text-blue-800',
+  green: 'bg-green-100 text-green-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  orange: 'bg-orange-100 text-orange-800',
+  red: 'bg-red-100 text-red-800',
+  pink: 'bg-pink-100 text-pink-800',
+  purple: 'bg-purple-100 text-purple-800',
+  teal: 'bg-teal-100 text-teal-800'
+};
+
+// ?? DEFAULT TAG RULES
+// { name, color, match: 'word' | 'regex', keywords }. 'word' keywords match
+// whole words or phrases only - "api" no longer matches "capital"; 'regex'
+// keywords are case-insensitive regular expressions.
+export const DEFAULT_TAG_RULES = [
+  { name: 'coding', color: 'blue', match: 'word', keywords: ['code', 'programming', 'function', 'debug', 'python', 'javascript', 'react', 'typescript', 'api', 'database'] },
+  { name: 'creative', color: 'pink', match: 'word', keywords: ['story', 'poem', 'creative', 'writing', 'art', 'design', 'music', 'novel', 'character', 'plot'] },
+  { name: 'research', color: 'purple', match: 'word', keywords: ['research', 'study', 'analysis', 'data', 'academic', 'science', 'paper', 'citation', 'methodology'] },
+  { name: 'business', color: 'green', match: 'word', keywords: ['business', 'strategy', 'marketing', 'sales', 'revenue', 'startup', 'growth', 'metrics', 'roi'] },
+  { name: 'personal', color: 'yellow', match: 'word', keywords: ['help', 'advice', 'how to', 'recommendation', 'personal', 'life', 'decision', 'guidance'] },
+  { name: 'ai-calendar', color: 'teal', match: 'word', keywords: ['calendar', 'conversation', 'management', 'chat history', 'ai platforms', 'organization'] },
+  { name: 'technical', color: 'gray', match: 'word', keywords: ['artifact', 'component', 'implementation', 'system', 'architecture', 'development'] },
+  { name: 'debugging', color: 'red', match: 'regex', keywords: ['\\berror', '\\bbugs?\\b', '\\bfix(es|ed|ing)?\\b'] },
+  { name: 'learning', color: 'orange', match: 'regex', keywords: ['\\blearn', '\\btutorial', '\\bexplain'] },
+  { name: 'optimization', color: 'green', match: 'regex', keywords: ['\\boptimi[sz]', '\\bperformance\\b', '\\bspeed'] }
+];
+
+// Shown when nothing else applies
+const FALLBACK_TAG = 'general';
+
+// ?? TAG NAMES
+// Lowercase, with spaces turned into dashes: "Machine Learning" -> "machine-learning"
+export const normalizeTagName = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+const unique = (items) => [...new Set(items)];
+
+// ?? KEYWORD MATCHERS
+// Compiled once per rule; invalid regex keywords are skipped (the tag
+// manager points them out)
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const matcherCache = new WeakMap();
+
+// A word keyword written as the equivalent regex
+const wordPattern = (keyword) => `(?<![\\p{L}\\p{N}])${escapeRegExp(keyword.trim()).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`;
+
+// Regex keywords are tried in Unicode mode first (needed for \p{L}), then
+// plain mode, which accepts looser escapes like \-
+const tryRegExp = (source, flags) => {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const compileKeyword = (keyword, match) => (match === 'regex'
+  ? tryRegExp(keyword, 'iu') || tryRegExp(keyword, 'i')
+  : tryRegExp(wordPattern(keyword), 'iu'));
+
+const ruleMatchers = (rule) => {
+  if (!matcherCache.has(rule)) {
+    matcherCache.set(rule, rule.keywords
+      .filter(keyword => keyword.trim().length > 0)
+      .map(keyword => compileKeyword(keyword, rule.match))
+      .filter(Boolean));
+  }
+  return matcherCache.get(rule);
+};
+
+// ?? SMART TAG GENERATOR
+// Automatically assigns tags based on conversation content
+export const generateSmartTags = (content, title, rules = DEFAULT_TAG_RULES) => {
+  const text = `${title} ${content}`;
+  const tags = rules
+    .filter(rule => ruleMatchers(rule).some(matcher => matcher.test(text)))
+    .map(rule => rule.name);
+
+  // Return tags or 'general' if none found
+  return tags.length > 0 ? tags : [FALLBACK_TAG];
+};
+
+// ?? APPLY RULES TO ONE CONVERSATION
+// Recomputes `tags` from the rules while keeping the user's own changes.
+// Returns the same object when nothing changed.
+export const applyTagRules = (conversation, rules) => {
+  const manualTags = conversation.manualTags || [];
+  const removedTags = conversation.removedTags || [];
+  const autoTags = generateSmartTags(conversation.content, conversation.title, rules)
+    .filter(tag => tag !== FALLBACK_TAG && !removedTags.includes(tag));
+
+  let tags = unique([...autoTags, ...manualTags]);
+  if (tags.length === 0 && !removedTags.includes(FALLBACK_TAG)) tags = [FALLBACK_TAG];
+
+  const unchanged = tags.length === conversation.tags.length && tags.every((tag, i) => tag === conversation.tags[i]);
+  return unchanged ? conversation : { ...conversation, tags };
+};
+
+// ?? RE-RUN AUTO-TAGGING
+// Over the whole library; manual tags and removals are kept
+export const retagConversations = (conversations, rules) => conversations.map(conv => applyTagRules(conv, rules));
+
+// ?? MANUAL TAG EDITS
+export const addConversationTag = (conversation, tag, rules) => applyTagRules({
+  ...conversation,
+  manualTags: unique([...(conversation.manualTags || []), tag]),
+  removedTags: (conversation.removedTags || []).filter(removed => removed !== tag)
+}, rules);
+
+export const removeConversationTag = (conversation, tag, rules) => applyTagRules({
+  ...conversation,
+  manualTags: (conversation.manualTags || []).filter(manual => manual !== tag),
+  removedTags: unique([...(conversation.removedTags || []), tag])
+}, rules);
+
+// ?? LIBRARY-WIDE TAG CHANGES
+// Each returns { rules, conversations } with the tag swapped everywhere a
+// conversation mentions it - shown tags, manual tags and removals alike
+const replaceTagInConversations = (conversations, from, to) => conversations.map(conversation => {
+  const lists = ['tags', 'manualTags', 'removedTags'];
+  if (!lists.some(list => (conversation[list] || []).includes(from))) return conversation;
+
+  const updated = { ...conversation };
+  lists.forEach(list => {
+    if (!conversation[list]) return;
+    updated[list] = unique(conversation[list].flatMap(tag => (tag === from ? (to ? [to] : []) : [tag])));
+  });
+  return updated;
+});
+
+export const renameTag = (rules, conversations, from, to) => ({
+  rules: rules.map(rule => (rule.name === from ? { ...rule, name: to } : rule)),
+  conversations: replaceTagInConversations(conversations, from, to)
+});
+
+// Folds `from` into `to`: keywords are combined and conversations re-labelled.
+// When one rule uses words and the other regex, the words become regex too.
+const combineRules = (target, source) => {
+  if (source.match === target.match) return { ...target, keywords: unique([...target.keywords, ...source.keywords]) };
+  const asRegex = (rule) => (rule.match === 'regex' ? rule.keywords : rule.keywords.map(wordPattern));
+  return { ...target, match: 'regex', keywords: unique([...asRegex(target), ...asRegex(source)]) };
+};
+
+export const mergeTags = (rules, conversations, from, to) => {
+  const source = rules.find(rule => rule.name === from);
+  return {
+    rules: rules
+      .filter(rule => rule.name !== from)
+      .map(rule => (rule.name === to && source ? combineRules(rule, source) : rule)),
+    conversations: replaceTagInConversations(conversations, from, to)
+  };
+};
+
+export const deleteTag = (rules, conversations, name) => ({
+  rules: rules.filter(rule => rule.name !== name),
+  conversations: replaceTagInConversations(conversations, name, null)
+});
@@ -0,0 +1,96 @@
+import {
+  DEFAULT_TAG_RULES, normalizeTagName, compileKeyword, generateSmartTags, applyTagRules,
+  addConversationTag, removeConversationTag, renameTag, mergeTags, deleteTag
+} from './tagging';
+import { makeConversation } from './testConversations';
+
+const conversation = (content, changes = {}) => makeConversation({ id: 'c1', title: '', content, ...changes });
+
+const codingRule = { name: 'coding', color: 'blue', match: 'word', keywords: ['api', 'react'] };
+const bugRule = { name: 'bugs', color: 'red', match: 'regex', keywords: ['\\bbugs?\\b'] };
+
+describe('keyword matching', () => {
+  it('matches word keywords as whole words only', () => {
+    expect(generateSmartTags('Which API should I call?', '', [codingRule])).toEqual(['coding']);
+    expect(generateSmartTags('What is the capital of France?', '', [codingRule])).toEqual(['general']);
+    expect(generateSmartTags('Use the rapid prototype', '', [codingRule])).toEqual(['general']);
+  });
+
+  it('matches phrases across any whitespace', () => {
+    expect(compileKeyword('chat history', 'word').test('my chat\n history')).toBe(true);
+  });
+
+  it('reads regex keywords case-insensitively and skips invalid ones', () => {
+    expect(compileKeyword('\\bBUG', 'regex').test('a bug report')).toBe(true);
+    expect(compileKeyword('(unclosed', 'regex')).toBeNull();
+    expect(generateSmartTags('two bugs', '', [{ ...bugRule, keywords: ['(unclosed', '\\bbugs?\\b'] }])).toEqual(['bugs']);
+  });
+
+  it('looks at the title as well as the content', () => {
+    expect(generateSmartTags('', 'React question', [codingRule])).toEqual(['coding']);
+  });
+
+  it('keeps the default rules free of the old substring matches', () => {
+    expect(generateSmartTags('The capital of Peru is Lima', 'Geography')).toEqual(['general']);
+  });
+});
+
+describe('applyTagRules', () => {
+  it('falls back to "general" when nothing matches', () => {
+    expect(applyTagRules(conversation('Hello'), [codingRule]).tags).toEqual(['general']);
+  });
+
+  it('returns the same conversation when the tags did not change', () => {
+    const tagged = conversation('React hooks', { tags: ['coding'] });
+    expect(applyTagRules(tagged, [codingRule])).toBe(tagged);
+  });
+
+  it('keeps tags the user added and leaves out the ones they removed', () => {
+    const edited = conversation('React bugs', { manualTags: ['work'], removedTags: ['bugs'] });
+    expect(applyTagRules(edited, [codingRule, bugRule]).tags).toEqual(['coding', 'work']);
+  });
+});
+
+describe('manual tag edits', () => {
+  it('remembers a removed auto tag until it is added back', () => {
+    const removed = removeConversationTag(applyTagRules(conversation('React'), [codingRule]), 'coding', [codingRule]);
+    expect(removed).toMatchObject({ tags: ['general'], removedTags: ['coding'] });
+
+    const restored = addConversationTag(removed, 'coding', [codingRule]);
+    expect(restored).toMatchObject({ tags: ['coding'], manualTags: ['coding'], removedTags: [] });
+  });
+
+  it('names tags in lowercase with dashes', () => {
+    expect(normalizeTagName('  Machine Learning ')).toBe('machine-learning');
+  });
+});
+
+describe('library-wide tag changes', () => {
+  const library = [
+    conversation('React', { id: 'a', tags: ['coding'], manualTags: [], removedTags: [] }),
+    conversation('Bugs', { id: 'b', tags: ['bugs', 'coding'], manualTags: ['coding'], removedTags: [] }),
+    conversation('Hello', { id: 'c', tags: ['general'] })
+  ];
+
+  it('renames a tag in rules and every list that mentions it', () => {
+    const { rules, conversations } = renameTag([codingRule, bugRule], library, 'coding', 'dev');
+    expect(rules.map(rule => rule.name)).toEqual(['dev', 'bugs']);
+    expect(conversations[1]).toMatchObject({ tags: ['bugs', 'dev'], manualTags: ['dev'] });
+    expect(conversations[2]).toBe(library[2]);
+  });
+
+  it('merges a regex rule into a word rule as regex keywords', () => {
+    const { rules, conversations } = mergeTags([codingRule, bugRule], library, 'bugs', 'coding');
+    expect(rules).toHaveLength(1);
+    expect(rules[0].match).toBe('regex');
+    expect(generateSmartTags('an api with bugs', '', rules)).toEqual(['coding']);
+    expect(conversations[1].tags).toEqual(['coding']);
+  });
+
+  it('deletes a tag from rules and conversations', () => {
+    const { rules, conversations } = deleteTag(DEFAULT_TAG_RULES, library, 'coding');
+    expect(rules.some(rule => rule.name === 'coding')).toBe(false);
+    expect(conversations.some(conv => conv.tags.includes('coding') || (conv.manualTags || []).includes('coding'))).toBe(false);
+    expect(conversations[1].tags).toEqual(['bugs']);
+  });
+});
@@ -0,0 +1,18 @@
+// ?? TEST CONVERSATIONS
+// The one factory tests build conversations with, shaped like an imported
+// conversation. Messages are left out so they're read from `content`, as for
+// libraries saved before messages were kept; pass `messages` to set them
+export const makeConversation = (changes = {}) => ({
+  id: 'claude-1',
+  platform: 'claude',
+  title: 'Trip planning',
+  date: new Date(2024, 4, 1, 10),
+  summary: '',
+  content: '',
+  tags: [],
+  starred: false,
+  quality: 3,
+  relationships: [],
+  extractedAt: new Date(2024, 4, 1, 12),
+  ...changes
+});
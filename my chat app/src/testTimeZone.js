@@ -0,0 +1,6 @@
+// ?? TEST TIME ZONE
+// Tests run in a zone with daylight saving, whatever the machine's own, so
+// day arithmetic is checked across clock changes
+module.exports = async () => {
+  process.env.TZ = 'America/New_York';
+};
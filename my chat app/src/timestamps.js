@@ -0,0 +1,170 @@
+// ?? TIMESTAMPS AND TIME ZONES
+// Exports write times as Unix seconds, milliseconds or ISO strings, some with
+// a zone and some without. Everything here turns them into Dates, reading
+// zone-less times in the import time zone chosen in Settings ('' = this
+// browser's). Dates are shown, and grouped into calendar days, in the
+// browser's own zone. Conversations then carry:
+//   date         - when the conversation started
+//   lastActivity - its latest message (same as `date` for one-off chats)
+//   undated      - true when the export had no usable time at all
+
+// ?? TIME ZONE CHECK
+// The zone if the browser knows it, otherwise '' (= the browser's own)
+export const resolveTimeZone = (timeZone) => {
+  if (!timeZone) return '';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }); // eslint-disable-line no-new
+    return timeZone;
+  } catch (error) {
+    return '';
+  }
+};
+
+export const listTimeZones = () => (typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []);
+
+// ?? WALL-CLOCK TIME
+// Year, month (1-12), day, hour, minute and second a moment shows in a zone
+const partFormatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return partFormatters.get(timeZone);
+};
+
+export const wallTime = (date, timeZone) => {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map(part => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+};
+
+// The moment a wall-clock time in `timeZone` refers to. The zone's offset is
+// checked twice so times near a daylight-saving change land correctly.
+export const fromWallTime = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second, millisecond);
+
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const offsetAt = (time) => {
+    const wall = wallTime(new Date(time), timeZone);
+    return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - Math.floor(time / 1000) * 1000;
+  };
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+};
+
+// ?? TIMESTAMP PARSER
+// Numbers below 1e11 are seconds (1e11 seconds is the year 5138), below 1e14
+// milliseconds, above that microseconds. Strings with a zone or a trailing Z
+// are exact; ISO-looking strings without one are read in `timeZone`.
+// Returns null for anything missing or unreadable.
+const ISO_WITHOUT_ZONE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?$/;
+
+const fromNumber = (value) => {
+  if (!isFinite(value) || value <= 0) return null;
+  const abs = Math.abs(value);
+  if (abs < 1e11) return new Date(value * 1000);
+  if (abs < 1e14) return new Date(value);
+  return new Date(value / 1000);
+};
+
+export const parseTimestamp = (value, timeZone = '') => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') return fromNumber(value);
+  if (typeof value === 'object') {
+    // MongoDB-style exports (Grok): { $date: ... } or { $numberLong: '...' }
+    if (value.$date !== undefined) return parseTimestamp(value.$date, timeZone);
+    if (value.$numberLong !== undefined) return fromNumber(Number(value.$numberLong));
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return fromNumber(Number(text));
+
+  const iso = text.match(ISO_WITHOUT_ZONE);
+  if (iso) {
+    const [, year, month, day, hour, minute, second, fraction] = iso;
+    return fromWallTime({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0),
+      millisecond: fraction ? Number(fraction.padEnd(3, '0').slice(0, 3)) : 0
+    }, timeZone);
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// ?? CONVERSATION TIMES
+// Start and last activity from the conversation's own times and its
+// messages'. The export's "updated" time is only used when the messages have
+// no times of their own - renaming or sharing a chat bumps it too. With
+// nothing to go on the conversation is flagged `undated` and parked at the
+// epoch, so re-importing it gives the same id instead of a duplicate dated "now".
+export const UNDATED = new Date(0);
+
+export const conversationTimes = (start, end, messages = []) => {
+  const stamps = messages
+    .map(message => message.timestamp)
+    .filter(stamp => stamp instanceof Date && !isNaN(stamp.getTime()))
+    .map(stamp => stamp.getTime());
+
+  const first = start ? start.getTime() : stamps.length > 0 ? Math.min(...stamps) : null;
+  if (first === null) return { date: UNDATED, lastActivity: UNDATED, undated: true };
+
+  const latest = stamps.length > 0 ? Math.max(...stamps) : end ? end.getTime() : first;
+  return { date: new Date(first), lastActivity: new Date(Math.max(first, latest)), undated: false };
+};
+
+export const getLastActivity = (conversation) => conversation.lastActivity || conversation.date;
+
+// ?? ACTIVE DAYS
+// Every local calendar day the conversation had activity on - its start, each
+// message and its last activity - with the first moment on each, as a Map of
+// toDateString() key -> Date. Undated conversations have none.
+const activityCache = new WeakMap();
+
+export const activeDays = (conversation) => {
+  if (activityCache.has(conversation)) return activityCache.get(conversation);
+
+  const days = new Map();
+  if (!conversation.undated) {
+    [
+      conversation.date,
+      ...(conversation.messages || []).map(message => message.timestamp),
+      ...(conversation.branches || []).flatMap(branch => branch.messages.map(message => message.timestamp)),
+      getLastActivity(conversation)
+    ]
+      .filter(moment => moment instanceof Date && !isNaN(moment.getTime()))
+      .forEach(moment => {
+        const key = moment.toDateString();
+        if (!days.has(key) || moment < days.get(key)) days.set(key, moment);
+      });
+  }
+
+  activityCache.set(conversation, days);
+  return days;
+};
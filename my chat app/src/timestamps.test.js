@@ -0,0 +1,84 @@
+import { resolveTimeZone, wallTime, fromWallTime, parseTimestamp, conversationTimes, UNDATED, activeDays } from './timestamps';
+
+const NEW_YORK = 'America/New_York';
+
+describe('parseTimestamp', () => {
+  it.each([
+    ['seconds', 1714557600],
+    ['milliseconds', 1714557600000],
+    ['microseconds', 1714557600000000],
+    ['a numeric string', '1714557600'],
+    ['an ISO string with a zone', '2024-05-01T10:00:00Z'],
+    ['a MongoDB date', { $date: { $numberLong: '1714557600000' } }],
+    ['a MongoDB date string', { $date: '2024-05-01T10:00:00.000Z' }]
+  ])('reads %s', (_, value) => {
+    expect(parseTimestamp(value)).toEqual(new Date('2024-05-01T10:00:00Z'));
+  });
+
+  it('reads times without a zone in the import time zone', () => {
+    expect(parseTimestamp('2024-05-01 10:00:00', NEW_YORK)).toEqual(new Date('2024-05-01T14:00:00Z'));
+    expect(parseTimestamp('2024-01-15T10:00:00.5', NEW_YORK)).toEqual(new Date('2024-01-15T15:00:00.500Z'));
+    expect(parseTimestamp('2024-05-01', '')).toEqual(new Date(2024, 4, 1));
+  });
+
+  it.each([null, undefined, '', 'yesterday', 0, -5, NaN, {}, new Date('nope')])('gives null for %p', (value) => {
+    expect(parseTimestamp(value)).toBeNull();
+  });
+});
+
+describe('wall-clock times', () => {
+  it.each([
+    ['just before spring forward', { year: 2024, month: 3, day: 10, hour: 1, minute: 30 }, '2024-03-10T06:30:00Z'],
+    ['just after spring forward', { year: 2024, month: 3, day: 10, hour: 3, minute: 30 }, '2024-03-10T07:30:00Z'],
+    ['the evening before fall back', { year: 2024, month: 11, day: 2, hour: 23, minute: 30 }, '2024-11-03T03:30:00Z'],
+    ['just after fall back', { year: 2024, month: 11, day: 3, hour: 2, minute: 30 }, '2024-11-03T07:30:00Z']
+  ])('lands on the right moment %s', (_, wall, expected) => {
+    expect(fromWallTime(wall, NEW_YORK)).toEqual(new Date(expected));
+  });
+
+  it('reads back the wall-clock time of a moment in a zone', () => {
+    expect(wallTime(new Date('2024-07-04T16:05:09Z'), NEW_YORK)).toEqual({ year: 2024, month: 7, day: 4, hour: 12, minute: 5, second: 9 });
+  });
+
+  it('ignores a time zone the browser does not know', () => {
+    expect(resolveTimeZone(NEW_YORK)).toBe(NEW_YORK);
+    expect(resolveTimeZone('Mars/Olympus_Mons')).toBe('');
+  });
+});
+
+describe('conversationTimes', () => {
+  const at = (iso) => ({ timestamp: new Date(iso) });
+
+  it('takes the last activity from the messages rather than the update time', () => {
+    const times = conversationTimes(new Date('2024-05-01T10:00:00Z'), new Date('2024-06-01T00:00:00Z'), [at('2024-05-01T10:00:00Z'), at('2024-05-02T09:00:00Z')]);
+    expect(times).toEqual({ date: new Date('2024-05-01T10:00:00Z'), lastActivity: new Date('2024-05-02T09:00:00Z'), undated: false });
+  });
+
+  it('falls back to the update time, then the start', () => {
+    expect(conversationTimes(new Date(1000), new Date(5000)).lastActivity).toEqual(new Date(5000));
+    expect(conversationTimes(new Date(1000), null).lastActivity).toEqual(new Date(1000));
+  });
+
+  it('starts at the first message when the conversation has no time of its own', () => {
+    expect(conversationTimes(null, null, [at('2024-05-02T00:00:00Z'), at('2024-05-01T00:00:00Z')]).date).toEqual(new Date('2024-05-01T00:00:00Z'));
+  });
+
+  it('flags conversations with no usable time as undated', () => {
+    expect(conversationTimes(null, null, [{ timestamp: null }])).toEqual({ date: UNDATED, lastActivity: UNDATED, undated: true });
+  });
+});
+
+describe('activeDays', () => {
+  it('lists each local day with activity, keeping its first moment', () => {
+    const days = activeDays({
+      date: new Date(2024, 4, 1, 22),
+      lastActivity: new Date(2024, 4, 3, 8),
+      messages: [{ timestamp: new Date(2024, 4, 1, 23) }, { timestamp: new Date(2024, 4, 3, 7) }]
+    });
+    expect([...days.values()]).toEqual([new Date(2024, 4, 1, 22), new Date(2024, 4, 3, 7)]);
+  });
+
+  it('has none for undated conversations', () => {
+    expect(activeDays({ undated: true, date: UNDATED }).size).toBe(0);
+  });
+});
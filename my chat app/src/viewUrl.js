@@ -0,0 +1,90 @@
+// ?? SHAREABLE VIEW URL
+// The open view, search, platforms and filters are mirrored into the page's
+// query string, so a filtered view can be bookmarked or sent to someone with
+// the same library:
+//   ?view=list&q=react&platforms=claude,chatgpt&date=30d&quality=3-5
+//    &starred=1&tags=coding&exclude=personal&minLength=2000&code=1
+// Platforms are left out when all of them are selected, and filters when
+// they're at their defaults.
+
+import { DEFAULT_FILTERS, DATE_PRESETS } from './filters';
+
+const FILTER_PARAMS = ['date', 'from', 'to', 'quality', 'starred', 'tags', 'exclude', 'minLength', 'code'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ?? LISTS
+// Items are joined with commas; a comma or % inside an item (tag names may
+// have commas) is written as %2C or %25 so the list reads back the same
+const writeList = (items) => items.map(item => item.replace(/%/g, '%25').replace(/,/g, '%2C')).join(',');
+
+const readList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().replace(/%(25|2C)/gi, (_, code) => (code === '25' ? '%' : ',')))
+  .filter(Boolean);
+
+// ?? WRITE
+export const viewToQuery = ({ view, searchTerm, platforms, allPlatformIds, filters }) => {
+  const active = { ...DEFAULT_FILTERS, ...filters };
+  const params = new URLSearchParams();
+
+  params.set('view', view);
+  if (searchTerm.trim()) params.set('q', searchTerm);
+  if (!allPlatformIds.every(id => platforms.includes(id))) params.set('platforms', writeList(platforms));
+
+  if (active.datePreset) params.set('date', active.datePreset);
+  else {
+    if (active.dateFrom) params.set('from', active.dateFrom);
+    if (active.dateTo) params.set('to', active.dateTo);
+  }
+  if (active.minQuality > DEFAULT_FILTERS.minQuality || active.maxQuality < DEFAULT_FILTERS.maxQuality) {
+    params.set('quality', `${active.minQuality}-${active.maxQuality}`);
+  }
+  if (active.starredOnly) params.set('starred', '1');
+  if (active.tags.length > 0) params.set('tags', writeList(active.tags));
+  if (active.excludeTags.length > 0) params.set('exclude', writeList(active.excludeTags));
+  if (active.minLength > 0) params.set('minLength', String(active.minLength));
+  if (active.hasCode) params.set('code', '1');
+
+  // Commas read better than %2C and are safe in a query string
+  return `?${params.toString().replace(/%2C/g, ',')}`;
+};
+
+// ?? READ
+// { view, searchTerm, platforms, filters }. A link written by viewToQuery
+// always has `view`, and then anything it leaves out is at its default; in
+// a hand-written query only what it mentions is returned. Values that don't
+// make sense are ignored.
+const readFilters = (params) => {
+  const filters = { ...DEFAULT_FILTERS };
+
+  const preset = params.get('date');
+  if (DATE_PRESETS.some(option => option.id === preset)) filters.datePreset = preset;
+  if (DAY_PATTERN.test(params.get('from') || '')) filters.dateFrom = params.get('from');
+  if (DAY_PATTERN.test(params.get('to') || '')) filters.dateTo = params.get('to');
+
+  const quality = (params.get('quality') || '').match(/^([1-5])-([1-5])$/);
+  if (quality && Number(quality[1]) <= Number(quality[2])) {
+    filters.minQuality = Number(quality[1]);
+    filters.maxQuality = Number(quality[2]);
+  }
+
+  filters.starredOnly = params.get('starred') === '1';
+  filters.tags = readList(params.get('tags'));
+  filters.excludeTags = readList(params.get('exclude')).filter(tag => !filters.tags.includes(tag));
+  filters.minLength = Math.max(0, parseInt(params.get('minLength'), 10) || 0);
+  filters.hasCode = params.get('code') === '1';
+  return filters;
+};
+
+export const viewFromQuery = (search, { views, platformIds }) => {
+  const params = new URLSearchParams(search);
+  const fullLink = views.includes(params.get('view'));
+  const state = {};
+
+  if (fullLink) state.view = params.get('view');
+  if (fullLink || params.has('q')) state.searchTerm = params.get('q') || '';
+  if (params.has('platforms')) state.platforms = readList(params.get('platforms')).filter(id => platformIds.includes(id));
+  else if (fullLink) state.platforms = platformIds;
+  if (fullLink || FILTER_PARAMS.some(key => params.has(key))) state.filters = readFilters(params);
+  return state;
+};
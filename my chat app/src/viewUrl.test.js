@@ -0,0 +1,58 @@
+import { viewToQuery, viewFromQuery } from './viewUrl';
+import { DEFAULT_FILTERS } from './filters';
+
+const views = ['calendar', 'list', 'analytics'];
+const platformIds = ['claude', 'chatgpt', 'grok'];
+
+const roundTrip = (state) => viewFromQuery(viewToQuery({ allPlatformIds: platformIds, ...state }), { views, platformIds });
+
+describe('view URLs', () => {
+  it('keeps a plain view short', () => {
+    expect(viewToQuery({ view: 'calendar', searchTerm: ' ', platforms: platformIds, allPlatformIds: platformIds, filters: DEFAULT_FILTERS })).toBe('?view=calendar');
+  });
+
+  it('writes every filter in a readable query string', () => {
+    const query = viewToQuery({
+      view: 'list',
+      searchTerm: 'react hooks',
+      platforms: ['claude', 'chatgpt'],
+      allPlatformIds: platformIds,
+      filters: { datePreset: '30d', minQuality: 3, starredOnly: true, tags: ['coding', 'work'], excludeTags: ['personal'], minLength: 2000, hasCode: true }
+    });
+    expect(query).toBe('?view=list&q=react+hooks&platforms=claude,chatgpt&date=30d&quality=3-5&starred=1&tags=coding,work&exclude=personal&minLength=2000&code=1');
+  });
+
+  it.each([
+    ['the defaults', { view: 'calendar', searchTerm: '', platforms: platformIds, filters: DEFAULT_FILTERS }],
+    ['a search on some platforms', { view: 'list', searchTerm: 'tag:coding "exact words"', platforms: ['grok'], filters: DEFAULT_FILTERS }],
+    ['no platforms at all', { view: 'list', searchTerm: '', platforms: [], filters: DEFAULT_FILTERS }],
+    ['a custom date range', { view: 'analytics', searchTerm: '', platforms: platformIds, filters: { ...DEFAULT_FILTERS, dateFrom: '2024-01-01', dateTo: '2024-03-31' } }],
+    ['every other filter', {
+      view: 'list',
+      searchTerm: 'rust',
+      platforms: ['claude'],
+      filters: { ...DEFAULT_FILTERS, datePreset: '7d', minQuality: 2, maxQuality: 4, starredOnly: true, tags: ['coding'], excludeTags: ['work'], minLength: 500, hasCode: true }
+    }]
+  ])('reads back %s', (_, state) => {
+    expect(roundTrip(state)).toEqual(state);
+  });
+
+  it('keeps tags with commas and percent signs whole', () => {
+    const filters = { ...DEFAULT_FILTERS, tags: ['a,b', '100%'], excludeTags: ['c'] };
+    const query = viewToQuery({ view: 'list', searchTerm: '', platforms: platformIds, allPlatformIds: platformIds, filters });
+    expect(query).toBe('?view=list&tags=a%252Cb,100%2525&exclude=c');
+    expect(viewFromQuery(query, { views, platformIds }).filters).toEqual(filters);
+  });
+
+  it('only returns what a hand-written query mentions', () => {
+    expect(viewFromQuery('?q=react', { views, platformIds })).toEqual({ searchTerm: 'react' });
+    expect(viewFromQuery('?tags=coding', { views, platformIds })).toEqual({ filters: { ...DEFAULT_FILTERS, tags: ['coding'] } });
+  });
+
+  it('ignores values that make no sense', () => {
+    const { view, platforms, filters } = viewFromQuery('?view=nope&platforms=claude,bard&date=2w&from=May&quality=5-1&minLength=-3&tags=a&exclude=a,b', { views, platformIds });
+    expect(view).toBeUndefined();
+    expect(platforms).toEqual(['claude']);
+    expect(filters).toEqual({ ...DEFAULT_FILTERS, tags: ['a'], excludeTags: ['b'] });
+  });
+});